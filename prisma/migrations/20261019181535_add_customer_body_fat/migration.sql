@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `customers` ADD COLUMN `body_fat_percentage` DOUBLE NULL;
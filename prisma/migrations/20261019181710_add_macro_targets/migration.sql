@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE `macro_targets` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `calories` INTEGER NOT NULL,
+    `protein_grams` DOUBLE NOT NULL,
+    `carbs_grams` DOUBLE NOT NULL,
+    `fat_grams` DOUBLE NOT NULL,
+    `fiber_grams` DOUBLE NOT NULL,
+    `tdee` INTEGER NULL,
+    `calorie_adjustment` INTEGER NOT NULL DEFAULT 0,
+    `fitness_goal` ENUM('WEIGHT_LOSS', 'DECREASE_BODY_FAT', 'INCREASE_LEAN_MUSCLE', 'WEIGHT_GAIN', 'OVERALL_WELLNESS', 'NONE') NOT NULL,
+    `meal_plan_category` ENUM('ANTI_INFLAMMATORY', 'AVOHEALTH', 'AYURVEDIC', 'BALANCED', 'BRAIN_BOOSTING', 'DAIRY_FREE', 'DASH_DIET', 'DETOX', 'DIABETIC_FRIENDLY', 'GLUTEN_FREE', 'GUT_HEALTH', 'HEART_HEALTHY', 'HIGH_PROTEIN', 'HORMONE_BALANCE', 'IMMUNE_BOOSTING', 'INTERMITTENT_FASTING', 'KETO', 'LOW_CARB', 'LOW_GLYCEMIC', 'MEDITERRANEAN', 'MUSCLE_BUILDING', 'PCOS_FRIENDLY', 'PESCATARIAN', 'POSTPARTUM', 'PREGNANCY', 'THYROID_SUPPORT', 'VEGAN', 'VEGETARIAN', 'WEIGHT_GAIN_PLAN', 'WEIGHT_LOSS_PLAN') NOT NULL,
+    `source` ENUM('CALCULATED', 'TRAINER_OVERRIDE') NOT NULL DEFAULT 'CALCULATED',
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `reason` VARCHAR(191) NULL,
+    `created_by_id` VARCHAR(191) NULL,
+    `created_by_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `macro_targets_customer_id_is_active_idx`(`customer_id`, `is_active`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `macro_targets` ADD CONSTRAINT `macro_targets_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `customers` ADD COLUMN `meal_distribution` ENUM('EVEN', 'FRONT_LOADED', 'POST_WORKOUT', 'EATING_WINDOW') NOT NULL DEFAULT 'EVEN',
+    ADD COLUMN `post_workout_meal` INTEGER NULL;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE `foods` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `brand` VARCHAR(191) NULL,
+    `description` TEXT NULL,
+    `category` ENUM('PROTEIN', 'DAIRY', 'GRAINS', 'VEGETABLES', 'FRUITS', 'LEGUMES', 'NUTS_SEEDS', 'FATS_OILS', 'BEVERAGES', 'SNACKS', 'CONDIMENTS', 'OTHER') NOT NULL DEFAULT 'OTHER',
+    `calories` DOUBLE NOT NULL,
+    `protein_grams` DOUBLE NOT NULL,
+    `carbs_grams` DOUBLE NOT NULL,
+    `fat_grams` DOUBLE NOT NULL,
+    `fiber_grams` DOUBLE NOT NULL DEFAULT 0,
+    `sugar_grams` DOUBLE NULL,
+    `saturated_fat_grams` DOUBLE NULL,
+    `micronutrients` JSON NULL,
+    `allergens` JSON NULL,
+    `tags` JSON NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `created_by_id` VARCHAR(191) NULL,
+    `created_by_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `foods_name_idx`(`name`),
+    INDEX `foods_category_idx`(`category`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `food_servings` (
+    `id` VARCHAR(191) NOT NULL,
+    `food_id` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NOT NULL,
+    `grams` DOUBLE NOT NULL,
+    `is_default` BOOLEAN NOT NULL DEFAULT false,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `food_servings` ADD CONSTRAINT `food_servings_food_id_fkey` FOREIGN KEY (`food_id`) REFERENCES `foods`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+/*
+  Warnings:
+
+  - A unique constraint covering the columns `[source,source_id]` on the table `foods` will be added. If there are existing duplicate values, this will fail.
+
+*/
+-- AlterTable
+ALTER TABLE `foods` ADD COLUMN `source` ENUM('MANUAL', 'USDA', 'CSV') NOT NULL DEFAULT 'MANUAL',
+    ADD COLUMN `source_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `foods_source_source_id_key` ON `foods`(`source`, `source_id`);
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `recipes` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `instructions` TEXT NULL,
+    `servings` INTEGER NOT NULL DEFAULT 1,
+    `prep_minutes` INTEGER NULL,
+    `cook_minutes` INTEGER NULL,
+    `tags` JSON NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `total_grams` DOUBLE NOT NULL DEFAULT 0,
+    `serving_grams` DOUBLE NOT NULL DEFAULT 0,
+    `calories` DOUBLE NOT NULL DEFAULT 0,
+    `protein_grams` DOUBLE NOT NULL DEFAULT 0,
+    `carbs_grams` DOUBLE NOT NULL DEFAULT 0,
+    `fat_grams` DOUBLE NOT NULL DEFAULT 0,
+    `fiber_grams` DOUBLE NOT NULL DEFAULT 0,
+    `sugar_grams` DOUBLE NOT NULL DEFAULT 0,
+    `saturated_fat_grams` DOUBLE NOT NULL DEFAULT 0,
+    `micronutrients` JSON NULL,
+    `allergens` JSON NULL,
+    `nutrition_computed_at` DATETIME(3) NULL,
+    `created_by_id` VARCHAR(191) NULL,
+    `created_by_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `recipes_name_idx`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `recipe_ingredients` (
+    `id` VARCHAR(191) NOT NULL,
+    `recipe_id` VARCHAR(191) NOT NULL,
+    `food_id` VARCHAR(191) NOT NULL,
+    `quantity` DOUBLE NOT NULL,
+    `unit` VARCHAR(191) NOT NULL,
+    `grams` DOUBLE NOT NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `notes` VARCHAR(191) NULL,
+
+    INDEX `recipe_ingredients_recipe_id_idx`(`recipe_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `recipe_ingredients` ADD CONSTRAINT `recipe_ingredients_recipe_id_fkey` FOREIGN KEY (`recipe_id`) REFERENCES `recipes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `recipe_ingredients` ADD CONSTRAINT `recipe_ingredients_food_id_fkey` FOREIGN KEY (`food_id`) REFERENCES `foods`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,86 @@
+-- CreateTable
+CREATE TABLE `meal_plans` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `category` ENUM('ANTI_INFLAMMATORY', 'AVOHEALTH', 'AYURVEDIC', 'BALANCED', 'BRAIN_BOOSTING', 'DAIRY_FREE', 'DASH_DIET', 'DETOX', 'DIABETIC_FRIENDLY', 'GLUTEN_FREE', 'GUT_HEALTH', 'HEART_HEALTHY', 'HIGH_PROTEIN', 'HORMONE_BALANCE', 'IMMUNE_BOOSTING', 'INTERMITTENT_FASTING', 'KETO', 'LOW_CARB', 'LOW_GLYCEMIC', 'MEDITERRANEAN', 'MUSCLE_BUILDING', 'PCOS_FRIENDLY', 'PESCATARIAN', 'POSTPARTUM', 'PREGNANCY', 'THYROID_SUPPORT', 'VEGAN', 'VEGETARIAN', 'WEIGHT_GAIN_PLAN', 'WEIGHT_LOSS_PLAN') NOT NULL,
+    `start_date` DATE NOT NULL,
+    `end_date` DATE NOT NULL,
+    `notes` TEXT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+    `trainer_id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NULL,
+
+    INDEX `meal_plans_trainer_id_idx`(`trainer_id`),
+    INDEX `meal_plans_customer_id_idx`(`customer_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `meal_plan_days` (
+    `id` VARCHAR(191) NOT NULL,
+    `meal_plan_id` VARCHAR(191) NOT NULL,
+    `day_number` INTEGER NOT NULL,
+    `date` DATE NOT NULL,
+    `notes` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `meal_plan_days_meal_plan_id_day_number_key`(`meal_plan_id`, `day_number`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `meals` (
+    `id` VARCHAR(191) NOT NULL,
+    `day_id` VARCHAR(191) NOT NULL,
+    `meal_number` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `time` VARCHAR(191) NULL,
+    `notes` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `meals_day_id_meal_number_key`(`day_id`, `meal_number`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `meal_items` (
+    `id` VARCHAR(191) NOT NULL,
+    `meal_id` VARCHAR(191) NOT NULL,
+    `food_id` VARCHAR(191) NULL,
+    `recipe_id` VARCHAR(191) NULL,
+    `quantity` DOUBLE NOT NULL,
+    `unit` VARCHAR(191) NOT NULL,
+    `grams` DOUBLE NOT NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `calories` DOUBLE NOT NULL,
+    `protein_grams` DOUBLE NOT NULL,
+    `carbs_grams` DOUBLE NOT NULL,
+    `fat_grams` DOUBLE NOT NULL,
+    `fiber_grams` DOUBLE NOT NULL DEFAULT 0,
+    `micronutrients` JSON NULL,
+    `notes` VARCHAR(191) NULL,
+
+    INDEX `meal_items_meal_id_idx`(`meal_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `meal_plans` ADD CONSTRAINT `meal_plans_trainer_id_fkey` FOREIGN KEY (`trainer_id`) REFERENCES `trainers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meal_plans` ADD CONSTRAINT `meal_plans_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meal_plan_days` ADD CONSTRAINT `meal_plan_days_meal_plan_id_fkey` FOREIGN KEY (`meal_plan_id`) REFERENCES `meal_plans`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meals` ADD CONSTRAINT `meals_day_id_fkey` FOREIGN KEY (`day_id`) REFERENCES `meal_plan_days`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meal_items` ADD CONSTRAINT `meal_items_meal_id_fkey` FOREIGN KEY (`meal_id`) REFERENCES `meals`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meal_items` ADD CONSTRAINT `meal_items_food_id_fkey` FOREIGN KEY (`food_id`) REFERENCES `foods`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `meal_items` ADD CONSTRAINT `meal_items_recipe_id_fkey` FOREIGN KEY (`recipe_id`) REFERENCES `recipes`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `customers` ADD COLUMN `allergens` JSON NULL,
+    ADD COLUMN `intolerances` JSON NULL,
+    ADD COLUMN `dietary_restrictions` JSON NULL,
+    ADD COLUMN `disliked_foods` JSON NULL,
+    ADD COLUMN `cuisine_preferences` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `meal_items` ADD COLUMN `violations` JSON NULL;
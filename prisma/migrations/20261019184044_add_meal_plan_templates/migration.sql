@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `meal_plan_templates` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `category` ENUM('ANTI_INFLAMMATORY', 'AVOHEALTH', 'AYURVEDIC', 'BALANCED', 'BRAIN_BOOSTING', 'DAIRY_FREE', 'DASH_DIET', 'DETOX', 'DIABETIC_FRIENDLY', 'GLUTEN_FREE', 'GUT_HEALTH', 'HEART_HEALTHY', 'HIGH_PROTEIN', 'HORMONE_BALANCE', 'IMMUNE_BOOSTING', 'INTERMITTENT_FASTING', 'KETO', 'LOW_CARB', 'LOW_GLYCEMIC', 'MEDITERRANEAN', 'MUSCLE_BUILDING', 'PCOS_FRIENDLY', 'PESCATARIAN', 'POSTPARTUM', 'PREGNANCY', 'THYROID_SUPPORT', 'VEGAN', 'VEGETARIAN', 'WEIGHT_GAIN_PLAN', 'WEIGHT_LOSS_PLAN') NOT NULL,
+    `notes` TEXT NULL,
+    `day_count` INTEGER NOT NULL,
+    `calories` DOUBLE NOT NULL,
+    `content` JSON NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+    `trainer_id` VARCHAR(191) NOT NULL,
+    `source_plan_id` VARCHAR(191) NULL,
+
+    INDEX `meal_plan_templates_trainer_id_idx`(`trainer_id`),
+    INDEX `meal_plan_templates_category_idx`(`category`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `meal_plan_templates` ADD CONSTRAINT `meal_plan_templates_trainer_id_fkey` FOREIGN KEY (`trainer_id`) REFERENCES `trainers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `meal_plan_revisions` (
+    `id` VARCHAR(191) NOT NULL,
+    `meal_plan_id` VARCHAR(191) NOT NULL,
+    `revision_number` INTEGER NOT NULL,
+    `action` ENUM('CREATE', 'UPDATE', 'ADD_MEAL', 'REMOVE_MEAL', 'REMOVE_ITEM', 'SUBSTITUTE_ITEM', 'RESTORE') NOT NULL,
+    `summary` VARCHAR(191) NULL,
+    `author_id` VARCHAR(191) NOT NULL,
+    `author_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NOT NULL,
+    `author_name` VARCHAR(191) NULL,
+    `snapshot` JSON NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `meal_plan_revisions_meal_plan_id_revision_number_key`(`meal_plan_id`, `revision_number`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `meal_plan_revisions` ADD CONSTRAINT `meal_plan_revisions_meal_plan_id_fkey` FOREIGN KEY (`meal_plan_id`) REFERENCES `meal_plans`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- DropForeignKey
+ALTER TABLE `meal_plans` DROP FOREIGN KEY `meal_plans_customer_id_fkey`;
+
+-- DropIndex
+DROP INDEX `meal_plans_customer_id_idx` ON `meal_plans`;
+
+-- AlterTable
+ALTER TABLE `trainers` ADD COLUMN `requires_plan_review` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `meal_plans` ADD COLUMN `status` ENUM('DRAFT', 'IN_REVIEW', 'PUBLISHED', 'ARCHIVED') NOT NULL DEFAULT 'DRAFT',
+    ADD COLUMN `published_at` DATETIME(3) NULL,
+    ADD COLUMN `reviewed_by_id` VARCHAR(191) NULL,
+    ADD COLUMN `review_notes` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `meal_plan_revisions` MODIFY `action` ENUM('CREATE', 'UPDATE', 'ADD_MEAL', 'REMOVE_MEAL', 'REMOVE_ITEM', 'SUBSTITUTE_ITEM', 'RESTORE', 'STATUS_CHANGE') NOT NULL;
+
+-- Plans created before the review workflow were already visible to customers
+UPDATE `meal_plans` SET `status` = 'PUBLISHED', `published_at` = `updated_at`;
+
+-- CreateTable
+CREATE TABLE `notifications` (
+    `id` VARCHAR(191) NOT NULL,
+    `recipient_id` VARCHAR(191) NOT NULL,
+    `recipient_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NOT NULL,
+    `type` ENUM('MEAL_PLAN_PUBLISHED', 'MEAL_PLAN_REVIEW_REQUESTED', 'MEAL_PLAN_REVIEW_APPROVED', 'MEAL_PLAN_REVIEW_REJECTED') NOT NULL,
+    `title` VARCHAR(191) NOT NULL,
+    `message` TEXT NOT NULL,
+    `data` JSON NULL,
+    `read_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `notifications_recipient_id_recipient_role_read_at_idx`(`recipient_id`, `recipient_role`, `read_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `meal_plans_customer_id_status_idx` ON `meal_plans`(`customer_id`, `status`);
+
+-- AddForeignKey
+ALTER TABLE `meal_plans` ADD CONSTRAINT `meal_plans_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE `food_log_entries` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `date` DATE NOT NULL,
+    `meal_number` INTEGER NULL,
+    `meal_name` VARCHAR(191) NULL,
+    `food_id` VARCHAR(191) NULL,
+    `recipe_id` VARCHAR(191) NULL,
+    `planned_meal_id` VARCHAR(191) NULL,
+    `quantity` DOUBLE NOT NULL,
+    `unit` VARCHAR(191) NOT NULL,
+    `grams` DOUBLE NOT NULL,
+    `calories` DOUBLE NOT NULL,
+    `protein_grams` DOUBLE NOT NULL,
+    `carbs_grams` DOUBLE NOT NULL,
+    `fat_grams` DOUBLE NOT NULL,
+    `fiber_grams` DOUBLE NOT NULL,
+    `micronutrients` JSON NULL,
+    `notes` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `food_log_entries_customer_id_date_idx`(`customer_id`, `date`),
+    INDEX `food_log_entries_planned_meal_id_idx`(`planned_meal_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `food_log_entries` ADD CONSTRAINT `food_log_entries_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `food_log_entries` ADD CONSTRAINT `food_log_entries_food_id_fkey` FOREIGN KEY (`food_id`) REFERENCES `foods`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `food_log_entries` ADD CONSTRAINT `food_log_entries_recipe_id_fkey` FOREIGN KEY (`recipe_id`) REFERENCES `recipes`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `food_log_entries` ADD CONSTRAINT `food_log_entries_planned_meal_id_fkey` FOREIGN KEY (`planned_meal_id`) REFERENCES `meals`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `body_metrics` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `date` DATE NOT NULL,
+    `weight` DOUBLE NULL,
+    `body_fat_percentage` DOUBLE NULL,
+    `waist` DOUBLE NULL,
+    `hip` DOUBLE NULL,
+    `chest` DOUBLE NULL,
+    `arm` DOUBLE NULL,
+    `thigh` DOUBLE NULL,
+    `resting_heart_rate` INTEGER NULL,
+    `notes` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `body_metrics_customer_id_date_key`(`customer_id`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `body_metrics` ADD CONSTRAINT `body_metrics_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `customers` ADD COLUMN `target_weight` DOUBLE NULL;
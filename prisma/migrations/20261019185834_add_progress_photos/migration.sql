@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `progress_photos` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `date` DATE NOT NULL,
+    `pose` ENUM('FRONT', 'SIDE', 'BACK') NOT NULL,
+    `storage_key` VARCHAR(191) NOT NULL,
+    `thumbnail_key` VARCHAR(191) NOT NULL,
+    `content_type` VARCHAR(191) NOT NULL,
+    `size_bytes` INTEGER NOT NULL,
+    `width` INTEGER NOT NULL,
+    `height` INTEGER NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `progress_photos_customer_id_date_pose_key`(`customer_id`, `date`, `pose`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `progress_photos` ADD CONSTRAINT `progress_photos_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE `fasting_protocols` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `type` ENUM('SIXTEEN_EIGHT', 'EIGHTEEN_SIX', 'OMAD', 'FIVE_TWO', 'CUSTOM') NOT NULL,
+    `eating_window_start` VARCHAR(191) NULL,
+    `eating_window_hours` DOUBLE NULL,
+    `fasting_days` JSON NULL,
+    `fasting_day_calories` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `fasting_protocols_customer_id_key`(`customer_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `fasting_sessions` (
+    `id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+    `started_at` DATETIME(3) NOT NULL,
+    `ended_at` DATETIME(3) NULL,
+    `target_hours` DOUBLE NOT NULL,
+    `notes` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `fasting_sessions_customer_id_started_at_idx`(`customer_id`, `started_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `fasting_protocols` ADD CONSTRAINT `fasting_protocols_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `fasting_sessions` ADD CONSTRAINT `fasting_sessions_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('MEAL_PLAN_PUBLISHED', 'MEAL_PLAN_REVIEW_REQUESTED', 'MEAL_PLAN_REVIEW_APPROVED', 'MEAL_PLAN_REVIEW_REJECTED', 'CHECK_IN_SUBMITTED', 'CHECK_IN_REVIEWED') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `check_in_forms` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `questions` JSON NOT NULL,
+    `interval_weeks` INTEGER NOT NULL DEFAULT 1,
+    `day_of_week` INTEGER NOT NULL,
+    `due_days` INTEGER NOT NULL DEFAULT 2,
+    `start_date` DATE NOT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+    `trainer_id` VARCHAR(191) NOT NULL,
+
+    INDEX `check_in_forms_trainer_id_idx`(`trainer_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `check_in_assignments` (
+    `id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `form_id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `check_in_assignments_form_id_customer_id_key`(`form_id`, `customer_id`),
+    INDEX `check_in_assignments_customer_id_idx`(`customer_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `check_ins` (
+    `id` VARCHAR(191) NOT NULL,
+    `scheduled_for` DATE NOT NULL,
+    `answers` JSON NOT NULL,
+    `submitted_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `reviewed_at` DATETIME(3) NULL,
+    `trainer_notes` TEXT NULL,
+    `form_id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `check_ins_form_id_customer_id_scheduled_for_key`(`form_id`, `customer_id`, `scheduled_for`),
+    INDEX `check_ins_customer_id_submitted_at_idx`(`customer_id`, `submitted_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `check_in_forms` ADD CONSTRAINT `check_in_forms_trainer_id_fkey` FOREIGN KEY (`trainer_id`) REFERENCES `trainers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `check_in_assignments` ADD CONSTRAINT `check_in_assignments_form_id_fkey` FOREIGN KEY (`form_id`) REFERENCES `check_in_forms`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `check_in_assignments` ADD CONSTRAINT `check_in_assignments_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `check_ins` ADD CONSTRAINT `check_ins_form_id_fkey` FOREIGN KEY (`form_id`) REFERENCES `check_in_forms`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `check_ins` ADD CONSTRAINT `check_ins_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
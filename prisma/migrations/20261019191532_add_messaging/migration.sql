@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE `message_threads` (
+    `id` VARCHAR(191) NOT NULL,
+    `last_message_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+    `trainer_id` VARCHAR(191) NOT NULL,
+    `customer_id` VARCHAR(191) NULL,
+    `admin_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `message_threads_trainer_id_customer_id_key`(`trainer_id`, `customer_id`),
+    UNIQUE INDEX `message_threads_trainer_id_admin_id_key`(`trainer_id`, `admin_id`),
+    INDEX `message_threads_customer_id_idx`(`customer_id`),
+    INDEX `message_threads_admin_id_idx`(`admin_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `messages` (
+    `id` VARCHAR(191) NOT NULL,
+    `sender_id` VARCHAR(191) NOT NULL,
+    `sender_role` ENUM('SUPER_ADMIN', 'ADMIN', 'TRAINER', 'CUSTOMER') NOT NULL,
+    `body` TEXT NOT NULL,
+    `attachments` JSON NULL,
+    `read_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `thread_id` VARCHAR(191) NOT NULL,
+
+    INDEX `messages_thread_id_created_at_idx`(`thread_id`, `created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `message_threads` ADD CONSTRAINT `message_threads_trainer_id_fkey` FOREIGN KEY (`trainer_id`) REFERENCES `trainers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `message_threads` ADD CONSTRAINT `message_threads_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `message_threads` ADD CONSTRAINT `message_threads_admin_id_fkey` FOREIGN KEY (`admin_id`) REFERENCES `admins`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `messages` ADD CONSTRAINT `messages_thread_id_fkey` FOREIGN KEY (`thread_id`) REFERENCES `message_threads`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,73 @@
+// Offline food catalog importer
+//
+// Usage:
+//   node scripts/import-foods.js --format usda-json --file FoodData_Central_foundation_food_json.json
+//   node scripts/import-foods.js --format usda-csv --dir ./FoodData_Central_csv
+//   node scripts/import-foods.js --format csv --file foods.csv [--dry-run]
+//
+// Re-running an import updates existing foods instead of creating duplicates.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { foodImportService, IMPORT_FORMATS } from '../src/services/foodImportService.js';
+
+// FoodData Central CSV table names and the key the import service expects
+const USDA_CSV_FILES = {
+  food: 'food.csv',
+  foodNutrient: 'food_nutrient.csv',
+  foodPortion: 'food_portion.csv',
+  measureUnit: 'measure_unit.csv',
+  foodCategory: 'food_category.csv',
+  brandedFood: 'branded_food.csv'
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const usage = () => {
+  console.error('Usage: node scripts/import-foods.js --format <usda-json|usda-csv|csv> (--file <path> | --dir <path>) [--dry-run]');
+  process.exit(1);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const format = String(args.format || '').toUpperCase().replace(/-/g, '_');
+
+  if (!IMPORT_FORMATS.includes(format)) usage();
+
+  const options = { format, dryRun: Boolean(args.dryRun) };
+
+  if (format === 'USDA_CSV') {
+    if (!args.dir) usage();
+    options.files = {};
+    for (const [key, fileName] of Object.entries(USDA_CSV_FILES)) {
+      const filePath = path.join(args.dir, fileName);
+      if (fs.existsSync(filePath)) {
+        options.files[key] = fs.readFileSync(filePath, 'utf8');
+      }
+    }
+  } else {
+    if (!args.file) usage();
+    options.data = fs.readFileSync(args.file, 'utf8');
+  }
+
+  const report = await foodImportService.importFoods(options);
+
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.failed > 0 ? 2 : 0);
+};
+
+main().catch((error) => {
+  console.error(`Food import failed: ${error.message}`);
+  process.exit(1);
+});
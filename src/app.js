@@ -3,6 +3,7 @@ import express from 'express';
 import cors from 'cors';
 import { log } from './utils/logger.js';
 import { requestLogger, errorLogger } from './middleware/logging.js';
+import { authenticate, authorize } from './middleware/auth.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -10,8 +11,12 @@ import userRoutes from './routes/users.js';
 import trainerRoutes from './routes/trainers.js';
 import customerRoutes from './routes/customers.js';
 import mealPlanRoutes from './routes/mealplans.js';
+import foodRoutes from './routes/foods.js';
+import recipeRoutes from './routes/recipes.js';
 import billingRoutes from './routes/billing.js';
 import superAdminRoutes from './routes/superAdmin.js';
+import notificationRoutes from './routes/notifications.js';
+import messageRoutes from './routes/messages.js';
 
 const app = express();
 
@@ -28,6 +33,10 @@ app.use('/api/billing/webhook', express.raw({
   limit: '5mb' 
 }));
 
+// Food dataset imports upload whole files, so they get a larger body limit.
+// Authenticate first so only super admins can send bodies that large.
+app.use('/api/super-admin/foods/import', authenticate, authorize('SUPER_ADMIN'), express.json({ limit: '50mb' }));
+
 // JSON parsing for all other routes
 app.use(express.json());
 
@@ -37,8 +46,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/trainers', trainerRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/mealplans', mealPlanRoutes);
+app.use('/api/foods', foodRoutes);
+app.use('/api/recipes', recipeRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/super-admin', superAdminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
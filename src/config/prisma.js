@@ -0,0 +1,5 @@
+// Prisma client
+// One client, and so one connection pool, shared by every service.
+import { PrismaClient } from '../generated/prisma/index.js';
+
+export const prisma = new PrismaClient();
@@ -1,21 +1,1492 @@
 // Customer self-service controller
 // Business rules:
 // - CUSTOMER has read-only diet/meal plan access
+// - The food diary and body metrics require progress tracking access
+//   (requireTrackingAccess)
+
+import { customerService } from '../services/customerService.js';
+import { nutritionService } from '../services/nutritionService.js';
+import { macroTargetService } from '../services/macroTargetService.js';
+import { mealDistributionService } from '../services/mealDistributionService.js';
+import { mealPlanService } from '../services/mealPlanService.js';
+import { pantryService } from '../services/pantryService.js';
+import { foodDiaryService } from '../services/foodDiaryService.js';
+import { bodyMetricService } from '../services/bodyMetricService.js';
+import { progressAnalysisService } from '../services/progressAnalysisService.js';
+import { progressPhotoService } from '../services/progressPhotoService.js';
+import { micronutrientService } from '../services/micronutrientService.js';
+import { hydrationService } from '../services/hydrationService.js';
+import { fastingService } from '../services/fastingService.js';
+import { checkInService } from '../services/checkInService.js';
+
+/**
+ * Map food diary service errors to HTTP responses. Returns true when handled.
+ */
+const handleDiaryError = (error, res) => {
+  if (error.message.includes('Diary entry not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Diary entry not found',
+      error: 'DIARY_ENTRY_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Planned meal not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Planned meal not found',
+      error: 'PLANNED_MEAL_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Planned meal already logged')) {
+    res.status(409).json({
+      success: false,
+      message: 'Planned meal already logged',
+      error: 'PLANNED_MEAL_ALREADY_LOGGED'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Food not found') ||
+      error.message.includes('Recipe not found') ||
+      error.message.includes('Invalid unit') ||
+      error.message.includes('Planned meal has no items')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_DIARY_ENTRY'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid date range')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_DATE_RANGE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map hydration service errors to HTTP responses. Returns true when handled.
+ */
+const handleHydrationError = (error, res) => {
+  if (error.message.includes('Water entry not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Water entry not found',
+      error: 'WATER_ENTRY_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid unit')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_WATER_ENTRY'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid date range')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_DATE_RANGE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map fasting service errors to HTTP responses. Returns true when handled.
+ */
+const handleFastingError = (error, res) => {
+  if (error.message.includes('Fasting protocol not found') || error.message.includes('Fasting session not found')) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      error: error.message.includes('protocol') ? 'FASTING_PROTOCOL_NOT_FOUND' : 'FASTING_SESSION_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('already in progress') || error.message.includes('No fasting session in progress')) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: 'FASTING_SESSION_CONFLICT'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid fasting protocol') || error.message.includes('Invalid fasting session')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: error.message.includes('protocol') ? 'INVALID_FASTING_PROTOCOL' : 'INVALID_FASTING_SESSION'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid date range')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_DATE_RANGE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map check-in service errors to HTTP responses. Returns true when handled.
+ */
+const handleCheckInError = (error, res) => {
+  const notFound = [
+    ['Check-in form not found', 'CHECK_IN_FORM_NOT_FOUND'],
+    ['Check-in photo not found', 'CHECK_IN_PHOTO_NOT_FOUND'],
+    ['Check-in not found', 'CHECK_IN_NOT_FOUND']
+  ].find(([message]) => error.message.includes(message));
+  if (notFound) {
+    res.status(404).json({
+      success: false,
+      message: notFound[0],
+      error: notFound[1]
+    });
+    return true;
+  }
+
+  if (error.message.includes('Check-in not open') || error.message.includes('Check-in already submitted')) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: error.message.includes('not open') ? 'CHECK_IN_NOT_OPEN' : 'CHECK_IN_ALREADY_SUBMITTED'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid check-in answers') || error.message.includes('Invalid image')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: error.message.includes('Invalid image') ? 'INVALID_IMAGE' : 'INVALID_CHECK_IN_ANSWERS'
+    });
+    return true;
+  }
+
+  return false;
+};
 
 export const customerController = {
-  getProfile: (req, res) => {
-    res.json({ message: 'getProfile placeholder' });
+  /**
+   * Get the authenticated customer's profile with energy expenditure
+   * GET /api/customers/profile
+   */
+  getProfile: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Customer profile requested', {
+        userId: req.user.id
+      });
+
+      const profile = await customerService.getProfile(req.user.id);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const missingFields = nutritionService.getMissingProfileFields(profile);
+      const energy = missingFields.length === 0
+        ? nutritionService.calculateEnergyProfile(profile)
+        : null;
+
+      const targets = await macroTargetService.getActiveTarget(profile.id);
+
+      return res.json({
+        success: true,
+        message: 'Customer profile retrieved successfully',
+        data: {
+          profile,
+          energy,
+          targets,
+          ...(energy === null && { missingFields })
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer profile', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer profile',
+        error: 'PROFILE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update the authenticated customer's profile
+   * PUT /api/customers/profile
+   */
+  updateProfile: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Customer profile update', {
+        userId: req.user.id,
+        fields: Object.keys(req.body)
+      });
+
+      const result = await customerService.updateProfile(req.user.id, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer profile updated successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to update customer profile', {
+        userId: req.user?.id
+      }, error);
+
+      if (error.message.includes('Customer not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update customer profile',
+        error: 'PROFILE_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the customer's meal plans with per-meal macro budgets
+   * GET /api/customers/mealplans
+   */
+  getMealPlans: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { strategy, postWorkoutMeal, eatingWindowStart, eatingWindowHours } = req.query;
+
+      logger.business('Customer meal plans requested', {
+        userId: req.user.id,
+        strategy
+      });
+
+      const profile = await customerService.getProfile(req.user.id);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const [targets, protocol] = await Promise.all([
+        macroTargetService.getActiveTarget(profile.id),
+        fastingService.getProtocol(profile)
+      ]);
+      // A fasting protocol's eating window is the default, query values override it
+      const protocolWindow = protocol?.eatingWindow;
+
+      const mealDistribution = targets
+        ? mealDistributionService.distribute(targets, {
+          mealsPerDay: profile.mealsPerDay,
+          strategy: mealDistributionService.resolveStrategy(profile, strategy ?? (protocolWindow ? 'EATING_WINDOW' : null)),
+          postWorkoutMeal: postWorkoutMeal ?? profile.postWorkoutMeal,
+          eatingWindow: {
+            ...(protocolWindow && { start: protocolWindow.start, hours: protocolWindow.hours }),
+            ...(eatingWindowStart && { start: eatingWindowStart }),
+            ...(eatingWindowHours && { hours: eatingWindowHours })
+          }
+        })
+        : null;
+
+      const { mealPlans } = await mealPlanService.listPlans(req.user, { limit: 50 });
+
+      return res.json({
+        success: true,
+        message: 'Customer meal plans retrieved successfully',
+        data: {
+          targets,
+          fastingProtocol: protocol,
+          mealDistribution,
+          mealPlans
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer meal plans', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plans',
+        error: 'MEAL_PLANS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List the foods the customer has at home
+   * GET /api/customers/pantry
+   */
+  getPantry: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const pantry = await pantryService.getPantry(req.user.id);
+
+      return res.json({
+        success: true,
+        message: 'Pantry retrieved successfully',
+        data: pantry
+      });
+    } catch (error) {
+      logger.error('Failed to get pantry', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve pantry',
+        error: 'PANTRY_FETCH_ERROR'
+      });
+    }
   },
 
-  updateProfile: (req, res) => {
-    res.json({ message: 'updateProfile placeholder' });
+  /**
+   * Mark a food as owned, optionally with the amount on hand
+   * PUT /api/customers/pantry
+   */
+  upsertPantryItem: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Pantry item updated', {
+        userId: req.user.id,
+        foodId: req.body.foodId
+      });
+
+      const item = await pantryService.upsertItem(req.user.id, req.body);
+
+      return res.json({
+        success: true,
+        message: 'Pantry updated successfully',
+        data: item
+      });
+    } catch (error) {
+      logger.error('Failed to update pantry', {
+        userId: req.user?.id,
+        foodId: req.body?.foodId
+      }, error);
+
+      if (error.message.includes('Food not found') || error.message.includes('Invalid unit')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_PANTRY_ITEM'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update pantry',
+        error: 'PANTRY_UPDATE_ERROR'
+      });
+    }
   },
 
-  getMealPlans: (req, res) => {
-    res.json({ message: 'getMealPlans placeholder' });
+  /**
+   * Remove a food from the pantry
+   * DELETE /api/customers/pantry/:itemId
+   */
+  removePantryItem: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await pantryService.removeItem(req.user.id, req.params.itemId);
+
+      return res.json({
+        success: true,
+        message: 'Pantry item removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove pantry item', {
+        userId: req.user?.id,
+        itemId: req.params.itemId
+      }, error);
+
+      if (error.message.includes('Pantry item not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pantry item not found',
+          error: 'PANTRY_ITEM_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove pantry item',
+        error: 'PANTRY_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get one diary day with totals, target comparison and planned meals
+   * GET /api/customers/diary
+   */
+  getDiaryDay: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const day = await foodDiaryService.getDay(req.user.id, req.query.date);
+
+      return res.json({
+        success: true,
+        message: 'Food diary retrieved successfully',
+        data: day
+      });
+    } catch (error) {
+      logger.error('Failed to get food diary', {
+        userId: req.user?.id,
+        date: req.query?.date
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve food diary',
+        error: 'DIARY_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get daily diary totals over a date range
+   * GET /api/customers/diary/summary
+   */
+  getDiarySummary: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const summary = await foodDiaryService.getSummary(req.user.id, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Food diary summary retrieved successfully',
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Failed to get food diary summary', {
+        userId: req.user?.id,
+        query: req.query
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve food diary summary',
+        error: 'DIARY_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Daily micronutrient coverage of the diary with chronic shortfalls and excesses
+   * GET /api/customers/diary/micronutrients
+   */
+  getDiaryMicronutrients: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const coverage = await micronutrientService.getDiaryCoverage(req.customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Micronutrient coverage retrieved successfully',
+        data: coverage
+      });
+    } catch (error) {
+      logger.error('Failed to get micronutrient coverage', {
+        userId: req.user?.id,
+        query: req.query
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve micronutrient coverage',
+        error: 'MICRONUTRIENT_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Log an eaten food or recipe
+   * POST /api/customers/diary
+   */
+  logDiaryEntry: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Food diary entry logging', {
+        userId: req.user.id,
+        foodId: req.body.foodId,
+        recipeId: req.body.recipeId
+      });
+
+      const entry = await foodDiaryService.logEntry(req.user.id, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Diary entry logged successfully',
+        data: entry
+      });
+    } catch (error) {
+      logger.error('Failed to log diary entry', {
+        userId: req.user?.id
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log diary entry',
+        error: 'DIARY_CREATE_ERROR'
+      });
+    }
   },
 
-  getProgress: (req, res) => {
-    res.json({ message: 'getProgress placeholder' });
+  /**
+   * Mark a meal from a published plan as eaten
+   * POST /api/customers/diary/planned-meals
+   */
+  logPlannedMeal: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Planned meal logging', {
+        userId: req.user.id,
+        mealId: req.body.mealId
+      });
+
+      const day = await foodDiaryService.logPlannedMeal(req.user.id, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Planned meal logged successfully',
+        data: day
+      });
+    } catch (error) {
+      logger.error('Failed to log planned meal', {
+        userId: req.user?.id,
+        mealId: req.body?.mealId
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log planned meal',
+        error: 'DIARY_CREATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update a diary entry
+   * PUT /api/customers/diary/:entryId
+   */
+  updateDiaryEntry: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const entry = await foodDiaryService.updateEntry(req.user.id, req.params.entryId, req.body);
+
+      return res.json({
+        success: true,
+        message: 'Diary entry updated successfully',
+        data: entry
+      });
+    } catch (error) {
+      logger.error('Failed to update diary entry', {
+        userId: req.user?.id,
+        entryId: req.params.entryId
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update diary entry',
+        error: 'DIARY_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a diary entry
+   * DELETE /api/customers/diary/:entryId
+   */
+  removeDiaryEntry: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await foodDiaryService.removeEntry(req.user.id, req.params.entryId);
+
+      return res.json({
+        success: true,
+        message: 'Diary entry removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove diary entry', {
+        userId: req.user?.id,
+        entryId: req.params.entryId
+      }, error);
+
+      if (handleDiaryError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove diary entry',
+        error: 'DIARY_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a day of water intake against the daily target
+   * GET /api/customers/hydration
+   */
+  getHydrationDay: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const day = await hydrationService.getDay(req.customer, req.query.date);
+
+      return res.json({
+        success: true,
+        message: 'Hydration retrieved successfully',
+        data: day
+      });
+    } catch (error) {
+      logger.error('Failed to get hydration day', {
+        userId: req.user?.id,
+        date: req.query.date
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve hydration',
+        error: 'HYDRATION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get daily water totals and weekly averages for a date range
+   * GET /api/customers/hydration/summary
+   */
+  getHydrationSummary: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const summary = await hydrationService.getSummary(req.customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Hydration summary retrieved successfully',
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Failed to get hydration summary', {
+        userId: req.user?.id,
+        query: req.query
+      }, error);
+
+      if (handleHydrationError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve hydration summary',
+        error: 'HYDRATION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Log a drink of water
+   * POST /api/customers/hydration
+   */
+  logWater: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Water intake logging', {
+        userId: req.user.id,
+        amount: req.body.amount,
+        unit: req.body.unit
+      });
+
+      const result = await hydrationService.logWater(req.customer, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Water logged successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to log water', {
+        userId: req.user?.id
+      }, error);
+
+      if (handleHydrationError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log water',
+        error: 'HYDRATION_LOG_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Log a preset drink size (glass, bottle, large bottle)
+   * POST /api/customers/hydration/quick-add
+   */
+  quickAddWater: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Water intake quick add', {
+        userId: req.user.id,
+        preset: req.body.preset
+      });
+
+      const result = await hydrationService.quickAdd(req.customer, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Water logged successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to quick add water', {
+        userId: req.user?.id,
+        preset: req.body?.preset
+      }, error);
+
+      if (handleHydrationError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log water',
+        error: 'HYDRATION_LOG_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a water entry
+   * DELETE /api/customers/hydration/:entryId
+   */
+  removeWaterEntry: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await hydrationService.removeEntry(req.user.id, req.params.entryId);
+
+      return res.json({
+        success: true,
+        message: 'Water entry removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove water entry', {
+        userId: req.user?.id,
+        entryId: req.params.entryId
+      }, error);
+
+      if (handleHydrationError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove water entry',
+        error: 'HYDRATION_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the customer's fasting protocol
+   * GET /api/customers/fasting/protocol
+   */
+  getFastingProtocol: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const profile = await customerService.getProfile(req.user.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const protocol = await fastingService.getProtocol(profile);
+
+      return res.json({
+        success: true,
+        message: protocol ? 'Fasting protocol retrieved successfully' : 'No fasting protocol set',
+        data: protocol
+      });
+    } catch (error) {
+      logger.error('Failed to get fasting protocol', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve fasting protocol',
+        error: 'FASTING_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Set or replace the customer's fasting protocol
+   * PUT /api/customers/fasting/protocol
+   */
+  setFastingProtocol: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Fasting protocol update', {
+        userId: req.user.id,
+        type: req.body.type
+      });
+
+      const profile = await customerService.getProfile(req.user.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const protocol = await fastingService.setProtocol(profile, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Fasting protocol saved successfully',
+        data: protocol
+      });
+    } catch (error) {
+      logger.error('Failed to set fasting protocol', {
+        userId: req.user?.id,
+        type: req.body?.type
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save fasting protocol',
+        error: 'FASTING_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Remove the customer's fasting protocol
+   * DELETE /api/customers/fasting/protocol
+   */
+  removeFastingProtocol: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await fastingService.removeProtocol(req.user.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Fasting protocol removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove fasting protocol', {
+        userId: req.user?.id
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove fasting protocol',
+        error: 'FASTING_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the running fast, logged fasts, streaks and totals
+   * GET /api/customers/fasting
+   */
+  getFastingOverview: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const overview = await fastingService.getOverview(req.customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Fasting overview retrieved successfully',
+        data: overview
+      });
+    } catch (error) {
+      logger.error('Failed to get fasting overview', {
+        userId: req.user?.id,
+        query: req.query
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve fasting overview',
+        error: 'FASTING_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Start a fast
+   * POST /api/customers/fasting/sessions/start
+   */
+  startFast: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Fast start', {
+        userId: req.user.id,
+        targetHours: req.body.targetHours
+      });
+
+      const session = await fastingService.startSession(req.customer, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Fast started successfully',
+        data: session
+      });
+    } catch (error) {
+      logger.error('Failed to start fast', {
+        userId: req.user?.id
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start fast',
+        error: 'FASTING_SESSION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * End the running fast
+   * POST /api/customers/fasting/sessions/stop
+   */
+  stopFast: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Fast stop', {
+        userId: req.user.id
+      });
+
+      const session = await fastingService.stopSession(req.customer, req.body);
+
+      return res.json({
+        success: true,
+        message: session.completed ? 'Fast completed' : 'Fast ended before its target',
+        data: session
+      });
+    } catch (error) {
+      logger.error('Failed to end fast', {
+        userId: req.user?.id
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to end fast',
+        error: 'FASTING_SESSION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a logged fast
+   * DELETE /api/customers/fasting/sessions/:sessionId
+   */
+  removeFastingSession: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await fastingService.removeSession(req.user.id, req.params.sessionId);
+
+      return res.json({
+        success: true,
+        message: 'Fasting session removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove fasting session', {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      }, error);
+
+      if (handleFastingError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove fasting session',
+        error: 'FASTING_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the customer's current check-ins and recent submissions
+   * GET /api/customers/check-ins
+   */
+  getCheckIns: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const profile = await customerService.getProfile(req.user.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const checkIns = await checkInService.getCustomerCheckIns(profile);
+
+      return res.json({
+        success: true,
+        message: 'Check-ins retrieved successfully',
+        data: checkIns
+      });
+    } catch (error) {
+      logger.error('Failed to get check-ins', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-ins',
+        error: 'CHECK_IN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get one of the customer's submitted check-ins
+   * GET /api/customers/check-ins/:checkInId
+   */
+  getCheckIn: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const checkIn = await checkInService.getCustomerCheckIn(req.user.id, req.params.checkInId);
+
+      return res.json({
+        success: true,
+        message: 'Check-in retrieved successfully',
+        data: checkIn
+      });
+    } catch (error) {
+      logger.error('Failed to get check-in', {
+        userId: req.user?.id,
+        checkInId: req.params.checkInId
+      }, error);
+
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in',
+        error: 'CHECK_IN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Submit the current check-in of a form (JSON, or multipart with photo answers)
+   * POST /api/customers/check-ins/forms/:formId
+   */
+  submitCheckIn: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Check-in submission', {
+        userId: req.user.id,
+        formId: req.params.formId,
+        photos: Object.keys(req.photos ?? {}).length
+      });
+
+      const profile = await customerService.getProfile(req.user.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          error: 'CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const checkIn = await checkInService.submitCheckIn(profile, req.params.formId, req.body.answers, req.photos);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Check-in submitted successfully',
+        data: checkIn
+      });
+    } catch (error) {
+      logger.error('Failed to submit check-in', {
+        userId: req.user?.id,
+        formId: req.params.formId
+      }, error);
+
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to submit check-in',
+        error: 'CHECK_IN_SUBMIT_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a photo answer, or its thumbnail with ?size=thumbnail
+   * GET /api/customers/check-ins/:checkInId/photos/:questionId
+   */
+  getCheckInPhoto: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { filename, contentType, content } = await checkInService.getPhotoFile(
+        { id: req.params.checkInId, customerId: req.user.id },
+        req.params.questionId,
+        { thumbnail: req.query.size === 'thumbnail' }
+      );
+
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'Content-Disposition': `inline; filename="${filename}"`
+      });
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to read check-in photo', {
+        userId: req.user?.id,
+        checkInId: req.params.checkInId,
+        questionId: req.params.questionId
+      }, error);
+
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in photo',
+        error: 'CHECK_IN_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get body metric trends, moving averages and changes for a date range,
+   * with goal projection, plateau detection and calorie recommendation
+   * GET /api/customers/progress
+   */
+  getProgress: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const [progress, analysis] = await Promise.all([
+        bodyMetricService.getProgress(req.customer, req.query),
+        progressAnalysisService.analyse(req.customer, { weeks: req.query.weeks })
+      ]);
+
+      return res.json({
+        success: true,
+        message: 'Progress retrieved successfully',
+        data: { ...progress, analysis }
+      });
+    } catch (error) {
+      logger.error('Failed to get progress', {
+        userId: req.user?.id,
+        query: req.query
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve progress',
+        error: 'PROGRESS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Record a weigh-in or body measurements for a day
+   * POST /api/customers/progress/metrics
+   */
+  recordBodyMetrics: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Body metrics recording', {
+        userId: req.user.id,
+        fields: Object.keys(req.body)
+      });
+
+      const result = await bodyMetricService.recordMetrics(req.customer, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Body metrics recorded successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to record body metrics', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record body metrics',
+        error: 'BODY_METRIC_CREATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Upload front, side and/or back progress photos for a day
+   * POST /api/customers/progress/photos (multipart/form-data)
+   */
+  uploadProgressPhotos: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Progress photo upload', {
+        userId: req.user.id,
+        poses: Object.keys(req.photos)
+      });
+
+      const photos = await progressPhotoService.uploadPhotos(req.user.id, {
+        date: req.body.date,
+        files: req.photos
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Progress photos uploaded successfully',
+        data: photos
+      });
+    } catch (error) {
+      logger.error('Failed to upload progress photos', {
+        userId: req.user?.id
+      }, error);
+
+      if (error.message.includes('Invalid image')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_UPLOAD'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload progress photos',
+        error: 'PROGRESS_PHOTO_UPLOAD_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List the customer's progress photos
+   * GET /api/customers/progress/photos
+   */
+  getProgressPhotos: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const photos = await progressPhotoService.listPhotos(req.user.id, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Progress photos retrieved successfully',
+        data: photos
+      });
+    } catch (error) {
+      logger.error('Failed to list progress photos', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve progress photos',
+        error: 'PROGRESS_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Download a progress photo or its thumbnail
+   * GET /api/customers/progress/photos/:photoId
+   */
+  getProgressPhotoFile: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { filename, contentType, content } = await progressPhotoService.getPhotoFile(
+        req.user.id,
+        req.params.photoId,
+        { thumbnail: req.query.size === 'thumbnail' }
+      );
+
+      // Private images: never cached by shared caches
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'Content-Disposition': `inline; filename="${filename}"`
+      });
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to read progress photo', {
+        userId: req.user?.id,
+        photoId: req.params.photoId
+      }, error);
+
+      if (error.message.includes('Progress photo not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Progress photo not found',
+          error: 'PROGRESS_PHOTO_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve progress photo',
+        error: 'PROGRESS_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a progress photo
+   * DELETE /api/customers/progress/photos/:photoId
+   */
+  removeProgressPhoto: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      await progressPhotoService.removePhoto(req.user.id, req.params.photoId);
+
+      return res.json({
+        success: true,
+        message: 'Progress photo removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove progress photo', {
+        userId: req.user?.id,
+        photoId: req.params.photoId
+      }, error);
+
+      if (error.message.includes('Progress photo not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Progress photo not found',
+          error: 'PROGRESS_PHOTO_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove progress photo',
+        error: 'PROGRESS_PHOTO_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a day's body measurements
+   * DELETE /api/customers/progress/metrics/:metricId
+   */
+  removeBodyMetrics: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await bodyMetricService.removeMetrics(req.user.id, req.params.metricId);
+
+      return res.json({
+        success: true,
+        message: 'Body metrics removed successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to remove body metrics', {
+        userId: req.user?.id,
+        metricId: req.params.metricId
+      }, error);
+
+      if (error.message.includes('Body metric not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Body metric not found',
+          error: 'BODY_METRIC_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove body metrics',
+        error: 'BODY_METRIC_DELETE_ERROR'
+      });
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+// Food catalog controller
+// Business rules:
+// - All authenticated users can browse the catalog
+// - TRAINER, ADMIN and SUPER_ADMIN curate foods
+
+import { foodService, NUTRIENT_FIELDS } from '../services/foodService.js';
+import { recipeService } from '../services/recipeService.js';
+
+/**
+ * Map food service errors to HTTP responses. Returns true when handled.
+ */
+const handleFoodError = (error, res) => {
+  if (error.message.includes('Food not found') || error.code === 'P2025') {
+    res.status(404).json({
+      success: false,
+      message: 'Food not found',
+      error: 'FOOD_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: error.message,
+      error: 'FOOD_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+export const foodController = {
+  /**
+   * Search foods with pagination
+   * GET /api/foods
+   */
+  searchFoods: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { mine, includeInactive, ...filters } = req.query;
+      const canSeeInactive = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      logger.business('Food catalog search', {
+        userId: req.user.id,
+        search: filters.search,
+        category: filters.category
+      });
+
+      const result = await foodService.searchFoods({
+        ...filters,
+        ...(mine && { createdById: req.user.id }),
+        includeInactive: Boolean(includeInactive && canSeeInactive)
+      });
+
+      return res.json({
+        success: true,
+        message: 'Foods retrieved successfully',
+        data: result.foods,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to search foods', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve foods',
+        error: 'FOODS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a single food
+   * GET /api/foods/:id
+   */
+  getFoodById: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const food = await foodService.getFoodById(req.params.id);
+
+      if (!food) {
+        return res.status(404).json({
+          success: false,
+          message: 'Food not found',
+          error: 'FOOD_NOT_FOUND'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Food retrieved successfully',
+        data: food
+      });
+    } catch (error) {
+      logger.error('Failed to get food', {
+        userId: req.user?.id,
+        foodId: req.params.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve food',
+        error: 'FOOD_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Create a food
+   * POST /api/foods
+   */
+  createFood: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Food creation', {
+        userId: req.user.id,
+        name: req.body.name
+      });
+
+      const food = await foodService.createFood(req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Food created successfully',
+        data: food
+      });
+    } catch (error) {
+      logger.error('Failed to create food', {
+        userId: req.user?.id,
+        name: req.body?.name
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create food',
+        error: 'FOOD_CREATION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update a food
+   * PUT /api/foods/:id
+   */
+  updateFood: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Food update', {
+        userId: req.user.id,
+        foodId: req.params.id,
+        fields: Object.keys(req.body)
+      });
+
+      const food = await foodService.updateFood(req.params.id, req.body, req.user);
+
+      // Keep cached recipe nutrition in sync with the edited food
+      const nutritionChanged = [...NUTRIENT_FIELDS, 'micronutrients', 'allergens', 'servings']
+        .some(field => field in req.body);
+      if (nutritionChanged) {
+        await recipeService.recalculateRecipesUsingFood(food.id);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Food updated successfully',
+        data: food
+      });
+    } catch (error) {
+      logger.error('Failed to update food', {
+        userId: req.user?.id,
+        foodId: req.params.id
+      }, error);
+
+      if (handleFoodError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update food',
+        error: 'FOOD_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Archive a food
+   * DELETE /api/foods/:id
+   */
+  deleteFood: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Food deletion', {
+        userId: req.user.id,
+        foodId: req.params.id
+      });
+
+      await foodService.archiveFood(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Food deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete food', {
+        userId: req.user?.id,
+        foodId: req.params.id
+      }, error);
+
+      if (handleFoodError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete food',
+        error: 'FOOD_DELETION_ERROR'
+      });
+    }
+  }
+};
@@ -1,31 +1,1104 @@
 // Meal plan and diet controller
+// Business rules:
+// - TRAINER creates and edits plans for their own customers
+// - ADMIN reads plans of the trainers they manage, SUPER_ADMIN manages all plans
+// - CUSTOMER reads the plans assigned to them
+
+import { mealPlanService } from '../services/mealPlanService.js';
+import { mealPlanGeneratorService } from '../services/mealPlanGeneratorService.js';
+import { mealSubstitutionService } from '../services/mealSubstitutionService.js';
+import { shoppingListService } from '../services/shoppingListService.js';
+import { mealPlanExportService } from '../services/mealPlanExportService.js';
+import { mealPlanTemplateService } from '../services/mealPlanTemplateService.js';
+import { mealPlanWorkflowService } from '../services/mealPlanWorkflowService.js';
+import { micronutrientService } from '../services/micronutrientService.js';
+import { fastingService } from '../services/fastingService.js';
+
+/**
+ * Map meal plan service errors to HTTP responses. Returns true when handled.
+ */
+const handleMealPlanError = (error, res) => {
+  if (error.message.includes('Meal plan not found') || error.code === 'P2025') {
+    res.status(404).json({
+      success: false,
+      message: 'Meal plan not found',
+      error: 'MEAL_PLAN_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Meal plan template not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Meal plan template not found',
+      error: 'MEAL_PLAN_TEMPLATE_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Meal plan revision not found')) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      error: 'MEAL_PLAN_REVISION_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Customer not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found',
+      error: 'CUSTOMER_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (
+    error.message.includes('Day not found') ||
+    error.message.includes('Meal not found') ||
+    error.message.includes('Meal item not found')
+  ) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      error: 'MEAL_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (
+    error.message.includes('Food not found') ||
+    error.message.includes('Recipe not found') ||
+    error.message.includes('Invalid unit') ||
+    error.message.includes('Invalid substitute')
+  ) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_MEAL_ITEM'
+    });
+    return true;
+  }
+
+  if (
+    error.message.includes('Invalid date range') ||
+    error.message.includes('not assigned to a trainer') ||
+    error.message.includes('Invalid template')
+  ) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_MEAL_PLAN'
+    });
+    return true;
+  }
+
+  if (error.message.includes('No macro targets') || error.message.includes('Not enough catalog foods')) {
+    res.status(422).json({
+      success: false,
+      message: error.message,
+      error: 'MEAL_PLAN_GENERATION_UNAVAILABLE'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Fasting protocol conflict')) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: 'FASTING_PROTOCOL_CONFLICT'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Meal plan locked')) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: 'MEAL_PLAN_LOCKED'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid status transition') || error.message.includes('Review required')) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: error.message.includes('Review required') ? 'MEAL_PLAN_REVIEW_REQUIRED' : 'INVALID_STATUS_TRANSITION'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: error.message,
+      error: 'MEAL_PLAN_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  return false;
+};
 
 export const mealPlanController = {
-  getAllMealPlans: (req, res) => {
-    res.json({ message: 'getAllMealPlans placeholder' });
+  /**
+   * List meal plans visible to the user
+   * GET /api/mealplans
+   */
+  getAllMealPlans: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await mealPlanService.listPlans(req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Meal plans retrieved successfully',
+        data: result.mealPlans,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to list meal plans', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plans',
+        error: 'MEAL_PLANS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Create a meal plan for a customer
+   * POST /api/mealplans
+   */
+  createMealPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan creation', {
+        userId: req.user.id,
+        customerId: req.body.customerId
+      });
+
+      const mealPlan = await mealPlanService.createPlan(req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Meal plan created successfully',
+        data: mealPlan
+      });
+    } catch (error) {
+      logger.error('Failed to create meal plan', {
+        userId: req.user?.id,
+        customerId: req.body?.customerId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create meal plan',
+        error: 'MEAL_PLAN_CREATION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Generate a plan from the catalog that meets the customer's macro targets
+   * POST /api/mealplans/generate
+   */
+  generateMealPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan generation', {
+        userId: req.user.id,
+        customerId: req.body.customerId,
+        days: req.body.days
+      });
+
+      const result = await mealPlanGeneratorService.generatePlan(req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: result.generation.allWithinTolerance
+          ? 'Meal plan generated successfully'
+          : 'Meal plan generated; some days are outside the target tolerances',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to generate meal plan', {
+        userId: req.user?.id,
+        customerId: req.body?.customerId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate meal plan',
+        error: 'MEAL_PLAN_GENERATION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a meal plan with days, meals and totals against the customer's targets
+   * GET /api/mealplans/:id
+   */
+  getMealPlanById: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const mealPlan = await mealPlanService.getPlan(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan retrieved successfully',
+        data: mealPlan
+      });
+    } catch (error) {
+      logger.error('Failed to get meal plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plan',
+        error: 'MEAL_PLAN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update meal plan details or date range
+   * PUT /api/mealplans/:id
+   */
+  updateMealPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan update', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        fields: Object.keys(req.body)
+      });
+
+      const mealPlan = await mealPlanService.updatePlan(req.params.id, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan updated successfully',
+        data: mealPlan
+      });
+    } catch (error) {
+      logger.error('Failed to update meal plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update meal plan',
+        error: 'MEAL_PLAN_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a meal plan
+   * DELETE /api/mealplans/:id
+   */
+  deleteMealPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan deletion', {
+        userId: req.user.id,
+        mealPlanId: req.params.id
+      });
+
+      await mealPlanService.deletePlan(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete meal plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete meal plan',
+        error: 'MEAL_PLAN_DELETION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the meals of a plan, optionally for one day
+   * GET /api/mealplans/:id/meals
+   */
+  getMealsForPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const meals = await mealPlanService.getMeals(req.params.id, req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Meals retrieved successfully',
+        data: meals
+      });
+    } catch (error) {
+      logger.error('Failed to get meals for plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meals',
+        error: 'MEALS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Add food or recipe items to a meal of a plan day
+   * POST /api/mealplans/:id/meals
+   */
+  addMealToPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal added to plan', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        mealNumber: req.body.mealNumber,
+        itemCount: req.body.items.length
+      });
+
+      const result = await mealPlanService.addMeal(req.params.id, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: result.violations.length
+          ? 'Meal added; some items conflict with the customer\'s dietary profile'
+          : 'Meal added successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to add meal to plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to add meal',
+        error: 'MEAL_ADD_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Remove a meal from a plan
+   * DELETE /api/mealplans/:id/meals/:mealId
+   */
+  removeMealFromPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal removed from plan', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        mealId: req.params.mealId
+      });
+
+      await mealPlanService.removeMeal(req.params.id, req.params.mealId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove meal from plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        mealId: req.params.mealId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove meal',
+        error: 'MEAL_REMOVE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Remove one item from a meal
+   * DELETE /api/mealplans/:id/meals/:mealId/items/:itemId
+   */
+  removeMealItem: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal item removed from plan', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        mealId: req.params.mealId,
+        itemId: req.params.itemId
+      });
+
+      const result = await mealPlanService.removeMealItem(
+        req.params.id,
+        req.params.mealId,
+        req.params.itemId,
+        req.user
+      );
+
+      return res.json({
+        success: true,
+        message: 'Meal item removed successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to remove meal item', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        itemId: req.params.itemId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove meal item',
+        error: 'MEAL_ITEM_REMOVE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Suggest catalog substitutes for an item of a meal
+   * GET /api/mealplans/:id/meals/:mealId/items/:itemId/substitutes
+   */
+  getItemSubstitutes: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, mealId, itemId } = req.params;
+
+      const result = await mealSubstitutionService.suggestSubstitutes(id, mealId, itemId, req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Substitutes retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to suggest substitutes', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        itemId: req.params.itemId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve substitutes',
+        error: 'SUBSTITUTES_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Swap an item of a meal for another food or recipe
+   * PUT /api/mealplans/:id/meals/:mealId/items/:itemId
+   */
+  substituteMealItem: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, mealId, itemId } = req.params;
+
+      logger.business('Meal item substitution', {
+        userId: req.user.id,
+        mealPlanId: id,
+        itemId,
+        foodId: req.body.foodId,
+        recipeId: req.body.recipeId
+      });
+
+      const result = await mealSubstitutionService.substituteItem(id, mealId, itemId, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: result.violations.length
+          ? 'Meal item substituted; the substitute conflicts with the customer\'s dietary profile'
+          : 'Meal item substituted successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to substitute meal item', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        itemId: req.params.itemId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to substitute meal item',
+        error: 'MEAL_ITEM_SUBSTITUTION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Daily micronutrient coverage of a plan against its customer's reference intakes
+   * GET /api/mealplans/:id/micronutrients
+   */
+  getMicronutrientCoverage: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const coverage = await micronutrientService.getPlanCoverage(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Micronutrient coverage retrieved successfully',
+        data: coverage
+      });
+    } catch (error) {
+      logger.error('Failed to get meal plan micronutrient coverage', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve micronutrient coverage',
+        error: 'MICRONUTRIENT_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Meals timed inside the customer's fasting window and fasting days over the calorie cap
+   * GET /api/mealplans/:id/fasting-check
+   */
+  getFastingCheck: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const plan = await mealPlanService.getAccessiblePlan(req.params.id, req.user);
+      const check = await fastingService.checkPlan(plan);
+
+      return res.json({
+        success: true,
+        message: 'Fasting check completed successfully',
+        data: { planId: plan.id, ...check }
+      });
+    } catch (error) {
+      logger.error('Failed to check meal plan against fasting protocol', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check meal plan against fasting protocol',
+        error: 'FASTING_CHECK_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Aggregated shopping list for a plan, as JSON, CSV or plain text
+   * GET /api/mealplans/:id/shopping-list
+   */
+  getShoppingList: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { format, from, to } = req.query;
+
+      const list = await shoppingListService.buildShoppingList(req.params.id, req.user, { from, to });
+
+      if (format === 'csv') {
+        res.attachment(`shopping-list-${list.from}.csv`);
+        return res.type('text/csv').send(shoppingListService.toCsv(list));
+      }
+
+      if (format === 'text') {
+        res.attachment(`shopping-list-${list.from}.txt`);
+        return res.type('text/plain').send(shoppingListService.toText(list));
+      }
+
+      return res.json({
+        success: true,
+        message: 'Shopping list generated successfully',
+        data: list
+      });
+    } catch (error) {
+      logger.error('Failed to generate shopping list', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate shopping list',
+        error: 'SHOPPING_LIST_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Download a meal plan as a printable PDF, a CSV of its items or an
+   * iCalendar file with one event per meal
+   * GET /api/mealplans/:id/export?format=pdf|csv|ics
+   */
+  exportMealPlan: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { format } = req.query;
+
+      const { filename, contentType, content } = await mealPlanExportService.exportPlan(req.params.id, req.user, format);
+
+      res.attachment(filename);
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to export meal plan', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        format: req.query?.format
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export meal plan',
+        error: 'MEAL_PLAN_EXPORT_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Move a plan through the publishing workflow (draft, review, published, archived)
+   * PUT /api/mealplans/:id/status
+   */
+  changeMealPlanStatus: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan status change', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        status: req.body.status
+      });
+
+      const mealPlan = await mealPlanWorkflowService.changeStatus(req.params.id, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: `Meal plan is now ${mealPlan.status}`,
+        data: mealPlan
+      });
+    } catch (error) {
+      logger.error('Failed to change meal plan status', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        status: req.body?.status
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change meal plan status',
+        error: 'MEAL_PLAN_STATUS_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List the revision history of a plan
+   * GET /api/mealplans/:id/revisions
+   */
+  getRevisions: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const revisions = await mealPlanService.listRevisions(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan revisions retrieved successfully',
+        data: revisions
+      });
+    } catch (error) {
+      logger.error('Failed to list meal plan revisions', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plan revisions',
+        error: 'MEAL_PLAN_REVISION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get one revision with the plan state it recorded
+   * GET /api/mealplans/:id/revisions/:revisionNumber
+   */
+  getRevision: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const revision = await mealPlanService.getRevision(req.params.id, req.params.revisionNumber, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan revision retrieved successfully',
+        data: revision
+      });
+    } catch (error) {
+      logger.error('Failed to get meal plan revision', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        revisionNumber: req.params.revisionNumber
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plan revision',
+        error: 'MEAL_PLAN_REVISION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Compare two revisions: plan field changes, items added/removed/changed
+   * and macro deltas per day
+   * GET /api/mealplans/:id/revisions/diff?from=&to=
+   */
+  getRevisionDiff: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const diff = await mealPlanService.diffRevisions(req.params.id, req.query, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan revisions compared successfully',
+        data: diff
+      });
+    } catch (error) {
+      logger.error('Failed to diff meal plan revisions', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        from: req.query?.from,
+        to: req.query?.to
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to compare meal plan revisions',
+        error: 'MEAL_PLAN_REVISION_DIFF_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Restore a plan to an earlier revision
+   * POST /api/mealplans/:id/revisions/:revisionNumber/restore
+   */
+  restoreRevision: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan revision restore', {
+        userId: req.user.id,
+        mealPlanId: req.params.id,
+        revisionNumber: req.params.revisionNumber
+      });
+
+      const result = await mealPlanService.restoreRevision(req.params.id, req.params.revisionNumber, req.user);
+
+      return res.json({
+        success: true,
+        message: `Meal plan restored to revision ${req.params.revisionNumber}`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to restore meal plan revision', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id,
+        revisionNumber: req.params.revisionNumber
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to restore meal plan revision',
+        error: 'MEAL_PLAN_RESTORE_ERROR'
+      });
+    }
   },
 
-  createMealPlan: (req, res) => {
-    res.json({ message: 'createMealPlan placeholder' });
+  /**
+   * Save a plan as a reusable template without its customer and dates
+   * POST /api/mealplans/:id/template
+   */
+  saveAsTemplate: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan template save', {
+        userId: req.user.id,
+        mealPlanId: req.params.id
+      });
+
+      const template = await mealPlanTemplateService.saveFromPlan(req.params.id, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Meal plan saved as template successfully',
+        data: template
+      });
+    } catch (error) {
+      logger.error('Failed to save meal plan template', {
+        userId: req.user?.id,
+        mealPlanId: req.params.id
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save meal plan template',
+        error: 'MEAL_PLAN_TEMPLATE_CREATE_ERROR'
+      });
+    }
   },
 
-  getMealPlanById: (req, res) => {
-    res.json({ message: 'getMealPlanById placeholder' });
+  /**
+   * List templates visible to the user, filterable by category
+   * GET /api/mealplans/templates
+   */
+  getTemplates: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await mealPlanTemplateService.listTemplates(req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan templates retrieved successfully',
+        data: result.templates,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to list meal plan templates', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plan templates',
+        error: 'MEAL_PLAN_TEMPLATE_FETCH_ERROR'
+      });
+    }
   },
 
-  updateMealPlan: (req, res) => {
-    res.json({ message: 'updateMealPlan placeholder' });
+  /**
+   * Get a template with its days, meals and items
+   * GET /api/mealplans/templates/:templateId
+   */
+  getTemplateById: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const template = await mealPlanTemplateService.getTemplate(req.params.templateId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan template retrieved successfully',
+        data: template
+      });
+    } catch (error) {
+      logger.error('Failed to get meal plan template', {
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meal plan template',
+        error: 'MEAL_PLAN_TEMPLATE_FETCH_ERROR'
+      });
+    }
   },
 
-  deleteMealPlan: (req, res) => {
-    res.json({ message: 'deleteMealPlan placeholder' });
+  /**
+   * Edit a template's details or replace its days, meals and items
+   * PUT /api/mealplans/templates/:templateId
+   */
+  updateTemplate: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan template update', {
+        userId: req.user.id,
+        templateId: req.params.templateId,
+        fields: Object.keys(req.body)
+      });
+
+      const template = await mealPlanTemplateService.updateTemplate(req.params.templateId, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      logger.error('Failed to update meal plan template', {
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update meal plan template',
+        error: 'MEAL_PLAN_TEMPLATE_UPDATE_ERROR'
+      });
+    }
   },
 
-  getMealsForPlan: (req, res) => {
-    res.json({ message: 'getMealsForPlan placeholder' });
+  /**
+   * Delete a template
+   * DELETE /api/mealplans/templates/:templateId
+   */
+  deleteTemplate: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan template deletion', {
+        userId: req.user.id,
+        templateId: req.params.templateId
+      });
+
+      await mealPlanTemplateService.deleteTemplate(req.params.templateId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Meal plan template deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete meal plan template', {
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete meal plan template',
+        error: 'MEAL_PLAN_TEMPLATE_DELETE_ERROR'
+      });
+    }
   },
 
-  addMealToPlan: (req, res) => {
-    res.json({ message: 'addMealToPlan placeholder' });
+  /**
+   * Create a plan for a customer from a template, scaling portions to the
+   * customer's calorie target
+   * POST /api/mealplans/templates/:templateId/clone
+   */
+  cloneTemplate: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Meal plan template clone', {
+        userId: req.user.id,
+        templateId: req.params.templateId,
+        customerId: req.body.customerId
+      });
+
+      const result = await mealPlanTemplateService.clonePlan(req.params.templateId, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: result.skipped.length
+          ? 'Meal plan created from template; items no longer in the catalog were left out'
+          : result.violations.length
+            ? 'Meal plan created from template; some items conflict with the customer\'s dietary profile'
+            : 'Meal plan created from template successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to clone meal plan template', {
+        userId: req.user?.id,
+        templateId: req.params.templateId,
+        customerId: req.body?.customerId
+      }, error);
+
+      if (handleMealPlanError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create meal plan from template',
+        error: 'MEAL_PLAN_TEMPLATE_CLONE_ERROR'
+      });
+    }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,276 @@
+// Message controller
+// Business rules:
+// - Customers message their trainer, trainers their customers and admin,
+//   admins the trainers they manage (enforced by messageService)
+
+import { messageService } from '../services/messageService.js';
+
+/**
+ * Map message service errors to HTTP responses. Returns true when handled.
+ */
+const handleMessageError = (error, res) => {
+  if (error.message.includes('Message thread not found') || error.message.includes('Attachment not found')) {
+    const thread = error.message.includes('thread');
+    res.status(404).json({
+      success: false,
+      message: thread ? 'Message thread not found' : 'Attachment not found',
+      error: thread ? 'MESSAGE_THREAD_NOT_FOUND' : 'ATTACHMENT_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: error.message.includes('message thread') ? 'You do not have access to this message thread' : error.message.replace('Access denied: ', ''),
+      error: 'MESSAGE_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid message')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_MESSAGE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+export const messageController = {
+  /**
+   * List the user's threads with unread counts
+   * GET /api/messages/threads
+   */
+  getThreads: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await messageService.listThreads(req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Message threads retrieved successfully',
+        data: result.threads,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to list message threads', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve message threads',
+        error: 'MESSAGE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Open the thread with the user's trainer, customer or admin
+   * POST /api/messages/threads
+   */
+  openThread: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Message thread open', {
+        userId: req.user.id,
+        userRole: req.user.role,
+        participantId: req.body.participantId,
+        participantRole: req.body.participantRole
+      });
+
+      const thread = await messageService.openThread(req.user, req.body);
+
+      return res.json({
+        success: true,
+        message: 'Message thread opened successfully',
+        data: thread
+      });
+    } catch (error) {
+      logger.error('Failed to open message thread', {
+        userId: req.user?.id,
+        participantId: req.body?.participantId
+      }, error);
+
+      if (handleMessageError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open message thread',
+        error: 'MESSAGE_THREAD_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Count unread messages across the user's threads
+   * GET /api/messages/unread-count
+   */
+  getUnreadCount: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const counts = await messageService.getUnreadCount(req.user);
+
+      return res.json({
+        success: true,
+        message: 'Unread message count retrieved successfully',
+        data: counts
+      });
+    } catch (error) {
+      logger.error('Failed to count unread messages', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve unread message count',
+        error: 'MESSAGE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List a page of a thread's messages, newest first
+   * GET /api/messages/threads/:threadId/messages
+   */
+  getMessages: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await messageService.listMessages(req.params.threadId, req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Messages retrieved successfully',
+        data: result.messages,
+        thread: result.thread,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to list messages', {
+        userId: req.user?.id,
+        threadId: req.params.threadId
+      }, error);
+
+      if (handleMessageError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve messages',
+        error: 'MESSAGE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Send a message (JSON, or multipart with attachments)
+   * POST /api/messages/threads/:threadId/messages
+   */
+  sendMessage: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Message send', {
+        userId: req.user.id,
+        userRole: req.user.role,
+        threadId: req.params.threadId,
+        attachments: req.attachments.length
+      });
+
+      const message = await messageService.sendMessage(req.params.threadId, req.user, req.body, req.attachments);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: message
+      });
+    } catch (error) {
+      logger.error('Failed to send message', {
+        userId: req.user?.id,
+        threadId: req.params.threadId
+      }, error);
+
+      if (handleMessageError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send message',
+        error: 'MESSAGE_SEND_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Mark the other participant's messages in a thread as read
+   * PUT /api/messages/threads/:threadId/read
+   */
+  markThreadRead: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await messageService.markThreadRead(req.params.threadId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Messages marked as read',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to mark messages as read', {
+        userId: req.user?.id,
+        threadId: req.params.threadId
+      }, error);
+
+      if (handleMessageError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to mark messages as read',
+        error: 'MESSAGE_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Download a message attachment
+   * GET /api/messages/threads/:threadId/messages/:messageId/attachments/:attachmentId
+   */
+  getAttachment: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { threadId, messageId, attachmentId } = req.params;
+      const { filename, contentType, content } = await messageService.getAttachment(threadId, messageId, attachmentId, req.user);
+
+      // Uploaded as-is: served as a download and never sniffed as another type
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.attachment(filename);
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to read message attachment', {
+        userId: req.user?.id,
+        threadId: req.params.threadId,
+        messageId: req.params.messageId
+      }, error);
+
+      if (handleMessageError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve attachment',
+        error: 'ATTACHMENT_FETCH_ERROR'
+      });
+    }
+  }
+};
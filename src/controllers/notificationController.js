@@ -0,0 +1,102 @@
+// Notification controller
+// Business rules:
+// - Every authenticated user reads and acknowledges their own notifications
+
+import { notificationService } from '../services/notificationService.js';
+
+export const notificationController = {
+  /**
+   * List the user's notifications with the unread count
+   * GET /api/notifications
+   */
+  getNotifications: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const result = await notificationService.listNotifications(req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Notifications retrieved successfully',
+        data: result.notifications,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to list notifications', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve notifications',
+        error: 'NOTIFICATION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Mark one notification as read
+   * PUT /api/notifications/:id/read
+   */
+  markAsRead: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const notification = await notificationService.markRead(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+      });
+    } catch (error) {
+      logger.error('Failed to mark notification as read', {
+        userId: req.user?.id,
+        notificationId: req.params.id
+      }, error);
+
+      if (error.message.includes('Notification not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+          error: 'NOTIFICATION_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to mark notification as read',
+        error: 'NOTIFICATION_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Mark all of the user's notifications as read
+   * PUT /api/notifications/read-all
+   */
+  markAllAsRead: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const count = await notificationService.markAllRead(req.user);
+
+      return res.json({
+        success: true,
+        message: 'Notifications marked as read',
+        data: { updated: count }
+      });
+    } catch (error) {
+      logger.error('Failed to mark notifications as read', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to mark notifications as read',
+        error: 'NOTIFICATION_UPDATE_ERROR'
+      });
+    }
+  }
+};
@@ -0,0 +1,310 @@
+// Recipe controller
+// Business rules:
+// - All authenticated users can browse recipes
+// - TRAINER, ADMIN and SUPER_ADMIN author recipes
+
+import { recipeService } from '../services/recipeService.js';
+
+/**
+ * Map recipe service errors to HTTP responses. Returns true when handled.
+ */
+const handleRecipeError = (error, res) => {
+  if (error.message.includes('Recipe not found') || error.code === 'P2025') {
+    res.status(404).json({
+      success: false,
+      message: 'Recipe not found',
+      error: 'RECIPE_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Ingredient not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Ingredient not found',
+      error: 'INGREDIENT_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Food not found') || error.message.includes('Invalid unit')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_INGREDIENT'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: error.message,
+      error: 'RECIPE_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+export const recipeController = {
+  /**
+   * Search recipes with pagination
+   * GET /api/recipes
+   */
+  searchRecipes: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { mine, ...filters } = req.query;
+
+      logger.business('Recipe search', {
+        userId: req.user.id,
+        search: filters.search
+      });
+
+      const result = await recipeService.searchRecipes({
+        ...filters,
+        ...(mine && { createdById: req.user.id })
+      });
+
+      return res.json({
+        success: true,
+        message: 'Recipes retrieved successfully',
+        data: result.recipes,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to search recipes', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve recipes',
+        error: 'RECIPES_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a recipe with ingredients and per-serving nutrition
+   * GET /api/recipes/:id
+   */
+  getRecipeById: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const recipe = await recipeService.getRecipeById(req.params.id);
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recipe not found',
+          error: 'RECIPE_NOT_FOUND'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Recipe retrieved successfully',
+        data: recipe
+      });
+    } catch (error) {
+      logger.error('Failed to get recipe', {
+        userId: req.user?.id,
+        recipeId: req.params.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve recipe',
+        error: 'RECIPE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Create a recipe
+   * POST /api/recipes
+   */
+  createRecipe: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Recipe creation', {
+        userId: req.user.id,
+        name: req.body.name,
+        ingredientCount: req.body.ingredients.length
+      });
+
+      const recipe = await recipeService.createRecipe(req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recipe created successfully',
+        data: recipe
+      });
+    } catch (error) {
+      logger.error('Failed to create recipe', {
+        userId: req.user?.id,
+        name: req.body?.name
+      }, error);
+
+      if (handleRecipeError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create recipe',
+        error: 'RECIPE_CREATION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update a recipe
+   * PUT /api/recipes/:id
+   */
+  updateRecipe: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Recipe update', {
+        userId: req.user.id,
+        recipeId: req.params.id,
+        fields: Object.keys(req.body)
+      });
+
+      const recipe = await recipeService.updateRecipe(req.params.id, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Recipe updated successfully',
+        data: recipe
+      });
+    } catch (error) {
+      logger.error('Failed to update recipe', {
+        userId: req.user?.id,
+        recipeId: req.params.id
+      }, error);
+
+      if (handleRecipeError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update recipe',
+        error: 'RECIPE_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Archive a recipe
+   * DELETE /api/recipes/:id
+   */
+  deleteRecipe: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Recipe deletion', {
+        userId: req.user.id,
+        recipeId: req.params.id
+      });
+
+      await recipeService.archiveRecipe(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Recipe deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete recipe', {
+        userId: req.user?.id,
+        recipeId: req.params.id
+      }, error);
+
+      if (handleRecipeError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete recipe',
+        error: 'RECIPE_DELETION_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Add an ingredient to a recipe
+   * POST /api/recipes/:id/ingredients
+   */
+  addIngredient: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Recipe ingredient added', {
+        userId: req.user.id,
+        recipeId: req.params.id,
+        foodId: req.body.foodId
+      });
+
+      const recipe = await recipeService.addIngredient(req.params.id, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Ingredient added successfully',
+        data: recipe
+      });
+    } catch (error) {
+      logger.error('Failed to add recipe ingredient', {
+        userId: req.user?.id,
+        recipeId: req.params.id
+      }, error);
+
+      if (handleRecipeError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to add ingredient',
+        error: 'INGREDIENT_ADD_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Remove an ingredient from a recipe
+   * DELETE /api/recipes/:id/ingredients/:ingredientId
+   */
+  removeIngredient: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Recipe ingredient removed', {
+        userId: req.user.id,
+        recipeId: req.params.id,
+        ingredientId: req.params.ingredientId
+      });
+
+      const recipe = await recipeService.removeIngredient(req.params.id, req.params.ingredientId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Ingredient removed successfully',
+        data: recipe
+      });
+    } catch (error) {
+      logger.error('Failed to remove recipe ingredient', {
+        userId: req.user?.id,
+        recipeId: req.params.id
+      }, error);
+
+      if (handleRecipeError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove ingredient',
+        error: 'INGREDIENT_REMOVE_ERROR'
+      });
+    }
+  }
+};
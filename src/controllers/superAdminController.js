@@ -1,4 +1,5 @@
 import { superAdminService } from '../services/superAdminService.js';
+import { foodImportService } from '../services/foodImportService.js';
 
 export const superAdminController = {
   /**
@@ -1505,5 +1506,60 @@ export const superAdminController = {
         error: 'INTEGRATIONS_ERROR'
       });
     }
+  },
+
+  // ==================== FOOD CATALOG IMPORT ====================
+
+  /**
+   * Bulk import foods from USDA FoodData Central or CSV datasets
+   * POST /api/super-admin/foods/import
+   */
+  importFoods: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { format, data, files, dryRun } = req.body;
+
+      logger.business('Super Admin importing foods', {
+        userId: req.user.id,
+        format,
+        dryRun
+      });
+
+      const report = await foodImportService.importFoods({
+        format,
+        data,
+        files,
+        dryRun,
+        user: req.user
+      });
+
+      return res.json({
+        success: true,
+        message: dryRun ? 'Food import validated successfully' : 'Food import completed',
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Failed to import foods', {
+        userId: req.user.id,
+        format: req.body?.format,
+        error: error.message
+      });
+
+      if (error.message.includes('Invalid') || error instanceof SyntaxError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_IMPORT_FILE'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to import foods',
+        error: 'FOOD_IMPORT_ERROR'
+      });
+    }
   }
 };
\ No newline at end of file
@@ -3,6 +3,99 @@
 // - TRAINER can create customer accounts
 // - TRAINER must pay via Stripe when signing up to manage more than 2 customers
 
+import { customerService } from '../services/customerService.js';
+import { nutritionService } from '../services/nutritionService.js';
+import { macroTargetService } from '../services/macroTargetService.js';
+import { mealPlanWorkflowService } from '../services/mealPlanWorkflowService.js';
+import { foodDiaryService } from '../services/foodDiaryService.js';
+import { bodyMetricService } from '../services/bodyMetricService.js';
+import { progressAnalysisService } from '../services/progressAnalysisService.js';
+import { adherenceService } from '../services/adherenceService.js';
+import { progressPhotoService } from '../services/progressPhotoService.js';
+import { micronutrientService } from '../services/micronutrientService.js';
+import { fastingService } from '../services/fastingService.js';
+import { checkInService } from '../services/checkInService.js';
+
+/**
+ * Map trainer access errors to HTTP responses. Returns true when handled.
+ */
+const handleTrainerAccessError = (error, res) => {
+  if (error.message.includes('Trainer not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Trainer not found',
+      error: 'TRAINER_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied to trainer')) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have access to this trainer',
+      error: 'TRAINER_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map customer access errors to HTTP responses. Returns true when handled.
+ */
+const handleCustomerAccessError = (error, res) => {
+  if (error.message.includes('Customer not found')) {
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found',
+      error: 'CUSTOMER_NOT_FOUND'
+    });
+    return true;
+  }
+
+  if (error.message.includes('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have access to this customer',
+      error: 'CUSTOMER_ACCESS_DENIED'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map check-in form and check-in errors to HTTP responses. Returns true when handled.
+ */
+const handleCheckInError = (error, res) => {
+  const notFound = [
+    ['Check-in form not found', 'CHECK_IN_FORM_NOT_FOUND'],
+    ['Check-in photo not found', 'CHECK_IN_PHOTO_NOT_FOUND'],
+    ['Check-in not found', 'CHECK_IN_NOT_FOUND']
+  ].find(([message]) => error.message.includes(message));
+  if (notFound) {
+    res.status(404).json({
+      success: false,
+      message: notFound[0],
+      error: notFound[1]
+    });
+    return true;
+  }
+
+  if (error.message.includes('Invalid check-in form')) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'INVALID_CHECK_IN_FORM'
+    });
+    return true;
+  }
+
+  return false;
+};
+
 export const trainerController = {
   getAllTrainers: (req, res) => {
     res.json({ message: 'getAllTrainers placeholder' });
@@ -24,9 +117,76 @@ export const trainerController = {
     res.json({ message: 'deleteTrainer placeholder' });
   },
 
+  /**
+   * Roster adherence totals per trainer, for admins
+   * GET /api/trainers/adherence
+   */
+  getTrainersAdherence: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Trainer adherence overview requested', {
+        userId: req.user.id,
+        userRole: req.user.role
+      });
+
+      const { trainers, pagination } = await adherenceService.getTrainerOverview(req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Trainer adherence retrieved successfully',
+        data: { weeks: req.query.weeks, trainers, pagination }
+      });
+    } catch (error) {
+      logger.error('Failed to get trainer adherence overview', {
+        userId: req.user?.id
+      }, error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve trainer adherence',
+        error: 'ADHERENCE_FETCH_ERROR'
+      });
+    }
+  },
+
   // Trainer-customer management
-  getTrainerCustomers: (req, res) => {
-    res.json({ message: 'getTrainerCustomers placeholder' });
+
+  /**
+   * List a trainer's customers with adherence scores, sortable so the
+   * customers falling off come first
+   * GET /api/trainers/:id/customers
+   */
+  getTrainerCustomers: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Trainer roster requested', {
+        userId: req.user.id,
+        trainerId: req.params.id
+      });
+
+      const roster = await adherenceService.getRoster(req.params.id, req.user, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Trainer customers retrieved successfully',
+        data: roster
+      });
+    } catch (error) {
+      logger.error('Failed to get trainer customers', {
+        userId: req.user?.id,
+        trainerId: req.params.id
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve trainer customers',
+        error: 'ROSTER_FETCH_ERROR'
+      });
+    }
   },
 
   createCustomerForTrainer: (req, res) => {
@@ -39,5 +199,1196 @@ export const trainerController = {
 
   removeCustomerFromTrainer: (req, res) => {
     res.json({ message: 'removeCustomerFromTrainer placeholder' });
+  },
+
+  /**
+   * Get BMR and TDEE for one of the trainer's customers
+   * GET /api/trainers/:id/customers/:customerId/nutrition
+   */
+  getCustomerNutrition: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer nutrition requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const missingFields = nutritionService.getMissingProfileFields(customer);
+      if (missingFields.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'Customer profile is incomplete',
+          error: 'INCOMPLETE_PROFILE',
+          missingFields
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Customer nutrition retrieved successfully',
+        data: {
+          customerId: customer.id,
+          energy: nutritionService.calculateEnergyProfile(customer)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer nutrition', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer nutrition',
+        error: 'NUTRITION_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get the active macro targets and their history for a customer
+   * GET /api/trainers/:id/customers/:customerId/targets
+   */
+  getCustomerTargets: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+      const { page, limit } = req.query;
+
+      logger.business('Customer macro targets requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const [active, history] = await Promise.all([
+        macroTargetService.getActiveTarget(customerId),
+        macroTargetService.getTargetHistory(customerId, { page, limit })
+      ]);
+
+      return res.json({
+        success: true,
+        message: 'Customer macro targets retrieved successfully',
+        data: {
+          active,
+          history: history.targets
+        },
+        pagination: history.pagination
+      });
+    } catch (error) {
+      logger.error('Failed to get customer macro targets', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer macro targets',
+        error: 'TARGETS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Override a customer's macro targets (assigned trainer only)
+   * PUT /api/trainers/:id/customers/:customerId/targets
+   */
+  overrideCustomerTargets: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      if (id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Trainers can only override targets for their own customers',
+          error: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      logger.business('Customer macro target override', {
+        userId: req.user.id,
+        customerId,
+        calories: req.body.calories
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+      const target = await macroTargetService.overrideTargets(customer, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer macro targets overridden successfully',
+        data: target
+      });
+    } catch (error) {
+      logger.error('Failed to override customer macro targets', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to override customer macro targets',
+        error: 'TARGETS_OVERRIDE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update an assigned customer's allergies, intolerances and food preferences
+   * PUT /api/trainers/:id/customers/:customerId/dietary-profile
+   */
+  updateCustomerDietaryProfile: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      if (id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Trainers can only update the dietary profile of their own customers',
+          error: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      logger.business('Customer dietary profile update', {
+        userId: req.user.id,
+        customerId,
+        fields: Object.keys(req.body)
+      });
+
+      await customerService.getAccessibleCustomer(customerId, req.user);
+      const profile = await customerService.updateDietaryProfile(customerId, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer dietary profile updated successfully',
+        data: profile
+      });
+    } catch (error) {
+      logger.error('Failed to update customer dietary profile', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update customer dietary profile',
+        error: 'DIETARY_PROFILE_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Read a customer's food diary over a date range
+   * GET /api/trainers/:id/customers/:customerId/diary
+   */
+  getCustomerDiary: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer food diary requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const diary = await foodDiaryService.getSummary(customer.id, { ...req.query, includeEntries: true });
+
+      return res.json({
+        success: true,
+        message: 'Customer food diary retrieved successfully',
+        data: {
+          customerId: customer.id,
+          trackingEnabled: customerService.canTrackProgress(customer),
+          ...diary
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer food diary', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Invalid date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer food diary',
+        error: 'DIARY_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a customer's micronutrient coverage and chronic shortfalls or excesses
+   * GET /api/trainers/:id/customers/:customerId/micronutrients
+   */
+  getCustomerMicronutrients: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer micronutrient coverage requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const coverage = await micronutrientService.getDiaryCoverage(customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Customer micronutrient coverage retrieved successfully',
+        data: {
+          customerId: customer.id,
+          trackingEnabled: customerService.canTrackProgress(customer),
+          ...coverage
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer micronutrient coverage', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Invalid date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer micronutrient coverage',
+        error: 'MICRONUTRIENT_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a customer's fasting protocol, logged fasts and streaks
+   * GET /api/trainers/:id/customers/:customerId/fasting
+   */
+  getCustomerFasting: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer fasting overview requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const overview = await fastingService.getOverview(customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Customer fasting overview retrieved successfully',
+        data: {
+          customerId: customer.id,
+          ...overview
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer fasting overview', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Invalid date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer fasting overview',
+        error: 'FASTING_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Set or replace a customer's fasting protocol
+   * PUT /api/trainers/:id/customers/:customerId/fasting-protocol
+   */
+  setCustomerFastingProtocol: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer fasting protocol update', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId,
+        type: req.body.type
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const protocol = await fastingService.setProtocol(customer, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer fasting protocol saved successfully',
+        data: protocol
+      });
+    } catch (error) {
+      logger.error('Failed to set customer fasting protocol', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Invalid fasting protocol')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'INVALID_FASTING_PROTOCOL'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save customer fasting protocol',
+        error: 'FASTING_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Remove a customer's fasting protocol
+   * DELETE /api/trainers/:id/customers/:customerId/fasting-protocol
+   */
+  removeCustomerFastingProtocol: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer fasting protocol removal', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      await fastingService.removeProtocol(customer.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer fasting protocol removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove customer fasting protocol', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Fasting protocol not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+          error: 'FASTING_PROTOCOL_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove customer fasting protocol',
+        error: 'FASTING_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List the trainer's check-in forms
+   * GET /api/trainers/:id/check-in-forms
+   */
+  getCheckInForms: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const forms = await checkInService.listForms(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in forms retrieved successfully',
+        data: forms
+      });
+    } catch (error) {
+      logger.error('Failed to get check-in forms', {
+        userId: req.user?.id,
+        trainerId: req.params.id
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in forms',
+        error: 'CHECK_IN_FORM_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Create a check-in form and assign it to customers
+   * POST /api/trainers/:id/check-in-forms
+   */
+  createCheckInForm: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Check-in form creation', {
+        userId: req.user.id,
+        trainerId: req.params.id,
+        questions: req.body.questions.length
+      });
+
+      const form = await checkInService.createForm(req.params.id, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Check-in form created successfully',
+        data: form
+      });
+    } catch (error) {
+      logger.error('Failed to create check-in form', {
+        userId: req.user?.id,
+        trainerId: req.params.id
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create check-in form',
+        error: 'CHECK_IN_FORM_CREATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a check-in form with its assigned customers
+   * GET /api/trainers/:id/check-in-forms/:formId
+   */
+  getCheckInForm: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const form = await checkInService.getForm(req.params.id, req.params.formId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in form retrieved successfully',
+        data: form
+      });
+    } catch (error) {
+      logger.error('Failed to get check-in form', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        formId: req.params.formId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in form',
+        error: 'CHECK_IN_FORM_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Update a check-in form's questions, schedule or customers
+   * PUT /api/trainers/:id/check-in-forms/:formId
+   */
+  updateCheckInForm: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Check-in form update', {
+        userId: req.user.id,
+        trainerId: req.params.id,
+        formId: req.params.formId,
+        fields: Object.keys(req.body)
+      });
+
+      const form = await checkInService.updateForm(req.params.id, req.params.formId, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in form updated successfully',
+        data: form
+      });
+    } catch (error) {
+      logger.error('Failed to update check-in form', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        formId: req.params.formId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update check-in form',
+        error: 'CHECK_IN_FORM_UPDATE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Delete a check-in form with its check-ins
+   * DELETE /api/trainers/:id/check-in-forms/:formId
+   */
+  deleteCheckInForm: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Check-in form deletion', {
+        userId: req.user.id,
+        trainerId: req.params.id,
+        formId: req.params.formId
+      });
+
+      await checkInService.deleteForm(req.params.id, req.params.formId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in form deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete check-in form', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        formId: req.params.formId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete check-in form',
+        error: 'CHECK_IN_FORM_DELETE_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Check-ins awaiting review, and pending and overdue ones
+   * GET /api/trainers/:id/check-ins
+   */
+  getCheckInInbox: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const inbox = await checkInService.getInbox(req.params.id, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in inbox retrieved successfully',
+        data: inbox
+      });
+    } catch (error) {
+      logger.error('Failed to get check-in inbox', {
+        userId: req.user?.id,
+        trainerId: req.params.id
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in inbox',
+        error: 'CHECK_IN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a submitted check-in
+   * GET /api/trainers/:id/check-ins/:checkInId
+   */
+  getCheckIn: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const checkIn = await checkInService.getTrainerCheckIn(req.params.id, req.params.checkInId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in retrieved successfully',
+        data: checkIn
+      });
+    } catch (error) {
+      logger.error('Failed to get check-in', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        checkInId: req.params.checkInId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in',
+        error: 'CHECK_IN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Mark a check-in as reviewed, with optional notes for the customer
+   * PUT /api/trainers/:id/check-ins/:checkInId/review
+   */
+  reviewCheckIn: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Check-in review', {
+        userId: req.user.id,
+        trainerId: req.params.id,
+        checkInId: req.params.checkInId
+      });
+
+      const checkIn = await checkInService.reviewCheckIn(req.params.id, req.params.checkInId, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Check-in reviewed successfully',
+        data: checkIn
+      });
+    } catch (error) {
+      logger.error('Failed to review check-in', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        checkInId: req.params.checkInId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to review check-in',
+        error: 'CHECK_IN_REVIEW_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a customer's submitted check-ins
+   * GET /api/trainers/:id/customers/:customerId/check-ins
+   */
+  getCustomerCheckIns: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const checkIns = await checkInService.listCustomerCheckIns(req.params.id, req.params.customerId, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Customer check-ins retrieved successfully',
+        data: checkIns
+      });
+    } catch (error) {
+      logger.error('Failed to get customer check-ins', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer check-ins',
+        error: 'CHECK_IN_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a check-in photo answer, or its thumbnail with ?size=thumbnail
+   * GET /api/trainers/:id/check-ins/:checkInId/photos/:questionId
+   */
+  getCheckInPhoto: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, checkInId, questionId } = req.params;
+
+      await adherenceService.getAccessibleTrainer(id, req.user);
+      const { filename, contentType, content } = await checkInService.getPhotoFile(
+        { id: checkInId, form: { trainerId: id }, customer: { trainerId: id } },
+        questionId,
+        { thumbnail: req.query.size === 'thumbnail' }
+      );
+
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'Content-Disposition': `inline; filename="${filename}"`
+      });
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to read check-in photo', {
+        userId: req.user?.id,
+        trainerId: req.params.id,
+        checkInId: req.params.checkInId,
+        questionId: req.params.questionId
+      }, error);
+
+      if (handleTrainerAccessError(error, res)) return;
+      if (handleCheckInError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in photo',
+        error: 'CHECK_IN_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a customer's body metric progress
+   * GET /api/trainers/:id/customers/:customerId/progress
+   */
+  getCustomerProgress: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer progress requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const [progress, analysis] = await Promise.all([
+        bodyMetricService.getProgress(customer, req.query),
+        progressAnalysisService.analyse(customer, { weeks: req.query.weeks })
+      ]);
+
+      return res.json({
+        success: true,
+        message: 'Customer progress retrieved successfully',
+        data: {
+          customerId: customer.id,
+          trackingEnabled: customerService.canTrackProgress(customer),
+          ...progress,
+          analysis
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get customer progress', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer progress',
+        error: 'PROGRESS_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List a customer's progress photos (their trainer only)
+   * GET /api/trainers/:id/customers/:customerId/progress/photos
+   */
+  getCustomerProgressPhotos: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer progress photos requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const photos = await progressPhotoService.listPhotos(customer.id, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Customer progress photos retrieved successfully',
+        data: photos
+      });
+    } catch (error) {
+      logger.error('Failed to list customer progress photos', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer progress photos',
+        error: 'PROGRESS_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Download a customer's progress photo or its thumbnail (their trainer only)
+   * GET /api/trainers/:id/customers/:customerId/progress/photos/:photoId
+   */
+  getCustomerProgressPhotoFile: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId, photoId } = req.params;
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const { filename, contentType, content } = await progressPhotoService.getPhotoFile(
+        customer.id,
+        photoId,
+        { thumbnail: req.query.size === 'thumbnail' }
+      );
+
+      // Private images: never cached by shared caches
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'Content-Disposition': `inline; filename="${filename}"`
+      });
+      return res.type(contentType).send(content);
+    } catch (error) {
+      logger.error('Failed to read customer progress photo', {
+        userId: req.user?.id,
+        customerId: req.params.customerId,
+        photoId: req.params.photoId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('Progress photo not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Progress photo not found',
+          error: 'PROGRESS_PHOTO_NOT_FOUND'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer progress photo',
+        error: 'PROGRESS_PHOTO_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get daily and weekly adherence scores for a customer
+   * GET /api/trainers/:id/customers/:customerId/adherence
+   */
+  getCustomerAdherence: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Customer adherence requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const adherence = await adherenceService.getCustomerAdherence(customer, req.query);
+
+      return res.json({
+        success: true,
+        message: 'Customer adherence retrieved successfully',
+        data: adherence
+      });
+    } catch (error) {
+      logger.error('Failed to get customer adherence', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve customer adherence',
+        error: 'ADHERENCE_FETCH_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Accept the progress calorie recommendation, updating macro targets
+   * POST /api/trainers/:id/customers/:customerId/progress/adjustment
+   */
+  acceptProgressAdjustment: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      const { id, customerId } = req.params;
+
+      logger.business('Progress calorie adjustment requested', {
+        userId: req.user.id,
+        trainerId: id,
+        customerId
+      });
+
+      const customer = await customerService.getAccessibleCustomer(customerId, req.user);
+
+      if (customer.trainerId !== id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer is not assigned to this trainer',
+          error: 'CUSTOMER_NOT_ASSIGNED'
+        });
+      }
+
+      const result = await progressAnalysisService.acceptRecommendation(customer, req.body, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Calorie adjustment applied successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to accept progress adjustment', {
+        userId: req.user?.id,
+        customerId: req.params.customerId
+      }, error);
+
+      if (handleCustomerAccessError(error, res)) return;
+
+      if (error.message.includes('No calorie adjustment recommended') ||
+          error.message.includes('Recommendation out of date')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          error: 'ADJUSTMENT_NOT_AVAILABLE'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to apply calorie adjustment',
+        error: 'ADJUSTMENT_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Require the trainer's meal plans to be approved before publishing
+   * PUT /api/trainers/:id/plan-review
+   */
+  setPlanReviewRequirement: async (req, res) => {
+    const logger = req.logger;
+
+    try {
+      logger.business('Trainer plan review requirement update', {
+        userId: req.user.id,
+        trainerId: req.params.id,
+        requiresPlanReview: req.body.requiresPlanReview
+      });
+
+      const trainer = await mealPlanWorkflowService.setReviewRequirement(req.params.id, req.body.requiresPlanReview, req.user);
+
+      return res.json({
+        success: true,
+        message: trainer.requiresPlanReview
+          ? 'Meal plans by this trainer now require review'
+          : 'Meal plans by this trainer no longer require review',
+        data: trainer
+      });
+    } catch (error) {
+      logger.error('Failed to update trainer plan review requirement', {
+        userId: req.user?.id,
+        trainerId: req.params.id
+      }, error);
+
+      if (error.message.includes('Trainer not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trainer not found',
+          error: 'TRAINER_NOT_FOUND'
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not manage this trainer',
+          error: 'TRAINER_ACCESS_DENIED'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update plan review requirement',
+        error: 'PLAN_REVIEW_UPDATE_ERROR'
+      });
+    }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,51 @@
+// Customer feature access middleware
+import { customerService } from '../services/customerService.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Progress tracking middleware - only lets customers through whose access
+ * level includes tracking and whose access has been granted by their trainer.
+ * Must run after authenticate for a CUSTOMER.
+ */
+export const requireTrackingAccess = async (req, res, next) => {
+  try {
+    const customer = await customerService.getProfile(req.user.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+        error: 'CUSTOMER_NOT_FOUND'
+      });
+    }
+
+    if (!customerService.canTrackProgress(customer)) {
+      log.security('Progress tracking access denied', {
+        userId: req.user.id,
+        accessLevel: customer.accessLevel,
+        accessGranted: customer.accessGranted,
+        endpoint: req.originalUrl
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Progress tracking is not enabled for this account',
+        error: 'TRACKING_NOT_ENABLED'
+      });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    log.error('Tracking access check error', {
+      userId: req.user?.id,
+      endpoint: req.originalUrl
+    }, error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Access check failed',
+      error: 'AUTHORIZATION_ERROR'
+    });
+  }
+};
@@ -0,0 +1,153 @@
+// Multipart upload middleware
+import multer from 'multer';
+import { PHOTO_POSES, PHOTO_CONTENT_TYPES, MAX_PHOTO_BYTES } from '../services/progressPhotoService.js';
+import { MAX_CHECK_IN_PHOTOS } from '../services/checkInService.js';
+import {
+  MESSAGE_ATTACHMENT_TYPES,
+  MAX_MESSAGE_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES
+} from '../services/messageService.js';
+import { log } from '../utils/logger.js';
+
+const photoFields = PHOTO_POSES.map(pose => pose.toLowerCase());
+
+const imageFilter = (req, file, cb) => {
+  if (!PHOTO_CONTENT_TYPES.includes(file.mimetype)) {
+    return cb(new Error(`Unsupported image type: ${file.mimetype}`));
+  }
+  cb(null, true);
+};
+
+// Files stay in memory: they are re-encoded before anything is stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: photoFields.length, fields: 10 },
+  fileFilter: imageFilter
+}).fields(photoFields.map(name => ({ name, maxCount: 1 })));
+
+const checkInUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_CHECK_IN_PHOTOS, fields: 10 },
+  fileFilter: imageFilter
+}).any();
+
+// Attachments are stored as uploaded, so only harmless types are accepted
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_MESSAGE_ATTACHMENTS, fields: 5 },
+  fileFilter: (req, file, cb) => {
+    if (!MESSAGE_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`Unsupported attachment type: ${file.mimetype}`));
+    }
+    cb(null, true);
+  }
+}).array('attachments', MAX_MESSAGE_ATTACHMENTS);
+
+/**
+ * Respond to a multer error
+ * @param {Object} [options] - { message, maxBytes } message replaces the error's own
+ */
+const rejectUpload = (req, res, error, { message, maxBytes = MAX_PHOTO_BYTES } = {}) => {
+  log.debug('Upload rejected', {
+    endpoint: req.originalUrl,
+    error: error.message,
+    code: error.code
+  });
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      message: `Files must be smaller than ${maxBytes / (1024 * 1024)} MB`,
+      error: 'FILE_TOO_LARGE'
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: message ?? error.message,
+    error: 'INVALID_UPLOAD'
+  });
+};
+
+/**
+ * Progress photo upload middleware - parses multipart/form-data with one
+ * optional file per pose (front, side, back) and sets req.photos to
+ * { FRONT?, SIDE?, BACK? } buffers
+ */
+export const uploadProgressPhotos = (req, res, next) => {
+  photoUpload(req, res, (error) => {
+    if (error) {
+      return rejectUpload(req, res, error, {
+        message: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unexpected file field "${error.field}", use ${photoFields.join(', ')}`
+          : undefined
+      });
+    }
+
+    const photos = Object.fromEntries(PHOTO_POSES
+      .filter(pose => req.files?.[pose.toLowerCase()]?.length)
+      .map(pose => [pose, req.files[pose.toLowerCase()][0].buffer]));
+
+    if (!Object.keys(photos).length) {
+      return res.status(400).json({
+        success: false,
+        message: `At least one photo is required (${photoFields.join(', ')})`,
+        error: 'INVALID_UPLOAD'
+      });
+    }
+
+    req.photos = photos;
+    next();
+  });
+};
+
+/**
+ * Check-in submission middleware - accepts JSON, or multipart/form-data with
+ * the answers as a JSON "answers" field and one file per photo question named
+ * by its question ID. Sets req.photos to { [questionId]: buffer }.
+ */
+export const uploadCheckInPhotos = (req, res, next) => {
+  checkInUpload(req, res, (error) => {
+    if (error) {
+      return rejectUpload(req, res, error);
+    }
+
+    const files = req.files ?? [];
+    const duplicate = files.find((file, index) => files.findIndex(other => other.fieldname === file.fieldname) !== index);
+    if (duplicate) {
+      return rejectUpload(req, res, new Error(`One photo per question, "${duplicate.fieldname}" has several`));
+    }
+
+    if (typeof req.body?.answers === 'string') {
+      try {
+        req.body.answers = JSON.parse(req.body.answers);
+      } catch {
+        return rejectUpload(req, res, new Error('The answers field must be JSON'));
+      }
+    }
+
+    req.photos = Object.fromEntries(files.map(file => [file.fieldname, file.buffer]));
+    next();
+  });
+};
+
+/**
+ * Message attachment middleware - accepts JSON, or multipart/form-data with
+ * the text in "body" and up to MAX_MESSAGE_ATTACHMENTS files in
+ * "attachments". Sets req.attachments to the uploaded files.
+ */
+export const uploadMessageAttachments = (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (error) {
+      return rejectUpload(req, res, error, {
+        maxBytes: MAX_ATTACHMENT_BYTES,
+        message: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unexpected file field "${error.field}", use attachments (at most ${MAX_MESSAGE_ATTACHMENTS})`
+          : undefined
+      });
+    }
+
+    req.attachments = req.files ?? [];
+    next();
+  });
+};
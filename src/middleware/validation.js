@@ -1,9 +1,46 @@
 // Validation middleware
+import { log } from '../utils/logger.js';
 
-export const validateRequest = (schema) => {
+/**
+ * Validate a request property against a Joi schema.
+ * Replaces the property with the validated (type-coerced, stripped) value.
+ * @param {Object} schema - Joi schema
+ * @param {string} [property] - Request property to validate (body, query, params)
+ */
+export const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
-    // Joi validation placeholder
-    console.log('Request validation middleware called');
+    const { error, value } = schema.validate(req[property], {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const details = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      log.debug('Request validation failed', {
+        endpoint: req.originalUrl,
+        property,
+        details
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: 'VALIDATION_ERROR',
+        details
+      });
+    }
+
+    // Express 5 exposes req.query as a getter, so it cannot be reassigned
+    if (property === 'query') {
+      Object.defineProperty(req, 'query', { value, writable: true, configurable: true });
+    } else {
+      req[property] = value;
+    }
+
     next();
   };
 };
\ No newline at end of file
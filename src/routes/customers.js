@@ -1,12 +1,85 @@
 import express from 'express';
 import { customerController } from '../controllers/customerController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { requireTrackingAccess } from '../middleware/access.js';
+import { uploadProgressPhotos, uploadCheckInPhotos } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validation.js';
+import {
+  updateCustomerProfileSchema,
+  mealDistributionQuerySchema,
+  pantryItemSchema,
+  diaryDayQuerySchema,
+  diaryRangeQuerySchema,
+  createDiaryEntrySchema,
+  updateDiaryEntrySchema,
+  logPlannedMealSchema,
+  bodyMetricSchema,
+  progressQuerySchema,
+  progressPhotoUploadSchema,
+  progressPhotoListQuerySchema,
+  progressPhotoFileQuerySchema,
+  logWaterSchema,
+  quickAddWaterSchema,
+  fastingProtocolSchema,
+  startFastSchema,
+  stopFastSchema,
+  submitCheckInSchema
+} from '../validators/customerValidators.js';
 
 const router = express.Router();
 
+// All customer self-service routes require an authenticated CUSTOMER
+router.use(authenticate);
+router.use(authorize('CUSTOMER'));
+
 // Customer self-service routes
 router.get('/profile', customerController.getProfile);
-router.put('/profile', customerController.updateProfile);
-router.get('/mealplans', customerController.getMealPlans);
-router.get('/progress', customerController.getProgress);
+router.put('/profile', validateRequest(updateCustomerProfileSchema), customerController.updateProfile);
+router.get('/mealplans', validateRequest(mealDistributionQuerySchema, 'query'), customerController.getMealPlans);
+
+// Pantry, subtracted from meal plan shopping lists
+router.get('/pantry', customerController.getPantry);
+router.put('/pantry', validateRequest(pantryItemSchema), customerController.upsertPantryItem);
+router.delete('/pantry/:itemId', customerController.removePantryItem);
+
+// Food diary, for customers with progress tracking access
+router.get('/diary', requireTrackingAccess, validateRequest(diaryDayQuerySchema, 'query'), customerController.getDiaryDay);
+router.get('/diary/summary', requireTrackingAccess, validateRequest(diaryRangeQuerySchema, 'query'), customerController.getDiarySummary);
+router.get('/diary/micronutrients', requireTrackingAccess, validateRequest(diaryRangeQuerySchema, 'query'), customerController.getDiaryMicronutrients);
+router.post('/diary', requireTrackingAccess, validateRequest(createDiaryEntrySchema), customerController.logDiaryEntry);
+router.post('/diary/planned-meals', requireTrackingAccess, validateRequest(logPlannedMealSchema), customerController.logPlannedMeal);
+router.put('/diary/:entryId', requireTrackingAccess, validateRequest(updateDiaryEntrySchema), customerController.updateDiaryEntry);
+router.delete('/diary/:entryId', requireTrackingAccess, customerController.removeDiaryEntry);
+
+// Water intake, for customers with progress tracking access
+router.get('/hydration', requireTrackingAccess, validateRequest(diaryDayQuerySchema, 'query'), customerController.getHydrationDay);
+router.get('/hydration/summary', requireTrackingAccess, validateRequest(diaryRangeQuerySchema, 'query'), customerController.getHydrationSummary);
+router.post('/hydration', requireTrackingAccess, validateRequest(logWaterSchema), customerController.logWater);
+router.post('/hydration/quick-add', requireTrackingAccess, validateRequest(quickAddWaterSchema), customerController.quickAddWater);
+router.delete('/hydration/:entryId', requireTrackingAccess, customerController.removeWaterEntry);
+
+// Intermittent fasting: the protocol shapes meal plans, logging fasts needs progress tracking access
+router.get('/fasting/protocol', customerController.getFastingProtocol);
+router.put('/fasting/protocol', validateRequest(fastingProtocolSchema), customerController.setFastingProtocol);
+router.delete('/fasting/protocol', customerController.removeFastingProtocol);
+router.get('/fasting', requireTrackingAccess, validateRequest(diaryRangeQuerySchema, 'query'), customerController.getFastingOverview);
+router.post('/fasting/sessions/start', requireTrackingAccess, validateRequest(startFastSchema), customerController.startFast);
+router.post('/fasting/sessions/stop', requireTrackingAccess, validateRequest(stopFastSchema), customerController.stopFast);
+router.delete('/fasting/sessions/:sessionId', requireTrackingAccess, customerController.removeFastingSession);
+
+// Check-ins from the customer's trainer
+router.get('/check-ins', customerController.getCheckIns);
+router.post('/check-ins/forms/:formId', uploadCheckInPhotos, validateRequest(submitCheckInSchema), customerController.submitCheckIn);
+router.get('/check-ins/:checkInId', customerController.getCheckIn);
+router.get('/check-ins/:checkInId/photos/:questionId', validateRequest(progressPhotoFileQuerySchema, 'query'), customerController.getCheckInPhoto);
+
+// Body metrics and progress, for customers with progress tracking access
+router.get('/progress', requireTrackingAccess, validateRequest(progressQuerySchema, 'query'), customerController.getProgress);
+router.post('/progress/metrics', requireTrackingAccess, validateRequest(bodyMetricSchema), customerController.recordBodyMetrics);
+router.delete('/progress/metrics/:metricId', requireTrackingAccess, customerController.removeBodyMetrics);
+router.get('/progress/photos', requireTrackingAccess, validateRequest(progressPhotoListQuerySchema, 'query'), customerController.getProgressPhotos);
+router.post('/progress/photos', requireTrackingAccess, uploadProgressPhotos, validateRequest(progressPhotoUploadSchema), customerController.uploadProgressPhotos);
+router.get('/progress/photos/:photoId', requireTrackingAccess, validateRequest(progressPhotoFileQuerySchema, 'query'), customerController.getProgressPhotoFile);
+router.delete('/progress/photos/:photoId', requireTrackingAccess, customerController.removeProgressPhoto);
 
 export default router;
\ No newline at end of file
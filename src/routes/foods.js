@@ -0,0 +1,21 @@
+import express from 'express';
+import { foodController } from '../controllers/foodController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { createFoodSchema, updateFoodSchema, searchFoodsQuerySchema } from '../validators/foodValidators.js';
+
+const router = express.Router();
+
+// All food catalog routes require authentication
+router.use(authenticate);
+
+// Catalog browsing - any authenticated user
+router.get('/', validateRequest(searchFoodsQuerySchema, 'query'), foodController.searchFoods);
+router.get('/:id', foodController.getFoodById);
+
+// Catalog curation - trainers and admins
+router.post('/', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(createFoodSchema), foodController.createFood);
+router.put('/:id', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(updateFoodSchema), foodController.updateFood);
+router.delete('/:id', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), foodController.deleteFood);
+
+export default router;
\ No newline at end of file
@@ -1,17 +1,73 @@
 import express from 'express';
 import { mealPlanController } from '../controllers/mealPlanController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import {
+  createMealPlanSchema,
+  updateMealPlanSchema,
+  listMealPlansQuerySchema,
+  mealsQuerySchema,
+  addMealSchema,
+  generateMealPlanSchema,
+  substitutesQuerySchema,
+  substituteItemSchema,
+  shoppingListQuerySchema,
+  exportMealPlanQuerySchema,
+  saveTemplateSchema,
+  updateTemplateSchema,
+  listTemplatesQuerySchema,
+  cloneTemplateSchema,
+  revisionDiffQuerySchema,
+  updateMealPlanStatusSchema
+} from '../validators/mealPlanValidators.js';
 
 const router = express.Router();
 
+// All meal plan routes require authentication; ownership is checked per plan
+router.use(authenticate);
+
 // Meal plan and diet routes
-router.get('/', mealPlanController.getAllMealPlans);
-router.post('/', mealPlanController.createMealPlan);
+router.get('/', validateRequest(listMealPlansQuerySchema, 'query'), mealPlanController.getAllMealPlans);
+router.post('/', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(createMealPlanSchema), mealPlanController.createMealPlan);
+router.post('/generate', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(generateMealPlanSchema), mealPlanController.generateMealPlan);
+
+// Templates (registered before /:id so "templates" is not read as a plan ID)
+router.get('/templates', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(listTemplatesQuerySchema, 'query'), mealPlanController.getTemplates);
+router.get('/templates/:templateId', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), mealPlanController.getTemplateById);
+router.put('/templates/:templateId', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(updateTemplateSchema), mealPlanController.updateTemplate);
+router.delete('/templates/:templateId', authorize('TRAINER', 'SUPER_ADMIN'), mealPlanController.deleteTemplate);
+router.post('/templates/:templateId/clone', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(cloneTemplateSchema), mealPlanController.cloneTemplate);
+
 router.get('/:id', mealPlanController.getMealPlanById);
-router.put('/:id', mealPlanController.updateMealPlan);
-router.delete('/:id', mealPlanController.deleteMealPlan);
+router.put('/:id', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(updateMealPlanSchema), mealPlanController.updateMealPlan);
+router.delete('/:id', authorize('TRAINER', 'SUPER_ADMIN'), mealPlanController.deleteMealPlan);
+router.put('/:id/status', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(updateMealPlanStatusSchema), mealPlanController.changeMealPlanStatus);
+router.post('/:id/template', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(saveTemplateSchema), mealPlanController.saveAsTemplate);
 
 // Diet plan specific routes
-router.get('/:id/meals', mealPlanController.getMealsForPlan);
-router.post('/:id/meals', mealPlanController.addMealToPlan);
+router.get('/:id/meals', validateRequest(mealsQuerySchema, 'query'), mealPlanController.getMealsForPlan);
+router.post('/:id/meals', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(addMealSchema), mealPlanController.addMealToPlan);
+router.delete('/:id/meals/:mealId', authorize('TRAINER', 'SUPER_ADMIN'), mealPlanController.removeMealFromPlan);
+router.delete('/:id/meals/:mealId/items/:itemId', authorize('TRAINER', 'SUPER_ADMIN'), mealPlanController.removeMealItem);
+
+// Item substitution
+router.get('/:id/meals/:mealId/items/:itemId/substitutes', validateRequest(substitutesQuerySchema, 'query'), mealPlanController.getItemSubstitutes);
+router.put('/:id/meals/:mealId/items/:itemId', authorize('TRAINER', 'SUPER_ADMIN'), validateRequest(substituteItemSchema), mealPlanController.substituteMealItem);
+
+// Revision history
+router.get('/:id/revisions', mealPlanController.getRevisions);
+router.get('/:id/revisions/diff', validateRequest(revisionDiffQuerySchema, 'query'), mealPlanController.getRevisionDiff);
+router.get('/:id/revisions/:revisionNumber', mealPlanController.getRevision);
+router.post('/:id/revisions/:revisionNumber/restore', authorize('TRAINER', 'SUPER_ADMIN'), mealPlanController.restoreRevision);
+
+// Micronutrient coverage against the customer's reference intakes
+router.get('/:id/micronutrients', mealPlanController.getMicronutrientCoverage);
+
+// Conflicts with the customer's fasting protocol (checked again on submit and publish)
+router.get('/:id/fasting-check', mealPlanController.getFastingCheck);
+
+// Shopping list
+router.get('/:id/shopping-list', validateRequest(shoppingListQuerySchema, 'query'), mealPlanController.getShoppingList);
+router.get('/:id/export', validateRequest(exportMealPlanQuerySchema, 'query'), mealPlanController.exportMealPlan);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { messageController } from '../controllers/messageController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { uploadMessageAttachments } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validation.js';
+import {
+  listThreadsQuerySchema,
+  listMessagesQuerySchema,
+  openThreadSchema,
+  sendMessageSchema
+} from '../validators/messageValidators.js';
+
+const router = express.Router();
+
+// Messaging follows the Admin -> Trainer -> Customer hierarchy
+router.use(authenticate);
+router.use(authorize('ADMIN', 'TRAINER', 'CUSTOMER'));
+
+router.get('/threads', validateRequest(listThreadsQuerySchema, 'query'), messageController.getThreads);
+router.post('/threads', validateRequest(openThreadSchema), messageController.openThread);
+router.get('/unread-count', messageController.getUnreadCount);
+router.get('/threads/:threadId/messages', validateRequest(listMessagesQuerySchema, 'query'), messageController.getMessages);
+router.post('/threads/:threadId/messages', uploadMessageAttachments, validateRequest(sendMessageSchema), messageController.sendMessage);
+router.put('/threads/:threadId/read', messageController.markThreadRead);
+router.get('/threads/:threadId/messages/:messageId/attachments/:attachmentId', messageController.getAttachment);
+
+export default router;
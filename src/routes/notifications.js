@@ -0,0 +1,16 @@
+import express from 'express';
+import { notificationController } from '../controllers/notificationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { listNotificationsQuerySchema } from '../validators/notificationValidators.js';
+
+const router = express.Router();
+
+// Every role has its own notifications
+router.use(authenticate);
+
+router.get('/', validateRequest(listNotificationsQuerySchema, 'query'), notificationController.getNotifications);
+router.put('/read-all', notificationController.markAllAsRead);
+router.put('/:id/read', notificationController.markAsRead);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { recipeController } from '../controllers/recipeController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import {
+  createRecipeSchema,
+  updateRecipeSchema,
+  searchRecipesQuerySchema,
+  recipeIngredientSchema
+} from '../validators/recipeValidators.js';
+
+const router = express.Router();
+
+// All recipe routes require authentication
+router.use(authenticate);
+
+// Recipe browsing - any authenticated user
+router.get('/', validateRequest(searchRecipesQuerySchema, 'query'), recipeController.searchRecipes);
+router.get('/:id', recipeController.getRecipeById);
+
+// Recipe authoring - trainers and admins
+router.post('/', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(createRecipeSchema), recipeController.createRecipe);
+router.put('/:id', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(updateRecipeSchema), recipeController.updateRecipe);
+router.delete('/:id', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), recipeController.deleteRecipe);
+
+// Ingredient management
+router.post('/:id/ingredients', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(recipeIngredientSchema), recipeController.addIngredient);
+router.delete('/:id/ingredients/:ingredientId', authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), recipeController.removeIngredient);
+
+export default router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import express from 'express';
 import { superAdminController } from '../controllers/superAdminController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { importFoodsSchema } from '../validators/foodValidators.js';
 
 const router = express.Router();
 
@@ -76,4 +78,9 @@ router.post('/config/feature-flags', superAdminController.manageFeatureFlags);
 // Get third-party integrations status
 router.get('/config/integrations', superAdminController.getIntegrations);
 
+// ==================== FOOD CATALOG IMPORT ====================
+
+// Bulk import USDA FoodData Central or CSV datasets
+router.post('/foods/import', validateRequest(importFoodsSchema), superAdminController.importFoods);
+
 export default router;
\ No newline at end of file
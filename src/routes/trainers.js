@@ -1,8 +1,31 @@
 import express from 'express';
 import { trainerController } from '../controllers/trainerController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import {
+  overrideMacroTargetsSchema,
+  targetHistoryQuerySchema,
+  updateDietaryProfileSchema,
+  diaryRangeQuerySchema,
+  progressQuerySchema,
+  acceptProgressAdjustmentSchema,
+  adherenceQuerySchema,
+  rosterQuerySchema,
+  trainerAdherenceQuerySchema,
+  progressPhotoListQuerySchema,
+  progressPhotoFileQuerySchema,
+  fastingProtocolSchema,
+  createCheckInFormSchema,
+  updateCheckInFormSchema,
+  reviewCheckInSchema
+} from '../validators/customerValidators.js';
+import { planReviewSettingSchema } from '../validators/mealPlanValidators.js';
 
 const router = express.Router();
 
+// Roster adherence per trainer (the admin's trainers, or all for super admin)
+router.get('/adherence', authenticate, authorize('ADMIN', 'SUPER_ADMIN'), validateRequest(trainerAdherenceQuerySchema, 'query'), trainerController.getTrainersAdherence);
+
 // Trainer CRUD routes
 router.get('/', trainerController.getAllTrainers);
 router.post('/', trainerController.createTrainer);
@@ -10,10 +33,43 @@ router.get('/:id', trainerController.getTrainerById);
 router.put('/:id', trainerController.updateTrainer);
 router.delete('/:id', trainerController.deleteTrainer);
 
+// Meal plan review requirement (the trainer's admin or super admin)
+router.put('/:id/plan-review', authenticate, authorize('ADMIN', 'SUPER_ADMIN'), validateRequest(planReviewSettingSchema), trainerController.setPlanReviewRequirement);
+
 // Trainer-customer management routes
-router.get('/:id/customers', trainerController.getTrainerCustomers);
+router.get('/:id/customers', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(rosterQuerySchema, 'query'), trainerController.getTrainerCustomers);
 router.post('/:id/customers', trainerController.createCustomerForTrainer);
 router.put('/:id/customers/:customerId', trainerController.updateTrainerCustomer);
 router.delete('/:id/customers/:customerId', trainerController.removeCustomerFromTrainer);
 
+// Check-in forms and the trainer's check-in inbox
+router.get('/:id/check-in-forms', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCheckInForms);
+router.post('/:id/check-in-forms', authenticate, authorize('TRAINER'), validateRequest(createCheckInFormSchema), trainerController.createCheckInForm);
+router.get('/:id/check-in-forms/:formId', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCheckInForm);
+router.put('/:id/check-in-forms/:formId', authenticate, authorize('TRAINER'), validateRequest(updateCheckInFormSchema), trainerController.updateCheckInForm);
+router.delete('/:id/check-in-forms/:formId', authenticate, authorize('TRAINER'), trainerController.deleteCheckInForm);
+router.get('/:id/check-ins', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCheckInInbox);
+router.get('/:id/check-ins/:checkInId', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCheckIn);
+router.put('/:id/check-ins/:checkInId/review', authenticate, authorize('TRAINER'), validateRequest(reviewCheckInSchema), trainerController.reviewCheckIn);
+// Photo answers are private to the customer and their trainer
+router.get('/:id/check-ins/:checkInId/photos/:questionId', authenticate, authorize('TRAINER'), validateRequest(progressPhotoFileQuerySchema, 'query'), trainerController.getCheckInPhoto);
+
+// Customer nutrition and macro target routes (trainer, their admin or super admin)
+router.get('/:id/customers/:customerId/nutrition', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCustomerNutrition);
+router.get('/:id/customers/:customerId/targets', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(targetHistoryQuerySchema, 'query'), trainerController.getCustomerTargets);
+router.put('/:id/customers/:customerId/targets', authenticate, authorize('TRAINER'), validateRequest(overrideMacroTargetsSchema), trainerController.overrideCustomerTargets);
+router.put('/:id/customers/:customerId/dietary-profile', authenticate, authorize('TRAINER'), validateRequest(updateDietaryProfileSchema), trainerController.updateCustomerDietaryProfile);
+router.get('/:id/customers/:customerId/diary', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(diaryRangeQuerySchema, 'query'), trainerController.getCustomerDiary);
+router.get('/:id/customers/:customerId/micronutrients', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(diaryRangeQuerySchema, 'query'), trainerController.getCustomerMicronutrients);
+router.get('/:id/customers/:customerId/fasting', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(diaryRangeQuerySchema, 'query'), trainerController.getCustomerFasting);
+router.put('/:id/customers/:customerId/fasting-protocol', authenticate, authorize('TRAINER'), validateRequest(fastingProtocolSchema), trainerController.setCustomerFastingProtocol);
+router.delete('/:id/customers/:customerId/fasting-protocol', authenticate, authorize('TRAINER'), trainerController.removeCustomerFastingProtocol);
+router.get('/:id/customers/:customerId/check-ins', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), trainerController.getCustomerCheckIns);
+router.get('/:id/customers/:customerId/progress', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(progressQuerySchema, 'query'), trainerController.getCustomerProgress);
+router.get('/:id/customers/:customerId/adherence', authenticate, authorize('TRAINER', 'ADMIN', 'SUPER_ADMIN'), validateRequest(adherenceQuerySchema, 'query'), trainerController.getCustomerAdherence);
+// Progress photos are private to the customer and their trainer
+router.get('/:id/customers/:customerId/progress/photos', authenticate, authorize('TRAINER'), validateRequest(progressPhotoListQuerySchema, 'query'), trainerController.getCustomerProgressPhotos);
+router.get('/:id/customers/:customerId/progress/photos/:photoId', authenticate, authorize('TRAINER'), validateRequest(progressPhotoFileQuerySchema, 'query'), trainerController.getCustomerProgressPhotoFile);
+router.post('/:id/customers/:customerId/progress/adjustment', authenticate, authorize('TRAINER'), validateRequest(acceptProgressAdjustmentSchema), trainerController.acceptProgressAdjustment);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,478 @@
+// Adherence service
+// Scores how closely customers follow their plan, from the food diary.
+// Business rules:
+// - A day scores 0-100 from the share of planned meals logged, how far
+//   logged calories and macros are from the active target and, for customers
+//   who log water, the share of the water target drunk; a day without any
+//   diary entry scores 0
+// - Weekly scores average the days of each week ending today, so missed
+//   logging pulls the week down
+// - Only customers with progress tracking enabled are scored; roster rows
+//   also carry their chronic micronutrient shortfalls and excesses
+// - TRAINER sees their own roster, ADMIN the rosters of the trainers they
+//   manage, SUPER_ADMIN every roster
+import { prisma } from '../config/prisma.js';
+import { customerService } from './customerService.js';
+import { micronutrientService } from './micronutrientService.js';
+import { hydrationService } from './hydrationService.js';
+import { toDateOnly, addDays, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+export const DEFAULT_ADHERENCE_WEEKS = 2;
+
+const MACRO_FIELDS = ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams'];
+
+// Average deviation from target (as a fraction) at which the macro score reaches 0
+const MAX_MACRO_DEVIATION = 0.5;
+
+// Weights of the day score components, normalised over the available ones
+const COMPONENT_WEIGHTS = { meals: 0.4, macros: 0.6, hydration: 0.2 };
+
+// Weekly score bands
+const ON_TRACK_SCORE = 70;
+const FALLING_OFF_SCORE = 40;
+const FALLING_OFF_DROP = 20;
+
+export const ROSTER_SORT_FIELDS = ['adherence', 'trend', 'streak', 'lastLogged', 'name'];
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  }
+  return groups;
+};
+
+/**
+ * Score each day of a window
+ * @param {Object} input - { dates[], entries[], plannedMeals[], target, water?, waterTargetMl? }
+ *   entries: diary entries { date, mealNumber, plannedMealId, calories, ... }
+ *   plannedMeals: { id, mealNumber, date } from published plans
+ *   water: daily water totals { date, amountMl }; hydration is only scored
+ *   when the customer logged water during the window
+ * @returns {Object[]} [{ date, logged, score, plannedMeals, loggedMeals, macroDeviation, hydrationPercent }]
+ */
+export const scoreDays = ({ dates, entries, plannedMeals, target, water = [], waterTargetMl = null }) => {
+  const entriesByDate = groupBy(entries, entry => formatDate(entry.date));
+  const plannedByDate = groupBy(plannedMeals, meal => formatDate(meal.date));
+  const waterByDate = new Map(water.map(day => [formatDate(day.date), day.amountMl]));
+  const scoreHydration = Boolean(waterTargetMl) && water.length > 0;
+
+  return dates.map(date => {
+    const dayEntries = entriesByDate.get(date) || [];
+    const planned = plannedByDate.get(date) || [];
+    const logged = dayEntries.length > 0;
+
+    // A planned slot counts as logged when anything was eaten in it
+    const loggedMeals = planned.filter(meal => dayEntries.some(entry =>
+      entry.plannedMealId === meal.id || entry.mealNumber === meal.mealNumber
+    )).length;
+
+    let macroDeviation = null;
+    if (logged && target) {
+      const deviations = MACRO_FIELDS
+        .filter(field => target[field] > 0)
+        .map(field => {
+          const actual = dayEntries.reduce((sum, entry) => sum + (entry[field] || 0), 0);
+          return Math.abs(actual - target[field]) / target[field];
+        });
+      macroDeviation = average(deviations);
+    }
+
+    const hydration = scoreHydration ? Math.min(1, (waterByDate.get(date) || 0) / waterTargetMl) : null;
+
+    let score = 0;
+    if (logged) {
+      const components = [
+        [planned.length ? loggedMeals / planned.length : null, COMPONENT_WEIGHTS.meals],
+        [macroDeviation === null ? null : Math.max(0, 1 - macroDeviation / MAX_MACRO_DEVIATION), COMPONENT_WEIGHTS.macros],
+        [hydration, COMPONENT_WEIGHTS.hydration]
+      ].filter(([value]) => value !== null);
+
+      const weight = components.reduce((sum, [, componentWeight]) => sum + componentWeight, 0);
+      score = weight
+        ? Math.round((100 * components.reduce((sum, [value, componentWeight]) => sum + value * componentWeight, 0)) / weight)
+        : 100;
+    }
+
+    return {
+      date,
+      logged,
+      score,
+      plannedMeals: planned.length,
+      loggedMeals,
+      macroDeviation: macroDeviation === null ? null : round(macroDeviation * 100),
+      hydrationPercent: scoreHydration ? Math.round(((waterByDate.get(date) || 0) / waterTargetMl) * 100) : null
+    };
+  });
+};
+
+/**
+ * Weekly scores, streaks and status from scored days
+ * @param {Object[]} days - scoreDays result, oldest first, ending today
+ * @returns {Object} { weekly[], currentWeekScore, previousWeekScore, trend, currentStreak, longestStreak, status }
+ */
+export const summariseDays = (days) => {
+  const weekly = [];
+  for (let end = days.length; end > 0; end -= 7) {
+    const week = days.slice(Math.max(0, end - 7), end);
+    weekly.unshift({
+      from: week[0].date,
+      to: week[week.length - 1].date,
+      score: Math.round(average(week.map(day => day.score))),
+      loggedDays: week.filter(day => day.logged).length
+    });
+  }
+
+  // Today may not be logged yet, so the current streak can end yesterday
+  let index = days.length - 1;
+  if (index >= 0 && !days[index].logged) index--;
+  let currentStreak = 0;
+  while (index >= 0 && days[index].logged) {
+    currentStreak++;
+    index--;
+  }
+
+  let longestStreak = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.logged ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  const currentWeekScore = weekly.at(-1)?.score ?? 0;
+  const previousWeekScore = weekly.length > 1 ? weekly.at(-2).score : null;
+  const trend = previousWeekScore === null ? null : currentWeekScore - previousWeekScore;
+
+  let status = 'ON_TRACK';
+  if (!days.some(day => day.logged)) {
+    status = 'INACTIVE';
+  } else if (currentWeekScore < FALLING_OFF_SCORE ||
+      (trend !== null && trend <= -FALLING_OFF_DROP && currentWeekScore < ON_TRACK_SCORE)) {
+    status = 'FALLING_OFF';
+  } else if (currentWeekScore < ON_TRACK_SCORE) {
+    status = 'SLIPPING';
+  }
+
+  return { weekly, currentWeekScore, previousWeekScore, trend, currentStreak, longestStreak, status };
+};
+
+/**
+ * Aggregate scored customers into roster totals
+ * @param {Object[]} customers - Roster rows with adherence (null when not tracking)
+ * @returns {Object} { customerCount, trackedCount, averageScore, averagePreviousScore, statusCounts }
+ */
+export const aggregateRoster = (customers) => {
+  const tracked = customers.filter(customer => customer.adherence);
+  const previous = tracked
+    .map(customer => customer.adherence.previousWeekScore)
+    .filter(score => score !== null);
+  const statusCounts = { ON_TRACK: 0, SLIPPING: 0, FALLING_OFF: 0, INACTIVE: 0, NOT_TRACKING: 0 };
+  for (const customer of customers) {
+    statusCounts[customer.adherence?.status ?? 'NOT_TRACKING']++;
+  }
+
+  const averageScore = average(tracked.map(customer => customer.adherence.currentWeekScore));
+  const averagePreviousScore = average(previous);
+
+  return {
+    customerCount: customers.length,
+    trackedCount: tracked.length,
+    averageScore: averageScore === null ? null : Math.round(averageScore),
+    averagePreviousScore: averagePreviousScore === null ? null : Math.round(averagePreviousScore),
+    statusCounts
+  };
+};
+
+const rosterSortValue = {
+  adherence: row => row.adherence?.currentWeekScore,
+  trend: row => row.adherence?.trend,
+  streak: row => row.adherence?.currentStreak,
+  lastLogged: row => row.lastLoggedDate,
+  name: row => `${row.lastName} ${row.firstName}`.toLowerCase()
+};
+
+/**
+ * Sort roster rows; rows without a value (not tracking, never logged) go last
+ * @param {Object[]} rows - Roster rows
+ * @param {string} sortBy - One of ROSTER_SORT_FIELDS
+ * @param {string} order - asc or desc
+ * @returns {Object[]} Sorted copy
+ */
+export const sortRoster = (rows, sortBy = 'adherence', order = 'asc') => {
+  const value = rosterSortValue[sortBy] || rosterSortValue.adherence;
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...rows].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return (left < right ? -1 : 1) * direction;
+  });
+};
+
+const rosterCustomerSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  accessLevel: true,
+  accessGranted: true,
+  trainerId: true
+};
+
+export const adherenceService = {
+  /**
+   * Load a trainer after checking the user may see their roster
+   * @param {string} trainerId - Trainer ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Trainer { id, firstName, lastName, email, adminId }
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer'
+   */
+  async getAccessibleTrainer(trainerId, user) {
+    const trainer = await prisma.trainer.findUnique({
+      where: { id: trainerId },
+      select: { id: true, firstName: true, lastName: true, email: true, adminId: true }
+    });
+    if (!trainer) {
+      throw new Error('Trainer not found');
+    }
+
+    const allowed = user.role === 'SUPER_ADMIN' ||
+      (user.role === 'ADMIN' && trainer.adminId === user.id) ||
+      (user.role === 'TRAINER' && trainer.id === user.id);
+    if (!allowed) {
+      log.security('Trainer roster access denied', { userId: user.id, userRole: user.role, trainerId });
+      throw new Error('Access denied to trainer');
+    }
+
+    return trainer;
+  },
+
+  /**
+   * Score a set of customers over the last weeks in batched queries
+   * @param {Object[]} customers - Customers with id, accessLevel and accessGranted
+   * @param {number} weeks - Window length in weeks
+   * @param {Object} [options] - { includeDaily }
+   * @returns {Map} customerId -> { adherence, lastLoggedDate }
+   */
+  async scoreCustomers(customers, weeks, { includeDaily = false } = {}) {
+    const end = toDateOnly(new Date());
+    const start = addDays(end, -(weeks * 7 - 1));
+    const dates = Array.from({ length: weeks * 7 }, (_, index) => formatDate(addDays(start, index)));
+
+    const tracked = customers.filter(customer => customerService.canTrackProgress(customer));
+    const ids = tracked.map(customer => customer.id);
+
+    const [entries, meals, targets, lastLogged, water] = ids.length
+      ? await Promise.all([
+        prisma.foodLogEntry.findMany({
+          where: { customerId: { in: ids }, date: { gte: start, lte: end } },
+          select: {
+            customerId: true,
+            date: true,
+            mealNumber: true,
+            plannedMealId: true,
+            calories: true,
+            proteinGrams: true,
+            carbsGrams: true,
+            fatGrams: true
+          }
+        }),
+        prisma.meal.findMany({
+          where: {
+            day: {
+              date: { gte: start, lte: end },
+              mealPlan: { customerId: { in: ids }, status: 'PUBLISHED' }
+            }
+          },
+          select: {
+            id: true,
+            mealNumber: true,
+            day: { select: { date: true, mealPlan: { select: { customerId: true } } } }
+          }
+        }),
+        prisma.macroTarget.findMany({ where: { customerId: { in: ids }, isActive: true } }),
+        prisma.foodLogEntry.groupBy({
+          by: ['customerId'],
+          where: { customerId: { in: ids } },
+          _max: { date: true }
+        }),
+        hydrationService.getDailyTotals(ids, start, end)
+      ])
+      : [[], [], [], [], { totals: new Map(), targets: new Map() }];
+
+    const entriesByCustomer = groupBy(entries, entry => entry.customerId);
+    const mealsByCustomer = groupBy(
+      meals.map(meal => ({ id: meal.id, mealNumber: meal.mealNumber, date: meal.day.date, customerId: meal.day.mealPlan.customerId })),
+      meal => meal.customerId
+    );
+    const targetByCustomer = new Map(targets.map(target => [target.customerId, target]));
+    const lastLoggedByCustomer = new Map(lastLogged.map(row => [row.customerId, row._max.date]));
+
+    return new Map(customers.map(customer => {
+      const lastLoggedDate = lastLoggedByCustomer.get(customer.id);
+      if (!ids.includes(customer.id)) {
+        return [customer.id, { adherence: null, lastLoggedDate: lastLoggedDate ? formatDate(lastLoggedDate) : null }];
+      }
+
+      const days = scoreDays({
+        dates,
+        entries: entriesByCustomer.get(customer.id) || [],
+        plannedMeals: mealsByCustomer.get(customer.id) || [],
+        target: targetByCustomer.get(customer.id) || null,
+        water: water.totals.get(customer.id) || [],
+        waterTargetMl: water.targets.get(customer.id) ?? null
+      });
+
+      return [customer.id, {
+        adherence: {
+          ...summariseDays(days),
+          ...(includeDaily && { daily: days })
+        },
+        lastLoggedDate: lastLoggedDate ? formatDate(lastLoggedDate) : null
+      }];
+    }));
+  },
+
+  /**
+   * Daily and weekly adherence for one customer
+   * @param {Object} customer - Customer profile
+   * @param {Object} [options] - { weeks }
+   * @returns {Object} { customerId, trackingEnabled, from, to, lastLoggedDate, adherence }
+   */
+  async getCustomerAdherence(customer, { weeks = DEFAULT_ADHERENCE_WEEKS } = {}) {
+    try {
+      const scores = await this.scoreCustomers([customer], weeks, { includeDaily: true });
+      const { adherence, lastLoggedDate } = scores.get(customer.id);
+      const end = toDateOnly(new Date());
+
+      return {
+        customerId: customer.id,
+        trackingEnabled: customerService.canTrackProgress(customer),
+        from: formatDate(addDays(end, -(weeks * 7 - 1))),
+        to: formatDate(end),
+        lastLoggedDate,
+        adherence
+      };
+    } catch (error) {
+      log.error('Failed to get customer adherence', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * A trainer's customers with adherence scores, micronutrient alerts and
+   * roster totals
+   * @param {string} trainerId - Trainer ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { weeks, sortBy, order }
+   * @returns {Object} { trainer, summary, customers[] }
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer'
+   */
+  async getRoster(trainerId, user, { weeks = DEFAULT_ADHERENCE_WEEKS, sortBy = 'adherence', order = 'asc' } = {}) {
+    try {
+      const { adminId, ...trainer } = await this.getAccessibleTrainer(trainerId, user);
+
+      const customers = await prisma.customer.findMany({
+        where: { trainerId },
+        select: rosterCustomerSelect
+      });
+      const tracked = customers.filter(customer => customerService.canTrackProgress(customer));
+      const [scores, alerts] = await Promise.all([
+        this.scoreCustomers(customers, weeks),
+        micronutrientService.getAlertsForCustomers(tracked.map(customer => customer.id), weeks * 7)
+      ]);
+
+      const rows = customers.map(customer => ({
+        ...customer,
+        trackingEnabled: customerService.canTrackProgress(customer),
+        ...scores.get(customer.id),
+        micronutrientAlerts: alerts.get(customer.id) ?? null
+      }));
+
+      return {
+        trainer,
+        weeks,
+        summary: aggregateRoster(rows),
+        customers: sortRoster(rows, sortBy, order)
+      };
+    } catch (error) {
+      log.error('Failed to get trainer roster', { trainerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Roster totals per trainer: an ADMIN's trainers, or every trainer for SUPER_ADMIN.
+   * Trainers are paged by name and only the requested page is scored, so the
+   * score order applies within a page.
+   * @param {Object} user - ADMIN or SUPER_ADMIN
+   * @param {Object} [options] - { weeks, order, page, limit }
+   * @returns {Object} { trainers: [{ trainer, summary }], pagination }
+   */
+  async getTrainerOverview(user, { weeks = DEFAULT_ADHERENCE_WEEKS, order = 'asc', page = 1, limit = 20 } = {}) {
+    try {
+      const where = user.role === 'SUPER_ADMIN' ? {} : { adminId: user.id };
+
+      const [trainers, total] = await Promise.all([
+        prisma.trainer.findMany({
+          where,
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            customers: { select: rosterCustomerSelect }
+          },
+          orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }, { id: 'asc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.trainer.count({ where })
+      ]);
+
+      const scores = await this.scoreCustomers(trainers.flatMap(trainer => trainer.customers), weeks);
+
+      const rows = trainers.map(({ customers, ...trainer }) => ({
+        trainer,
+        summary: aggregateRoster(customers.map(customer => ({ ...customer, ...scores.get(customer.id) })))
+      }));
+
+      const direction = order === 'desc' ? -1 : 1;
+      rows.sort((a, b) => {
+        if (a.summary.averageScore === b.summary.averageScore) return 0;
+        if (a.summary.averageScore === null) return 1;
+        if (b.summary.averageScore === null) return -1;
+        return (a.summary.averageScore - b.summary.averageScore) * direction;
+      });
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        trainers: rows,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to get trainer adherence overview', { userId: user.id, error: error.message });
+      throw error;
+    }
+  }
+};
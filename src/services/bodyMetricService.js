@@ -0,0 +1,385 @@
+// Body metric service
+// Weigh-ins and body measurements over time, behind the progress endpoint.
+// Business rules:
+// - Values are stored in metric units and returned in the customer's
+//   measurement standard (pounds and inches for US_STANDARD)
+// - One record per customer and day; logging the same day again updates it
+// - The newest weigh-in is copied to the profile weight (and body fat).
+//   Targets are not recalculated per weigh-in; calorie changes come from the
+//   progress recommendation (progressAnalysisService)
+import { prisma } from '../config/prisma.js';
+import { KG_PER_POUND, CM_PER_INCH } from './nutritionService.js';
+import { progressPhotoService } from './progressPhotoService.js';
+import { hydrationService } from './hydrationService.js';
+import { MAX_DIARY_RANGE_DAYS } from './foodDiaryService.js';
+import { toDateOnly, addDays, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const BODY_METRIC_FIELDS = [
+  'weight',
+  'bodyFatPercentage',
+  'waist',
+  'hip',
+  'chest',
+  'arm',
+  'thigh',
+  'restingHeartRate'
+];
+
+const LENGTH_FIELDS = ['waist', 'hip', 'chest', 'arm', 'thigh'];
+
+export const DEFAULT_MOVING_AVERAGE_DAYS = 7;
+
+// Weekly change (in metric units) below which a trend counts as stable
+const STABLE_WEEKLY_CHANGE = {
+  weight: 0.1,
+  bodyFatPercentage: 0.1,
+  waist: 0.2,
+  hip: 0.2,
+  chest: 0.2,
+  arm: 0.2,
+  thigh: 0.2,
+  restingHeartRate: 0.5
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Units body metrics are shown in for a measurement standard
+ * @param {string} measurementStandard - METRIC or US_STANDARD
+ * @returns {Object} Unit per field
+ */
+export const metricUnits = (measurementStandard) => {
+  const imperial = measurementStandard === 'US_STANDARD';
+  return Object.fromEntries(BODY_METRIC_FIELDS.map(field => {
+    if (field === 'weight') return [field, imperial ? 'lb' : 'kg'];
+    if (LENGTH_FIELDS.includes(field)) return [field, imperial ? 'in' : 'cm'];
+    return [field, field === 'restingHeartRate' ? 'bpm' : '%'];
+  }));
+};
+
+const conversionFactor = (field, measurementStandard) => {
+  if (measurementStandard !== 'US_STANDARD') return 1;
+  if (field === 'weight') return KG_PER_POUND;
+  if (LENGTH_FIELDS.includes(field)) return CM_PER_INCH;
+  return 1;
+};
+
+/**
+ * Convert a value in the customer's units to the stored metric value
+ */
+export const toMetricValue = (field, value, measurementStandard) =>
+  (value === null || value === undefined ? value : value * conversionFactor(field, measurementStandard));
+
+/**
+ * Convert a stored metric value to the customer's units
+ */
+export const fromMetricValue = (field, value, measurementStandard) =>
+  (value === null || value === undefined ? value : value / conversionFactor(field, measurementStandard));
+
+/**
+ * Least-squares slope of a series
+ * @param {Object[]} points - [{ date, value }] sorted by date
+ * @returns {number|null} Change per day, or null without two distinct days
+ */
+export const linearTrend = (points) => {
+  if (points.length < 2) return null;
+
+  const origin = toDateOnly(points[0].date).getTime();
+  const xs = points.map(point => (toDateOnly(point.date).getTime() - origin) / MS_PER_DAY);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach((point, index) => {
+    sxx += (xs[index] - meanX) ** 2;
+    sxy += (xs[index] - meanX) * (point.value - meanY);
+  });
+
+  return sxx > 0 ? sxy / sxx : null;
+};
+
+/**
+ * Trailing moving average over a window of calendar days, so gaps between
+ * weigh-ins shrink the sample rather than stretch the window
+ * @param {Object[]} points - [{ date, value }] sorted by date
+ * @param {number} windowDays - Window length in days
+ * @returns {Object[]} [{ date, value, samples }]
+ */
+export const movingAverage = (points, windowDays) => {
+  let start = 0;
+  let sum = 0;
+
+  return points.map((point, index) => {
+    sum += point.value;
+    const windowStart = addDays(point.date, -(windowDays - 1)).getTime();
+    while (toDateOnly(points[start].date).getTime() < windowStart) {
+      sum -= points[start].value;
+      start++;
+    }
+
+    const samples = index - start + 1;
+    return { date: point.date, value: sum / samples, samples };
+  });
+};
+
+/**
+ * Summarise one metric over a range
+ * @param {string} field - Metric field
+ * @param {Object[]} points - Range values [{ date, value }] in metric units, sorted
+ * @param {Object} baseline - First value ever recorded { date, value }
+ * @param {Object} options - { measurementStandard, windowDays }
+ * @returns {Object} Start, latest, changes, trend and moving average in the customer's units
+ */
+export const summariseSeries = (field, points, baseline, { measurementStandard, windowDays }) => {
+  const show = (value) => (value === null ? null : round(fromMetricValue(field, value, measurementStandard)));
+  const point = ({ date, value }) => ({ date, value: show(value) });
+
+  const first = points[0];
+  const latest = points[points.length - 1];
+  const values = points.map(entry => entry.value);
+  const slope = linearTrend(points);
+
+  let direction = null;
+  if (slope !== null) {
+    direction = Math.abs(slope * 7) < STABLE_WEEKLY_CHANGE[field] ? 'STABLE' : (slope > 0 ? 'UP' : 'DOWN');
+  }
+
+  return {
+    unit: metricUnits(measurementStandard)[field],
+    count: points.length,
+    start: point(first),
+    latest: point(latest),
+    min: show(Math.min(...values)),
+    max: show(Math.max(...values)),
+    change: show(latest.value - first.value),
+    changePercent: first.value ? round(((latest.value - first.value) / first.value) * 100) : null,
+    baseline: point(baseline),
+    changeSinceStart: show(latest.value - baseline.value),
+    trend: {
+      perWeek: slope === null ? null : show(slope * 7),
+      direction
+    },
+    movingAverage: movingAverage(points, windowDays).map(average => ({
+      date: average.date,
+      value: show(average.value),
+      samples: average.samples
+    }))
+  };
+};
+
+export const bodyMetricService = {
+  /**
+   * Convert a stored record to the customer's units
+   * @param {Object} record - BodyMetric
+   * @param {string} measurementStandard - Customer's measurement standard
+   * @returns {Object} Record with date as YYYY-MM-DD
+   */
+  toResponse(record, measurementStandard) {
+    return {
+      ...record,
+      date: formatDate(record.date),
+      ...Object.fromEntries(BODY_METRIC_FIELDS.map(field => [
+        field,
+        record[field] === null ? null : round(fromMetricValue(field, record[field], measurementStandard), 1)
+      ]))
+    };
+  },
+
+  /**
+   * Record (or update) the measurements for a day
+   * @param {Object} customer - Customer profile
+   * @param {Object} data - { date?, notes?, ...metric values in the customer's units }
+   * @param {Object} user - Recording user
+   * @returns {Object} { metrics, profileUpdated }
+   */
+  async recordMetrics(customer, data, user) {
+    try {
+      const { date, notes, ...values } = data;
+      const day = toDateOnly(date ?? new Date());
+      const standard = customer.measurementStandard;
+
+      const fields = {
+        ...Object.fromEntries(BODY_METRIC_FIELDS
+          .filter(field => field in values)
+          .map(field => [
+            field,
+            values[field] === null ? null : round(toMetricValue(field, values[field], standard), 2)
+          ])),
+        ...(notes !== undefined && { notes })
+      };
+
+      const record = await prisma.bodyMetric.upsert({
+        where: { customerId_date: { customerId: customer.id, date: day } },
+        create: { customerId: customer.id, date: day, ...fields },
+        update: fields
+      });
+
+      log.business('Body metrics recorded', {
+        customerId: customer.id,
+        date: formatDate(day),
+        fields: Object.keys(fields),
+        recordedBy: user.id
+      });
+
+      // Only the newest weigh-in represents the customer's current weight
+      let profileUpdated = false;
+      if (typeof values.weight === 'number') {
+        const newer = await prisma.bodyMetric.findFirst({
+          where: { customerId: customer.id, date: { gt: day }, weight: { not: null } },
+          select: { id: true }
+        });
+
+        if (!newer) {
+          const profileData = {
+            weight: values.weight,
+            ...(typeof values.bodyFatPercentage === 'number' && { bodyFatPercentage: values.bodyFatPercentage })
+          };
+          await prisma.customer.update({ where: { id: customer.id }, data: profileData });
+
+          log.database('update', 'customers', {
+            customerId: customer.id,
+            updatedFields: Object.keys(profileData),
+            source: 'body_metrics'
+          });
+          profileUpdated = true;
+        }
+      }
+
+      return {
+        metrics: this.toResponse(record, standard),
+        profileUpdated
+      };
+    } catch (error) {
+      log.error('Failed to record body metrics', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a day's measurements. When they held the newest weight or body fat,
+   * the profile falls back to the latest remaining values.
+   * @param {string} customerId - Customer ID
+   * @param {string} metricId - BodyMetric ID
+   * @returns {Object} { profileUpdated }
+   * @throws {Error} 'Body metric not found'
+   */
+  async removeMetrics(customerId, metricId) {
+    try {
+      const record = await prisma.bodyMetric.findFirst({ where: { id: metricId, customerId } });
+      if (!record) {
+        throw new Error('Body metric not found');
+      }
+
+      await prisma.bodyMetric.delete({ where: { id: metricId } });
+
+      log.database('delete', 'body_metrics', { customerId, metricId });
+
+      const profileData = {};
+      for (const field of ['weight', 'bodyFatPercentage']) {
+        if (record[field] === null) continue;
+
+        const latest = await prisma.bodyMetric.findFirst({
+          where: { customerId, [field]: { not: null } },
+          select: { date: true, [field]: true },
+          orderBy: { date: 'desc' }
+        });
+        // Nothing left to fall back on, or the deleted day was not the newest
+        if (!latest || latest.date > record.date) continue;
+
+        profileData[field] = latest[field];
+      }
+
+      if (Object.keys(profileData).length === 0) {
+        return { profileUpdated: false };
+      }
+
+      const { measurementStandard } = await prisma.customer.findUnique({
+        where: { id: customerId },
+        select: { measurementStandard: true }
+      });
+      await prisma.customer.update({
+        where: { id: customerId },
+        data: Object.fromEntries(Object.entries(profileData).map(([field, value]) => [
+          field,
+          round(fromMetricValue(field, value, measurementStandard), 1)
+        ]))
+      });
+
+      log.database('update', 'customers', {
+        customerId,
+        updatedFields: Object.keys(profileData),
+        source: 'body_metrics'
+      });
+
+      return { profileUpdated: true };
+    } catch (error) {
+      log.error('Failed to remove body metrics', { customerId, metricId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Progress report: entries, trends, moving averages and changes per metric
+   * @param {Object} customer - Customer profile
+   * @param {Object} [range] - { from?, to?, window? } (defaults to all history and a 7-day average)
+   * @returns {Object} { from, to, measurementStandard, units, movingAverageDays, entries[], metrics, photos[], hydration }
+   */
+  async getProgress(customer, { from, to, window = DEFAULT_MOVING_AVERAGE_DAYS } = {}) {
+    try {
+      const end = toDateOnly(to ?? new Date());
+      const standard = customer.measurementStandard;
+
+      // Load everything up to the end of the range: the first record ever is
+      // the baseline for "change since start"
+      const history = await prisma.bodyMetric.findMany({
+        where: { customerId: customer.id, date: { lte: end } },
+        orderBy: { date: 'asc' }
+      });
+
+      const start = from ? toDateOnly(from) : (history[0]?.date ?? end);
+      const entries = history.filter(record => record.date >= start);
+
+      const metrics = {};
+      for (const field of BODY_METRIC_FIELDS) {
+        const series = (records) => records
+          .filter(record => record[field] !== null)
+          .map(record => ({ date: formatDate(record.date), value: record[field] }));
+
+        const points = series(entries);
+        if (!points.length) continue;
+
+        const [baseline] = series(history);
+        metrics[field] = summariseSeries(field, points, baseline, { measurementStandard: standard, windowDays: window });
+      }
+
+      // Hydration covers the range, up to the longest summary the log allows
+      const hydrationStart = addDays(end, -(MAX_DIARY_RANGE_DAYS - 1));
+      const [photos, hydration] = await Promise.all([
+        progressPhotoService.listPhotos(customer.id, { from: start, to: end }),
+        hydrationService.getSummary(customer, { from: start > hydrationStart ? start : hydrationStart, to: end })
+      ]);
+
+      return {
+        from: formatDate(start),
+        to: formatDate(end),
+        measurementStandard: standard,
+        units: metricUnits(standard),
+        movingAverageDays: window,
+        entries: entries.map(record => this.toResponse(record, standard)),
+        metrics,
+        photos,
+        hydration
+      };
+    } catch (error) {
+      log.error('Failed to get body metric progress', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  }
+};
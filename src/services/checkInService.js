@@ -0,0 +1,833 @@
+// Check-in service
+// Recurring questionnaires trainers send to their customers.
+// Business rules:
+// - TRAINER builds forms from scale, yes/no, text, number and photo questions
+//   and assigns them to customers on their roster (the whole roster when no
+//   customers are given); ADMIN and SUPER_ADMIN can read them
+// - A form opens a check-in on its weekday every intervalWeeks weeks from the
+//   start date; it is overdue dueDays after opening and can still be
+//   submitted late until the next one opens
+// - Check-ins scheduled before a customer was assigned are not owed
+// - Answers keep a copy of the question labels, so editing a form never
+//   changes submitted check-ins
+// - Photo answers are re-encoded like progress photos and only the customer
+//   and their trainer can read them (enforced by the routes)
+import crypto from 'node:crypto';
+import { prisma } from '../config/prisma.js';
+import { adherenceService } from './adherenceService.js';
+import { notificationService } from './notificationService.js';
+import { progressPhotoService } from './progressPhotoService.js';
+import { getStorage } from '../utils/storage.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+export const CHECK_IN_QUESTION_TYPES = ['SCALE', 'YES_NO', 'TEXT', 'NUMBER', 'PHOTO'];
+export const MAX_CHECK_IN_QUESTIONS = 30;
+export const MAX_CHECK_IN_PHOTOS = 5;
+export const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+const DEFAULT_SCALE = { min: 1, max: 10 };
+const RECENT_CHECK_INS = 20;
+
+const customerSummarySelect = { id: true, firstName: true, lastName: true, email: true };
+
+const customerPrefix = (customerId) => `check-ins/${customerId}`;
+
+/**
+ * Check question definitions and give every question a stable ID
+ * @param {Object[]} questions - [{ id?, type, label, required?, min?, max?, unit? }]
+ * @returns {Object[]} Questions to store
+ * @throws {Error} 'Invalid check-in form ...'
+ */
+export const normaliseQuestions = (questions) => {
+  const ids = new Set();
+
+  const normalised = questions.map(question => {
+    const id = question.id ?? crypto.randomBytes(4).toString('hex');
+    if (ids.has(id)) {
+      throw new Error(`Invalid check-in form: duplicate question ID ${id}`);
+    }
+    ids.add(id);
+
+    const stored = { id, type: question.type, label: question.label, required: question.required ?? true };
+
+    if (question.type === 'SCALE') {
+      stored.min = question.min ?? DEFAULT_SCALE.min;
+      stored.max = question.max ?? DEFAULT_SCALE.max;
+    } else if (question.type === 'NUMBER') {
+      if (question.min !== undefined) stored.min = question.min;
+      if (question.max !== undefined) stored.max = question.max;
+      if (question.unit) stored.unit = question.unit;
+    }
+
+    if (stored.min !== undefined && stored.max !== undefined && stored.min >= stored.max) {
+      throw new Error(`Invalid check-in form: "${question.label}" needs min below max`);
+    }
+
+    return stored;
+  });
+
+  if (normalised.filter(question => question.type === 'PHOTO').length > MAX_CHECK_IN_PHOTOS) {
+    throw new Error(`Invalid check-in form: at most ${MAX_CHECK_IN_PHOTOS} photo questions`);
+  }
+
+  return normalised;
+};
+
+/**
+ * First scheduled date of a form: its weekday on or after the start date
+ */
+const firstOccurrence = (form) => {
+  const start = toDateOnly(form.startDate);
+  const startWeekday = ((start.getUTCDay() + 6) % 7) + 1;
+  return addDays(start, (form.dayOfWeek - startWeekday + 7) % 7);
+};
+
+/**
+ * Latest date a form's schedule opened a check-in on or before a date
+ * @param {Object} form - { startDate, dayOfWeek, intervalWeeks }
+ * @param {Date|string} date - Reference date
+ * @returns {Date|null} Scheduled date, or null before the first one
+ */
+export const occurrenceOn = (form, date) => {
+  const first = firstOccurrence(form);
+  const day = toDateOnly(date);
+  if (day < first) return null;
+
+  const period = form.intervalWeeks * 7;
+  return addDays(first, Math.floor((daysBetween(first, day) - 1) / period) * period);
+};
+
+/**
+ * The check-in a customer owes for a form on a date
+ * @param {Object} form - Form schedule with dueDays
+ * @param {Date} assignedAt - When the customer was assigned the form
+ * @param {Date|string} date - Reference date
+ * @returns {Object} { scheduledFor, dueDate, nextDate } with scheduledFor and
+ *   dueDate null when nothing is owed yet
+ */
+export const periodFor = (form, assignedAt, date) => {
+  const current = occurrenceOn(form, date);
+  const nextDate = current ? addDays(current, form.intervalWeeks * 7) : firstOccurrence(form);
+
+  if (!current || current < toDateOnly(assignedAt)) {
+    return { scheduledFor: null, dueDate: null, nextDate };
+  }
+
+  return { scheduledFor: current, dueDate: addDays(current, form.dueDays), nextDate };
+};
+
+/**
+ * Status of an owed check-in
+ * @param {Object} period - Result of periodFor
+ * @param {Object|null} checkIn - Submission for the period
+ * @param {Date|string} date - Reference date
+ * @returns {string|null} SUBMITTED, PENDING or OVERDUE, null when nothing is owed
+ */
+export const checkInStatus = (period, checkIn, date) => {
+  if (!period.scheduledFor) return null;
+  if (checkIn) return 'SUBMITTED';
+  return toDateOnly(date) > period.dueDate ? 'OVERDUE' : 'PENDING';
+};
+
+/**
+ * Match answers and photo uploads to the form's questions
+ * @param {Object[]} questions - Form questions
+ * @param {Object} answers - { [questionId]: value }
+ * @param {Object} photos - { [questionId]: Buffer }
+ * @returns {Object[]} [{ questionId, type, label, value }] with photo values
+ *   still to be filled in
+ * @throws {Error} 'Invalid check-in answers ...'
+ */
+export const matchAnswers = (questions, answers, photos) => {
+  const questionIds = new Set(questions.map(question => question.id));
+  const unknown = [...Object.keys(answers), ...Object.keys(photos)].filter(id => !questionIds.has(id));
+  if (unknown.length) {
+    throw new Error(`Invalid check-in answers: unknown questions ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  return questions.map(question => {
+    const invalid = (reason) => new Error(`Invalid check-in answers: "${question.label}" ${reason}`);
+    const isPhoto = question.type === 'PHOTO';
+    let value = isPhoto ? null : answers[question.id];
+
+    if (isPhoto && answers[question.id] !== undefined) {
+      throw invalid('takes a photo upload');
+    }
+    if (!isPhoto && photos[question.id]) {
+      throw invalid('does not take a photo');
+    }
+    if (typeof value === 'string') {
+      value = value.trim() || null;
+    }
+
+    const answered = isPhoto ? Boolean(photos[question.id]) : value !== undefined && value !== null;
+    if (!answered) {
+      if (question.required) throw invalid('is required');
+      return { questionId: question.id, type: question.type, label: question.label, value: null };
+    }
+
+    switch (question.type) {
+      case 'SCALE':
+        if (!Number.isInteger(value) || value < question.min || value > question.max) {
+          throw invalid(`must be a whole number from ${question.min} to ${question.max}`);
+        }
+        break;
+
+      case 'YES_NO':
+        if (typeof value !== 'boolean') throw invalid('must be true or false');
+        break;
+
+      case 'TEXT':
+        if (typeof value !== 'string') throw invalid('must be text');
+        if (value.length > MAX_TEXT_ANSWER_LENGTH) throw invalid(`must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+        break;
+
+      case 'NUMBER':
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid('must be a number');
+        if (question.min !== undefined && value < question.min) throw invalid(`must be at least ${question.min}`);
+        if (question.max !== undefined && value > question.max) throw invalid(`must be at most ${question.max}`);
+        break;
+
+      default:
+        break;
+    }
+
+    return {
+      questionId: question.id,
+      type: question.type,
+      label: question.label,
+      ...(question.unit && { unit: question.unit }),
+      value
+    };
+  });
+};
+
+/**
+ * Storage keys of a check-in's photo answers
+ */
+const photoKeys = (checkIn) => (checkIn.answers || [])
+  .filter(answer => answer.type === 'PHOTO' && answer.value)
+  .flatMap(answer => [answer.value.storageKey, answer.value.thumbnailKey]);
+
+const toFormResponse = (form) => ({
+  id: form.id,
+  name: form.name,
+  description: form.description,
+  questions: form.questions,
+  schedule: {
+    intervalWeeks: form.intervalWeeks,
+    dayOfWeek: form.dayOfWeek,
+    dueDays: form.dueDays,
+    startDate: formatDate(form.startDate)
+  },
+  active: form.active,
+  ...(form.assignments && {
+    customers: form.assignments.map(assignment => ({ ...assignment.customer, assignedAt: assignment.createdAt }))
+  }),
+  createdAt: form.createdAt,
+  updatedAt: form.updatedAt
+});
+
+// Photo answers expose their size; the file is read through the photo endpoint
+const toCheckInResponse = (checkIn) => ({
+  id: checkIn.id,
+  form: checkIn.form ? { id: checkIn.form.id, name: checkIn.form.name } : { id: checkIn.formId },
+  ...(checkIn.customer && { customer: checkIn.customer }),
+  scheduledFor: formatDate(checkIn.scheduledFor),
+  submittedAt: checkIn.submittedAt,
+  reviewedAt: checkIn.reviewedAt,
+  trainerNotes: checkIn.trainerNotes,
+  answers: checkIn.answers.map(answer => (answer.type === 'PHOTO' && answer.value
+    ? { ...answer, value: { width: answer.value.width, height: answer.value.height } }
+    : answer))
+});
+
+const checkInInclude = {
+  form: { select: { id: true, name: true, trainerId: true } },
+  customer: { select: customerSummarySelect }
+};
+
+export const checkInService = {
+  /**
+   * Check that customers are on a trainer's roster
+   * @private
+   * @throws {Error} 'Invalid check-in form: ...' for anyone else
+   */
+  async _rosterCustomerIds(trainerId, customerIds) {
+    const roster = await prisma.customer.findMany({
+      where: { trainerId, ...(customerIds && { id: { in: customerIds } }) },
+      select: { id: true }
+    });
+    const ids = roster.map(customer => customer.id);
+
+    const missing = (customerIds ?? []).filter(id => !ids.includes(id));
+    if (missing.length) {
+      throw new Error(`Invalid check-in form: customers not assigned to this trainer: ${missing.join(', ')}`);
+    }
+
+    return ids;
+  },
+
+  /**
+   * Load one of a trainer's forms
+   * @private
+   * @throws {Error} 'Check-in form not found'
+   */
+  async _getTrainerForm(trainerId, formId) {
+    const form = await prisma.checkInForm.findFirst({
+      where: { id: formId, trainerId },
+      include: {
+        assignments: {
+          where: { customer: { trainerId } },
+          select: { createdAt: true, customer: { select: customerSummarySelect } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+    if (!form) {
+      throw new Error('Check-in form not found');
+    }
+    return form;
+  },
+
+  /**
+   * A trainer's forms with their assigned customers
+   * @param {string} trainerId - Trainer ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object[]} Forms
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer'
+   */
+  async listForms(trainerId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+
+      const forms = await prisma.checkInForm.findMany({
+        where: { trainerId },
+        include: {
+          assignments: {
+            where: { customer: { trainerId } },
+            select: { createdAt: true, customer: { select: customerSummarySelect } },
+            orderBy: { createdAt: 'asc' }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return forms.map(toFormResponse);
+    } catch (error) {
+      log.error('Failed to list check-in forms', { trainerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * One of a trainer's forms
+   * @param {string} trainerId - Trainer ID
+   * @param {string} formId - Form ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Form
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer' / 'Check-in form not found'
+   */
+  async getForm(trainerId, formId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+      return toFormResponse(await this._getTrainerForm(trainerId, formId));
+    } catch (error) {
+      log.error('Failed to get check-in form', { trainerId, formId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Create a form and assign it
+   * @param {string} trainerId - Trainer ID
+   * @param {Object} data - { name, description?, questions[], intervalWeeks, dayOfWeek, dueDays,
+   *   startDate?, active?, customerIds? } customerIds defaults to the whole roster
+   * @param {Object} user - Authenticated trainer
+   * @returns {Object} Created form
+   * @throws {Error} 'Invalid check-in form ...'
+   */
+  async createForm(trainerId, { customerIds, questions, startDate, ...data }, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+
+      const stored = normaliseQuestions(questions);
+      const ids = await this._rosterCustomerIds(trainerId, customerIds);
+
+      const form = await prisma.checkInForm.create({
+        data: {
+          ...data,
+          questions: stored,
+          startDate: toDateOnly(startDate ?? new Date()),
+          trainerId,
+          assignments: { create: ids.map(customerId => ({ customerId })) }
+        }
+      });
+
+      log.business('Check-in form created', {
+        formId: form.id,
+        trainerId,
+        questions: stored.length,
+        customers: ids.length
+      });
+
+      return toFormResponse(await this._getTrainerForm(trainerId, form.id));
+    } catch (error) {
+      log.error('Failed to create check-in form', { trainerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a form. Replacing customerIds keeps existing assignments, so
+   * customers who stay on the form keep their check-in history.
+   * @param {string} trainerId - Trainer ID
+   * @param {string} formId - Form ID
+   * @param {Object} data - Fields of createForm to change
+   * @param {Object} user - Authenticated trainer
+   * @returns {Object} Updated form
+   * @throws {Error} 'Check-in form not found' / 'Invalid check-in form ...'
+   */
+  async updateForm(trainerId, formId, { customerIds, questions, startDate, ...data }, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+      await this._getTrainerForm(trainerId, formId);
+
+      const stored = questions && normaliseQuestions(questions);
+      const ids = customerIds && await this._rosterCustomerIds(trainerId, customerIds);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.checkInForm.update({
+          where: { id: formId },
+          data: {
+            ...data,
+            ...(stored && { questions: stored }),
+            ...(startDate && { startDate: toDateOnly(startDate) })
+          }
+        });
+
+        if (ids) {
+          await tx.checkInAssignment.deleteMany({ where: { formId, customerId: { notIn: ids } } });
+          await tx.checkInAssignment.createMany({
+            data: ids.map(customerId => ({ formId, customerId })),
+            skipDuplicates: true
+          });
+        }
+      });
+
+      log.business('Check-in form updated', {
+        formId,
+        trainerId,
+        fields: Object.keys({ ...data, ...(questions && { questions }), ...(startDate && { startDate }), ...(customerIds && { customerIds }) })
+      });
+
+      return toFormResponse(await this._getTrainerForm(trainerId, formId));
+    } catch (error) {
+      log.error('Failed to update check-in form', { trainerId, formId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a form with its check-ins and their photos
+   * @param {string} trainerId - Trainer ID
+   * @param {string} formId - Form ID
+   * @param {Object} user - Authenticated trainer
+   * @throws {Error} 'Check-in form not found'
+   */
+  async deleteForm(trainerId, formId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+      await this._getTrainerForm(trainerId, formId);
+
+      const checkIns = await prisma.checkIn.findMany({ where: { formId }, select: { answers: true } });
+      await prisma.checkInForm.delete({ where: { id: formId } });
+
+      const storage = getStorage();
+      await Promise.all(checkIns.flatMap(photoKeys).map(key => storage.remove(key)));
+
+      log.database('delete', 'check_in_forms', { formId, trainerId, checkIns: checkIns.length });
+    } catch (error) {
+      log.error('Failed to delete check-in form', { trainerId, formId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Check-ins waiting on a trainer: submissions not yet reviewed, and the
+   * current check-ins customers have not sent yet
+   * @param {string} trainerId - Trainer ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { summary, awaitingReview[], overdue[], pending[] }
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer'
+   */
+  async getInbox(trainerId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+      const today = toDateOnly(new Date());
+
+      const [assignments, unreviewed] = await Promise.all([
+        prisma.checkInAssignment.findMany({
+          where: { form: { trainerId, active: true }, customer: { trainerId } },
+          select: {
+            createdAt: true,
+            customer: { select: customerSummarySelect },
+            form: { select: { id: true, name: true, startDate: true, dayOfWeek: true, intervalWeeks: true, dueDays: true } }
+          }
+        }),
+        prisma.checkIn.findMany({
+          where: { reviewedAt: null, form: { trainerId }, customer: { trainerId } },
+          include: checkInInclude,
+          orderBy: { submittedAt: 'asc' }
+        })
+      ]);
+
+      const owed = assignments
+        .map(assignment => ({ ...assignment, period: periodFor(assignment.form, assignment.createdAt, today) }))
+        .filter(assignment => assignment.period.scheduledFor);
+
+      const submitted = owed.length
+        ? await prisma.checkIn.findMany({
+          where: {
+            OR: owed.map(({ form, customer, period }) => ({
+              formId: form.id,
+              customerId: customer.id,
+              scheduledFor: period.scheduledFor
+            }))
+          },
+          select: { formId: true, customerId: true }
+        })
+        : [];
+      const submittedKeys = new Set(submitted.map(checkIn => `${checkIn.formId}:${checkIn.customerId}`));
+
+      const open = owed
+        .filter(({ form, customer }) => !submittedKeys.has(`${form.id}:${customer.id}`))
+        .map(({ form, customer, period }) => ({
+          form: { id: form.id, name: form.name },
+          customer,
+          scheduledFor: formatDate(period.scheduledFor),
+          dueDate: formatDate(period.dueDate),
+          status: checkInStatus(period, null, today),
+          daysOverdue: Math.max(0, daysBetween(period.dueDate, today) - 1)
+        }))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+      const overdue = open.filter(item => item.status === 'OVERDUE');
+      const pending = open.filter(item => item.status === 'PENDING');
+
+      return {
+        summary: {
+          awaitingReview: unreviewed.length,
+          overdue: overdue.length,
+          pending: pending.length
+        },
+        awaitingReview: unreviewed.map(toCheckInResponse),
+        overdue,
+        pending
+      };
+    } catch (error) {
+      log.error('Failed to get check-in inbox', { trainerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * One of a trainer's check-ins
+   * @param {string} trainerId - Trainer ID
+   * @param {string} checkInId - Check-in ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Check-in
+   * @throws {Error} 'Check-in not found'
+   */
+  async getTrainerCheckIn(trainerId, checkInId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+
+      const checkIn = await prisma.checkIn.findFirst({
+        where: { id: checkInId, form: { trainerId }, customer: { trainerId } },
+        include: checkInInclude
+      });
+      if (!checkIn) {
+        throw new Error('Check-in not found');
+      }
+
+      return toCheckInResponse(checkIn);
+    } catch (error) {
+      log.error('Failed to get check-in', { trainerId, checkInId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * A customer's check-ins for one of a trainer's customers
+   * @param {string} trainerId - Trainer ID
+   * @param {string} customerId - Customer ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object[]} Check-ins, newest first
+   */
+  async listCustomerCheckIns(trainerId, customerId, user) {
+    try {
+      await adherenceService.getAccessibleTrainer(trainerId, user);
+
+      const checkIns = await prisma.checkIn.findMany({
+        where: { customerId, form: { trainerId }, customer: { trainerId } },
+        include: checkInInclude,
+        orderBy: { submittedAt: 'desc' }
+      });
+
+      return checkIns.map(toCheckInResponse);
+    } catch (error) {
+      log.error('Failed to list customer check-ins', { trainerId, customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a check-in as reviewed, optionally with feedback for the customer
+   * @param {string} trainerId - Trainer ID
+   * @param {string} checkInId - Check-in ID
+   * @param {Object} data - { notes? }
+   * @param {Object} user - Authenticated trainer
+   * @returns {Object} Reviewed check-in
+   * @throws {Error} 'Check-in not found'
+   */
+  async reviewCheckIn(trainerId, checkInId, { notes }, user) {
+    try {
+      await this.getTrainerCheckIn(trainerId, checkInId, user);
+
+      const checkIn = await prisma.checkIn.update({
+        where: { id: checkInId },
+        data: { reviewedAt: new Date(), trainerNotes: notes || null },
+        include: checkInInclude
+      });
+
+      log.business('Check-in reviewed', { checkInId, trainerId, customerId: checkIn.customerId });
+
+      await notificationService.notify({
+        recipientId: checkIn.customerId,
+        recipientRole: 'CUSTOMER',
+        type: 'CHECK_IN_REVIEWED',
+        title: 'Check-in reviewed',
+        message: `Your trainer reviewed your "${checkIn.form.name}" check-in.${notes ? ` Notes: ${notes}` : ''}`,
+        data: { checkInId, formId: checkIn.formId }
+      });
+
+      return toCheckInResponse(checkIn);
+    } catch (error) {
+      log.error('Failed to review check-in', { trainerId, checkInId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * The customer's current check-ins and recent submissions
+   * @param {Object} customer - Customer profile with trainerId
+   * @returns {Object} { due[], recent[] } due holds one entry per assigned form
+   */
+  async getCustomerCheckIns(customer) {
+    try {
+      const today = toDateOnly(new Date());
+
+      const [assignments, recent] = await Promise.all([
+        customer.trainerId
+          ? prisma.checkInAssignment.findMany({
+            where: { customerId: customer.id, form: { trainerId: customer.trainerId, active: true } },
+            select: { createdAt: true, form: true }
+          })
+          : [],
+        prisma.checkIn.findMany({
+          where: { customerId: customer.id },
+          include: { form: { select: { id: true, name: true } } },
+          orderBy: { submittedAt: 'desc' },
+          take: RECENT_CHECK_INS
+        })
+      ]);
+
+      const periods = assignments.map(({ form, createdAt }) => ({ form, period: periodFor(form, createdAt, today) }));
+      const owed = periods.filter(({ period }) => period.scheduledFor);
+      const submitted = owed.length
+        ? await prisma.checkIn.findMany({
+          where: {
+            customerId: customer.id,
+            OR: owed.map(({ form, period }) => ({ formId: form.id, scheduledFor: period.scheduledFor }))
+          },
+          select: { id: true, formId: true }
+        })
+        : [];
+
+      const due = periods.map(({ form, period }) => {
+        const checkIn = period.scheduledFor ? submitted.find(item => item.formId === form.id) ?? null : null;
+        return {
+          form: { id: form.id, name: form.name, description: form.description, questions: form.questions },
+          scheduledFor: period.scheduledFor && formatDate(period.scheduledFor),
+          dueDate: period.dueDate && formatDate(period.dueDate),
+          nextDate: period.nextDate && formatDate(period.nextDate),
+          status: checkInStatus(period, checkIn, today),
+          checkInId: checkIn?.id ?? null
+        };
+      });
+
+      return { due, recent: recent.map(toCheckInResponse) };
+    } catch (error) {
+      log.error('Failed to get customer check-ins', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * One of the customer's check-ins
+   * @param {string} customerId - Customer ID
+   * @param {string} checkInId - Check-in ID
+   * @returns {Object} Check-in
+   * @throws {Error} 'Check-in not found'
+   */
+  async getCustomerCheckIn(customerId, checkInId) {
+    try {
+      const checkIn = await prisma.checkIn.findFirst({
+        where: { id: checkInId, customerId },
+        include: { form: { select: { id: true, name: true } } }
+      });
+      if (!checkIn) {
+        throw new Error('Check-in not found');
+      }
+
+      return toCheckInResponse(checkIn);
+    } catch (error) {
+      log.error('Failed to get check-in', { customerId, checkInId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Submit the current check-in of a form
+   * @param {Object} customer - Customer profile with trainerId
+   * @param {string} formId - Form ID
+   * @param {Object} answers - { [questionId]: value }
+   * @param {Object} [photos] - { [questionId]: Buffer } for photo questions
+   * @returns {Object} Created check-in
+   * @throws {Error} 'Check-in form not found' / 'Check-in not open ...' /
+   *   'Check-in already submitted' / 'Invalid check-in answers ...' / 'Invalid image ...'
+   */
+  async submitCheckIn(customer, formId, answers, photos = {}) {
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+      const assignment = customer.trainerId
+        ? await prisma.checkInAssignment.findFirst({
+          where: { formId, customerId: customer.id, form: { trainerId: customer.trainerId, active: true } },
+          select: { createdAt: true, form: true }
+        })
+        : null;
+      if (!assignment) {
+        throw new Error('Check-in form not found');
+      }
+
+      const { form } = assignment;
+      const period = periodFor(form, assignment.createdAt, new Date());
+      if (!period.scheduledFor) {
+        throw new Error(`Check-in not open: the next one opens on ${formatDate(period.nextDate)}`);
+      }
+
+      const existing = await prisma.checkIn.findUnique({
+        where: { formId_customerId_scheduledFor: { formId, customerId: customer.id, scheduledFor: period.scheduledFor } },
+        select: { id: true }
+      });
+      if (existing) {
+        throw new Error('Check-in already submitted');
+      }
+
+      const matched = matchAnswers(form.questions, answers, photos);
+
+      // Decode every photo before storing any, so one bad file stores nothing
+      const photoAnswers = matched.filter(answer => answer.type === 'PHOTO' && photos[answer.questionId]);
+      const processed = await Promise.all(photoAnswers.map(answer => progressPhotoService.processImage(photos[answer.questionId])));
+
+      for (const [index, answer] of photoAnswers.entries()) {
+        const { image, thumbnail, width, height } = processed[index];
+        const name = crypto.randomUUID();
+        const storageKey = `${customerPrefix(customer.id)}/${name}.jpg`;
+        const thumbnailKey = `${customerPrefix(customer.id)}/${name}_thumb.jpg`;
+
+        await storage.put(storageKey, image, { contentType: 'image/jpeg' });
+        await storage.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+        stored.push(storageKey, thumbnailKey);
+
+        answer.value = { storageKey, thumbnailKey, width, height };
+      }
+
+      const checkIn = await prisma.checkIn.create({
+        data: { formId, customerId: customer.id, scheduledFor: period.scheduledFor, answers: matched },
+        include: { form: { select: { id: true, name: true } } }
+      });
+
+      log.business('Check-in submitted', {
+        checkInId: checkIn.id,
+        formId,
+        customerId: customer.id,
+        scheduledFor: formatDate(period.scheduledFor),
+        late: checkInStatus(period, null, new Date()) === 'OVERDUE'
+      });
+
+      await notificationService.notify({
+        recipientId: form.trainerId,
+        recipientRole: 'TRAINER',
+        type: 'CHECK_IN_SUBMITTED',
+        title: 'New check-in',
+        message: `${customer.firstName} ${customer.lastName} submitted "${form.name}".`,
+        data: { checkInId: checkIn.id, formId, customerId: customer.id }
+      });
+
+      return toCheckInResponse(checkIn);
+    } catch (error) {
+      await Promise.all(stored.map(key => storage.remove(key)));
+      log.error('Failed to submit check-in', { customerId: customer.id, formId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Read a photo answer or its thumbnail
+   * @param {Object} where - Check-in filter, e.g. { id, customerId }
+   * @param {string} questionId - Photo question ID
+   * @param {Object} [options] - { thumbnail }
+   * @returns {Object} { filename, contentType, content }
+   * @throws {Error} 'Check-in photo not found'
+   */
+  async getPhotoFile(where, questionId, { thumbnail = false } = {}) {
+    try {
+      const checkIn = await prisma.checkIn.findFirst({ where, select: { id: true, scheduledFor: true, answers: true } });
+      const answer = checkIn?.answers.find(item => item.questionId === questionId && item.type === 'PHOTO');
+      const content = answer?.value
+        ? await getStorage().get(thumbnail ? answer.value.thumbnailKey : answer.value.storageKey)
+        : null;
+      if (!content) {
+        throw new Error('Check-in photo not found');
+      }
+
+      return {
+        filename: `check-in-${formatDate(checkIn.scheduledFor)}-${questionId}${thumbnail ? '-thumb' : ''}.jpg`,
+        contentType: 'image/jpeg',
+        content
+      };
+    } catch (error) {
+      log.error('Failed to read check-in photo', { where, questionId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete every stored check-in photo of a customer. The rows go with the
+   * customer through the foreign key cascade.
+   * @param {string} customerId - Deleted customer's ID
+   */
+  async removeCustomerFiles(customerId) {
+    try {
+      await getStorage().removePrefix(customerPrefix(customerId));
+      log.business('Check-in files removed', { customerId });
+    } catch (error) {
+      log.error('Failed to remove check-in files', { customerId, error: error.message });
+    }
+  }
+};
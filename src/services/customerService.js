@@ -0,0 +1,213 @@
+// Customer data service
+// Business rules:
+// - CUSTOMER can only read their own data
+// - TRAINER can read customers assigned to them
+// - ADMIN can read customers of trainers they manage
+// - SUPER_ADMIN can read any customer
+import { prisma } from '../config/prisma.js';
+import { macroTargetService, TARGET_PROFILE_FIELDS } from './macroTargetService.js';
+import { nutritionService } from './nutritionService.js';
+import { log } from '../utils/logger.js';
+
+// Customer columns that are safe to return to API clients
+export const customerProfileSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  phoneNumber: true,
+  birthDate: true,
+  gender: true,
+  measurementStandard: true,
+  height: true,
+  weight: true,
+  targetWeight: true,
+  bodyFatPercentage: true,
+  activityLevel: true,
+  mealsPerDay: true,
+  mealDistribution: true,
+  postWorkoutMeal: true,
+  fitnessGoal: true,
+  mealPlanCategory: true,
+  allergens: true,
+  intolerances: true,
+  dietaryRestrictions: true,
+  dislikedFoods: true,
+  cuisinePreferences: true,
+  accessLevel: true,
+  accessGranted: true,
+  trainerId: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Access levels that unlock progress tracking (food diary, body metrics)
+export const TRACKING_ACCESS_LEVELS = ['TRACK_MY_PROGRESS'];
+
+export const customerService = {
+  /**
+   * Get a customer's profile without sensitive fields
+   * @param {string} customerId - Customer ID
+   * @returns {Object|null} Customer profile
+   */
+  async getProfile(customerId) {
+    try {
+      log.database('read', 'customers', { customerId, operation: 'findUnique' });
+
+      return await prisma.customer.findUnique({
+        where: { id: customerId },
+        select: customerProfileSelect
+      });
+    } catch (error) {
+      log.error('Failed to get customer profile', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a customer's profile and recalculate macro targets when
+   * any energy or goal related field changed
+   * @param {string} customerId - Customer ID
+   * @param {Object} updateData - Validated profile fields
+   * @param {Object} [user] - User performing the update
+   * @returns {Object} { profile, targets, targetsRecalculated }
+   */
+  async updateProfile(customerId, updateData, user = null) {
+    try {
+      const current = await this.getProfile(customerId);
+      if (!current) {
+        throw new Error('Customer not found');
+      }
+
+      const profile = await prisma.customer.update({
+        where: { id: customerId },
+        data: updateData,
+        select: customerProfileSelect
+      });
+
+      log.database('update', 'customers', {
+        customerId,
+        updatedFields: Object.keys(updateData)
+      });
+
+      const changedTargetFields = TARGET_PROFILE_FIELDS.filter(field =>
+        field in updateData && String(updateData[field]) !== String(current[field])
+      );
+
+      let targets = await macroTargetService.getActiveTarget(customerId);
+      let targetsRecalculated = false;
+
+      if ((changedTargetFields.length > 0 || !targets)
+        && nutritionService.getMissingProfileFields(profile).length === 0) {
+        targets = await macroTargetService.recalculateTargets(profile, {
+          reason: changedTargetFields.length > 0
+            ? `Profile updated: ${changedTargetFields.join(', ')}`
+            : 'Initial calculation',
+          user
+        });
+        targetsRecalculated = true;
+      }
+
+      return { profile, targets, targetsRecalculated };
+    } catch (error) {
+      log.error('Failed to update customer profile', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a customer's dietary profile (allergens, intolerances,
+   * restrictions, dislikes and cuisine preferences)
+   * @param {string} customerId - Customer ID
+   * @param {Object} dietaryData - Validated dietary profile fields
+   * @param {Object} user - Updating user (the customer or their trainer)
+   * @returns {Object} Updated profile
+   */
+  async updateDietaryProfile(customerId, dietaryData, user) {
+    try {
+      const profile = await prisma.customer.update({
+        where: { id: customerId },
+        data: dietaryData,
+        select: customerProfileSelect
+      });
+
+      log.database('update', 'customers', {
+        customerId,
+        updatedFields: Object.keys(dietaryData),
+        updatedBy: user.id,
+        updatedByRole: user.role
+      });
+
+      return profile;
+    } catch (error) {
+      log.error('Failed to update customer dietary profile', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a user may access a customer's data
+   * @param {Object} customer - Customer record (must include trainerId)
+   * @param {Object} user - Authenticated user from req.user
+   * @returns {boolean} True when access is allowed
+   */
+  async canAccessCustomer(customer, user) {
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return true;
+
+      case 'ADMIN': {
+        if (!customer.trainerId) return false;
+        const trainer = await prisma.trainer.findUnique({
+          where: { id: customer.trainerId },
+          select: { adminId: true }
+        });
+        return trainer?.adminId === user.id;
+      }
+
+      case 'TRAINER':
+        return customer.trainerId === user.id;
+
+      case 'CUSTOMER':
+        return customer.id === user.id;
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Whether a customer may use progress tracking
+   * @param {Object} customer - Customer with accessLevel and accessGranted
+   * @returns {boolean} True when tracking is enabled
+   */
+  canTrackProgress(customer) {
+    return Boolean(customer?.accessGranted) && TRACKING_ACCESS_LEVELS.includes(customer.accessLevel);
+  },
+
+  /**
+   * Load a customer profile after enforcing the role hierarchy
+   * @param {string} customerId - Customer ID
+   * @param {Object} user - Authenticated user from req.user
+   * @returns {Object} Customer profile
+   * @throws {Error} 'Customer not found' or 'Access denied to customer'
+   */
+  async getAccessibleCustomer(customerId, user) {
+    const customer = await this.getProfile(customerId);
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    if (!(await this.canAccessCustomer(customer, user))) {
+      log.security('Customer access denied', {
+        userId: user.id,
+        userRole: user.role,
+        customerId
+      });
+      throw new Error('Access denied to customer');
+    }
+
+    return customer;
+  }
+};
@@ -0,0 +1,232 @@
+// Dietary profile service
+// Checks foods and recipes against a customer's allergies, intolerances,
+// religious/cultural restrictions and preferences.
+// Business rules:
+// - Allergens, intolerances and restrictions are HARD constraints: the
+//   generator never uses offending items, the builder flags them
+// - Disliked foods are SOFT constraints: avoided whenever an alternative exists
+// - Cuisine preferences only steer the generator towards matching recipes
+import { ALLERGENS } from './foodService.js';
+
+const MEAT_PATTERN = /\b(beef|pork|chicken|turkey|lamb|veal|bacon|ham|sausage|duck|venison|steak|meat|poultry|jerky|salami|pepperoni)\b/i;
+const SEAFOOD_PATTERN = /\b(fish|salmon|tuna|cod|trout|sardines?|mackerel|anchov(y|ies)|shrimp|prawns?|crab|lobster|oysters?|mussels?|clams?|scallops?|tilapia|halibut|seafood)\b/i;
+// "Butter" and "milk" preceded by a plant name (peanut butter, oat milk) are not dairy
+const PLANT_PREFIX = '(?<!(peanut|almond|cashew|nut|seed|apple|cocoa|shea|coconut|soy|oat|rice|hemp) )';
+const ANIMAL_PATTERN = new RegExp(`\\b(eggs?|honey|gelatin|whey|casein|${PLANT_PREFIX}butter|cheese|${PLANT_PREFIX}milk|yogh?urt|cream)\\b`, 'i');
+const PLANT_PATTERN = /\b(tofu|tempeh|seitan|soy|beans?|lentils?|chickpeas?|edamame|plant[- ]based|vegan)\b/i;
+const PORK_PATTERN = /\b(pork|bacon|ham|lard|prosciutto|pancetta|chorizo|salami|pepperoni|gelatin)\b/i;
+const BEEF_PATTERN = /\b(beef|veal|steak|brisket|gelatin)\b/i;
+const ALCOHOL_PATTERN = /\b(wine|beer|rum|vodka|whiskey|whisky|brandy|liqueur|sake|mirin|alcohol)\b/i;
+const SHELLFISH_PATTERN = /\b(shrimp|prawns?|crab|lobster|oysters?|mussels?|clams?|scallops?)\b/i;
+const ROOT_VEGETABLE_PATTERN = /\b(onions?|garlic|potato(es)?|carrots?|beets?|beetroot|radish(es)?|ginger|turnips?)\b/i;
+
+/**
+ * Intolerances: each matches foods by allergen or by ingredient keywords.
+ * Foods tagged "<intolerance>-free" (e.g. "lactose-free") are exempt.
+ */
+export const INTOLERANCES = {
+  LACTOSE: { allergens: ['MILK'], pattern: new RegExp(`\\b(${PLANT_PREFIX}milk|cheese|cream|yogh?urt|${PLANT_PREFIX}butter|whey)\\b`, 'i') },
+  GLUTEN: { allergens: ['GLUTEN', 'WHEAT'], pattern: /\b(wheat|barley|rye|spelt|bread|pasta|couscous|seitan)\b/i },
+  FRUCTOSE: { allergens: [], pattern: /\b(honey|agave|apples?|pears?|mangoes|mango|syrup|dates)\b/i },
+  FODMAP: { allergens: ['WHEAT'], pattern: /\b(onions?|garlic|beans?|lentils?|chickpeas?|apples?|pears?|honey|cauliflower|mushrooms?)\b/i },
+  HISTAMINE: { allergens: [], pattern: /\b(aged|cured|fermented|smoked|salami|sauerkraut|kimchi|vinegar|wine|spinach|tomato(es)?)\b/i },
+  CAFFEINE: { allergens: [], pattern: /\b(coffee|espresso|tea|cola|guarana|energy drink|matcha)\b/i }
+};
+
+/**
+ * Religious and cultural restrictions as predicates over a classified food.
+ * Foods tagged with the restriction name (e.g. "halal", "kosher") are exempt.
+ */
+export const DIETARY_RESTRICTIONS = {
+  HALAL: (food) => PORK_PATTERN.test(food.text) || ALCOHOL_PATTERN.test(food.text),
+  KOSHER: (food) => PORK_PATTERN.test(food.text) || SHELLFISH_PATTERN.test(food.text)
+    || (food.allergens || []).includes('SHELLFISH'),
+  NO_PORK: (food) => PORK_PATTERN.test(food.text),
+  NO_BEEF: (food) => BEEF_PATTERN.test(food.text),
+  NO_ALCOHOL: (food) => ALCOHOL_PATTERN.test(food.text),
+  VEGETARIAN: (food, classes) => classes.meat || classes.seafood,
+  VEGAN: (food, classes) => classes.animal,
+  JAIN: (food, classes) => classes.meat || classes.seafood
+    || (food.allergens || []).includes('EGGS') || ROOT_VEGETABLE_PATTERN.test(food.text)
+};
+
+const lowerList = (values) => (values || []).map(value => String(value).toLowerCase());
+
+export const dietaryProfileService = {
+  /**
+   * Classify a food for dietary rules
+   * @param {Object} food - Food with name, category, tags and allergens
+   * @returns {Object} { meat, seafood, animal }
+   */
+  classifyFood(food) {
+    const tags = lowerList(food.tags);
+    const allergens = food.allergens || [];
+    const text = `${food.name} ${tags.join(' ')}`;
+    const taggedVegan = tags.includes('vegan') || tags.includes('plant-based');
+    const taggedVegetarian = taggedVegan || tags.includes('vegetarian');
+
+    const seafood = allergens.includes('FISH') || allergens.includes('SHELLFISH') || SEAFOOD_PATTERN.test(text);
+    const meat = !taggedVegetarian && !seafood && (
+      MEAT_PATTERN.test(text) ||
+      // Untagged protein foods are assumed to be meat unless they look plant-based or are eggs
+      (food.category === 'PROTEIN' && !allergens.includes('EGGS') && !PLANT_PATTERN.test(text))
+    );
+    const animal = !taggedVegan && (
+      meat ||
+      seafood ||
+      food.category === 'DAIRY' ||
+      allergens.includes('MILK') ||
+      allergens.includes('EGGS') ||
+      ANIMAL_PATTERN.test(food.name)
+    );
+
+    return { meat, seafood, animal };
+  },
+
+  /**
+   * Read the dietary profile off a customer record
+   * @param {Object|null} customer - Customer with dietary profile fields
+   * @returns {Object} Normalised constraints
+   */
+  getConstraints(customer) {
+    return {
+      allergens: customer?.allergens || [],
+      intolerances: customer?.intolerances || [],
+      dietaryRestrictions: customer?.dietaryRestrictions || [],
+      dislikedFoods: lowerList(customer?.dislikedFoods),
+      cuisinePreferences: lowerList(customer?.cuisinePreferences)
+    };
+  },
+
+  /**
+   * Whether a set of constraints restricts anything at all
+   * @param {Object} constraints - Result of getConstraints
+   * @returns {boolean} True when no constraint is set
+   */
+  isEmpty(constraints) {
+    return Object.values(constraints).every(values => values.length === 0);
+  },
+
+  /**
+   * Check one food against the constraints
+   * @param {Object} food - Food with id, name, category, tags and allergens
+   * @param {Object} constraints - Result of getConstraints
+   * @returns {Object[]} Violations: { constraint, value, severity, message }
+   */
+  checkFood(food, constraints) {
+    const violations = [];
+    const tags = lowerList(food.tags);
+    const allergens = food.allergens || [];
+    const subject = { ...food, text: `${food.name} ${tags.join(' ')}` };
+
+    for (const allergen of constraints.allergens) {
+      if (allergens.includes(allergen)) {
+        violations.push({
+          constraint: 'ALLERGEN',
+          value: allergen,
+          severity: 'HARD',
+          message: `${food.name} contains ${allergen}`
+        });
+      }
+    }
+
+    for (const intolerance of constraints.intolerances) {
+      const rule = INTOLERANCES[intolerance];
+      if (!rule || tags.includes(`${intolerance.toLowerCase()}-free`)) continue;
+      if (rule.allergens.some(allergen => allergens.includes(allergen)) || rule.pattern.test(subject.text)) {
+        violations.push({
+          constraint: 'INTOLERANCE',
+          value: intolerance,
+          severity: 'HARD',
+          message: `${food.name} is not suitable for ${intolerance.toLowerCase()} intolerance`
+        });
+      }
+    }
+
+    if (constraints.dietaryRestrictions.length) {
+      const classes = this.classifyFood(food);
+      for (const restriction of constraints.dietaryRestrictions) {
+        const violates = DIETARY_RESTRICTIONS[restriction];
+        if (!violates || tags.includes(restriction.toLowerCase())) continue;
+        if (violates(subject, classes)) {
+          violations.push({
+            constraint: 'RESTRICTION',
+            value: restriction,
+            severity: 'HARD',
+            message: `${food.name} does not meet ${restriction} requirements`
+          });
+        }
+      }
+    }
+
+    const name = food.name.toLowerCase();
+    for (const disliked of constraints.dislikedFoods) {
+      if (disliked === String(food.id).toLowerCase() || name.includes(disliked)) {
+        violations.push({
+          constraint: 'DISLIKE',
+          value: disliked,
+          severity: 'SOFT',
+          message: `Customer dislikes ${food.name}`
+        });
+      }
+    }
+
+    return violations;
+  },
+
+  /**
+   * Check a recipe through its ingredients (and its own name for dislikes)
+   * @param {Object} recipe - Recipe with ingredients including their food
+   * @param {Object} constraints - Result of getConstraints
+   * @returns {Object[]} Violations, de-duplicated per constraint value
+   */
+  checkRecipe(recipe, constraints) {
+    const found = new Map();
+    const add = (violation) => {
+      const key = `${violation.constraint}:${violation.value}`;
+      if (!found.has(key)) found.set(key, violation);
+    };
+
+    for (const ingredient of recipe.ingredients || []) {
+      for (const violation of this.checkFood(ingredient.food, constraints)) {
+        add({ ...violation, message: `${recipe.name}: ${violation.message}` });
+      }
+    }
+
+    const name = recipe.name.toLowerCase();
+    for (const disliked of constraints.dislikedFoods) {
+      if (disliked === String(recipe.id).toLowerCase() || name.includes(disliked)) {
+        add({ constraint: 'DISLIKE', value: disliked, severity: 'SOFT', message: `Customer dislikes ${recipe.name}` });
+      }
+    }
+
+    return [...found.values()];
+  },
+
+  /**
+   * Whether a list of violations contains a hard constraint
+   * @param {Object[]} violations - Violations
+   * @returns {boolean} True when any is HARD
+   */
+  hasHardViolation(violations) {
+    return violations.some(violation => violation.severity === 'HARD');
+  },
+
+  /**
+   * Whether a recipe matches one of the preferred cuisines (by tag)
+   * @param {Object} recipe - Recipe with tags
+   * @param {Object} constraints - Result of getConstraints
+   * @returns {boolean} True when preferred
+   */
+  matchesCuisine(recipe, constraints) {
+    const tags = lowerList(recipe.tags);
+    return constraints.cuisinePreferences.some(cuisine => tags.includes(cuisine));
+  }
+};
+
+// Allowed values for the profile fields, used by the Joi schemas
+export const DIETARY_PROFILE_VALUES = {
+  allergens: ALLERGENS,
+  intolerances: Object.keys(INTOLERANCES),
+  dietaryRestrictions: Object.keys(DIETARY_RESTRICTIONS)
+};
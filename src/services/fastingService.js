@@ -0,0 +1,541 @@
+// Fasting service
+// Intermittent fasting protocols and logged fasts.
+// Business rules:
+// - A customer has at most one protocol. Daily protocols (16:8, 18:6, OMAD,
+//   or CUSTOM with a window) define an eating window; FIVE_TWO (or CUSTOM
+//   with fasting days) defines weekly reduced-calorie fasting days
+// - Plan meals must be timed inside the eating window and fasting days must
+//   stay under the fasting-day calorie cap: a meal time outside the window is
+//   refused and a conflicting plan cannot be submitted or published
+// - Generated plans and new plan meal slots are timed inside the window
+// - Customers with progress tracking enabled log fasts, one at a time. A fast
+//   is completed when it lasts its target hours; the streak counts
+//   consecutive days on which a completed fast ended
+import { prisma } from '../config/prisma.js';
+import { MAX_DIARY_RANGE_DAYS } from './foodDiaryService.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Presets per protocol; CUSTOM takes its window and fasting days from the request
+export const FASTING_PROTOCOLS = {
+  SIXTEEN_EIGHT: { eatingWindowStart: '12:00', eatingWindowHours: 8 },
+  EIGHTEEN_SIX: { eatingWindowStart: '12:00', eatingWindowHours: 6 },
+  OMAD: { eatingWindowStart: '18:00', eatingWindowHours: 1 },
+  FIVE_TWO: { fastingDays: [1, 4] },
+  CUSTOM: {}
+};
+
+export const FASTING_PROTOCOL_TYPES = Object.keys(FASTING_PROTOCOLS);
+
+// Calorie cap on fasting days when the protocol does not set one
+const FASTING_DAY_CALORIES = { MALE: 600, FEMALE: 500 };
+const DEFAULT_FASTING_DAY_CALORIES = 500;
+
+// Meals per day on fasting days in generated plans
+const FASTING_DAY_MAX_MEALS = 2;
+
+// Target of a logged fast when the protocol has no eating window
+const DEFAULT_FAST_HOURS = 16;
+
+const DEFAULT_SESSION_DAYS = 30;
+
+const TARGET_FIELDS = ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams'];
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (totalMinutes) => {
+  const minutes = ((Math.round(totalMinutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * ISO weekday of a date, 1 (Monday) to 7 (Sunday)
+ */
+export const isoWeekday = (date) => ((toDateOnly(date).getUTCDay() + 6) % 7) + 1;
+
+/**
+ * Whether a wall-clock time falls inside an eating window (edges included).
+ * Windows may cross midnight.
+ * @param {Object} window - { start: 'HH:mm', hours }
+ * @param {string} time - HH:mm
+ * @returns {boolean}
+ */
+export const isInEatingWindow = (window, time) =>
+  (toMinutes(time) - toMinutes(window.start) + MINUTES_PER_DAY) % MINUTES_PER_DAY <= window.hours * 60;
+
+/**
+ * Validate a protocol request and fill in the preset values
+ * @param {Object} data - { type, eatingWindowStart?, eatingWindowHours?, fastingDays?, fastingDayCalories? }
+ * @returns {Object} Values to store
+ * @throws {Error} 'Invalid fasting protocol ...'
+ */
+export const buildProtocol = ({ type, eatingWindowStart, eatingWindowHours, fastingDays, fastingDayCalories }) => {
+  const preset = FASTING_PROTOCOLS[type];
+  if (!preset) {
+    throw new Error(`Invalid fasting protocol: unknown type ${type}`);
+  }
+
+  const hours = type === 'CUSTOM' ? eatingWindowHours ?? null : preset.eatingWindowHours ?? null;
+  const days = [...new Set(fastingDays ?? preset.fastingDays ?? [])].sort((a, b) => a - b);
+
+  if (type === 'CUSTOM' && hours === null && !days.length) {
+    throw new Error('Invalid fasting protocol: CUSTOM needs an eating window or fasting days');
+  }
+  if (type === 'FIVE_TWO') {
+    const [first, second] = days;
+    const adjacent = days.length === 2 && (second - first === 1 || (first === 1 && second === 7));
+    if (days.length !== 2 || adjacent) {
+      throw new Error('Invalid fasting protocol: 5:2 needs two non-consecutive fasting days');
+    }
+  }
+  if (days.length > 3) {
+    throw new Error('Invalid fasting protocol: at most 3 fasting days per week');
+  }
+
+  return {
+    type,
+    eatingWindowStart: hours === null ? null : eatingWindowStart ?? preset.eatingWindowStart ?? '12:00',
+    eatingWindowHours: hours,
+    fastingDays: days.length ? days : null,
+    fastingDayCalories: days.length ? fastingDayCalories ?? null : null
+  };
+};
+
+/**
+ * Protocol as returned by the API, with defaults resolved
+ * @param {Object} record - FastingProtocol row
+ * @param {Object} customer - Customer with gender
+ * @returns {Object} { id, type, eatingWindow, fastingHours, fastingDays, fastingDayCalories, updatedAt }
+ */
+export const resolveProtocol = (record, customer) => {
+  const fastingDays = record.fastingDays ?? [];
+  const hasWindow = record.eatingWindowHours !== null && record.eatingWindowHours !== undefined;
+
+  return {
+    id: record.id,
+    type: record.type,
+    eatingWindow: hasWindow
+      ? {
+        start: record.eatingWindowStart,
+        end: toTime(toMinutes(record.eatingWindowStart) + record.eatingWindowHours * 60),
+        hours: record.eatingWindowHours
+      }
+      : null,
+    fastingHours: hasWindow ? 24 - record.eatingWindowHours : null,
+    fastingDays,
+    fastingDayCalories: fastingDays.length
+      ? record.fastingDayCalories ?? FASTING_DAY_CALORIES[customer?.gender] ?? DEFAULT_FASTING_DAY_CALORIES
+      : null,
+    updatedAt: record.updatedAt
+  };
+};
+
+/**
+ * Daily target for a fasting day: every macro scaled down to the calorie cap
+ * @param {Object} target - Active macro target
+ * @param {Object|null} protocol - Resolved protocol
+ * @returns {Object|null} Scaled target, or null when the protocol has no fasting days
+ */
+export const fastingDayTarget = (target, protocol) => {
+  if (!protocol?.fastingDays.length) return null;
+
+  const factor = Math.min(1, protocol.fastingDayCalories / target.calories);
+  return {
+    ...target,
+    ...Object.fromEntries(TARGET_FIELDS.map(field => [
+      field,
+      round((target[field] || 0) * factor, field === 'calories' ? 0 : 1)
+    ]))
+  };
+};
+
+/**
+ * Meals per day on a fasting day
+ */
+export const fastingDayMeals = (mealsPerDay) => Math.min(mealsPerDay, FASTING_DAY_MAX_MEALS);
+
+/**
+ * Find plan meals timed inside the fasting window and fasting days over the calorie cap
+ * @param {Object|null} protocol - Resolved protocol
+ * @param {Object[]} days - [{ dayNumber, date, meals: [{ mealNumber, name, time, calories }] }]
+ * @returns {Object[]} [{ type, dayNumber, date, ... }]
+ *   type MEAL_IN_FASTING_WINDOW: { mealNumber, name, time }
+ *   type FASTING_DAY_CALORIES: { calories, limit }
+ */
+export const findViolations = (protocol, days) => {
+  if (!protocol) return [];
+
+  const violations = [];
+  for (const day of days) {
+    const date = formatDate(day.date);
+
+    if (protocol.eatingWindow) {
+      for (const meal of day.meals) {
+        if (meal.time && !isInEatingWindow(protocol.eatingWindow, meal.time)) {
+          violations.push({ type: 'MEAL_IN_FASTING_WINDOW', dayNumber: day.dayNumber, date, mealNumber: meal.mealNumber, name: meal.name, time: meal.time });
+        }
+      }
+    }
+
+    if (protocol.fastingDays.includes(isoWeekday(day.date))) {
+      const calories = Math.round(day.meals.reduce((sum, meal) => sum + (meal.calories || 0), 0));
+      if (calories > protocol.fastingDayCalories) {
+        violations.push({ type: 'FASTING_DAY_CALORIES', dayNumber: day.dayNumber, date, calories, limit: protocol.fastingDayCalories });
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * One-line description of violations, for error messages
+ */
+export const describeViolations = (violations) => {
+  const meals = violations.filter(violation => violation.type === 'MEAL_IN_FASTING_WINDOW').length;
+  const fastingDays = violations.filter(violation => violation.type === 'FASTING_DAY_CALORIES').length;
+  return [
+    meals && `${meals} meal(s) inside the fasting window`,
+    fastingDays && `${fastingDays} fasting day(s) over the calorie limit`
+  ].filter(Boolean).join(', ');
+};
+
+/**
+ * Session as returned by the API
+ * @param {Object} session - FastingSession row
+ * @param {Date} [now] - Current time, for running fasts
+ * @returns {Object} Session with durationHours and completed (null while running)
+ */
+export const toSessionResponse = (session, now = new Date()) => {
+  const durationHours = ((session.endedAt ?? now).getTime() - session.startedAt.getTime()) / MS_PER_HOUR;
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    targetHours: session.targetHours,
+    durationHours: round(durationHours, 2),
+    ...(session.endedAt
+      ? { completed: durationHours >= session.targetHours }
+      : { completed: null, remainingHours: round(Math.max(0, session.targetHours - durationHours), 2) }),
+    notes: session.notes
+  };
+};
+
+/**
+ * Current and longest streak of days with a completed fast
+ * @param {Object[]} sessions - Session responses
+ * @param {Date} [today] - Reference day
+ * @returns {Object} { current, longest }
+ */
+export const fastingStreaks = (sessions, today = new Date()) => {
+  const days = [...new Set(sessions
+    .filter(session => session.completed)
+    .map(session => formatDate(session.endedAt)))]
+    .sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && daysBetween(previous, day) === 2 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  // Today's fast may still be running, so the current streak can end yesterday
+  const last = days[days.length - 1];
+  const end = toDateOnly(today);
+  const current = last && (formatDate(end) === last || formatDate(addDays(end, -1)) === last) ? run : 0;
+
+  return { current, longest };
+};
+
+/**
+ * Totals over finished sessions
+ * @param {Object[]} sessions - Session responses
+ * @returns {Object} { sessionCount, completedCount, completionRate, averageHours, longestHours }
+ */
+export const summariseSessions = (sessions) => {
+  const finished = sessions.filter(session => session.endedAt);
+  const completed = finished.filter(session => session.completed);
+  const hours = finished.map(session => session.durationHours);
+
+  return {
+    sessionCount: finished.length,
+    completedCount: completed.length,
+    completionRate: finished.length ? Math.round((completed.length / finished.length) * 100) : null,
+    averageHours: hours.length ? round(hours.reduce((sum, value) => sum + value, 0) / hours.length) : null,
+    longestHours: hours.length ? round(Math.max(...hours)) : null
+  };
+};
+
+export const fastingService = {
+  /**
+   * A customer's protocol
+   * @param {Object} customer - Customer with id and gender
+   * @returns {Object|null} Resolved protocol
+   */
+  async getProtocol(customer) {
+    const record = await prisma.fastingProtocol.findUnique({ where: { customerId: customer.id } });
+    return record ? resolveProtocol(record, customer) : null;
+  },
+
+  /**
+   * Create or replace a customer's protocol
+   * @param {Object} customer - Customer with id and gender
+   * @param {Object} data - Protocol request, see buildProtocol
+   * @param {Object} user - Acting user
+   * @returns {Object} Resolved protocol
+   * @throws {Error} 'Invalid fasting protocol ...'
+   */
+  async setProtocol(customer, data, user) {
+    try {
+      const values = buildProtocol(data);
+
+      const record = await prisma.fastingProtocol.upsert({
+        where: { customerId: customer.id },
+        create: { customerId: customer.id, ...values },
+        update: values
+      });
+
+      log.business('Fasting protocol set', {
+        customerId: customer.id,
+        type: values.type,
+        updatedBy: user.id,
+        role: user.role
+      });
+
+      return resolveProtocol(record, customer);
+    } catch (error) {
+      log.error('Failed to set fasting protocol', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a customer's protocol
+   * @param {string} customerId - Customer ID
+   * @param {Object} user - Acting user
+   * @throws {Error} 'Fasting protocol not found'
+   */
+  async removeProtocol(customerId, user) {
+    try {
+      const { count } = await prisma.fastingProtocol.deleteMany({ where: { customerId } });
+      if (!count) {
+        throw new Error('Fasting protocol not found');
+      }
+
+      log.business('Fasting protocol removed', { customerId, removedBy: user.id, role: user.role });
+    } catch (error) {
+      log.error('Failed to remove fasting protocol', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Protocol violations of a plan
+   * @param {Object} plan - Meal plan with id and customerId
+   * @returns {Object} { protocol, violations[] }
+   */
+  async checkPlan(plan) {
+    const customer = plan.customerId
+      ? await prisma.customer.findUnique({ where: { id: plan.customerId }, select: { id: true, gender: true } })
+      : null;
+    const protocol = customer ? await this.getProtocol(customer) : null;
+    if (!protocol) {
+      return { protocol: null, violations: [] };
+    }
+
+    const days = await prisma.mealPlanDay.findMany({
+      where: { mealPlanId: plan.id },
+      orderBy: { dayNumber: 'asc' },
+      select: {
+        dayNumber: true,
+        date: true,
+        meals: {
+          orderBy: { mealNumber: 'asc' },
+          select: { mealNumber: true, name: true, time: true, items: { select: { calories: true } } }
+        }
+      }
+    });
+
+    return {
+      protocol,
+      violations: findViolations(protocol, days.map(day => ({
+        ...day,
+        meals: day.meals.map(({ items, ...meal }) => ({
+          ...meal,
+          calories: items.reduce((sum, item) => sum + item.calories, 0)
+        }))
+      })))
+    };
+  },
+
+  /**
+   * Refuse a meal time inside the fasting window
+   * @param {Object|null} protocol - Resolved protocol
+   * @param {string|null} time - Meal time (HH:mm)
+   * @throws {Error} 'Fasting protocol conflict ...'
+   */
+  assertMealTime(protocol, time) {
+    if (time && protocol?.eatingWindow && !isInEatingWindow(protocol.eatingWindow, time)) {
+      const { start, end } = protocol.eatingWindow;
+      throw new Error(`Fasting protocol conflict: meal at ${time} is outside the eating window ${start}-${end}`);
+    }
+  },
+
+  /**
+   * Protocol, running fast, recent fasts, streaks and totals
+   * @param {Object} customer - Customer profile
+   * @param {Object} [range] - { from?, to? } (defaults to the last 30 days)
+   * @returns {Object} { protocol, activeSession, from, to, sessions[], summary, streak }
+   * @throws {Error} 'Invalid date range ...'
+   */
+  async getOverview(customer, { from, to } = {}) {
+    try {
+      const end = toDateOnly(to ?? new Date());
+      const start = toDateOnly(from ?? addDays(end, -(DEFAULT_SESSION_DAYS - 1)));
+      const dayCount = daysBetween(start, end);
+      if (dayCount < 1) {
+        throw new Error('Invalid date range: from must not be after to');
+      }
+      if (dayCount > MAX_DIARY_RANGE_DAYS) {
+        throw new Error(`Invalid date range: at most ${MAX_DIARY_RANGE_DAYS} days`);
+      }
+
+      const now = new Date();
+      const [protocol, sessions, active, streakSessions] = await Promise.all([
+        this.getProtocol(customer),
+        prisma.fastingSession.findMany({
+          where: { customerId: customer.id, startedAt: { gte: start, lt: addDays(end, 1) } },
+          orderBy: { startedAt: 'desc' }
+        }),
+        prisma.fastingSession.findFirst({ where: { customerId: customer.id, endedAt: null } }),
+        // The streak looks back past the range so it is not cut at its start
+        prisma.fastingSession.findMany({
+          where: { customerId: customer.id, endedAt: { not: null } },
+          orderBy: { endedAt: 'desc' },
+          take: 366
+        })
+      ]);
+
+      const responses = sessions.map(session => toSessionResponse(session, now));
+
+      return {
+        protocol,
+        activeSession: active ? toSessionResponse(active, now) : null,
+        from: formatDate(start),
+        to: formatDate(end),
+        sessions: responses,
+        summary: summariseSessions(responses),
+        streak: fastingStreaks(streakSessions.map(session => toSessionResponse(session, now)), now)
+      };
+    } catch (error) {
+      log.error('Failed to get fasting overview', { customerId: customer.id, from, to, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Start a fast
+   * @param {Object} customer - Customer profile
+   * @param {Object} data - { startedAt?, targetHours?, notes? } targetHours defaults to the protocol's fasting hours
+   * @returns {Object} Running session
+   * @throws {Error} 'Fasting session already in progress'
+   */
+  async startSession(customer, { startedAt, targetHours, notes }) {
+    try {
+      const active = await prisma.fastingSession.findFirst({ where: { customerId: customer.id, endedAt: null } });
+      if (active) {
+        throw new Error('Fasting session already in progress');
+      }
+
+      const protocol = await this.getProtocol(customer);
+      const session = await prisma.fastingSession.create({
+        data: {
+          customerId: customer.id,
+          startedAt: startedAt ? new Date(startedAt) : new Date(),
+          targetHours: targetHours ?? protocol?.fastingHours ?? DEFAULT_FAST_HOURS,
+          notes: notes || null
+        }
+      });
+
+      log.business('Fast started', { customerId: customer.id, sessionId: session.id, targetHours: session.targetHours });
+
+      return toSessionResponse(session);
+    } catch (error) {
+      log.error('Failed to start fast', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * End the running fast
+   * @param {Object} customer - Customer profile
+   * @param {Object} data - { endedAt?, notes? }
+   * @returns {Object} Finished session
+   * @throws {Error} 'No fasting session in progress' / 'Invalid fasting session ...'
+   */
+  async stopSession(customer, { endedAt, notes }) {
+    try {
+      const active = await prisma.fastingSession.findFirst({ where: { customerId: customer.id, endedAt: null } });
+      if (!active) {
+        throw new Error('No fasting session in progress');
+      }
+
+      const end = endedAt ? new Date(endedAt) : new Date();
+      if (end <= active.startedAt) {
+        throw new Error('Invalid fasting session: end must be after the start');
+      }
+
+      const session = await prisma.fastingSession.update({
+        where: { id: active.id },
+        data: { endedAt: end, ...(notes !== undefined && { notes: notes || null }) }
+      });
+      const response = toSessionResponse(session);
+
+      log.business('Fast ended', {
+        customerId: customer.id,
+        sessionId: session.id,
+        durationHours: response.durationHours,
+        completed: response.completed
+      });
+
+      return response;
+    } catch (error) {
+      log.error('Failed to end fast', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a logged fast
+   * @param {string} customerId - Customer ID
+   * @param {string} sessionId - Session ID
+   * @throws {Error} 'Fasting session not found'
+   */
+  async removeSession(customerId, sessionId) {
+    try {
+      const { count } = await prisma.fastingSession.deleteMany({ where: { id: sessionId, customerId } });
+      if (!count) {
+        throw new Error('Fasting session not found');
+      }
+
+      log.database('delete', 'fasting_sessions', { customerId, sessionId });
+    } catch (error) {
+      log.error('Failed to remove fasting session', { customerId, sessionId, error: error.message });
+      throw error;
+    }
+  }
+};
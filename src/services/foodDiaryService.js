@@ -0,0 +1,364 @@
+// Food diary service
+// Records what customers actually ate, next to what their plan says.
+// Business rules:
+// - Only customers with progress tracking enabled keep a diary (enforced by
+//   the requireTrackingAccess middleware); their trainer can read it
+// - Entries are foods or recipes with nutrition calculated when logged, so
+//   later food database edits do not rewrite history
+// - A meal from a PUBLISHED plan can be marked as eaten once; its items are
+//   copied into the diary as planned
+// - Day totals are compared against the customer's active macro target
+import { Prisma } from '../generated/prisma/index.js';
+import { prisma } from '../config/prisma.js';
+import { mealPlanService, TOTAL_FIELDS } from './mealPlanService.js';
+import { macroTargetService } from './macroTargetService.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Longest range returned by a diary summary
+export const MAX_DIARY_RANGE_DAYS = 92;
+
+const entryInclude = {
+  food: { select: { id: true, name: true, brand: true, category: true } },
+  recipe: { select: { id: true, name: true, servings: true } }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const sumTotals = (entries) => Object.fromEntries(TOTAL_FIELDS.map(field => [
+  field,
+  round(entries.reduce((sum, entry) => sum + (entry[field] || 0), 0), field === 'calories' ? 0 : 1)
+]));
+
+/**
+ * Group a day's entries by meal slot; entries without a slot come last
+ * @param {Object[]} entries - Diary entries ordered by meal number
+ * @returns {Object[]} [{ mealNumber, mealName, entries, totals }]
+ */
+const groupByMeal = (entries) => {
+  const meals = new Map();
+  for (const entry of entries) {
+    const key = entry.mealNumber ?? null;
+    if (!meals.has(key)) {
+      meals.set(key, { mealNumber: key, mealName: entry.mealName, entries: [] });
+    }
+    const meal = meals.get(key);
+    meal.mealName = meal.mealName || entry.mealName;
+    meal.entries.push(entry);
+  }
+
+  return [...meals.values()]
+    .sort((a, b) => (a.mealNumber ?? Infinity) - (b.mealNumber ?? Infinity))
+    .map(meal => ({ ...meal, totals: sumTotals(meal.entries) }));
+};
+
+export const foodDiaryService = {
+  /**
+   * Get one diary day with totals and the planned meals for that date
+   * @param {string} customerId - Customer ID
+   * @param {Date|string} [date] - Day (defaults to today)
+   * @returns {Object} { date, meals[], totals, targets, targetComparison, plannedMeals[] }
+   */
+  async getDay(customerId, date = new Date()) {
+    try {
+      const day = toDateOnly(date);
+
+      const [entries, target, plannedMeals] = await Promise.all([
+        prisma.foodLogEntry.findMany({
+          where: { customerId, date: day },
+          include: entryInclude,
+          orderBy: [{ mealNumber: 'asc' }, { createdAt: 'asc' }]
+        }),
+        macroTargetService.getActiveTarget(customerId),
+        this.getPlannedMeals(customerId, day)
+      ]);
+
+      const totals = sumTotals(entries);
+      const loggedMealIds = new Set(entries.map(entry => entry.plannedMealId).filter(Boolean));
+
+      return {
+        date: formatDate(day),
+        meals: groupByMeal(entries),
+        totals,
+        targets: target,
+        targetComparison: mealPlanService.compareToTarget(totals, target),
+        plannedMeals: plannedMeals.map(meal => ({ ...meal, logged: loggedMealIds.has(meal.id) }))
+      };
+    } catch (error) {
+      log.error('Failed to get food diary day', { customerId, date, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Meals scheduled for a customer on a date in their published plans
+   * @param {string} customerId - Customer ID
+   * @param {Date} day - Date-only value
+   * @returns {Object[]} Meals with items, totals and their plan
+   */
+  async getPlannedMeals(customerId, day) {
+    const meals = await prisma.meal.findMany({
+      where: { day: { date: day, mealPlan: { customerId, status: 'PUBLISHED' } } },
+      include: {
+        day: { select: { mealPlanId: true, dayNumber: true } },
+        items: { orderBy: { position: 'asc' }, include: entryInclude }
+      },
+      orderBy: { mealNumber: 'asc' }
+    });
+
+    return meals.map(meal => ({ ...meal, totals: sumTotals(meal.items) }));
+  },
+
+  /**
+   * Daily totals over a date range
+   * @param {string} customerId - Customer ID
+   * @param {Object} range - { from?, to?, includeEntries? } (defaults to the last 7 days)
+   * @returns {Object} { from, to, targets, days[], loggedDays, dailyAverage, averageComparison }
+   * @throws {Error} 'Invalid date range ...'
+   */
+  async getSummary(customerId, { from, to, includeEntries = false } = {}) {
+    try {
+      const end = toDateOnly(to ?? new Date());
+      const start = toDateOnly(from ?? addDays(end, -6));
+      const dayCount = daysBetween(start, end);
+      if (dayCount < 1) {
+        throw new Error('Invalid date range: from must not be after to');
+      }
+      if (dayCount > MAX_DIARY_RANGE_DAYS) {
+        throw new Error(`Invalid date range: at most ${MAX_DIARY_RANGE_DAYS} days`);
+      }
+
+      const [entries, target] = await Promise.all([
+        prisma.foodLogEntry.findMany({
+          where: { customerId, date: { gte: start, lte: end } },
+          include: includeEntries ? entryInclude : undefined,
+          orderBy: [{ date: 'asc' }, { mealNumber: 'asc' }, { createdAt: 'asc' }]
+        }),
+        macroTargetService.getActiveTarget(customerId)
+      ]);
+
+      const byDate = new Map();
+      for (const entry of entries) {
+        const key = formatDate(entry.date);
+        if (!byDate.has(key)) byDate.set(key, []);
+        byDate.get(key).push(entry);
+      }
+
+      const days = Array.from({ length: dayCount }, (_, index) => {
+        const date = formatDate(addDays(start, index));
+        const dayEntries = byDate.get(date) || [];
+        const totals = sumTotals(dayEntries);
+        return {
+          date,
+          entryCount: dayEntries.length,
+          totals,
+          targetComparison: dayEntries.length ? mealPlanService.compareToTarget(totals, target) : null,
+          ...(includeEntries && { meals: groupByMeal(dayEntries) })
+        };
+      });
+
+      // Days without entries are treated as not logged rather than as fasting
+      const logged = days.filter(day => day.entryCount > 0);
+      const dailyAverage = logged.length
+        ? Object.fromEntries(TOTAL_FIELDS.map(field => [
+          field,
+          round(logged.reduce((sum, day) => sum + day.totals[field], 0) / logged.length, field === 'calories' ? 0 : 1)
+        ]))
+        : null;
+
+      return {
+        from: formatDate(start),
+        to: formatDate(end),
+        targets: target,
+        days,
+        loggedDays: logged.length,
+        dailyAverage,
+        averageComparison: dailyAverage ? mealPlanService.compareToTarget(dailyAverage, target) : null
+      };
+    } catch (error) {
+      log.error('Failed to get food diary summary', { customerId, from, to, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Log a food or recipe
+   * @param {string} customerId - Customer ID
+   * @param {Object} entryData - { foodId | recipeId, quantity, unit, date?, mealNumber?, mealName?, notes? }
+   * @returns {Object} Created entry
+   * @throws {Error} 'Food not found' / 'Recipe not found' / 'Invalid unit ...'
+   */
+  async logEntry(customerId, entryData) {
+    try {
+      const { date, mealNumber, mealName, ...item } = entryData;
+      const data = await mealPlanService.calculateItem(item);
+
+      const entry = await prisma.foodLogEntry.create({
+        data: {
+          ...data,
+          customerId,
+          date: toDateOnly(date ?? new Date()),
+          mealNumber: mealNumber ?? null,
+          mealName: mealName ?? null
+        },
+        include: entryInclude
+      });
+
+      log.business('Food diary entry logged', {
+        customerId,
+        entryId: entry.id,
+        date: formatDate(entry.date),
+        calories: entry.calories
+      });
+
+      return entry;
+    } catch (error) {
+      log.error('Failed to log food diary entry', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a planned meal as eaten by copying its items into the diary
+   * @param {string} customerId - Customer ID
+   * @param {Object} request - { mealId, date? } (date defaults to the planned day)
+   * @returns {Object} The diary day the meal was logged on
+   * @throws {Error} 'Planned meal not found' / 'Planned meal already logged' / 'Planned meal has no items'
+   */
+  async logPlannedMeal(customerId, { mealId, date }) {
+    try {
+      const meal = await prisma.meal.findFirst({
+        where: { id: mealId, day: { mealPlan: { customerId, status: 'PUBLISHED' } } },
+        include: {
+          day: { select: { date: true } },
+          items: { orderBy: { position: 'asc' } }
+        }
+      });
+      if (!meal) {
+        throw new Error('Planned meal not found');
+      }
+      if (!meal.items.length) {
+        throw new Error('Planned meal has no items');
+      }
+
+      const alreadyLogged = await prisma.foodLogEntry.count({
+        where: { customerId, plannedMealId: mealId }
+      });
+      if (alreadyLogged) {
+        throw new Error('Planned meal already logged');
+      }
+
+      const day = toDateOnly(date ?? meal.day.date);
+
+      await prisma.foodLogEntry.createMany({
+        data: meal.items.map(item => ({
+          customerId,
+          date: day,
+          mealNumber: meal.mealNumber,
+          mealName: meal.name,
+          plannedMealId: meal.id,
+          foodId: item.foodId,
+          recipeId: item.recipeId,
+          quantity: item.quantity,
+          unit: item.unit,
+          grams: item.grams,
+          calories: item.calories,
+          proteinGrams: item.proteinGrams,
+          carbsGrams: item.carbsGrams,
+          fatGrams: item.fatGrams,
+          fiberGrams: item.fiberGrams,
+          micronutrients: item.micronutrients ?? Prisma.DbNull,
+          notes: item.notes
+        }))
+      });
+
+      log.business('Planned meal logged as eaten', {
+        customerId,
+        mealId,
+        date: formatDate(day),
+        items: meal.items.length
+      });
+
+      return this.getDay(customerId, day);
+    } catch (error) {
+      log.error('Failed to log planned meal', { customerId, mealId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Find one of the customer's diary entries
+   * @private
+   */
+  async _getEntry(customerId, entryId) {
+    const entry = await prisma.foodLogEntry.findFirst({ where: { id: entryId, customerId } });
+    if (!entry) {
+      throw new Error('Diary entry not found');
+    }
+    return entry;
+  },
+
+  /**
+   * Update a diary entry; nutrition is recalculated when the portion changes
+   * @param {string} customerId - Customer ID
+   * @param {string} entryId - Entry ID
+   * @param {Object} changes - { quantity?, unit?, date?, mealNumber?, mealName?, notes? }
+   * @returns {Object} Updated entry
+   * @throws {Error} 'Diary entry not found' / 'Invalid unit ...'
+   */
+  async updateEntry(customerId, entryId, changes) {
+    try {
+      const entry = await this._getEntry(customerId, entryId);
+      const { quantity, unit, date, ...fields } = changes;
+
+      let nutrition = {};
+      if (quantity !== undefined || unit !== undefined) {
+        const { notes, ...calculated } = await mealPlanService.calculateItem({
+          foodId: entry.foodId,
+          recipeId: entry.recipeId,
+          quantity: quantity ?? entry.quantity,
+          unit: unit ?? entry.unit
+        });
+        nutrition = calculated;
+      }
+
+      const updated = await prisma.foodLogEntry.update({
+        where: { id: entryId },
+        data: {
+          ...fields,
+          ...nutrition,
+          ...(date !== undefined && { date: toDateOnly(date) })
+        },
+        include: entryInclude
+      });
+
+      log.database('update', 'food_log_entries', { customerId, entryId, fields: Object.keys(changes) });
+
+      return updated;
+    } catch (error) {
+      log.error('Failed to update food diary entry', { customerId, entryId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a diary entry
+   * @param {string} customerId - Customer ID
+   * @param {string} entryId - Entry ID
+   * @throws {Error} 'Diary entry not found'
+   */
+  async removeEntry(customerId, entryId) {
+    try {
+      await this._getEntry(customerId, entryId);
+      await prisma.foodLogEntry.delete({ where: { id: entryId } });
+
+      log.database('delete', 'food_log_entries', { customerId, entryId });
+    } catch (error) {
+      log.error('Failed to remove food diary entry', { customerId, entryId, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,475 @@
+// Food import service
+// Seeds the food catalog from offline datasets - no network calls are made.
+// Supported formats:
+// - USDA_JSON: FoodData Central JSON downloads (Foundation, SR Legacy, Survey, Branded)
+// - USDA_CSV: FoodData Central CSV downloads (food.csv, food_nutrient.csv, food_portion.csv, ...)
+// - CSV: our own spreadsheet format, one food per row
+// Imports are idempotent: foods are matched on (source, sourceId) and updated in place.
+import { prisma } from '../config/prisma.js';
+import { createFoodSchema } from '../validators/foodValidators.js';
+import { ALLERGENS, MICRONUTRIENT_UNITS } from './foodService.js';
+import { recipeService } from './recipeService.js';
+import { parseCsv } from '../utils/csv.js';
+import { log } from '../utils/logger.js';
+
+export const IMPORT_FORMATS = ['USDA_JSON', 'USDA_CSV', 'CSV'];
+
+const MAX_REPORTED_ERRORS = 500;
+
+// FoodData Central nutrient IDs per catalog field, in order of preference
+const USDA_NUTRIENT_IDS = {
+  calories: [1008, 2048, 2047], // Energy (kcal), then Atwater specific/general factors
+  proteinGrams: [1003],
+  fatGrams: [1004],
+  carbsGrams: [1005],
+  fiberGrams: [1079],
+  sugarGrams: [2000, 1063],
+  saturatedFatGrams: [1258],
+  'micronutrients.calcium': [1087],
+  'micronutrients.iron': [1089],
+  'micronutrients.magnesium': [1090],
+  'micronutrients.potassium': [1092],
+  'micronutrients.sodium': [1093],
+  'micronutrients.zinc': [1095],
+  'micronutrients.vitaminA': [1106], // RAE
+  'micronutrients.vitaminC': [1162],
+  'micronutrients.vitaminD': [1114], // D2 + D3
+  'micronutrients.vitaminE': [1109],
+  'micronutrients.vitaminK': [1185],
+  'micronutrients.vitaminB12': [1178],
+  'micronutrients.folate': [1190, 1177] // DFE, then total folate
+};
+
+// Legacy SR nutrient numbers used by older downloads, mapped to nutrient IDs
+const USDA_NUTRIENT_NUMBERS = {
+  208: 1008, 203: 1003, 204: 1004, 205: 1005, 291: 1079, 269: 2000, 606: 1258,
+  301: 1087, 303: 1089, 304: 1090, 306: 1092, 307: 1093, 309: 1095, 320: 1106,
+  401: 1162, 328: 1114, 323: 1109, 430: 1185, 418: 1178, 435: 1190, 417: 1177
+};
+
+// Keywords used to map free-text food categories onto FoodCategory
+const CATEGORY_KEYWORDS = [
+  ['DAIRY', ['dairy', 'milk', 'cheese', 'yogurt', 'egg']],
+  ['PROTEIN', ['poultry', 'beef', 'pork', 'lamb', 'veal', 'game', 'sausage', 'meat', 'fish', 'seafood', 'shellfish', 'chicken', 'turkey']],
+  ['LEGUMES', ['legume', 'bean', 'lentil', 'tofu', 'soy']],
+  ['NUTS_SEEDS', ['nut', 'seed']],
+  ['GRAINS', ['cereal', 'grain', 'pasta', 'bread', 'baked', 'rice', 'oat']],
+  ['VEGETABLES', ['vegetable']],
+  ['FRUITS', ['fruit', 'juice']],
+  ['FATS_OILS', ['fat', 'oil']],
+  ['BEVERAGES', ['beverage', 'drink', 'coffee', 'tea']],
+  ['SNACKS', ['snack', 'sweet', 'candy', 'dessert', 'chips']],
+  ['CONDIMENTS', ['spice', 'herb', 'sauce', 'condiment', 'soup', 'dressing']]
+];
+
+// Ingredient keywords used to flag allergens on branded USDA foods
+const ALLERGEN_KEYWORDS = {
+  MILK: /\b(milk|whey|casein|butter|cream|cheese|lactose)\b/i,
+  EGGS: /\b(eggs?|albumin)\b/i,
+  FISH: /\b(fish|salmon|tuna|cod|anchov(y|ies))\b/i,
+  SHELLFISH: /\b(shrimp|crab|lobster|prawns?|shellfish)\b/i,
+  TREE_NUTS: /\b(almonds?|cashews?|walnuts?|pecans?|hazelnuts?|pistachios?|macadamia)\b/i,
+  PEANUTS: /\bpeanuts?\b/i,
+  WHEAT: /\bwheat\b/i,
+  GLUTEN: /\b(wheat|barley|rye|gluten)\b/i,
+  SOY: /\b(soy|soya|soybeans?)\b/i,
+  SESAME: /\bsesame\b/i
+};
+
+// Column aliases for our spreadsheet format (keys are lower-case alphanumerics)
+const CSV_COLUMN_ALIASES = {
+  sourceid: 'sourceId', id: 'sourceId', code: 'sourceId',
+  name: 'name', food: 'name', description: 'name',
+  brand: 'brand',
+  category: 'category',
+  calories: 'calories', kcal: 'calories', energy: 'calories',
+  protein: 'proteinGrams', proteingrams: 'proteinGrams',
+  carbs: 'carbsGrams', carbsgrams: 'carbsGrams', carbohydrate: 'carbsGrams', carbohydrates: 'carbsGrams',
+  fat: 'fatGrams', fatgrams: 'fatGrams', totalfat: 'fatGrams',
+  fiber: 'fiberGrams', fibergrams: 'fiberGrams', fibre: 'fiberGrams',
+  sugar: 'sugarGrams', sugars: 'sugarGrams', sugargrams: 'sugarGrams',
+  saturatedfat: 'saturatedFatGrams', satfat: 'saturatedFatGrams', saturatedfatgrams: 'saturatedFatGrams',
+  allergens: 'allergens',
+  tags: 'tags',
+  servinglabel: 'servingLabel', serving: 'servingLabel',
+  servinggrams: 'servingGrams', servingsize: 'servingGrams',
+  ...Object.fromEntries(Object.keys(MICRONUTRIENT_UNITS).map(key => [key.toLowerCase(), `micronutrients.${key}`]))
+};
+
+// "1,234" or "12,345.6": commas group thousands
+const THOUSANDS_PATTERN = /^[-+]?[1-9]\d{0,2}(,\d{3})+(\.\d*)?$/;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  let text = String(value).trim();
+  if (THOUSANDS_PATTERN.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (/^[-+]?\d*,\d+$/.test(text)) {
+    // A single comma without a dot is a decimal comma ("1,5")
+    text = text.replace(',', '.');
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const splitList = (value) => String(value || '')
+  .split(/[;|,]/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const setField = (target, path, value) => {
+  if (path.startsWith('micronutrients.')) {
+    target.micronutrients = target.micronutrients || {};
+    target.micronutrients[path.slice('micronutrients.'.length)] = value;
+  } else {
+    target[path] = value;
+  }
+};
+
+export const foodImportService = {
+  /**
+   * Map a free-text category onto FoodCategory
+   * @param {string} text - Category text from the dataset
+   * @returns {string} FoodCategory value
+   */
+  mapCategory(text) {
+    if (!text) return 'OTHER';
+
+    const upper = String(text).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (CATEGORY_KEYWORDS.some(([category]) => category === upper) || upper === 'OTHER') {
+      return upper;
+    }
+
+    const lower = String(text).toLowerCase();
+    const match = CATEGORY_KEYWORDS.find(([, keywords]) => keywords.some(keyword => lower.includes(keyword)));
+    return match ? match[0] : 'OTHER';
+  },
+
+  /**
+   * Detect allergens from an ingredient list
+   * @param {string} ingredients - Ingredient text
+   * @returns {string[]} Allergens
+   */
+  detectAllergens(ingredients) {
+    if (!ingredients) return [];
+    return ALLERGENS.filter(allergen => ALLERGEN_KEYWORDS[allergen].test(ingredients));
+  },
+
+  /**
+   * Convert a FoodData Central food (JSON shape) into a catalog payload
+   * @param {Object} record - FDC food
+   * @returns {Object} Food payload with sourceId
+   */
+  normalizeUsdaFood(record) {
+    const amounts = new Map();
+    for (const entry of record.foodNutrients || []) {
+      const nutrientId = Number(entry.nutrient?.id ?? entry.nutrientId)
+        || USDA_NUTRIENT_NUMBERS[entry.nutrient?.number ?? entry.nutrientNumber];
+      const amount = toNumber(entry.amount ?? entry.value);
+      if (nutrientId && amount !== undefined && !Number.isNaN(amount)) {
+        amounts.set(nutrientId, amount);
+      }
+    }
+
+    const food = {
+      sourceId: record.fdcId !== undefined ? String(record.fdcId) : undefined,
+      name: record.description,
+      brand: record.brandName || record.brandOwner || null,
+      category: this.mapCategory(
+        record.foodCategory?.description || record.foodCategory || record.brandedFoodCategory
+      )
+    };
+
+    for (const [field, nutrientIds] of Object.entries(USDA_NUTRIENT_IDS)) {
+      const nutrientId = nutrientIds.find(id => amounts.has(id));
+      if (nutrientId) {
+        setField(food, field, amounts.get(nutrientId));
+      }
+    }
+
+    // Macros absent from the record are genuinely zero (e.g. protein in oil)
+    for (const field of ['proteinGrams', 'carbsGrams', 'fatGrams']) {
+      if (food[field] === undefined && food.calories !== undefined) {
+        food[field] = 0;
+      }
+    }
+
+    const servings = (record.foodPortions || [])
+      .filter(portion => toNumber(portion.gramWeight) > 0)
+      .map(portion => ({
+        label: (portion.portionDescription && portion.portionDescription !== 'Quantity not specified')
+          ? portion.portionDescription
+          : [portion.amount, portion.measureUnit?.name !== 'undetermined' && portion.measureUnit?.name, portion.modifier]
+            .filter(Boolean).join(' ') || 'serving',
+        grams: toNumber(portion.gramWeight)
+      }));
+
+    const servingUnit = String(record.servingSizeUnit || '').toLowerCase();
+    if (servings.length === 0 && toNumber(record.servingSize) > 0 && ['g', 'grm', 'ml', 'mlt'].includes(servingUnit)) {
+      servings.push({
+        label: record.householdServingFullText || `${record.servingSize} ${servingUnit.startsWith('g') ? 'g' : 'ml'}`,
+        grams: toNumber(record.servingSize)
+      });
+    }
+
+    if (servings.length > 0) {
+      food.servings = servings.slice(0, 20).map((serving, index) => ({ ...serving, isDefault: index === 0 }));
+    }
+
+    const allergens = this.detectAllergens(record.ingredients);
+    if (allergens.length > 0) {
+      food.allergens = allergens;
+    }
+
+    return food;
+  },
+
+  /**
+   * Extract the food list from any FoodData Central JSON download
+   * @param {Object|Array|string} data - Parsed or raw JSON
+   * @returns {Object[]} FDC food records
+   */
+  extractUsdaFoods(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (Array.isArray(json)) return json;
+
+    const listKey = ['FoundationFoods', 'SRLegacyFoods', 'SurveyFoods', 'BrandedFoods', 'foods']
+      .find(key => Array.isArray(json?.[key]));
+    if (listKey) return json[listKey];
+
+    if (json?.fdcId) return [json];
+    throw new Error('Invalid USDA JSON: no food list found');
+  },
+
+  /**
+   * Join FoodData Central CSV tables into FDC JSON-shaped records
+   * @param {Object} files - CSV text keyed by table: food (required), foodNutrient (required),
+   *                         foodPortion, measureUnit, foodCategory, brandedFood (optional)
+   * @returns {Object[]} FDC food records
+   */
+  joinUsdaCsv(files) {
+    if (!files?.food || !files?.foodNutrient) {
+      throw new Error('Invalid USDA CSV: food and foodNutrient files are required');
+    }
+
+    const categories = new Map(parseCsv(files.foodCategory || '').map(row => [row.id, row.description]));
+    const measureUnits = new Map(parseCsv(files.measureUnit || '').map(row => [row.id, row.name]));
+    const brands = new Map(parseCsv(files.brandedFood || '').map(row => [row.fdc_id, row]));
+
+    const foods = new Map();
+    for (const row of parseCsv(files.food)) {
+      const branded = brands.get(row.fdc_id);
+      foods.set(row.fdc_id, {
+        fdcId: row.fdc_id,
+        description: row.description,
+        foodCategory: categories.get(row.food_category_id) || null,
+        brandedFoodCategory: branded?.branded_food_category,
+        brandOwner: branded?.brand_owner,
+        brandName: branded?.brand_name,
+        ingredients: branded?.ingredients,
+        servingSize: branded?.serving_size,
+        servingSizeUnit: branded?.serving_size_unit,
+        householdServingFullText: branded?.household_serving_fulltext,
+        foodNutrients: [],
+        foodPortions: []
+      });
+    }
+
+    for (const row of parseCsv(files.foodNutrient)) {
+      foods.get(row.fdc_id)?.foodNutrients.push({ nutrientId: row.nutrient_id, amount: row.amount });
+    }
+
+    for (const row of parseCsv(files.foodPortion || '')) {
+      foods.get(row.fdc_id)?.foodPortions.push({
+        amount: row.amount,
+        measureUnit: { name: measureUnits.get(row.measure_unit_id) },
+        portionDescription: row.portion_description,
+        modifier: row.modifier,
+        gramWeight: row.gram_weight
+      });
+    }
+
+    return [...foods.values()];
+  },
+
+  /**
+   * Convert one spreadsheet row into a catalog payload
+   * @param {Object} row - Parsed CSV record
+   * @returns {Object} Food payload with sourceId
+   */
+  normalizeCsvRow(row) {
+    const food = {};
+    let servingLabel;
+    let servingGrams;
+
+    for (const [column, rawValue] of Object.entries(row)) {
+      const key = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const field = CSV_COLUMN_ALIASES[key] || CSV_COLUMN_ALIASES[key.replace(/(grams|mcg|mg|ug|g)$/, '')];
+      const value = String(rawValue ?? '').trim();
+      if (!field || value === '') continue;
+
+      if (field === 'servingLabel') {
+        servingLabel = value;
+      } else if (field === 'servingGrams') {
+        servingGrams = toNumber(value);
+      } else if (field === 'allergens') {
+        food.allergens = splitList(value).map(item => item.toUpperCase().replace(/[\s-]+/g, '_'));
+      } else if (field === 'tags') {
+        food.tags = splitList(value).map(item => item.toLowerCase());
+      } else if (field === 'category') {
+        food.category = this.mapCategory(value);
+      } else if (['sourceId', 'name', 'brand'].includes(field)) {
+        food[field] = value;
+      } else {
+        setField(food, field, toNumber(value));
+      }
+    }
+
+    if (servingGrams !== undefined) {
+      food.servings = [{ label: servingLabel || `${servingGrams} g`, grams: servingGrams, isDefault: true }];
+    }
+
+    // Without an explicit ID, fall back to name + brand so re-runs stay idempotent
+    if (!food.sourceId && food.name) {
+      food.sourceId = [food.name, food.brand].filter(Boolean).join('|').toLowerCase().slice(0, 191);
+    }
+
+    return food;
+  },
+
+  /**
+   * Parse an import payload into normalized food payloads
+   * @private
+   */
+  _parse(format, { data, files }) {
+    switch (format) {
+      case 'USDA_JSON':
+        return this.extractUsdaFoods(data).map(record => this.normalizeUsdaFood(record));
+      case 'USDA_CSV':
+        return this.joinUsdaCsv(files).map(record => this.normalizeUsdaFood(record));
+      case 'CSV':
+        return parseCsv(data).map(row => this.normalizeCsvRow(row));
+      default:
+        throw new Error(`Invalid import format: ${format}`);
+    }
+  },
+
+  /**
+   * Import foods into the catalog
+   * @param {Object} options - Import options
+   * @param {string} options.format - One of IMPORT_FORMATS
+   * @param {string|Object} [options.data] - File content for USDA_JSON and CSV
+   * @param {Object} [options.files] - Table contents for USDA_CSV
+   * @param {boolean} [options.dryRun] - Validate without writing
+   * @param {Object} [options.user] - User running the import (null for the CLI)
+   * @returns {Object} Import report with per-row errors
+   */
+  async importFoods({ format, data, files, dryRun = false, user = null }) {
+    const source = format === 'CSV' ? 'CSV' : 'USDA';
+    const report = {
+      format,
+      source,
+      dryRun,
+      total: 0,
+      created: 0,
+      updated: 0,
+      valid: 0,
+      skipped: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const addError = (row, sourceId, messages) => {
+      report.failed++;
+      if (report.errors.length < MAX_REPORTED_ERRORS) {
+        report.errors.push({ row, sourceId: sourceId ?? null, messages });
+      }
+    };
+
+    log.business('Food import started', { format, dryRun, userId: user?.id });
+
+    const foods = this._parse(format, { data, files });
+    report.total = foods.length;
+
+    const seenSourceIds = new Set();
+
+    for (const [index, { sourceId, ...payload }] of foods.entries()) {
+      // Row numbers are 1-based; CSV rows account for the header line
+      const row = format === 'CSV' ? index + 2 : index + 1;
+
+      if (!sourceId) {
+        addError(row, null, ['Missing source ID']);
+        continue;
+      }
+
+      if (seenSourceIds.has(sourceId)) {
+        report.skipped++;
+        continue;
+      }
+      seenSourceIds.add(sourceId);
+
+      const { error, value } = createFoodSchema.validate(payload, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        addError(row, sourceId, error.details.map(detail => detail.message));
+        continue;
+      }
+
+      report.valid++;
+      if (dryRun) continue;
+
+      try {
+        const { servings = [], ...foodData } = value;
+        const existing = await prisma.food.findUnique({
+          where: { source_sourceId: { source, sourceId } },
+          select: { id: true }
+        });
+
+        if (existing) {
+          await prisma.food.update({
+            where: { id: existing.id },
+            data: {
+              ...foodData,
+              // Records without portions keep the servings curators added by hand
+              ...(servings.length > 0 && { servings: { deleteMany: {}, create: servings } })
+            }
+          });
+          await recipeService.recalculateRecipesUsingFood(existing.id);
+          report.updated++;
+        } else {
+          await prisma.food.create({
+            data: {
+              ...foodData,
+              source,
+              sourceId,
+              createdById: user?.id ?? null,
+              createdByRole: user?.role ?? null,
+              servings: { create: servings }
+            }
+          });
+          report.created++;
+        }
+      } catch (error) {
+        report.valid--;
+        addError(row, sourceId, [error.message]);
+      }
+
+      if ((index + 1) % 500 === 0) {
+        log.info('Food import progress', { processed: index + 1, total: report.total });
+      }
+    }
+
+    report.errorsTruncated = report.failed > report.errors.length;
+
+    log.business('Food import completed', {
+      format,
+      dryRun,
+      total: report.total,
+      created: report.created,
+      updated: report.updated,
+      skipped: report.skipped,
+      failed: report.failed
+    });
+
+    return report;
+  }
+};
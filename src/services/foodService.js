@@ -0,0 +1,303 @@
+// Food catalog service
+// Business rules:
+// - Any authenticated user can browse active foods
+// - TRAINER can create foods and edit the foods they created
+// - ADMIN and SUPER_ADMIN can edit or archive any food
+// - Deleting a food archives it so existing meal plans keep their references
+import { prisma } from '../config/prisma.js';
+import { log } from '../utils/logger.js';
+
+// Major allergens (FDA "Big 9" plus gluten)
+export const ALLERGENS = [
+  'MILK',
+  'EGGS',
+  'FISH',
+  'SHELLFISH',
+  'TREE_NUTS',
+  'PEANUTS',
+  'WHEAT',
+  'GLUTEN',
+  'SOY',
+  'SESAME'
+];
+
+// Tracked micronutrients and the unit their per-100 g amounts are stored in
+export const MICRONUTRIENT_UNITS = {
+  calcium: 'mg',
+  iron: 'mg',
+  magnesium: 'mg',
+  potassium: 'mg',
+  sodium: 'mg',
+  zinc: 'mg',
+  vitaminA: 'mcg',
+  vitaminC: 'mg',
+  vitaminD: 'mcg',
+  vitaminE: 'mg',
+  vitaminK: 'mcg',
+  vitaminB12: 'mcg',
+  folate: 'mcg'
+};
+
+export const NUTRIENT_FIELDS = [
+  'calories',
+  'proteinGrams',
+  'carbsGrams',
+  'fatGrams',
+  'fiberGrams',
+  'sugarGrams',
+  'saturatedFatGrams'
+];
+
+const foodInclude = {
+  servings: {
+    orderBy: [{ isDefault: 'desc' }, { grams: 'asc' }]
+  }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const foodService = {
+  /**
+   * Scale a food's per-100 g nutrition to an amount in grams
+   * @param {Object} food - Food record
+   * @param {number} grams - Amount eaten
+   * @returns {Object} Nutrition for that amount, including micronutrients
+   */
+  calculateNutrition(food, grams) {
+    const factor = grams / 100;
+    const nutrition = {};
+
+    for (const field of NUTRIENT_FIELDS) {
+      nutrition[field] = round((food[field] ?? 0) * factor, field === 'calories' ? 0 : 1);
+    }
+
+    nutrition.micronutrients = {};
+    for (const [key, amount] of Object.entries(food.micronutrients || {})) {
+      if (key in MICRONUTRIENT_UNITS && typeof amount === 'number') {
+        nutrition.micronutrients[key] = round(amount * factor, 2);
+      }
+    }
+
+    return nutrition;
+  },
+
+  /**
+   * Search the catalog with pagination
+   * @param {Object} filters - { search, category, tag, excludeAllergens, createdById, includeInactive, page, limit }
+   * @returns {Object} { foods, pagination }
+   */
+  async searchFoods(filters = {}) {
+    try {
+      const {
+        search,
+        category,
+        tag,
+        excludeAllergens = [],
+        createdById,
+        includeInactive = false,
+        page = 1,
+        limit = 20,
+        sortBy = 'name',
+        sortOrder = 'asc'
+      } = filters;
+
+      const whereConditions = [];
+
+      if (!includeInactive) {
+        whereConditions.push({ isActive: true });
+      }
+
+      if (search) {
+        whereConditions.push({
+          OR: [
+            { name: { contains: search } },
+            { brand: { contains: search } }
+          ]
+        });
+      }
+
+      if (category) {
+        whereConditions.push({ category });
+      }
+
+      if (tag) {
+        whereConditions.push({ tags: { array_contains: [tag.toLowerCase()] } });
+      }
+
+      for (const allergen of excludeAllergens) {
+        whereConditions.push({ NOT: { allergens: { array_contains: [allergen] } } });
+      }
+
+      if (createdById) {
+        whereConditions.push({ createdById });
+      }
+
+      const where = whereConditions.length > 0 ? { AND: whereConditions } : {};
+
+      const [foods, total] = await Promise.all([
+        prisma.food.findMany({
+          where,
+          include: foodInclude,
+          orderBy: { [sortBy]: sortOrder },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.food.count({ where })
+      ]);
+
+      log.database('read', 'foods', { operation: 'findMany', total, page });
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        foods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to search foods', { error: error.message, filters });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a food with its servings
+   * @param {string} foodId - Food ID
+   * @returns {Object|null} Food
+   */
+  async getFoodById(foodId) {
+    try {
+      return await prisma.food.findUnique({
+        where: { id: foodId },
+        include: foodInclude
+      });
+    } catch (error) {
+      log.error('Failed to get food', { foodId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Create a food with its serving sizes
+   * @param {Object} foodData - Validated food payload
+   * @param {Object} user - Creating user
+   * @returns {Object} Created food
+   */
+  async createFood(foodData, user) {
+    try {
+      const { servings = [], ...data } = foodData;
+
+      const food = await prisma.food.create({
+        data: {
+          ...data,
+          createdById: user.id,
+          createdByRole: user.role,
+          servings: { create: this._normaliseServings(servings) }
+        },
+        include: foodInclude
+      });
+
+      log.business('Food created', { foodId: food.id, name: food.name, createdBy: user.id });
+
+      return food;
+    } catch (error) {
+      log.error('Failed to create food', { name: foodData.name, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a food. When servings are supplied they replace the existing ones.
+   * @param {string} foodId - Food ID
+   * @param {Object} updateData - Validated partial payload
+   * @param {Object} user - Updating user
+   * @returns {Object} Updated food
+   */
+  async updateFood(foodId, updateData, user) {
+    try {
+      await this._assertCanModify(foodId, user);
+
+      const { servings, ...data } = updateData;
+
+      const food = await prisma.food.update({
+        where: { id: foodId },
+        data: {
+          ...data,
+          ...(servings && {
+            servings: {
+              deleteMany: {},
+              create: this._normaliseServings(servings)
+            }
+          })
+        },
+        include: foodInclude
+      });
+
+      log.business('Food updated', { foodId, updatedBy: user.id, fields: Object.keys(updateData) });
+
+      return food;
+    } catch (error) {
+      log.error('Failed to update food', { foodId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Archive a food so it no longer appears in search results
+   * @param {string} foodId - Food ID
+   * @param {Object} user - Deleting user
+   */
+  async archiveFood(foodId, user) {
+    try {
+      await this._assertCanModify(foodId, user);
+
+      await prisma.food.update({
+        where: { id: foodId },
+        data: { isActive: false }
+      });
+
+      log.business('Food archived', { foodId, archivedBy: user.id });
+    } catch (error) {
+      log.error('Failed to archive food', { foodId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Make sure exactly one serving is flagged as the default
+   * @private
+   */
+  _normaliseServings(servings) {
+    if (servings.length === 0) return [];
+
+    const defaultIndex = Math.max(servings.findIndex(serving => serving.isDefault), 0);
+    return servings.map((serving, index) => ({ ...serving, isDefault: index === defaultIndex }));
+  },
+
+  /**
+   * Throw unless the user may modify the food
+   * @private
+   */
+  async _assertCanModify(foodId, user) {
+    const food = await prisma.food.findUnique({
+      where: { id: foodId },
+      select: { id: true, createdById: true }
+    });
+
+    if (!food) {
+      throw new Error('Food not found');
+    }
+
+    if (user.role === 'TRAINER' && food.createdById !== user.id) {
+      throw new Error('Access denied: trainers can only modify foods they created');
+    }
+  }
+};
@@ -0,0 +1,321 @@
+// Hydration service
+// Water intake log with a daily target, behind the hydration endpoints and
+// the progress response.
+// Business rules:
+// - Only customers with progress tracking enabled log water (enforced by the
+//   requireTrackingAccess middleware)
+// - Amounts are stored in millilitres and returned in the customer's
+//   measurement standard (fluid ounces for US_STANDARD)
+// - The daily target is 35 ml per kg of body weight plus an allowance for
+//   the activity level, with extra water in pregnancy and breastfeeding
+// - Days without water entries are not logged rather than dry days
+import { prisma } from '../config/prisma.js';
+import { nutritionService } from './nutritionService.js';
+import { MAX_DIARY_RANGE_DAYS } from './foodDiaryService.js';
+import { VOLUME_UNITS, normaliseUnit } from '../utils/units.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+const ML_PER_KG = 35;
+
+// Extra millilitres per day for sweat losses by activity level
+const ACTIVITY_ALLOWANCE_ML = {
+  LOW: 0,
+  MEDIUM_LOW: 250,
+  MEDIUM: 500,
+  MEDIUM_HIGH: 750,
+  HIGH: 1000
+};
+
+// Extra millilitres per day on PREGNANCY and POSTPARTUM plans
+const LIFE_STAGE_ALLOWANCE_ML = {
+  PREGNANCY: 300,
+  POSTPARTUM: 700
+};
+
+const MIN_TARGET_ML = 1500;
+const TARGET_STEP_ML = 50;
+
+// Quick-add sizes in the customer's unit
+export const HYDRATION_PRESETS = {
+  METRIC: { GLASS: 250, BOTTLE: 500, LARGE_BOTTLE: 1000 },
+  US_STANDARD: { GLASS: 8, BOTTLE: 16.9, LARGE_BOTTLE: 32 }
+};
+
+export const HYDRATION_PRESET_NAMES = Object.keys(HYDRATION_PRESETS.METRIC);
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Unit water amounts are shown in for a measurement standard
+ * @param {string} measurementStandard - METRIC or US_STANDARD
+ * @returns {string} 'ml' or 'floz'
+ */
+export const hydrationUnit = (measurementStandard) => (measurementStandard === 'US_STANDARD' ? 'floz' : 'ml');
+
+/**
+ * Convert millilitres to the customer's unit
+ */
+export const fromMillilitres = (amountMl, measurementStandard) =>
+  round(amountMl / VOLUME_UNITS[hydrationUnit(measurementStandard)], measurementStandard === 'US_STANDARD' ? 1 : 0);
+
+/**
+ * Convert an amount in a volume unit to millilitres
+ * @param {number} amount - Amount
+ * @param {string} unit - Volume unit (ml, l, floz, cup, ...)
+ * @returns {number} Millilitres
+ * @throws {Error} 'Invalid unit ...' for non-volume units
+ */
+export const toMillilitres = (amount, unit) => {
+  const factor = VOLUME_UNITS[normaliseUnit(unit)];
+  if (!factor) {
+    throw new Error(`Invalid unit for water: ${unit}`);
+  }
+  return amount * factor;
+};
+
+/**
+ * Daily water target in millilitres
+ * @param {Object} customer - Customer with weight, measurementStandard, activityLevel, gender and mealPlanCategory
+ * @returns {number|null} Target, or null without a usable weight
+ */
+export const calculateDailyTarget = (customer) => {
+  if (!customer.weight || customer.weight <= 0) return null;
+
+  const { weightKg } = nutritionService.toMetric(customer);
+  const lifeStage = customer.gender !== 'MALE' ? LIFE_STAGE_ALLOWANCE_ML[customer.mealPlanCategory] ?? 0 : 0;
+  const target = weightKg * ML_PER_KG + (ACTIVITY_ALLOWANCE_ML[customer.activityLevel] ?? 0) + lifeStage;
+
+  return Math.max(MIN_TARGET_ML, Math.round(target / TARGET_STEP_ML) * TARGET_STEP_ML);
+};
+
+/**
+ * Daily totals and weekly averages over a range of dates
+ * @param {Object} input - { dates[], entries[], targetMl, measurementStandard }
+ * @returns {Object} { days[], weekly[], loggedDays, dailyAverage, daysMetTarget }
+ *   weeks end on the last date of the range
+ */
+export const summariseHydration = ({ dates, entries, targetMl, measurementStandard }) => {
+  const totals = new Map();
+  for (const entry of entries) {
+    const date = formatDate(entry.date);
+    totals.set(date, (totals.get(date) || 0) + entry.amountMl);
+  }
+
+  const days = dates.map(date => {
+    const totalMl = totals.get(date) ?? 0;
+    return {
+      date,
+      logged: totals.has(date),
+      total: fromMillilitres(totalMl, measurementStandard),
+      percent: targetMl ? Math.round((totalMl / targetMl) * 100) : null,
+      metTarget: targetMl ? totalMl >= targetMl : null
+    };
+  });
+
+  const summarise = (group) => {
+    const logged = group.filter(day => day.logged);
+    const totalMl = logged.reduce((sum, day) => sum + (totals.get(day.date) || 0), 0);
+    return {
+      loggedDays: logged.length,
+      dailyAverage: logged.length ? fromMillilitres(totalMl / logged.length, measurementStandard) : null,
+      daysMetTarget: targetMl ? logged.filter(day => day.metTarget).length : null
+    };
+  };
+
+  const weekly = [];
+  for (let end = days.length; end > 0; end -= 7) {
+    const week = days.slice(Math.max(0, end - 7), end);
+    weekly.unshift({ from: week[0].date, to: week[week.length - 1].date, ...summarise(week) });
+  }
+
+  return { days, weekly, ...summarise(days) };
+};
+
+const entrySelect = { id: true, date: true, amountMl: true, createdAt: true };
+
+const toResponse = (entry, measurementStandard) => ({
+  id: entry.id,
+  date: formatDate(entry.date),
+  amount: fromMillilitres(entry.amountMl, measurementStandard),
+  loggedAt: entry.createdAt
+});
+
+export const hydrationService = {
+  /**
+   * One day of water entries against the target
+   * @param {Object} customer - Customer profile
+   * @param {Date|string} [date] - Day (defaults to today)
+   * @returns {Object} { date, unit, target, total, remaining, percent, entries[] }
+   */
+  async getDay(customer, date) {
+    try {
+      const day = toDateOnly(date ?? new Date());
+      const standard = customer.measurementStandard;
+
+      const entries = await prisma.waterLogEntry.findMany({
+        where: { customerId: customer.id, date: day },
+        select: entrySelect,
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const targetMl = calculateDailyTarget(customer);
+      const totalMl = entries.reduce((sum, entry) => sum + entry.amountMl, 0);
+
+      return {
+        date: formatDate(day),
+        unit: hydrationUnit(standard),
+        target: targetMl ? fromMillilitres(targetMl, standard) : null,
+        total: fromMillilitres(totalMl, standard),
+        remaining: targetMl ? fromMillilitres(Math.max(0, targetMl - totalMl), standard) : null,
+        percent: targetMl ? Math.round((totalMl / targetMl) * 100) : null,
+        entries: entries.map(entry => toResponse(entry, standard))
+      };
+    } catch (error) {
+      log.error('Failed to get hydration day', { customerId: customer.id, date, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Daily totals and weekly averages over a date range
+   * @param {Object} customer - Customer profile
+   * @param {Object} [range] - { from?, to? } (defaults to the last 7 days)
+   * @returns {Object} { from, to, unit, target, days[], weekly[], loggedDays, dailyAverage, daysMetTarget }
+   * @throws {Error} 'Invalid date range ...'
+   */
+  async getSummary(customer, { from, to } = {}) {
+    try {
+      const end = toDateOnly(to ?? new Date());
+      const start = toDateOnly(from ?? addDays(end, -6));
+      const dayCount = daysBetween(start, end);
+      if (dayCount < 1) {
+        throw new Error('Invalid date range: from must not be after to');
+      }
+      if (dayCount > MAX_DIARY_RANGE_DAYS) {
+        throw new Error(`Invalid date range: at most ${MAX_DIARY_RANGE_DAYS} days`);
+      }
+
+      const entries = await prisma.waterLogEntry.findMany({
+        where: { customerId: customer.id, date: { gte: start, lte: end } },
+        select: { date: true, amountMl: true }
+      });
+
+      const standard = customer.measurementStandard;
+      const targetMl = calculateDailyTarget(customer);
+
+      return {
+        from: formatDate(start),
+        to: formatDate(end),
+        unit: hydrationUnit(standard),
+        target: targetMl ? fromMillilitres(targetMl, standard) : null,
+        ...summariseHydration({
+          dates: Array.from({ length: dayCount }, (_, index) => formatDate(addDays(start, index))),
+          entries,
+          targetMl,
+          measurementStandard: standard
+        })
+      };
+    } catch (error) {
+      log.error('Failed to get hydration summary', { customerId: customer.id, from, to, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Log a drink
+   * @param {Object} customer - Customer profile
+   * @param {Object} data - { amount, unit?, date? } unit defaults to the customer's (ml or fl oz)
+   * @returns {Object} { entry, day } the new entry and the updated day
+   * @throws {Error} 'Invalid unit ...'
+   */
+  async logWater(customer, { amount, unit, date }) {
+    try {
+      const standard = customer.measurementStandard;
+      const amountMl = round(toMillilitres(amount, unit ?? hydrationUnit(standard)), 1);
+
+      const entry = await prisma.waterLogEntry.create({
+        data: { customerId: customer.id, date: toDateOnly(date ?? new Date()), amountMl },
+        select: entrySelect
+      });
+
+      log.database('create', 'water_log_entries', { customerId: customer.id, entryId: entry.id, amountMl });
+
+      return {
+        entry: toResponse(entry, standard),
+        day: await this.getDay(customer, entry.date)
+      };
+    } catch (error) {
+      log.error('Failed to log water', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Log one of the preset drink sizes
+   * @param {Object} customer - Customer profile
+   * @param {Object} data - { preset, date? } preset is one of HYDRATION_PRESET_NAMES
+   * @returns {Object} { entry, day }
+   */
+  async quickAdd(customer, { preset, date }) {
+    const presets = HYDRATION_PRESETS[customer.measurementStandard] ?? HYDRATION_PRESETS.METRIC;
+    return this.logWater(customer, { amount: presets[preset], date });
+  },
+
+  /**
+   * Delete a water entry
+   * @param {string} customerId - Customer ID
+   * @param {string} entryId - Entry ID
+   * @throws {Error} 'Water entry not found'
+   */
+  async removeEntry(customerId, entryId) {
+    try {
+      const { count } = await prisma.waterLogEntry.deleteMany({ where: { id: entryId, customerId } });
+      if (!count) {
+        throw new Error('Water entry not found');
+      }
+
+      log.database('delete', 'water_log_entries', { customerId, entryId });
+    } catch (error) {
+      log.error('Failed to remove water entry', { customerId, entryId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Daily water totals and targets for several customers, for adherence scoring
+   * @param {string[]} customerIds - Customers
+   * @param {Date} start - First day
+   * @param {Date} end - Last day
+   * @returns {Object} { totals: Map customerId -> [{ date, amountMl }], targets: Map customerId -> ml }
+   */
+  async getDailyTotals(customerIds, start, end) {
+    if (!customerIds.length) return { totals: new Map(), targets: new Map() };
+
+    const [rows, customers] = await Promise.all([
+      prisma.waterLogEntry.groupBy({
+        by: ['customerId', 'date'],
+        where: { customerId: { in: customerIds }, date: { gte: start, lte: end } },
+        _sum: { amountMl: true }
+      }),
+      prisma.customer.findMany({
+        where: { id: { in: customerIds } },
+        select: { id: true, weight: true, measurementStandard: true, activityLevel: true, gender: true, mealPlanCategory: true }
+      })
+    ]);
+
+    const totals = new Map();
+    for (const row of rows) {
+      if (!totals.has(row.customerId)) totals.set(row.customerId, []);
+      totals.get(row.customerId).push({ date: row.date, amountMl: row._sum.amountMl || 0 });
+    }
+
+    return {
+      totals,
+      targets: new Map(customers.map(customer => [customer.id, calculateDailyTarget(customer)]))
+    };
+  }
+};
@@ -0,0 +1,261 @@
+// Macro target service
+// Business rules:
+// - Calorie target = TDEE adjusted by the customer's FitnessGoal
+// - Macro split (protein/carbs/fat) follows the customer's MealPlanCategory
+// - Every change is stored as a new MacroTarget row so history is preserved
+// - Profile-driven recalculation supersedes the active target, including trainer overrides
+import { prisma } from '../config/prisma.js';
+import { nutritionService } from './nutritionService.js';
+import { log } from '../utils/logger.js';
+
+const CALORIES_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+// Fraction of TDEE added (surplus) or removed (deficit) per FitnessGoal
+export const GOAL_CALORIE_ADJUSTMENTS = {
+  WEIGHT_LOSS: -0.20,
+  DECREASE_BODY_FAT: -0.15,
+  INCREASE_LEAN_MUSCLE: 0.10,
+  WEIGHT_GAIN: 0.15,
+  OVERALL_WELLNESS: 0,
+  NONE: 0
+};
+
+// Share of total calories from protein, carbs and fat per MealPlanCategory
+const DEFAULT_SPLIT = { protein: 0.25, carbs: 0.50, fat: 0.25 };
+
+export const CATEGORY_MACRO_SPLITS = {
+  BALANCED: DEFAULT_SPLIT,
+  KETO: { protein: 0.20, carbs: 0.05, fat: 0.75 },
+  LOW_CARB: { protein: 0.30, carbs: 0.20, fat: 0.50 },
+  HIGH_PROTEIN: { protein: 0.35, carbs: 0.40, fat: 0.25 },
+  MUSCLE_BUILDING: { protein: 0.30, carbs: 0.45, fat: 0.25 },
+  DIABETIC_FRIENDLY: { protein: 0.25, carbs: 0.40, fat: 0.35 },
+  LOW_GLYCEMIC: { protein: 0.25, carbs: 0.40, fat: 0.35 },
+  PCOS_FRIENDLY: { protein: 0.30, carbs: 0.35, fat: 0.35 },
+  MEDITERRANEAN: { protein: 0.20, carbs: 0.45, fat: 0.35 },
+  HEART_HEALTHY: { protein: 0.20, carbs: 0.55, fat: 0.25 },
+  DASH_DIET: { protein: 0.20, carbs: 0.55, fat: 0.25 },
+  WEIGHT_LOSS_PLAN: { protein: 0.35, carbs: 0.35, fat: 0.30 },
+  WEIGHT_GAIN_PLAN: { protein: 0.25, carbs: 0.50, fat: 0.25 },
+  VEGAN: { protein: 0.20, carbs: 0.55, fat: 0.25 },
+  VEGETARIAN: { protein: 0.20, carbs: 0.55, fat: 0.25 },
+  PREGNANCY: { protein: 0.25, carbs: 0.45, fat: 0.30 },
+  POSTPARTUM: { protein: 0.25, carbs: 0.45, fat: 0.30 }
+};
+
+// Fiber guideline: 14 g per 1000 kcal (Dietary Guidelines for Americans)
+const FIBER_GRAMS_PER_1000_KCAL = 14;
+
+// Profile fields that change the calculated targets when updated
+export const TARGET_PROFILE_FIELDS = [
+  'birthDate',
+  'gender',
+  'measurementStandard',
+  'height',
+  'weight',
+  'bodyFatPercentage',
+  'activityLevel',
+  'fitnessGoal',
+  'mealPlanCategory'
+];
+
+// Never generate a calorie target below these floors
+export const MINIMUM_CALORIES = { MALE: 1500, FEMALE: 1200, OTHER: 1350 };
+
+export const macroTargetService = {
+  /**
+   * Get the protein/carbs/fat split for a MealPlanCategory
+   * @param {string} category - MealPlanCategory
+   * @returns {Object} { protein, carbs, fat } fractions summing to 1
+   */
+  getMacroSplit(category) {
+    return CATEGORY_MACRO_SPLITS[category] || DEFAULT_SPLIT;
+  },
+
+  /**
+   * Convert a calorie total and split into gram targets
+   * @param {number} calories - Daily calories
+   * @param {Object} split - { protein, carbs, fat } fractions
+   * @returns {Object} Gram targets including fiber
+   */
+  caloriesToMacros(calories, split) {
+    return {
+      proteinGrams: Math.round((calories * split.protein) / CALORIES_PER_GRAM.protein),
+      carbsGrams: Math.round((calories * split.carbs) / CALORIES_PER_GRAM.carbs),
+      fatGrams: Math.round((calories * split.fat) / CALORIES_PER_GRAM.fat),
+      fiberGrams: Math.round((calories / 1000) * FIBER_GRAMS_PER_1000_KCAL)
+    };
+  },
+
+  /**
+   * Calculate (but do not persist) daily targets for a customer
+   * @param {Object} customer - Customer record
+   * @returns {Object} Target values ready to be stored
+   */
+  calculateTargets(customer) {
+    const energy = nutritionService.calculateEnergyProfile(customer);
+    const adjustmentRatio = GOAL_CALORIE_ADJUSTMENTS[customer.fitnessGoal] ?? 0;
+    const minimum = MINIMUM_CALORIES[customer.gender] ?? MINIMUM_CALORIES.OTHER;
+
+    const calories = Math.max(minimum, Math.round(energy.tdee * (1 + adjustmentRatio)));
+    const split = this.getMacroSplit(customer.mealPlanCategory);
+
+    return {
+      calories,
+      ...this.caloriesToMacros(calories, split),
+      tdee: energy.tdee,
+      calorieAdjustment: calories - energy.tdee,
+      fitnessGoal: customer.fitnessGoal,
+      mealPlanCategory: customer.mealPlanCategory
+    };
+  },
+
+  /**
+   * Get the active target for a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Object|null} Active MacroTarget
+   */
+  async getActiveTarget(customerId) {
+    try {
+      return await prisma.macroTarget.findFirst({
+        where: { customerId, isActive: true },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      log.error('Failed to get active macro target', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Get paginated target history for a customer, newest first
+   */
+  async getTargetHistory(customerId, { page = 1, limit = 20 } = {}) {
+    try {
+      const [targets, total] = await Promise.all([
+        prisma.macroTarget.findMany({
+          where: { customerId },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.macroTarget.count({ where: { customerId } })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        targets,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to get macro target history', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Store a new active target and deactivate the previous one
+   * @private
+   */
+  async _saveTarget(customerId, data) {
+    const [, target] = await prisma.$transaction([
+      prisma.macroTarget.updateMany({
+        where: { customerId, isActive: true },
+        data: { isActive: false }
+      }),
+      prisma.macroTarget.create({
+        data: { ...data, customerId, isActive: true }
+      })
+    ]);
+
+    log.database('create', 'macro_targets', {
+      customerId,
+      targetId: target.id,
+      source: target.source
+    });
+
+    return target;
+  },
+
+  /**
+   * Recalculate targets from the customer's current profile
+   * @param {Object} customer - Customer record
+   * @param {Object} [context] - { reason, user } describing who triggered it
+   * @returns {Object} New active MacroTarget
+   */
+  async recalculateTargets(customer, { reason = 'Profile recalculation', user = null } = {}) {
+    try {
+      const values = this.calculateTargets(customer);
+
+      const target = await this._saveTarget(customer.id, {
+        ...values,
+        source: 'CALCULATED',
+        reason,
+        createdById: user?.id ?? null,
+        createdByRole: user?.role ?? null
+      });
+
+      log.business('Macro targets recalculated', {
+        customerId: customer.id,
+        calories: target.calories,
+        reason
+      });
+
+      return target;
+    } catch (error) {
+      log.error('Failed to recalculate macro targets', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the active target with trainer-supplied values.
+   * Missing macro values are derived from the calories and the category split.
+   * @param {Object} customer - Customer record
+   * @param {Object} overrides - { calories, proteinGrams?, carbsGrams?, fatGrams?, fiberGrams?, reason? }
+   * @param {Object} user - Trainer performing the override
+   * @returns {Object} New active MacroTarget
+   */
+  async overrideTargets(customer, overrides, user) {
+    try {
+      const split = this.getMacroSplit(customer.mealPlanCategory);
+      const derived = this.caloriesToMacros(overrides.calories, split);
+      const active = await this.getActiveTarget(customer.id);
+      const tdee = active?.tdee ?? null;
+
+      const target = await this._saveTarget(customer.id, {
+        calories: overrides.calories,
+        proteinGrams: overrides.proteinGrams ?? derived.proteinGrams,
+        carbsGrams: overrides.carbsGrams ?? derived.carbsGrams,
+        fatGrams: overrides.fatGrams ?? derived.fatGrams,
+        fiberGrams: overrides.fiberGrams ?? derived.fiberGrams,
+        tdee,
+        calorieAdjustment: tdee !== null ? overrides.calories - tdee : 0,
+        fitnessGoal: customer.fitnessGoal,
+        mealPlanCategory: customer.mealPlanCategory,
+        source: 'TRAINER_OVERRIDE',
+        reason: overrides.reason || 'Trainer override',
+        createdById: user.id,
+        createdByRole: user.role
+      });
+
+      log.business('Macro targets overridden by trainer', {
+        customerId: customer.id,
+        trainerId: user.id,
+        calories: target.calories
+      });
+
+      return target;
+    } catch (error) {
+      log.error('Failed to override macro targets', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,184 @@
+// Meal distribution service
+// Splits daily macro targets into per-meal budgets across Customer.mealsPerDay.
+// Strategies:
+// - EVEN: every meal gets the same share
+// - FRONT_LOADED: breakfast is the largest meal, tapering towards dinner
+// - POST_WORKOUT: the post-workout meal gets extra carbs and protein, less fat
+// - EATING_WINDOW: meals are squeezed into an intermittent fasting window,
+//   dropping meals that cannot fit with the minimum spacing
+import { log } from '../utils/logger.js';
+
+export const DISTRIBUTION_STRATEGIES = ['EVEN', 'FRONT_LOADED', 'POST_WORKOUT', 'EATING_WINDOW'];
+
+const MACRO_KEYS = ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams'];
+
+// Default day used to suggest meal times outside of a fasting window
+const DEFAULT_DAY_START = '07:00';
+const DEFAULT_DAY_HOURS = 13;
+
+// Default 16:8 eating window
+const DEFAULT_EATING_WINDOW = { start: '12:00', hours: 8 };
+const MIN_HOURS_BETWEEN_MEALS = 2;
+
+const MEAL_LABELS = {
+  1: ['Main Meal'],
+  2: ['Breakfast', 'Dinner'],
+  3: ['Breakfast', 'Lunch', 'Dinner'],
+  4: ['Breakfast', 'Lunch', 'Afternoon Snack', 'Dinner'],
+  5: ['Breakfast', 'Morning Snack', 'Lunch', 'Afternoon Snack', 'Dinner'],
+  6: ['Breakfast', 'Morning Snack', 'Lunch', 'Afternoon Snack', 'Dinner', 'Evening Snack']
+};
+
+// Post-workout meal multipliers per macro, relative to an even share
+const POST_WORKOUT_BOOST = { calories: 1.4, proteinGrams: 1.3, carbsGrams: 1.75, fatGrams: 0.6, fiberGrams: 0.8 };
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (totalMinutes) => {
+  const minutes = Math.round(totalMinutes) % (24 * 60);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+};
+
+/**
+ * Normalise weights so they sum to 1
+ */
+const normalise = (weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => weight / total);
+};
+
+export const mealDistributionService = {
+  /**
+   * Get display labels for a number of meals
+   * @param {number} mealCount - Meals per day
+   * @returns {string[]} Labels in meal order
+   */
+  getMealLabels(mealCount) {
+    return MEAL_LABELS[mealCount]
+      || Array.from({ length: mealCount }, (_, index) => `Meal ${index + 1}`);
+  },
+
+  /**
+   * Evenly space meal times across a window
+   * @param {number} mealCount - Meals to schedule
+   * @param {string} start - Window start (HH:mm)
+   * @param {number} hours - Window length in hours
+   * @returns {string[]} Suggested times (HH:mm)
+   */
+  scheduleMealTimes(mealCount, start, hours) {
+    const startMinutes = toMinutes(start);
+    if (mealCount === 1) {
+      return [toTime(startMinutes + (hours * 60) / 2)];
+    }
+
+    const step = (hours * 60) / (mealCount - 1);
+    return Array.from({ length: mealCount }, (_, index) => toTime(startMinutes + step * index));
+  },
+
+  /**
+   * Build share weights per macro for a strategy
+   * @private
+   */
+  _buildWeights(strategy, mealCount, postWorkoutMeal) {
+    const even = Array(mealCount).fill(1);
+
+    if (strategy === 'FRONT_LOADED' && mealCount > 1) {
+      // Linear taper from 1.5x at the first meal to 0.75x at the last
+      const taper = even.map((_, index) => 1.5 - (0.75 * index) / (mealCount - 1));
+      return Object.fromEntries(MACRO_KEYS.map(key => [key, normalise(taper)]));
+    }
+
+    if (strategy === 'POST_WORKOUT' && mealCount > 1) {
+      const workoutIndex = Math.min(Math.max((postWorkoutMeal || mealCount) - 1, 0), mealCount - 1);
+      return Object.fromEntries(MACRO_KEYS.map(key => [
+        key,
+        normalise(even.map((weight, index) => (index === workoutIndex ? POST_WORKOUT_BOOST[key] : weight)))
+      ]));
+    }
+
+    return Object.fromEntries(MACRO_KEYS.map(key => [key, normalise(even)]));
+  },
+
+  /**
+   * Split daily targets into per-meal budgets
+   * @param {Object} targets - Daily targets (calories, proteinGrams, carbsGrams, fatGrams, fiberGrams)
+   * @param {Object} options - Distribution options
+   * @param {number} options.mealsPerDay - Requested meals per day (1-10)
+   * @param {string} [options.strategy] - One of DISTRIBUTION_STRATEGIES
+   * @param {number} [options.postWorkoutMeal] - 1-based meal number for POST_WORKOUT
+   * @param {Object} [options.eatingWindow] - { start: 'HH:mm', hours } for EATING_WINDOW
+   * @returns {Object} Strategy details and the per-meal budgets
+   */
+  distribute(targets, { mealsPerDay, strategy = 'EVEN', postWorkoutMeal = null, eatingWindow = null }) {
+    if (!DISTRIBUTION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid distribution strategy: ${strategy}`);
+    }
+
+    let mealCount = Math.min(Math.max(mealsPerDay || 3, 1), 10);
+    let window = { start: DEFAULT_DAY_START, hours: DEFAULT_DAY_HOURS };
+    let compressedFrom = null;
+
+    if (strategy === 'EATING_WINDOW') {
+      window = { ...DEFAULT_EATING_WINDOW, ...eatingWindow };
+      const maxMeals = Math.floor(window.hours / MIN_HOURS_BETWEEN_MEALS) + 1;
+      if (mealCount > maxMeals) {
+        compressedFrom = mealCount;
+        mealCount = maxMeals;
+      }
+    }
+
+    const weights = this._buildWeights(strategy, mealCount, postWorkoutMeal);
+    const labels = this.getMealLabels(mealCount);
+    const times = this.scheduleMealTimes(mealCount, window.start, window.hours);
+
+    const meals = labels.map((label, index) => {
+      const meal = { mealNumber: index + 1, label, suggestedTime: times[index] };
+      for (const key of MACRO_KEYS) {
+        meal[key] = key === 'calories'
+          ? Math.round(targets[key] * weights[key][index])
+          : Math.round(targets[key] * weights[key][index] * 10) / 10;
+      }
+      meal.share = Math.round(weights.calories[index] * 1000) / 10;
+      if (strategy === 'POST_WORKOUT' && weights.calories[index] > 1 / mealCount) {
+        meal.postWorkout = true;
+      }
+      return meal;
+    });
+
+    log.debug('Daily targets distributed across meals', {
+      strategy,
+      mealCount,
+      compressedFrom
+    });
+
+    return {
+      strategy,
+      mealsPerDay: mealCount,
+      ...(compressedFrom !== null && { compressedFrom }),
+      window: {
+        start: window.start,
+        end: toTime(toMinutes(window.start) + window.hours * 60),
+        hours: window.hours
+      },
+      meals
+    };
+  },
+
+  /**
+   * Resolve the strategy for a customer. INTERMITTENT_FASTING plans always
+   * use the eating window unless the caller explicitly asks for another one.
+   * @param {Object} customer - Customer record
+   * @param {string} [requested] - Strategy requested by the client
+   * @returns {string} Strategy name
+   */
+  resolveStrategy(customer, requested = null) {
+    if (requested) return requested;
+    if (customer.mealPlanCategory === 'INTERMITTENT_FASTING') return 'EATING_WINDOW';
+    return customer.mealDistribution || 'EVEN';
+  }
+};
@@ -0,0 +1,278 @@
+// Meal plan export service
+// Renders a meal plan for use outside the app, entirely in-process:
+// - PDF: printable handout with daily meals, macros, recipes and shopping list
+// - CSV: one row per meal item
+// - iCalendar: one event per meal slot for the customer's calendar app
+import { prisma } from '../config/prisma.js';
+import { mealPlanService } from './mealPlanService.js';
+import { shoppingListService } from './shoppingListService.js';
+import { createPdf } from '../utils/pdf.js';
+import { toICalendar } from '../utils/ical.js';
+import { toCsv } from '../utils/csv.js';
+import { formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Calendar event length for a meal slot
+const MEAL_EVENT_MINUTES = 30;
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ics: { contentType: 'text/calendar', extension: 'ics' }
+};
+
+const CSV_COLUMNS = [
+  'date', 'dayNumber', 'mealNumber', 'meal', 'time', 'type', 'item', 'brand',
+  'quantity', 'unit', 'grams', 'calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams', 'notes'
+];
+
+const fullName = (person) => (person ? `${person.firstName} ${person.lastName}` : null);
+
+const itemName = (item) => (item.food ? item.food.name : item.recipe?.name) || 'Unknown item';
+
+const formatQuantity = (item) => `${Number(item.quantity.toFixed(2))} ${item.unit}`;
+
+const macroLine = (totals) =>
+  `${totals.calories} kcal · P ${totals.proteinGrams} g · C ${totals.carbsGrams} g · F ${totals.fatGrams} g`;
+
+/**
+ * Safe file name stem for a plan
+ */
+const fileStem = (plan) => {
+  const slug = plan.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${slug || 'meal-plan'}-${formatDate(plan.startDate)}`;
+};
+
+export const mealPlanExportService = {
+  /**
+   * Render a plan as CSV, one row per meal item
+   * @param {Object} plan - Summarised plan (mealPlanService.getPlan)
+   * @returns {string} CSV text
+   */
+  toCsv(plan) {
+    const rows = plan.days.flatMap(day => day.meals.flatMap(meal => meal.items.map(item => ({
+      date: formatDate(day.date),
+      dayNumber: day.dayNumber,
+      mealNumber: meal.mealNumber,
+      meal: meal.name,
+      time: meal.time || '',
+      type: item.recipeId ? 'recipe' : 'food',
+      item: itemName(item),
+      brand: item.food?.brand || '',
+      quantity: item.quantity,
+      unit: item.unit,
+      grams: item.grams,
+      calories: item.calories,
+      proteinGrams: item.proteinGrams,
+      carbsGrams: item.carbsGrams,
+      fatGrams: item.fatGrams,
+      fiberGrams: item.fiberGrams,
+      notes: item.notes || ''
+    }))));
+
+    return toCsv(rows, CSV_COLUMNS);
+  },
+
+  /**
+   * Render a plan as an iCalendar feed with one event per meal slot.
+   * Slots without a time become all-day events.
+   * @param {Object} plan - Summarised plan (mealPlanService.getPlan)
+   * @returns {string} .ics text
+   */
+  toICalendar(plan) {
+    const events = plan.days.flatMap(day => day.meals.map(meal => {
+      const description = [
+        ...meal.items.map(item => `- ${itemName(item)}: ${formatQuantity(item)}`),
+        meal.items.length ? macroLine(meal.totals) : 'No items planned yet',
+        meal.notes
+      ].filter(Boolean).join('\n');
+
+      const event = {
+        uid: `${meal.id}@macrosandmeals`,
+        summary: `${meal.name} - ${plan.name}`,
+        description
+      };
+
+      const match = /^(\d{1,2}):(\d{2})$/.exec(meal.time || '');
+      if (!match) {
+        return { ...event, start: day.date, allDay: true };
+      }
+
+      // Wall-clock time on the plan day, carried in the UTC fields
+      const start = new Date(day.date.getTime() + (Number(match[1]) * 60 + Number(match[2])) * 60000);
+      return { ...event, start, end: new Date(start.getTime() + MEAL_EVENT_MINUTES * 60000) };
+    }));
+
+    return toICalendar(events, { name: plan.name });
+  },
+
+  /**
+   * Render a plan as a printable PDF
+   * @param {Object} plan - Summarised plan (mealPlanService.getPlan)
+   * @param {Object[]} recipes - Recipes used by the plan, with ingredients
+   * @param {Object} shoppingList - Result of shoppingListService.buildShoppingList
+   * @returns {Buffer} PDF bytes
+   */
+  toPdf(plan, recipes, shoppingList) {
+    const trainer = fullName(plan.trainer);
+    const customer = fullName(plan.customer);
+    const doc = createPdf({ title: plan.name, author: trainer || '' });
+
+    doc.banner(plan.name, [
+      [customer && `Prepared for ${customer}`, trainer && `by ${trainer}`].filter(Boolean).join(' ') || 'Meal plan',
+      `${formatDate(plan.startDate)} to ${formatDate(plan.endDate)} · ${plan.category.replace(/_/g, ' ')}`
+    ]);
+
+    if (plan.description) doc.text(plan.description).space(4);
+    if (plan.notes) doc.text(plan.notes, { color: [0.35, 0.35, 0.35] }).space(4);
+
+    doc.heading('Daily targets');
+    const averageRow = ['Daily average', ...['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams']
+      .map(field => String(plan.dailyAverage[field]))];
+    doc.table([
+      { label: '', width: 0.3 },
+      { label: 'Calories', width: 0.14, align: 'right' },
+      { label: 'Protein (g)', width: 0.14, align: 'right' },
+      { label: 'Carbs (g)', width: 0.14, align: 'right' },
+      { label: 'Fat (g)', width: 0.14, align: 'right' },
+      { label: 'Fiber (g)', width: 0.14, align: 'right' }
+    ], [
+      ...(plan.targets ? [['Target', ...['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams']
+        .map(field => (plan.targets[field] ?? '-').toString())]] : []),
+      averageRow
+    ]);
+
+    const itemColumns = [
+      { label: 'Item', width: 0.4 },
+      { label: 'Amount', width: 0.16, align: 'right' },
+      { label: 'kcal', width: 0.11, align: 'right' },
+      { label: 'Protein', width: 0.11, align: 'right' },
+      { label: 'Carbs', width: 0.11, align: 'right' },
+      { label: 'Fat', width: 0.11, align: 'right' }
+    ];
+
+    for (const day of plan.days) {
+      doc.heading(`Day ${day.dayNumber} · ${formatDate(day.date)}`);
+      if (day.notes) doc.text(day.notes, { color: [0.35, 0.35, 0.35] });
+
+      for (const meal of day.meals) {
+        doc.heading(meal.time ? `${meal.name} (${meal.time})` : meal.name, 2);
+        if (!meal.items.length) {
+          doc.text('Nothing planned', { size: 9, color: [0.45, 0.45, 0.45] });
+          continue;
+        }
+        doc.table(itemColumns, [
+          ...meal.items.map(item => [
+            itemName(item),
+            formatQuantity(item),
+            String(item.calories),
+            `${item.proteinGrams} g`,
+            `${item.carbsGrams} g`,
+            `${item.fatGrams} g`
+          ]),
+          {
+            bold: true,
+            cells: ['Meal total', '', String(meal.totals.calories), `${meal.totals.proteinGrams} g`,
+              `${meal.totals.carbsGrams} g`, `${meal.totals.fatGrams} g`]
+          }
+        ]);
+      }
+
+      doc.text(`Day total: ${macroLine(day.totals)}`, { bold: true, size: 9.5 });
+      if (day.targetComparison) {
+        const { calories } = day.targetComparison;
+        doc.text(`${calories.percent ?? '-'}% of the ${calories.target} kcal target`, { size: 9, color: [0.35, 0.35, 0.35] });
+      }
+    }
+
+    if (recipes.length) {
+      doc.pageBreak().heading('Recipes');
+      for (const recipe of recipes) {
+        const timing = [
+          `${recipe.servings} serving${recipe.servings === 1 ? '' : 's'}`,
+          recipe.prepMinutes ? `${recipe.prepMinutes} min prep` : null,
+          recipe.cookMinutes ? `${recipe.cookMinutes} min cook` : null
+        ].filter(Boolean).join(' · ');
+
+        doc.heading(recipe.name, 2);
+        doc.text(`${timing} · per serving ${macroLine({
+          calories: Math.round(recipe.calories),
+          proteinGrams: Math.round(recipe.proteinGrams * 10) / 10,
+          carbsGrams: Math.round(recipe.carbsGrams * 10) / 10,
+          fatGrams: Math.round(recipe.fatGrams * 10) / 10
+        })}`, { size: 9, color: [0.35, 0.35, 0.35] });
+        if (recipe.description) doc.text(recipe.description, { size: 9.5 });
+
+        for (const ingredient of recipe.ingredients) {
+          doc.text(`• ${Number(ingredient.quantity.toFixed(2))} ${ingredient.unit} ${ingredient.food.name}${ingredient.notes ? ` (${ingredient.notes})` : ''}`, {
+            size: 9.5,
+            indent: 10
+          });
+        }
+        if (recipe.instructions) doc.space(4).text(recipe.instructions, { size: 9.5 });
+        doc.space(6);
+      }
+    }
+
+    doc.pageBreak().heading('Shopping list');
+    if (!shoppingList.itemCount) {
+      doc.text('Everything needed is already in the pantry.');
+    }
+    for (const group of shoppingList.aisles) {
+      doc.heading(group.aisle, 2);
+      for (const item of group.items) {
+        doc.text(`[  ]  ${item.name}${item.brand ? ` (${item.brand})` : ''} - ${item.purchase.display}`, { size: 9.5, indent: 6 });
+      }
+    }
+    if (shoppingList.inPantry.length) {
+      doc.heading('Already in the pantry', 2)
+        .text(shoppingList.inPantry.map(item => item.name).join(', '), { size: 9.5, color: [0.35, 0.35, 0.35] });
+    }
+
+    return doc.toBuffer({
+      footer: (page, pages) => `${plan.name} · page ${page} of ${pages}`
+    });
+  },
+
+  /**
+   * Export a plan in one of EXPORT_FORMATS
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @param {string} format - pdf, csv or ics
+   * @returns {Object} { filename, contentType, content }
+   * @throws {Error} 'Meal plan not found' / 'Access denied to meal plan'
+   */
+  async exportPlan(planId, user, format) {
+    try {
+      const plan = await mealPlanService.getPlan(planId, user);
+      const { contentType, extension } = EXPORT_FORMATS[format];
+
+      let content;
+      if (format === 'csv') {
+        content = this.toCsv(plan);
+      } else if (format === 'ics') {
+        content = this.toICalendar(plan);
+      } else {
+        const recipeIds = [...new Set(plan.days.flatMap(day =>
+          day.meals.flatMap(meal => meal.items.map(item => item.recipeId).filter(Boolean))))];
+        const recipes = recipeIds.length
+          ? await prisma.recipe.findMany({
+            where: { id: { in: recipeIds } },
+            include: { ingredients: { orderBy: { position: 'asc' }, include: { food: { select: { name: true } } } } },
+            orderBy: { name: 'asc' }
+          })
+          : [];
+        const shoppingList = await shoppingListService.buildShoppingList(planId, user);
+
+        content = this.toPdf(plan, recipes, shoppingList);
+      }
+
+      log.business('Meal plan exported', { planId, format, userId: user.id });
+
+      return { filename: `${fileStem(plan)}.${extension}`, contentType, content };
+    } catch (error) {
+      log.error('Failed to export meal plan', { planId, format, error: error.message });
+      throw error;
+    }
+  }
+};
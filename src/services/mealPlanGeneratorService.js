@@ -0,0 +1,648 @@
+// Meal plan generator
+// Builds a multi-day plan from the food and recipe catalog that meets a
+// customer's active macro targets.
+// Business rules:
+// - Every day must land within the configured tolerances of the daily targets;
+//   days that cannot be fitted are still saved but flagged in the report
+// - Meal slots follow the customer's mealsPerDay and distribution strategy;
+//   a fasting protocol times them inside its eating window and scales fasting
+//   days (5:2) down to the fasting-day calorie cap
+// - MealPlanCategory rules, allergen exclusions and the customer's dietary
+//   profile (hard constraints) filter the catalog up front; disliked foods are
+//   dropped whenever the pool has alternatives
+// - The same main dish (recipe or protein source) is used at most
+//   maxRepeats times per plan and never twice on the same day
+import { prisma } from '../config/prisma.js';
+import { macroTargetService } from './macroTargetService.js';
+import { mealDistributionService } from './mealDistributionService.js';
+import { mealPlanService } from './mealPlanService.js';
+import { dietaryProfileService } from './dietaryProfileService.js';
+import { mealPlanRevisionService } from './mealPlanRevisionService.js';
+import { fastingService, fastingDayTarget, fastingDayMeals, isoWeekday } from './fastingService.js';
+import { toDateOnly, addDays, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+export const GENERATOR_DEFAULTS = {
+  days: 7,
+  // Allowed relative deviation from the daily target
+  tolerances: { calories: 0.05, proteinGrams: 0.10, carbsGrams: 0.10, fatGrams: 0.10 },
+  maxRepeats: 2,
+  useRecipes: true,
+  attemptsPerDay: 30
+};
+
+// Small absolute slack so tiny targets (e.g. keto carbs) are not held to a few grams
+const TOLERANCE_FLOORS = { calories: 50, proteinGrams: 5, carbsGrams: 5, fatGrams: 5 };
+
+// Relative weight of each target when fitting portions
+const FIT_WEIGHTS = { calories: 3, proteinGrams: 2, carbsGrams: 1, fatGrams: 1 };
+
+const FIT_FIELDS = Object.keys(FIT_WEIGHTS);
+
+// Foods are loaded from these categories only; beverages, snacks and condiments
+// rarely make sensible portion-scaled meal components
+export const GENERATOR_FOOD_CATEGORIES = [
+  'PROTEIN', 'DAIRY', 'GRAINS', 'VEGETABLES', 'FRUITS', 'LEGUMES', 'NUTS_SEEDS', 'FATS_OILS'
+];
+
+export const CANDIDATE_LIMIT = 2000;
+
+// Portion limits per meal role: grams for foods, servings for recipes
+export const ROLE_PORTION_BOUNDS = {
+  main: [0.5, 2.5],
+  protein: [50, 300],
+  carb: [30, 300],
+  fat: [5, 50],
+  vegetable: [50, 250],
+  fruit: [50, 250]
+};
+
+/**
+ * Dietary rules per MealPlanCategory.
+ * exclude: food classes that may not appear (animal, meat, seafood)
+ * excludeAllergens: allergens that may not appear
+ * max*Per100g: per-food caps
+ * maxDailyNetCarbs: cap on carbs minus fiber for a whole day
+ */
+export const CATEGORY_RULES = {
+  VEGAN: { exclude: ['animal'] },
+  VEGETARIAN: { exclude: ['meat', 'seafood'] },
+  PESCATARIAN: { exclude: ['meat'] },
+  DAIRY_FREE: { excludeAllergens: ['MILK'] },
+  GLUTEN_FREE: { excludeAllergens: ['GLUTEN', 'WHEAT'] },
+  KETO: { maxNetCarbsPer100g: 10, maxDailyNetCarbs: 30 },
+  LOW_CARB: { maxNetCarbsPer100g: 40, maxDailyNetCarbs: 100 },
+  DIABETIC_FRIENDLY: { maxSugarPer100g: 15 },
+  LOW_GLYCEMIC: { maxSugarPer100g: 15 },
+  HEART_HEALTHY: { maxSaturatedFatPer100g: 5 },
+  DASH_DIET: { maxSaturatedFatPer100g: 5, maxSodiumPer100g: 400 }
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so a plan can be reproduced
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const lowerTags = (entity) => (entity.tags || []).map(tag => String(tag).toLowerCase());
+
+/**
+ * Energy share of each macro for a food or recipe
+ */
+const macroShares = ({ calories, proteinGrams, carbsGrams, fatGrams }) => {
+  const energy = proteinGrams * 4 + carbsGrams * 4 + fatGrams * 9 || calories || 1;
+  return {
+    protein: (proteinGrams * 4) / energy,
+    carbs: (carbsGrams * 4) / energy,
+    fat: (fatGrams * 9) / energy
+  };
+};
+
+export const mealPlanGeneratorService = {
+  /**
+   * Check a food against dietary rules and allergen exclusions
+   * @param {Object} food - Food (nutrition per 100 g)
+   * @param {Object} rules - Entry of CATEGORY_RULES
+   * @param {string[]} excludeAllergens - Allergens to avoid
+   * @returns {boolean} True when the food may be used
+   */
+  isFoodAllowed(food, rules, excludeAllergens) {
+    const allergens = food.allergens || [];
+    if (allergens.some(allergen => excludeAllergens.includes(allergen))) return false;
+    if (rules.excludeAllergens?.some(allergen => allergens.includes(allergen))) return false;
+
+    if (rules.exclude?.length) {
+      const classes = dietaryProfileService.classifyFood(food);
+      if (rules.exclude.some(key => classes[key])) return false;
+    }
+
+    if (rules.maxNetCarbsPer100g !== undefined
+      && food.carbsGrams - (food.fiberGrams || 0) > rules.maxNetCarbsPer100g) return false;
+    if (rules.maxSugarPer100g !== undefined && (food.sugarGrams || 0) > rules.maxSugarPer100g) return false;
+    if (rules.maxSaturatedFatPer100g !== undefined
+      && (food.saturatedFatGrams || 0) > rules.maxSaturatedFatPer100g) return false;
+    if (rules.maxSodiumPer100g !== undefined
+      && (food.micronutrients?.sodium || 0) > rules.maxSodiumPer100g) return false;
+
+    return true;
+  },
+
+  /**
+   * Check a recipe: every ingredient must be allowed and the per-100 g
+   * nutrition of a serving must respect the category caps
+   * @param {Object} recipe - Recipe with ingredients and their foods
+   * @param {Object} rules - Entry of CATEGORY_RULES
+   * @param {string[]} excludeAllergens - Allergens to avoid
+   * @returns {boolean} True when the recipe may be used
+   */
+  isRecipeAllowed(recipe, rules, excludeAllergens) {
+    if (!recipe.servingGrams || recipe.calories <= 0) return false;
+    if (!recipe.ingredients.every(ingredient => ingredient.food.isActive)) return false;
+
+    const ingredientRules = { exclude: rules.exclude, excludeAllergens: rules.excludeAllergens };
+    if (!recipe.ingredients.every(ingredient => this.isFoodAllowed(ingredient.food, ingredientRules, excludeAllergens))) {
+      return false;
+    }
+
+    const per100g = 100 / recipe.servingGrams;
+    return this.isFoodAllowed({
+      name: recipe.name,
+      carbsGrams: recipe.carbsGrams * per100g,
+      fiberGrams: recipe.fiberGrams * per100g,
+      sugarGrams: (recipe.sugarGrams || 0) * per100g,
+      saturatedFatGrams: (recipe.saturatedFatGrams || 0) * per100g,
+      micronutrients: { sodium: (recipe.micronutrients?.sodium || 0) * per100g }
+    }, { ...rules, exclude: [], excludeAllergens: [] }, []);
+  },
+
+  /**
+   * Sort allowed foods into component pools by their dominant macro
+   * @param {Object[]} foods - Allowed foods
+   * @returns {Object} { protein, carb, fat, vegetable, fruit }
+   */
+  buildPools(foods) {
+    const pools = { protein: [], carb: [], fat: [], vegetable: [], fruit: [] };
+
+    for (const food of foods) {
+      const role = this.classifyRole(food);
+      if (role) pools[role].push(food);
+    }
+
+    return pools;
+  },
+
+  /**
+   * Role a food plays in a meal, by category and dominant macro
+   * @param {Object} food - Food (nutrition per 100 g)
+   * @returns {string|null} protein, carb, fat, vegetable, fruit or null when unsuitable
+   */
+  classifyRole(food) {
+    if (food.calories <= 0) return null;
+    if (food.category === 'VEGETABLES') return 'vegetable';
+    if (food.category === 'FRUITS') return 'fruit';
+
+    const shares = macroShares(food);
+    if (shares.protein >= 0.35) return 'protein';
+    if (shares.fat >= 0.6) return 'fat';
+    if (shares.carbs >= 0.55) return 'carb';
+    return null;
+  },
+
+  /**
+   * Drop disliked entries from a list unless that would leave it empty
+   * @private
+   */
+  _withoutDisliked(list, isDisliked, relaxed, label) {
+    const liked = list.filter(entity => !isDisliked(entity));
+    if (liked.length || !list.length) return liked;
+    relaxed.push(label);
+    return list;
+  },
+
+  /**
+   * Load catalog candidates allowed for the category, allergen exclusions and
+   * the customer's dietary profile
+   * @private
+   */
+  async _loadCandidates(rules, excludeAllergens, useRecipes, constraints) {
+    const foods = await prisma.food.findMany({
+      where: { isActive: true, category: { in: GENERATOR_FOOD_CATEGORIES } },
+      include: { servings: true },
+      orderBy: { updatedAt: 'desc' },
+      take: CANDIDATE_LIMIT
+    });
+
+    const recipes = useRecipes
+      ? await prisma.recipe.findMany({
+        where: { isActive: true, ingredients: { some: {} } },
+        include: { ingredients: { include: { food: true } } },
+        orderBy: { updatedAt: 'desc' },
+        take: CANDIDATE_LIMIT
+      })
+      : [];
+
+    const foodViolations = new Map(foods.map(food => [food.id, dietaryProfileService.checkFood(food, constraints)]));
+    const recipeViolations = new Map(recipes.map(recipe => [recipe.id, dietaryProfileService.checkRecipe(recipe, constraints)]));
+    const isDisliked = (violations) => (entity) => violations.get(entity.id).length > 0;
+
+    const allowedFoods = foods.filter(food =>
+      this.isFoodAllowed(food, rules, excludeAllergens)
+      && !dietaryProfileService.hasHardViolation(foodViolations.get(food.id)));
+    const allowedRecipes = recipes.filter(recipe =>
+      this.isRecipeAllowed(recipe, rules, excludeAllergens)
+      && !dietaryProfileService.hasHardViolation(recipeViolations.get(recipe.id)));
+
+    // Soft constraints: whatever is left with violations is a disliked item
+    const relaxed = [];
+    const pools = this.buildPools(allowedFoods);
+    for (const [pool, list] of Object.entries(pools)) {
+      pools[pool] = this._withoutDisliked(list, isDisliked(foodViolations), relaxed, pool);
+    }
+    const candidateRecipes = allowedRecipes.filter(recipe => !isDisliked(recipeViolations)(recipe));
+
+    return {
+      pools,
+      recipes: candidateRecipes,
+      preferredRecipes: candidateRecipes.filter(recipe => dietaryProfileService.matchesCuisine(recipe, constraints)),
+      violations: { foods: foodViolations, recipes: recipeViolations },
+      relaxed
+    };
+  },
+
+  /**
+   * Turn a food or recipe into a portion variable for the fitter.
+   * Food portions are in grams, recipe portions in servings.
+   * @private
+   */
+  _variable(kind, entity, role, mealIndex) {
+    if (kind === 'recipe') {
+      return {
+        kind, entity, role, mealIndex,
+        nutrition: {
+          calories: entity.calories,
+          proteinGrams: entity.proteinGrams,
+          carbsGrams: entity.carbsGrams,
+          fatGrams: entity.fatGrams,
+          fiberGrams: entity.fiberGrams
+        },
+        min: ROLE_PORTION_BOUNDS.main[0], max: ROLE_PORTION_BOUNDS.main[1], step: 0.25, value: 1
+      };
+    }
+
+    const bounds = ROLE_PORTION_BOUNDS[role];
+
+    return {
+      kind, entity, role, mealIndex,
+      nutrition: {
+        calories: entity.calories / 100,
+        proteinGrams: entity.proteinGrams / 100,
+        carbsGrams: entity.carbsGrams / 100,
+        fatGrams: entity.fatGrams / 100,
+        fiberGrams: (entity.fiberGrams || 0) / 100
+      },
+      min: bounds[0], max: bounds[1], step: 5, value: (bounds[0] + bounds[1]) / 2
+    };
+  },
+
+  /**
+   * Fit portion sizes to weighted targets with bounded coordinate descent.
+   * Minimises sum(weight * ((row . x - target) / target)^2) within each
+   * variable's [min, max], then rounds portions to their step.
+   * @param {Object[]} variables - Portion variables (value is updated in place)
+   * @param {Object[]} rows - [{ coeffs(variable) => number, target, weight }]
+   * @param {number} [iterations] - Coordinate descent sweeps
+   */
+  fitPortions(variables, rows, iterations = 40) {
+    const scaled = rows.map(row => ({
+      coeffs: variables.map(variable => row.coeffs(variable)),
+      target: row.target,
+      scale: Math.max(row.target, 1) ** 2,
+      weight: row.weight
+    }));
+
+    const rowValue = (row) => row.coeffs.reduce((sum, coeff, index) => sum + coeff * variables[index].value, 0);
+
+    for (let sweep = 0; sweep < iterations; sweep++) {
+      variables.forEach((variable, index) => {
+        let numerator = 0;
+        let denominator = 0;
+        for (const row of scaled) {
+          const coeff = row.coeffs[index];
+          if (!coeff) continue;
+          const residual = row.target - (rowValue(row) - coeff * variable.value);
+          numerator += (row.weight * coeff * residual) / row.scale;
+          denominator += (row.weight * coeff * coeff) / row.scale;
+        }
+        if (denominator > 0) {
+          variable.value = Math.min(variable.max, Math.max(variable.min, numerator / denominator));
+        }
+      });
+    }
+
+    for (const variable of variables) {
+      variable.value = Math.min(variable.max, Math.max(variable.min,
+        Math.round(variable.value / variable.step) * variable.step));
+    }
+  },
+
+  /**
+   * Sum fitted nutrition over variables
+   * @private
+   */
+  _totals(variables) {
+    const totals = { calories: 0, proteinGrams: 0, carbsGrams: 0, fatGrams: 0, fiberGrams: 0 };
+    for (const variable of variables) {
+      for (const field of Object.keys(totals)) {
+        totals[field] += variable.nutrition[field] * variable.value;
+      }
+    }
+    return totals;
+  },
+
+  /**
+   * Compare a day's totals to its targets
+   * @param {Object} totals - Day nutrition totals
+   * @param {Object} target - Daily MacroTarget
+   * @param {Object} tolerances - Relative tolerance per field
+   * @param {Object} rules - Entry of CATEGORY_RULES
+   * @returns {Object} { withinTolerance, score, deviations, netCarbsGrams }
+   */
+  evaluateDay(totals, target, tolerances, rules) {
+    const deviations = {};
+    let withinTolerance = true;
+    let score = 0;
+
+    for (const field of FIT_FIELDS) {
+      const difference = totals[field] - target[field];
+      const allowed = Math.max(target[field] * tolerances[field], TOLERANCE_FLOORS[field]);
+      deviations[field] = target[field] > 0 ? round((difference / target[field]) * 100) : null;
+      if (Math.abs(difference) > allowed) withinTolerance = false;
+      score += FIT_WEIGHTS[field] * (difference / Math.max(target[field], 1)) ** 2;
+    }
+
+    const netCarbsGrams = round(totals.carbsGrams - totals.fiberGrams);
+    if (rules.maxDailyNetCarbs !== undefined && netCarbsGrams > rules.maxDailyNetCarbs) {
+      withinTolerance = false;
+      score += 10;
+    }
+
+    return { withinTolerance, score, deviations, netCarbsGrams };
+  },
+
+  /**
+   * Choose the components of one meal
+   * @private
+   */
+  _composeMeal(random, candidates, slot, mealIndex, usage, usedToday, maxRepeats) {
+    const { pools, recipes } = candidates;
+    const available = (list) => list.filter(entity =>
+      !usedToday.has(entity.id) && (usage.get(entity.id) || 0) < maxRepeats);
+    const preferTagged = (list) => {
+      const label = slot.label.toLowerCase();
+      const tagged = list.filter(entity => lowerTags(entity).includes(label));
+      return tagged.length >= 3 ? tagged : list;
+    };
+
+    const components = [];
+    const isSnack = /snack/i.test(slot.label);
+    const preferredOptions = available(candidates.preferredRecipes || []);
+    const recipeOptions = preferredOptions.length && random() < 0.7
+      ? preferredOptions
+      : available(preferTagged(recipes));
+    const proteinOptions = available(preferTagged(pools.protein));
+
+    // Main dish: a recipe or a protein source
+    if (!isSnack && recipeOptions.length && (random() < 0.5 || !proteinOptions.length)) {
+      components.push(this._variable('recipe', pick(random, recipeOptions), 'main', mealIndex));
+    } else if (proteinOptions.length) {
+      components.push(this._variable('food', pick(random, proteinOptions), 'protein', mealIndex));
+    } else if (pools.protein.length) {
+      // Everything has hit the repeat limit; fall back to the least used protein
+      const leastUsed = [...pools.protein].sort((a, b) => (usage.get(a.id) || 0) - (usage.get(b.id) || 0));
+      components.push(this._variable('food', leastUsed[0], 'protein', mealIndex));
+    }
+
+    if (isSnack) {
+      const side = pools.fruit.length && random() < 0.5 ? pools.fruit : pools.fat;
+      if (side.length) components.push(this._variable('food', pick(random, side), side === pools.fruit ? 'fruit' : 'fat', mealIndex));
+      return components;
+    }
+
+    for (const role of ['carb', 'fat', 'vegetable']) {
+      if (pools[role].length) {
+        components.push(this._variable('food', pick(random, preferTagged(pools[role])), role, mealIndex));
+      }
+    }
+
+    return components;
+  },
+
+  /**
+   * Build and fit one day, retrying with different components until the
+   * day is within tolerance or attempts run out
+   * @private
+   */
+  _generateDay(random, candidates, distribution, target, options, usage) {
+    let best = null;
+
+    for (let attempt = 0; attempt < options.attemptsPerDay; attempt++) {
+      const usedToday = new Set();
+      const variables = [];
+
+      distribution.meals.forEach((slot, mealIndex) => {
+        const components = this._composeMeal(random, candidates, slot, mealIndex, usage, usedToday, options.maxRepeats);
+        if (components[0]) usedToday.add(components[0].entity.id);
+        variables.push(...components);
+      });
+
+      // Daily targets drive the fit; per-meal calorie rows keep the distribution shape
+      const rows = [
+        ...FIT_FIELDS.map(field => ({
+          coeffs: variable => variable.nutrition[field],
+          target: target[field],
+          weight: FIT_WEIGHTS[field]
+        })),
+        ...distribution.meals.map((slot, mealIndex) => ({
+          coeffs: variable => (variable.mealIndex === mealIndex ? variable.nutrition.calories : 0),
+          target: slot.calories,
+          weight: 0.5
+        }))
+      ];
+      this.fitPortions(variables, rows);
+
+      const evaluation = this.evaluateDay(this._totals(variables), target, options.tolerances, options.rules);
+      if (!best || evaluation.score < best.evaluation.score) {
+        best = { variables, evaluation };
+      }
+      if (evaluation.withinTolerance) break;
+    }
+
+    return best;
+  },
+
+  /**
+   * Generate and save a plan for a customer
+   * @param {Object} request - Validated payload:
+   *   { customerId, name?, startDate?, days?, tolerances?, maxRepeats?, excludeAllergens?, useRecipes?, seed? }
+   * @param {Object} user - Authoring user
+   * @returns {Object} { mealPlan, generation }
+   * @throws {Error} 'No macro targets ...' / 'Not enough catalog foods ...'
+   */
+  async generatePlan(request, user) {
+    try {
+      const { customer, trainerId } = await mealPlanService.resolvePlanOwner(request.customerId, user);
+
+      const target = await macroTargetService.getActiveTarget(customer.id);
+      if (!target) {
+        throw new Error('No macro targets for customer: complete the profile or set targets first');
+      }
+
+      const category = request.category || customer.mealPlanCategory;
+      const rules = CATEGORY_RULES[category] || {};
+      const excludeAllergens = request.excludeAllergens || [];
+      const constraints = dietaryProfileService.getConstraints(customer);
+      const options = {
+        rules,
+        tolerances: { ...GENERATOR_DEFAULTS.tolerances, ...request.tolerances },
+        maxRepeats: request.maxRepeats ?? GENERATOR_DEFAULTS.maxRepeats,
+        attemptsPerDay: GENERATOR_DEFAULTS.attemptsPerDay
+      };
+      const dayCount = request.days ?? GENERATOR_DEFAULTS.days;
+      const seed = request.seed ?? Math.floor(Math.random() * 2 ** 31);
+      const random = createRandom(seed);
+
+      const candidates = await this._loadCandidates(
+        rules,
+        excludeAllergens,
+        request.useRecipes ?? GENERATOR_DEFAULTS.useRecipes,
+        constraints
+      );
+      if (!candidates.pools.protein.length && !candidates.recipes.length) {
+        throw new Error(`Not enough catalog foods to generate a ${category} plan: no protein sources or recipes match`);
+      }
+
+      const protocol = await fastingService.getProtocol(customer);
+      const eatingWindow = protocol?.eatingWindow ?? null;
+      const distributeFor = (dayTarget, mealsPerDay) => mealDistributionService.distribute(dayTarget, {
+        mealsPerDay,
+        strategy: eatingWindow ? 'EATING_WINDOW' : mealDistributionService.resolveStrategy(customer),
+        postWorkoutMeal: customer.postWorkoutMeal,
+        eatingWindow
+      });
+
+      const distribution = distributeFor(target, customer.mealsPerDay);
+      const fastingTarget = fastingDayTarget(target, protocol);
+      const fastingDistribution = fastingTarget && distributeFor(fastingTarget, fastingDayMeals(customer.mealsPerDay));
+
+      const startDate = toDateOnly(request.startDate || new Date());
+      const usage = new Map();
+      const days = [];
+
+      for (let index = 0; index < dayCount; index++) {
+        const date = addDays(startDate, index);
+        const fastingDay = Boolean(fastingTarget) && protocol.fastingDays.includes(isoWeekday(date));
+        const dayDistribution = fastingDay ? fastingDistribution : distribution;
+        const { variables, evaluation } = this._generateDay(
+          random,
+          candidates,
+          dayDistribution,
+          fastingDay ? fastingTarget : target,
+          options,
+          usage
+        );
+        const mains = new Set(variables.filter(variable => variable.role === 'main' || variable.role === 'protein')
+          .map(variable => variable.entity.id));
+        for (const id of mains) usage.set(id, (usage.get(id) || 0) + 1);
+        days.push({ dayNumber: index + 1, date, fastingDay, distribution: dayDistribution, variables, evaluation });
+      }
+
+      // Only soft violations can remain here (relaxed dislikes)
+      const violationsOf = (variable) => {
+        const source = variable.kind === 'recipe' ? candidates.violations.recipes : candidates.violations.foods;
+        const violations = source.get(variable.entity.id);
+        return violations.length ? violations : undefined;
+      };
+
+      const plan = await prisma.mealPlan.create({
+        data: {
+          name: request.name || `Generated ${category} plan (${formatDate(startDate)})`,
+          description: request.description ?? null,
+          category,
+          startDate,
+          endDate: addDays(startDate, dayCount - 1),
+          trainerId,
+          customerId: customer.id,
+          days: {
+            create: days.map(day => ({
+              dayNumber: day.dayNumber,
+              date: day.date,
+              meals: {
+                create: day.distribution.meals.map((slot, mealIndex) => ({
+                  mealNumber: slot.mealNumber,
+                  name: slot.label,
+                  time: slot.suggestedTime,
+                  items: {
+                    create: day.variables
+                      .filter(variable => variable.mealIndex === mealIndex)
+                      .map((variable, position) => ({
+                        ...(variable.kind === 'recipe'
+                          ? mealPlanService.itemFromRecipe(variable.entity, { quantity: variable.value, unit: 'serving' })
+                          : mealPlanService.itemFromFood(variable.entity, { quantity: variable.value, unit: 'g' })),
+                        violations: violationsOf(variable),
+                        position
+                      }))
+                  }
+                }))
+              }
+            }))
+          }
+        }
+      });
+
+      await mealPlanRevisionService.recordRevision(plan.id, user, {
+        action: 'CREATE',
+        summary: `Generated with seed ${seed}`
+      });
+
+      const generation = {
+        seed,
+        category,
+        rules,
+        excludeAllergens,
+        dietaryProfile: constraints,
+        softConstraintsRelaxed: candidates.relaxed,
+        tolerances: options.tolerances,
+        maxRepeats: options.maxRepeats,
+        candidateCounts: {
+          recipes: candidates.recipes.length,
+          preferredRecipes: candidates.preferredRecipes.length,
+          ...Object.fromEntries(Object.entries(candidates.pools).map(([pool, foods]) => [pool, foods.length]))
+        },
+        fasting: protocol
+          ? { type: protocol.type, eatingWindow, fastingDays: protocol.fastingDays, fastingDayCalories: protocol.fastingDayCalories }
+          : null,
+        allWithinTolerance: days.every(day => day.evaluation.withinTolerance),
+        days: days.map(day => ({
+          dayNumber: day.dayNumber,
+          date: formatDate(day.date),
+          fastingDay: day.fastingDay,
+          withinTolerance: day.evaluation.withinTolerance,
+          deviationPercent: day.evaluation.deviations,
+          netCarbsGrams: day.evaluation.netCarbsGrams
+        }))
+      };
+
+      log.business('Meal plan generated', {
+        planId: plan.id,
+        customerId: customer.id,
+        trainerId,
+        category,
+        seed,
+        allWithinTolerance: generation.allWithinTolerance
+      });
+
+      return {
+        mealPlan: await mealPlanService.getPlan(plan.id, user),
+        generation
+      };
+    } catch (error) {
+      log.error('Failed to generate meal plan', { customerId: request.customerId, error: error.message });
+      throw error;
+    }
+  }
+};
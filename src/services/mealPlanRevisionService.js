@@ -0,0 +1,346 @@
+// Meal plan revision service
+// Keeps an append-only history of meal plan edits so changes can be traced,
+// compared and undone.
+// Business rules:
+// - Every change to a plan records a revision holding the whole plan as it was
+//   after the change, with the author and time
+// - Revisions are never edited or deleted (they go away only with the plan)
+// - Restoring an old revision rewrites the plan and records a new revision
+import { Prisma } from '../generated/prisma/index.js';
+import { prisma } from '../config/prisma.js';
+import { toDateOnly, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+const NUTRITION_FIELDS = ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams'];
+const PLAN_FIELDS = ['name', 'description', 'category', 'startDate', 'endDate', 'notes', 'status'];
+
+const revisionListSelect = {
+  id: true,
+  revisionNumber: true,
+  action: true,
+  summary: true,
+  authorId: true,
+  authorRole: true,
+  authorName: true,
+  createdAt: true
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const sumNutrition = (items) => Object.fromEntries(NUTRITION_FIELDS.map(field => [
+  field,
+  round(items.reduce((sum, item) => sum + (item[field] || 0), 0), field === 'calories' ? 0 : 1)
+]));
+
+const sourceKey = (item) => (item.foodId ? `food:${item.foodId}` : `recipe:${item.recipeId}`);
+
+const describeItem = (item, meal) => ({
+  mealNumber: meal.mealNumber,
+  mealName: meal.name,
+  foodId: item.foodId,
+  recipeId: item.recipeId,
+  name: item.name,
+  quantity: item.quantity,
+  unit: item.unit,
+  calories: item.calories
+});
+
+export const mealPlanRevisionService = {
+  /**
+   * Capture the stored state of a plan
+   * @param {string} planId - Meal plan ID
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Object} { plan, days } with dates as YYYY-MM-DD
+   */
+  async snapshot(planId, tx = prisma) {
+    const plan = await tx.mealPlan.findUnique({
+      where: { id: planId },
+      include: {
+        days: {
+          orderBy: { dayNumber: 'asc' },
+          include: {
+            meals: {
+              orderBy: { mealNumber: 'asc' },
+              include: {
+                items: {
+                  orderBy: { position: 'asc' },
+                  include: {
+                    food: { select: { name: true } },
+                    recipe: { select: { name: true } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    return {
+      plan: {
+        name: plan.name,
+        description: plan.description,
+        category: plan.category,
+        startDate: formatDate(plan.startDate),
+        endDate: formatDate(plan.endDate),
+        notes: plan.notes,
+        status: plan.status,
+        trainerId: plan.trainerId,
+        customerId: plan.customerId
+      },
+      days: plan.days.map(day => ({
+        dayNumber: day.dayNumber,
+        date: formatDate(day.date),
+        notes: day.notes,
+        meals: day.meals.map(meal => ({
+          mealNumber: meal.mealNumber,
+          name: meal.name,
+          time: meal.time,
+          notes: meal.notes,
+          items: meal.items.map(({ id, mealId, food, recipe, ...item }) => ({
+            ...item,
+            name: (food || recipe)?.name ?? null
+          }))
+        }))
+      }))
+    };
+  },
+
+  /**
+   * Record a revision with the plan's current state
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Author of the change
+   * @param {Object} change - { action, summary }
+   * @param {Object} [tx] - Prisma transaction client, so the revision commits with the change
+   * @returns {Object} Revision (without snapshot)
+   */
+  async recordRevision(planId, user, { action, summary = null }, tx = prisma) {
+    const snapshot = await this.snapshot(planId, tx);
+    const last = await tx.mealPlanRevision.findFirst({
+      where: { mealPlanId: planId },
+      orderBy: { revisionNumber: 'desc' },
+      select: { revisionNumber: true }
+    });
+
+    const revision = await tx.mealPlanRevision.create({
+      data: {
+        mealPlanId: planId,
+        revisionNumber: (last?.revisionNumber ?? 0) + 1,
+        action,
+        summary,
+        authorId: user.id,
+        authorRole: user.role,
+        authorName: [user.firstName, user.lastName].filter(Boolean).join(' ') || null,
+        snapshot
+      },
+      select: revisionListSelect
+    });
+
+    log.database('create', 'meal_plan_revisions', {
+      planId,
+      revisionNumber: revision.revisionNumber,
+      action,
+      authorId: user.id
+    });
+
+    return revision;
+  },
+
+  /**
+   * List a plan's revisions, newest first
+   * @param {string} planId - Meal plan ID
+   * @returns {Object[]} Revisions without snapshots
+   */
+  async listRevisions(planId) {
+    return prisma.mealPlanRevision.findMany({
+      where: { mealPlanId: planId },
+      select: revisionListSelect,
+      orderBy: { revisionNumber: 'desc' }
+    });
+  },
+
+  /**
+   * Get one revision with its snapshot
+   * @param {string} planId - Meal plan ID
+   * @param {number|string} revisionNumber - Revision number
+   * @returns {Object} Revision
+   * @throws {Error} 'Meal plan revision not found'
+   */
+  async getRevision(planId, revisionNumber) {
+    const number = Number(revisionNumber);
+    const revision = Number.isInteger(number)
+      ? await prisma.mealPlanRevision.findUnique({
+        where: { mealPlanId_revisionNumber: { mealPlanId: planId, revisionNumber: number } }
+      })
+      : null;
+
+    if (!revision) {
+      throw new Error(`Meal plan revision not found: ${revisionNumber}`);
+    }
+
+    return revision;
+  },
+
+  /**
+   * Latest revision of a plan, or null when it has none
+   * @param {string} planId - Meal plan ID
+   * @returns {Object|null} Revision
+   */
+  async getLatestRevision(planId) {
+    return prisma.mealPlanRevision.findFirst({
+      where: { mealPlanId: planId },
+      orderBy: { revisionNumber: 'desc' }
+    });
+  },
+
+  /**
+   * Compare two snapshots. Days are matched by date and items by their food
+   * or recipe within the same meal slot; a changed quantity counts as a change,
+   * not as a removal plus an addition.
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @returns {Object} { planChanges[], days[], totalsDelta }
+   */
+  diffSnapshots(before, after) {
+    const planChanges = PLAN_FIELDS
+      .filter(field => (before.plan[field] ?? null) !== (after.plan[field] ?? null))
+      .map(field => ({ field, from: before.plan[field] ?? null, to: after.plan[field] ?? null }));
+
+    const beforeDays = new Map(before.days.map(day => [day.date, day]));
+    const afterDays = new Map(after.days.map(day => [day.date, day]));
+    const dates = [...new Set([...beforeDays.keys(), ...afterDays.keys()])].sort();
+
+    const days = [];
+    for (const date of dates) {
+      const oldDay = beforeDays.get(date);
+      const newDay = afterDays.get(date);
+      const itemsAdded = [];
+      const itemsRemoved = [];
+      const itemsChanged = [];
+
+      const oldMeals = new Map((oldDay?.meals || []).map(meal => [meal.mealNumber, meal]));
+      const newMeals = new Map((newDay?.meals || []).map(meal => [meal.mealNumber, meal]));
+      const mealNumbers = [...new Set([...oldMeals.keys(), ...newMeals.keys()])].sort((a, b) => a - b);
+
+      for (const mealNumber of mealNumbers) {
+        const oldMeal = oldMeals.get(mealNumber);
+        const newMeal = newMeals.get(mealNumber);
+
+        const group = (meal) => {
+          const bySource = new Map();
+          for (const item of meal?.items || []) {
+            const key = sourceKey(item);
+            if (!bySource.has(key)) bySource.set(key, []);
+            bySource.get(key).push(item);
+          }
+          return bySource;
+        };
+        const oldItems = group(oldMeal);
+        const newItems = group(newMeal);
+
+        for (const key of new Set([...oldItems.keys(), ...newItems.keys()])) {
+          const was = oldItems.get(key) || [];
+          const now = newItems.get(key) || [];
+          for (let index = 0; index < Math.max(was.length, now.length); index++) {
+            const oldItem = was[index];
+            const newItem = now[index];
+            if (!oldItem) {
+              itemsAdded.push(describeItem(newItem, newMeal));
+            } else if (!newItem) {
+              itemsRemoved.push(describeItem(oldItem, oldMeal));
+            } else if (oldItem.quantity !== newItem.quantity || oldItem.unit !== newItem.unit) {
+              itemsChanged.push({
+                ...describeItem(newItem, newMeal),
+                previousQuantity: oldItem.quantity,
+                previousUnit: oldItem.unit,
+                previousCalories: oldItem.calories
+              });
+            }
+          }
+        }
+      }
+
+      const totalsBefore = sumNutrition((oldDay?.meals || []).flatMap(meal => meal.items));
+      const totalsAfter = sumNutrition((newDay?.meals || []).flatMap(meal => meal.items));
+      const macroDelta = Object.fromEntries(NUTRITION_FIELDS.map(field => [
+        field,
+        round(totalsAfter[field] - totalsBefore[field], field === 'calories' ? 0 : 1)
+      ]));
+
+      let status = 'CHANGED';
+      if (!oldDay) status = 'ADDED';
+      else if (!newDay) status = 'REMOVED';
+      else if (!itemsAdded.length && !itemsRemoved.length && !itemsChanged.length) continue;
+
+      days.push({
+        date,
+        dayNumber: (newDay || oldDay).dayNumber,
+        status,
+        itemsAdded,
+        itemsRemoved,
+        itemsChanged,
+        totalsBefore,
+        totalsAfter,
+        macroDelta
+      });
+    }
+
+    const totalsDelta = Object.fromEntries(NUTRITION_FIELDS.map(field => [
+      field,
+      round(days.reduce((sum, day) => sum + day.macroDelta[field], 0), field === 'calories' ? 0 : 1)
+    ]));
+
+    return { planChanges, days, totalsDelta };
+  },
+
+  /**
+   * Rewrite a plan's fields, days, meals and items from a snapshot.
+   * Ownership (trainer and customer) and the publishing status are left as
+   * they are now.
+   * @param {string} planId - Meal plan ID
+   * @param {Object} snapshot - Revision snapshot
+   * @param {Object} tx - Prisma transaction client
+   */
+  async restoreSnapshot(planId, snapshot, tx) {
+    const { plan, days } = snapshot;
+
+    await tx.mealPlanDay.deleteMany({ where: { mealPlanId: planId } });
+
+    await tx.mealPlan.update({
+      where: { id: planId },
+      data: {
+        name: plan.name,
+        description: plan.description,
+        category: plan.category,
+        startDate: toDateOnly(plan.startDate),
+        endDate: toDateOnly(plan.endDate),
+        notes: plan.notes,
+        days: {
+          create: days.map(day => ({
+            dayNumber: day.dayNumber,
+            date: toDateOnly(day.date),
+            notes: day.notes,
+            meals: {
+              create: day.meals.map(meal => ({
+                mealNumber: meal.mealNumber,
+                name: meal.name,
+                time: meal.time,
+                notes: meal.notes,
+                items: {
+                  create: meal.items.map(({ name, micronutrients, violations, ...item }) => ({
+                    ...item,
+                    micronutrients: micronutrients ?? Prisma.DbNull,
+                    violations: violations ?? Prisma.DbNull
+                  }))
+                }
+              }))
+            }
+          }))
+        }
+      }
+    });
+  }
+};
@@ -0,0 +1,943 @@
+// Meal plan service
+// Business rules:
+// - TRAINER creates and edits plans for their own customers and only sees their own plans
+// - ADMIN can read plans authored by trainers they manage
+// - SUPER_ADMIN can read and edit any plan
+// - CUSTOMER can read plans assigned to them
+// - Plans in review, and published plans that need review, are locked for edits and deletion
+import { prisma } from '../config/prisma.js';
+import { customerService } from './customerService.js';
+import { foodService } from './foodService.js';
+import { macroTargetService } from './macroTargetService.js';
+import { mealDistributionService } from './mealDistributionService.js';
+import { dietaryProfileService } from './dietaryProfileService.js';
+import { mealPlanRevisionService } from './mealPlanRevisionService.js';
+import { fastingService } from './fastingService.js';
+import { toGrams, MASS_UNITS, normaliseUnit } from '../utils/units.js';
+import { toDateOnly, addDays, daysBetween } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Longest plan that can be created in one go
+export const MAX_PLAN_DAYS = 90;
+
+export const TOTAL_FIELDS = ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams', 'fiberGrams'];
+
+export const mealPlanInclude = {
+  customer: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  },
+  trainer: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  },
+  days: {
+    orderBy: { dayNumber: 'asc' },
+    include: {
+      meals: {
+        orderBy: { mealNumber: 'asc' },
+        include: {
+          items: {
+            orderBy: { position: 'asc' },
+            include: {
+              food: { select: { id: true, name: true, brand: true, category: true } },
+              recipe: { select: { id: true, name: true, servings: true } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Sum nutrition totals over a list of items (or of objects carrying totals)
+ */
+const sumTotals = (entries) => {
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+  for (const entry of entries) {
+    for (const field of TOTAL_FIELDS) {
+      totals[field] += entry[field] || 0;
+    }
+  }
+  return Object.fromEntries(TOTAL_FIELDS.map(field => [field, round(totals[field], field === 'calories' ? 0 : 1)]));
+};
+
+export const mealPlanService = {
+  /**
+   * Build MealItem data for a quantity of a food
+   * @param {Object} food - Food with servings
+   * @param {Object} item - { quantity, unit, notes? }
+   * @returns {Object} MealItem data (without mealId and position)
+   * @throws {Error} 'Invalid unit ...' when the unit cannot be resolved
+   */
+  itemFromFood(food, item) {
+    const grams = toGrams(food, item.quantity, item.unit);
+    const nutrition = foodService.calculateNutrition(food, grams);
+
+    return {
+      foodId: food.id,
+      recipeId: null,
+      quantity: item.quantity,
+      unit: item.unit,
+      grams: round(grams, 2),
+      calories: nutrition.calories,
+      proteinGrams: nutrition.proteinGrams,
+      carbsGrams: nutrition.carbsGrams,
+      fatGrams: nutrition.fatGrams,
+      fiberGrams: nutrition.fiberGrams,
+      micronutrients: nutrition.micronutrients,
+      notes: item.notes ?? null
+    };
+  },
+
+  /**
+   * Build MealItem data for a quantity of a recipe. Quantities are servings
+   * unless a mass unit is given, which is converted using the serving weight.
+   * @param {Object} recipe - Recipe with cached per-serving nutrition
+   * @param {Object} item - { quantity, unit?, notes? }
+   * @returns {Object} MealItem data (without mealId and position)
+   * @throws {Error} 'Invalid unit ...' when the unit cannot be resolved
+   */
+  itemFromRecipe(recipe, item) {
+    const unit = normaliseUnit(item.unit || 'serving');
+    let servings;
+    if (unit === 'serving') {
+      servings = item.quantity;
+    } else if (unit in MASS_UNITS && recipe.servingGrams > 0) {
+      servings = (item.quantity * MASS_UNITS[unit]) / recipe.servingGrams;
+    } else {
+      throw new Error(`Invalid unit "${item.unit}" for recipe ${recipe.name}`);
+    }
+
+    return {
+      foodId: null,
+      recipeId: recipe.id,
+      quantity: item.quantity,
+      unit,
+      grams: round(servings * recipe.servingGrams, 2),
+      calories: round(recipe.calories * servings, 0),
+      proteinGrams: round(recipe.proteinGrams * servings),
+      carbsGrams: round(recipe.carbsGrams * servings),
+      fatGrams: round(recipe.fatGrams * servings),
+      fiberGrams: round(recipe.fiberGrams * servings),
+      micronutrients: Object.fromEntries(
+        Object.entries(recipe.micronutrients || {}).map(([key, amount]) => [key, round(amount * servings, 2)])
+      ),
+      notes: item.notes ?? null
+    };
+  },
+
+  /**
+   * Load the food or recipe a meal item refers to
+   * @param {Object} item - { foodId | recipeId }
+   * @param {Object} [tx] - Prisma client or transaction
+   * @returns {Object} { food } or { recipe } (recipe includes ingredient foods)
+   * @throws {Error} 'Food not found' / 'Recipe not found'
+   */
+  async loadItemSource(item, tx = prisma) {
+    if (item.recipeId) {
+      const recipe = await tx.recipe.findUnique({
+        where: { id: item.recipeId },
+        include: { ingredients: { include: { food: true } } }
+      });
+      if (!recipe || !recipe.isActive) {
+        throw new Error(`Recipe not found: ${item.recipeId}`);
+      }
+      return { recipe };
+    }
+
+    const food = await tx.food.findUnique({
+      where: { id: item.foodId },
+      include: { servings: true }
+    });
+    if (!food || !food.isActive) {
+      throw new Error(`Food not found: ${item.foodId}`);
+    }
+    return { food };
+  },
+
+  /**
+   * Calculate the stored nutrition of a meal item and check it against the
+   * customer's dietary profile
+   * @param {Object} item - { foodId | recipeId, quantity, unit }
+   * @param {Object} [constraints] - Dietary constraints (dietaryProfileService.getConstraints)
+   * @param {Object} [tx] - Prisma client or transaction
+   * @returns {Object} MealItem data (without mealId), violations set when any
+   * @throws {Error} 'Food not found' / 'Recipe not found' / 'Invalid unit ...'
+   */
+  async calculateItem(item, constraints = null, tx = prisma) {
+    const { food, recipe } = await this.loadItemSource(item, tx);
+    const data = recipe ? this.itemFromRecipe(recipe, item) : this.itemFromFood(food, item);
+
+    if (constraints) {
+      const violations = recipe
+        ? dietaryProfileService.checkRecipe(recipe, constraints)
+        : dietaryProfileService.checkFood(food, constraints);
+      if (violations.length) data.violations = violations;
+    }
+
+    return data;
+  },
+
+  /**
+   * Compare totals against a macro target
+   * @param {Object} totals - Nutrition totals
+   * @param {Object|null} target - Active MacroTarget
+   * @returns {Object|null} Per-field target, remaining and percent of target
+   */
+  compareToTarget(totals, target) {
+    if (!target) return null;
+
+    return Object.fromEntries(TOTAL_FIELDS.map(field => [field, {
+      target: target[field],
+      actual: totals[field],
+      remaining: round(target[field] - totals[field]),
+      percent: target[field] > 0 ? round((totals[field] / target[field]) * 100) : null
+    }]));
+  },
+
+  /**
+   * Attach meal/day totals and target comparisons to a plan
+   * @param {Object} plan - Plan loaded with mealPlanInclude
+   * @param {Object|null} target - Customer's active MacroTarget
+   * @returns {Object} Plan with computed totals
+   */
+  summarisePlan(plan, target) {
+    const days = plan.days.map(day => {
+      const meals = day.meals.map(meal => ({ ...meal, totals: sumTotals(meal.items) }));
+      const totals = sumTotals(meals.map(meal => meal.totals));
+      return { ...day, meals, totals, targetComparison: this.compareToTarget(totals, target) };
+    });
+
+    const dayCount = days.length || 1;
+    const planTotals = sumTotals(days.map(day => day.totals));
+    const dailyAverage = Object.fromEntries(
+      TOTAL_FIELDS.map(field => [field, round(planTotals[field] / dayCount, field === 'calories' ? 0 : 1)])
+    );
+
+    return {
+      ...plan,
+      days,
+      targets: target,
+      dailyAverage,
+      averageComparison: this.compareToTarget(dailyAverage, target)
+    };
+  },
+
+  /**
+   * Check whether a user may read or edit a plan
+   * @param {Object} plan - Plan with trainerId and customerId
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { write: true } for modifications
+   * @returns {boolean} True when allowed
+   */
+  async canAccessPlan(plan, user, { write = false } = {}) {
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return true;
+
+      case 'TRAINER':
+        return plan.trainerId === user.id;
+
+      case 'ADMIN': {
+        if (write) return false;
+        const trainer = await prisma.trainer.findUnique({
+          where: { id: plan.trainerId },
+          select: { adminId: true }
+        });
+        return trainer?.adminId === user.id;
+      }
+
+      case 'CUSTOMER':
+        // Customers only ever see plans once they are published
+        return !write && plan.customerId === user.id && plan.status === 'PUBLISHED';
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Load a plan's header row and enforce access
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { write: true } for modifications
+   * @returns {Object} Meal plan row
+   * @throws {Error} 'Meal plan not found' / 'Access denied to meal plan'
+   */
+  async getAccessiblePlan(planId, user, options = {}) {
+    const plan = await prisma.mealPlan.findUnique({ where: { id: planId } });
+
+    if (!plan) {
+      throw new Error('Meal plan not found');
+    }
+
+    if (!(await this.canAccessPlan(plan, user, options))) {
+      log.security('Meal plan access denied', {
+        userId: user.id,
+        userRole: user.role,
+        planId,
+        write: Boolean(options.write)
+      });
+      throw new Error('Access denied to meal plan');
+    }
+
+    return plan;
+  },
+
+  /**
+   * Load a plan for a change to its content or its deletion. Plans in review,
+   * and published plans of trainers who require review, stay locked until
+   * they are moved back to DRAFT, so customers never see edits that skipped
+   * the review.
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Editing user
+   * @returns {Object} Meal plan row
+   * @throws {Error} 'Meal plan not found' / 'Access denied to meal plan' / 'Meal plan locked: ...'
+   */
+  async getEditablePlan(planId, user) {
+    const plan = await this.getAccessiblePlan(planId, user, { write: true });
+
+    if (user.role === 'SUPER_ADMIN') {
+      return plan;
+    }
+
+    if (plan.status === 'IN_REVIEW') {
+      throw new Error('Meal plan locked: move the plan back to draft before editing it while it is in review');
+    }
+
+    if (plan.status === 'PUBLISHED') {
+      const trainer = await prisma.trainer.findUnique({
+        where: { id: plan.trainerId },
+        select: { requiresPlanReview: true }
+      });
+      if (trainer?.requiresPlanReview) {
+        throw new Error('Meal plan locked: move the plan back to draft and submit it for review again to change it');
+      }
+    }
+
+    return plan;
+  },
+
+  /**
+   * Build the Prisma filter of plans visible to a user
+   * @private
+   */
+  _visiblePlansWhere(user) {
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return {};
+      case 'ADMIN':
+        return { trainer: { adminId: user.id } };
+      case 'TRAINER':
+        return { trainerId: user.id };
+      case 'CUSTOMER':
+        return { customerId: user.id, status: 'PUBLISHED' };
+      default:
+        return { id: null };
+    }
+  },
+
+  /**
+   * List plans visible to the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - { customerId, category, status, activeOn, page, limit }
+   * @returns {Object} { mealPlans, pagination }
+   */
+  async listPlans(user, filters = {}) {
+    try {
+      const { customerId, category, status, activeOn, page = 1, limit = 20 } = filters;
+
+      const whereConditions = [this._visiblePlansWhere(user)];
+      if (customerId) whereConditions.push({ customerId });
+      if (category) whereConditions.push({ category });
+      if (status) whereConditions.push({ status });
+      if (activeOn) {
+        const date = toDateOnly(activeOn);
+        whereConditions.push({ startDate: { lte: date }, endDate: { gte: date } });
+      }
+
+      const where = { AND: whereConditions };
+
+      const [mealPlans, total] = await Promise.all([
+        prisma.mealPlan.findMany({
+          where,
+          include: {
+            customer: { select: { id: true, firstName: true, lastName: true } },
+            trainer: { select: { id: true, firstName: true, lastName: true } },
+            _count: { select: { days: true } }
+          },
+          orderBy: { startDate: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.mealPlan.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        mealPlans,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to list meal plans', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a full plan with totals compared to the customer's targets
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Plan with days, meals, items and totals
+   */
+  async getPlan(planId, user) {
+    try {
+      await this.getAccessiblePlan(planId, user);
+
+      const plan = await prisma.mealPlan.findUnique({
+        where: { id: planId },
+        include: mealPlanInclude
+      });
+      const target = plan.customerId ? await macroTargetService.getActiveTarget(plan.customerId) : null;
+
+      return this.summarisePlan(plan, target);
+    } catch (error) {
+      log.error('Failed to get meal plan', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Build day rows (and optional empty meal slots) for a date range
+   * @private
+   */
+  _buildDays(startDate, endDate, mealSlots = [], firstDayNumber = 1, skipDayNumbers = new Set()) {
+    const dayCount = daysBetween(startDate, endDate);
+    const days = [];
+
+    for (let index = 0; index < dayCount; index++) {
+      const dayNumber = firstDayNumber + index;
+      if (skipDayNumbers.has(dayNumber)) continue;
+
+      days.push({
+        dayNumber,
+        date: addDays(startDate, index),
+        meals: { create: mealSlots.map(slot => ({ ...slot })) }
+      });
+    }
+
+    return days;
+  },
+
+  /**
+   * Validate a plan's date range
+   * @private
+   */
+  _assertDateRange(startDate, endDate) {
+    if (toDateOnly(endDate) < toDateOnly(startDate)) {
+      throw new Error('Invalid date range: endDate must not be before startDate');
+    }
+    if (daysBetween(startDate, endDate) > MAX_PLAN_DAYS) {
+      throw new Error(`Invalid date range: plans cannot be longer than ${MAX_PLAN_DAYS} days`);
+    }
+  },
+
+  /**
+   * Resolve the customer a new plan is for and the trainer who will own it
+   * @param {string} customerId - Customer ID
+   * @param {Object} user - Authoring user
+   * @returns {Object} { customer, trainerId }
+   * @throws {Error} 'Customer not found' / 'Access denied to customer' / 'Customer is not assigned to a trainer'
+   */
+  async resolvePlanOwner(customerId, user) {
+    const customer = await customerService.getAccessibleCustomer(customerId, user);
+    const trainerId = user.role === 'TRAINER' ? user.id : customer.trainerId;
+    if (!trainerId) {
+      throw new Error('Customer is not assigned to a trainer');
+    }
+    return { customer, trainerId };
+  },
+
+  /**
+   * Create a plan for one of the trainer's customers.
+   * Days are created for the whole date range, each with empty meal slots
+   * matching the customer's mealsPerDay unless createMealSlots is false.
+   * @param {Object} planData - Validated payload
+   * @param {Object} user - Authoring trainer
+   * @returns {Object} Created plan with totals
+   */
+  async createPlan(planData, user) {
+    try {
+      const { customerId, startDate, endDate, createMealSlots = true, ...data } = planData;
+      this._assertDateRange(startDate, endDate);
+
+      const { customer, trainerId } = await this.resolvePlanOwner(customerId, user);
+
+      let mealSlots = [];
+      if (createMealSlots) {
+        // Slots of customers on a fasting protocol are timed inside the eating window
+        const eatingWindow = (await fastingService.getProtocol(customer))?.eatingWindow;
+        const labels = mealDistributionService.getMealLabels(customer.mealsPerDay);
+        const times = eatingWindow
+          ? mealDistributionService.scheduleMealTimes(labels.length, eatingWindow.start, eatingWindow.hours)
+          : mealDistributionService.scheduleMealTimes(labels.length, '07:00', 13);
+        mealSlots = labels.map((name, index) => ({ mealNumber: index + 1, name, time: times[index] }));
+      }
+
+      const plan = await prisma.mealPlan.create({
+        data: {
+          ...data,
+          category: data.category || customer.mealPlanCategory,
+          startDate: toDateOnly(startDate),
+          endDate: toDateOnly(endDate),
+          trainerId,
+          customerId,
+          days: { create: this._buildDays(startDate, endDate, mealSlots) }
+        }
+      });
+
+      await mealPlanRevisionService.recordRevision(plan.id, user, { action: 'CREATE', summary: 'Plan created' });
+
+      log.business('Meal plan created', {
+        planId: plan.id,
+        trainerId,
+        customerId,
+        days: daysBetween(startDate, endDate)
+      });
+
+      return this.getPlan(plan.id, user);
+    } catch (error) {
+      log.error('Failed to create meal plan', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update plan details. Changing the date range adds days for new dates and
+   * removes days (with their meals) that fall outside the new range.
+   * @param {string} planId - Meal plan ID
+   * @param {Object} updateData - Validated partial payload
+   * @param {Object} user - Editing user
+   * @returns {Object} Updated plan with totals
+   */
+  async updatePlan(planId, updateData, user) {
+    try {
+      const current = await this.getEditablePlan(planId, user);
+      const { startDate, endDate, ...data } = updateData;
+
+      const newStart = toDateOnly(startDate ?? current.startDate);
+      const newEnd = toDateOnly(endDate ?? current.endDate);
+      this._assertDateRange(newStart, newEnd);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.mealPlan.update({
+          where: { id: planId },
+          data: { ...data, startDate: newStart, endDate: newEnd }
+        });
+
+        if (startDate || endDate) {
+          // Drop days outside the range, then renumber and fill the gaps
+          await tx.mealPlanDay.deleteMany({
+            where: { mealPlanId: planId, OR: [{ date: { lt: newStart } }, { date: { gt: newEnd } }] }
+          });
+
+          const existing = await tx.mealPlanDay.findMany({
+            where: { mealPlanId: planId },
+            orderBy: { date: 'asc' }
+          });
+
+          // Shift numbers out of the way first so the unique (plan, dayNumber) key never collides
+          for (const day of existing) {
+            await tx.mealPlanDay.update({ where: { id: day.id }, data: { dayNumber: -day.dayNumber } });
+          }
+          for (const day of existing) {
+            await tx.mealPlanDay.update({
+              where: { id: day.id },
+              data: { dayNumber: daysBetween(newStart, day.date) }
+            });
+          }
+
+          const taken = new Set(existing.map(day => daysBetween(newStart, day.date)));
+          const missing = this._buildDays(newStart, newEnd, [], 1, taken);
+          for (const day of missing) {
+            await tx.mealPlanDay.create({ data: { ...day, mealPlanId: planId } });
+          }
+        }
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'UPDATE',
+          summary: `Updated ${Object.keys(updateData).join(', ')}`
+        }, tx);
+      });
+
+      log.business('Meal plan updated', { planId, updatedBy: user.id, fields: Object.keys(updateData) });
+
+      return this.getPlan(planId, user);
+    } catch (error) {
+      log.error('Failed to update meal plan', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a plan with all its days, meals and items
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Deleting user
+   */
+  async deletePlan(planId, user) {
+    try {
+      await this.getEditablePlan(planId, user);
+
+      await prisma.mealPlan.delete({ where: { id: planId } });
+
+      log.business('Meal plan deleted', { planId, deletedBy: user.id });
+    } catch (error) {
+      log.error('Failed to delete meal plan', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Get meals of a plan, optionally for a single day
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [filters] - { dayNumber, date }
+   * @returns {Object} { days } with meals and totals
+   */
+  async getMeals(planId, user, filters = {}) {
+    const plan = await this.getPlan(planId, user);
+    const { dayNumber, date } = filters;
+
+    let days = plan.days;
+    if (dayNumber) {
+      days = days.filter(day => day.dayNumber === dayNumber);
+    } else if (date) {
+      const wanted = toDateOnly(date).getTime();
+      days = days.filter(day => toDateOnly(day.date).getTime() === wanted);
+    }
+
+    return {
+      mealPlanId: plan.id,
+      targets: plan.targets,
+      days
+    };
+  },
+
+  /**
+   * Find the day addressed by dayNumber or date
+   * @private
+   */
+  async _findDay(tx, planId, { dayNumber, date }) {
+    const day = await tx.mealPlanDay.findFirst({
+      where: {
+        mealPlanId: planId,
+        ...(dayNumber ? { dayNumber } : { date: toDateOnly(date) })
+      }
+    });
+
+    if (!day) {
+      throw new Error('Day not found in meal plan');
+    }
+
+    return day;
+  },
+
+  /**
+   * Add items to a meal, creating the meal slot when it does not exist yet.
+   * Items that break the customer's dietary profile are saved but flagged;
+   * a meal time outside the customer's eating window is refused.
+   * @param {string} planId - Meal plan ID
+   * @param {Object} payload - { dayNumber | date, mealNumber, name?, time?, notes?, items[] }
+   * @param {Object} user - Editing user
+   * @returns {Object} { meal, day, violations } with refreshed totals
+   */
+  async addMeal(planId, payload, user) {
+    try {
+      const plan = await this.getEditablePlan(planId, user);
+      const customer = plan.customerId ? await customerService.getProfile(plan.customerId) : null;
+      const constraints = dietaryProfileService.getConstraints(customer);
+      const violations = [];
+
+      if (customer && payload.time) {
+        fastingService.assertMealTime(await fastingService.getProtocol(customer), payload.time);
+      }
+
+      const mealId = await prisma.$transaction(async (tx) => {
+        const day = await this._findDay(tx, planId, payload);
+
+        let meal = await tx.meal.findUnique({
+          where: { dayId_mealNumber: { dayId: day.id, mealNumber: payload.mealNumber } },
+          include: { _count: { select: { items: true } } }
+        });
+
+        if (!meal) {
+          // Label the slot by its place in the customer's day, as createPlan does
+          const labels = mealDistributionService.getMealLabels(customer?.mealsPerDay ?? payload.mealNumber);
+          meal = await tx.meal.create({
+            data: {
+              dayId: day.id,
+              mealNumber: payload.mealNumber,
+              name: payload.name || labels[payload.mealNumber - 1] || `Meal ${payload.mealNumber}`,
+              time: payload.time ?? null,
+              notes: payload.notes ?? null
+            },
+            include: { _count: { select: { items: true } } }
+          });
+        } else if (payload.name || payload.time || payload.notes) {
+          await tx.meal.update({
+            where: { id: meal.id },
+            data: {
+              ...(payload.name && { name: payload.name }),
+              ...(payload.time && { time: payload.time }),
+              ...(payload.notes && { notes: payload.notes })
+            }
+          });
+        }
+
+        let position = meal._count.items;
+        for (const item of payload.items) {
+          const data = await this.calculateItem(item, constraints, tx);
+          const created = await tx.mealItem.create({ data: { ...data, mealId: meal.id, position: position++ } });
+          if (data.violations) {
+            violations.push({ itemId: created.id, foodId: data.foodId, recipeId: data.recipeId, violations: data.violations });
+          }
+        }
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'ADD_MEAL',
+          summary: `Added ${payload.items.length} item(s) to ${meal.name} on day ${day.dayNumber}`
+        }, tx);
+
+        return meal.id;
+      });
+
+      log.business('Meal added to plan', {
+        planId,
+        mealId,
+        itemCount: payload.items.length,
+        addedBy: user.id
+      });
+
+      if (violations.length) {
+        log.business('Meal plan items violate dietary profile', {
+          planId,
+          mealId,
+          customerId: plan.customerId,
+          addedBy: user.id,
+          violations: violations.flatMap(entry => entry.violations.map(violation => `${violation.constraint}:${violation.value}`))
+        });
+      }
+
+      return { ...(await this.getMealWithDay(planId, mealId, user)), violations };
+    } catch (error) {
+      log.error('Failed to add meal to plan', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Return one meal together with its day's refreshed totals
+   * @param {string} planId - Meal plan ID
+   * @param {string} mealId - Meal ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { meal, day }
+   */
+  async getMealWithDay(planId, mealId, user) {
+    const plan = await this.getPlan(planId, user);
+    for (const day of plan.days) {
+      const meal = day.meals.find(candidate => candidate.id === mealId);
+      if (meal) {
+        const { meals, ...dayInfo } = day;
+        return { meal, day: dayInfo };
+      }
+    }
+    throw new Error('Meal not found in meal plan');
+  },
+
+  /**
+   * Remove a meal and its items from a plan
+   * @param {string} planId - Meal plan ID
+   * @param {string} mealId - Meal ID
+   * @param {Object} user - Editing user
+   */
+  async removeMeal(planId, mealId, user) {
+    try {
+      await this.getEditablePlan(planId, user);
+
+      await prisma.$transaction(async (tx) => {
+        const meal = await tx.meal.findFirst({
+          where: { id: mealId, day: { mealPlanId: planId } },
+          include: { day: { select: { dayNumber: true } } }
+        });
+        if (!meal) {
+          throw new Error('Meal not found in meal plan');
+        }
+
+        await tx.meal.delete({ where: { id: mealId } });
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'REMOVE_MEAL',
+          summary: `Removed ${meal.name} on day ${meal.day.dayNumber}`
+        }, tx);
+      });
+
+      log.business('Meal removed from plan', { planId, mealId, removedBy: user.id });
+    } catch (error) {
+      log.error('Failed to remove meal from plan', { planId, mealId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a single item from a meal
+   * @param {string} planId - Meal plan ID
+   * @param {string} mealId - Meal ID
+   * @param {string} itemId - Meal item ID
+   * @param {Object} user - Editing user
+   * @returns {Object} { meal, day } with refreshed totals
+   */
+  async removeMealItem(planId, mealId, itemId, user) {
+    try {
+      await this.getEditablePlan(planId, user);
+
+      await prisma.$transaction(async (tx) => {
+        const item = await tx.mealItem.findFirst({
+          where: { id: itemId, mealId, meal: { day: { mealPlanId: planId } } },
+          include: {
+            food: { select: { name: true } },
+            recipe: { select: { name: true } },
+            meal: { select: { name: true, day: { select: { dayNumber: true } } } }
+          }
+        });
+        if (!item) {
+          throw new Error('Meal item not found in meal plan');
+        }
+
+        await tx.mealItem.delete({ where: { id: itemId } });
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'REMOVE_ITEM',
+          summary: `Removed ${(item.food || item.recipe).name} from ${item.meal.name} on day ${item.meal.day.dayNumber}`
+        }, tx);
+      });
+
+      log.business('Meal item removed from plan', { planId, mealId, itemId, removedBy: user.id });
+
+      return this.getMealWithDay(planId, mealId, user);
+    } catch (error) {
+      log.error('Failed to remove meal item', { planId, mealId, itemId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * List the revision history of a plan, newest first
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object[]} Revisions with author and time
+   */
+  async listRevisions(planId, user) {
+    try {
+      await this.getAccessiblePlan(planId, user);
+      return await mealPlanRevisionService.listRevisions(planId);
+    } catch (error) {
+      log.error('Failed to list meal plan revisions', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Get one revision of a plan with the plan state it recorded
+   * @param {string} planId - Meal plan ID
+   * @param {number} revisionNumber - Revision number
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Revision with snapshot
+   * @throws {Error} 'Meal plan revision not found'
+   */
+  async getRevision(planId, revisionNumber, user) {
+    try {
+      await this.getAccessiblePlan(planId, user);
+      return await mealPlanRevisionService.getRevision(planId, revisionNumber);
+    } catch (error) {
+      log.error('Failed to get meal plan revision', { planId, revisionNumber, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Compare two revisions of a plan
+   * @param {string} planId - Meal plan ID
+   * @param {Object} range - { from, to } revision numbers; to defaults to the latest
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { from, to, planChanges, days, totalsDelta }
+   */
+  async diffRevisions(planId, { from, to }, user) {
+    try {
+      await this.getAccessiblePlan(planId, user);
+
+      const older = await mealPlanRevisionService.getRevision(planId, from);
+      const newer = to
+        ? await mealPlanRevisionService.getRevision(planId, to)
+        : await mealPlanRevisionService.getLatestRevision(planId);
+
+      const { snapshot: olderSnapshot, ...olderInfo } = older;
+      const { snapshot: newerSnapshot, ...newerInfo } = newer;
+
+      return {
+        from: olderInfo,
+        to: newerInfo,
+        ...mealPlanRevisionService.diffSnapshots(olderSnapshot, newerSnapshot)
+      };
+    } catch (error) {
+      log.error('Failed to diff meal plan revisions', { planId, from, to, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a plan to the state recorded by an earlier revision. The restore
+   * itself is recorded as a new revision, so it can be undone too.
+   * @param {string} planId - Meal plan ID
+   * @param {number} revisionNumber - Revision to restore
+   * @param {Object} user - Editing user
+   * @returns {Object} { mealPlan, revision }
+   */
+  async restoreRevision(planId, revisionNumber, user) {
+    try {
+      await this.getEditablePlan(planId, user);
+      const target = await mealPlanRevisionService.getRevision(planId, revisionNumber);
+
+      const revision = await prisma.$transaction(async (tx) => {
+        await mealPlanRevisionService.restoreSnapshot(planId, target.snapshot, tx);
+        return mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'RESTORE',
+          summary: `Restored revision ${target.revisionNumber}`
+        }, tx);
+      });
+
+      log.business('Meal plan revision restored', {
+        planId,
+        restoredRevision: target.revisionNumber,
+        newRevision: revision.revisionNumber,
+        restoredBy: user.id
+      });
+
+      return { mealPlan: await this.getPlan(planId, user), revision };
+    } catch (error) {
+      log.error('Failed to restore meal plan revision', { planId, revisionNumber, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,526 @@
+// Meal plan template service
+// Business rules:
+// - TRAINER saves finished plans as templates and clones them onto customers
+// - Templates keep days, meal slots and item quantities but no dates or customer
+// - ADMIN can browse the templates of trainers they manage, SUPER_ADMIN all of them
+// - Cloning scales every portion by the ratio of the customer's calorie target
+//   to the template's average daily calories
+// - Items whose food or recipe has since been archived are left out of clones
+//   and reported, so a template stays usable until it is edited
+import { prisma } from '../config/prisma.js';
+import { mealPlanService, MAX_PLAN_DAYS } from './mealPlanService.js';
+import { macroTargetService } from './macroTargetService.js';
+import { dietaryProfileService } from './dietaryProfileService.js';
+import { mealPlanRevisionService } from './mealPlanRevisionService.js';
+import { addDays, toDateOnly } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Portions are never scaled further than this, whatever the targets say
+export const TEMPLATE_SCALE_BOUNDS = [0.5, 2.5];
+
+// Units measured finely enough to round to 5 (everything else rounds to quarters)
+const FINE_UNITS = ['g', 'ml'];
+
+const templateListSelect = {
+  id: true,
+  name: true,
+  description: true,
+  category: true,
+  dayCount: true,
+  calories: true,
+  sourcePlanId: true,
+  createdAt: true,
+  updatedAt: true,
+  trainer: { select: { id: true, firstName: true, lastName: true } }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const mealPlanTemplateService = {
+  /**
+   * Check whether a user may read or edit a template
+   * @param {Object} template - Template with trainerId
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { write: true } for modifications and cloning
+   * @returns {boolean} True when allowed
+   */
+  async canAccessTemplate(template, user, { write = false } = {}) {
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return true;
+
+      case 'TRAINER':
+        return template.trainerId === user.id;
+
+      case 'ADMIN': {
+        if (write) return false;
+        const trainer = await prisma.trainer.findUnique({
+          where: { id: template.trainerId },
+          select: { adminId: true }
+        });
+        return trainer?.adminId === user.id;
+      }
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Load a template and enforce access
+   * @param {string} templateId - Template ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { write: true } for modifications and cloning
+   * @returns {Object} Template
+   * @throws {Error} 'Meal plan template not found' / 'Access denied to meal plan template'
+   */
+  async getAccessibleTemplate(templateId, user, options = {}) {
+    const template = await prisma.mealPlanTemplate.findUnique({
+      where: { id: templateId },
+      include: { trainer: { select: { id: true, firstName: true, lastName: true } } }
+    });
+
+    if (!template) {
+      throw new Error('Meal plan template not found');
+    }
+
+    if (!(await this.canAccessTemplate(template, user, options))) {
+      log.security('Meal plan template access denied', {
+        userId: user.id,
+        userRole: user.role,
+        templateId,
+        write: Boolean(options.write)
+      });
+      throw new Error('Access denied to meal plan template');
+    }
+
+    return template;
+  },
+
+  /**
+   * Strip a summarised plan down to template content
+   * @param {Object} plan - Result of mealPlanService.getPlan
+   * @returns {Object} { content, calories }
+   */
+  toContent(plan) {
+    const content = {
+      days: plan.days.map(day => ({
+        dayNumber: day.dayNumber,
+        notes: day.notes,
+        meals: day.meals.map(meal => ({
+          mealNumber: meal.mealNumber,
+          name: meal.name,
+          time: meal.time,
+          notes: meal.notes,
+          items: meal.items.map(item => ({
+            foodId: item.foodId,
+            recipeId: item.recipeId,
+            name: (item.food || item.recipe)?.name ?? null,
+            quantity: item.quantity,
+            unit: item.unit,
+            notes: item.notes
+          }))
+        }))
+      }))
+    };
+
+    // Empty days would drag the baseline down and over-scale every clone
+    const plannedDays = plan.days.filter(day => day.totals.calories > 0);
+    const calories = plannedDays.length
+      ? Math.round(plannedDays.reduce((sum, day) => sum + day.totals.calories, 0) / plannedDays.length)
+      : 0;
+
+    return { content, calories };
+  },
+
+  /**
+   * Save a plan as a template
+   * @param {string} planId - Meal plan ID
+   * @param {Object} templateData - { name?, description?, category? }
+   * @param {Object} user - Authoring user
+   * @returns {Object} Created template
+   * @throws {Error} 'Invalid template: ...' when the plan has no items
+   */
+  async saveFromPlan(planId, templateData, user) {
+    try {
+      await mealPlanService.getAccessiblePlan(planId, user, { write: true });
+      const plan = await mealPlanService.getPlan(planId, user);
+
+      const { content, calories } = this.toContent(plan);
+      if (calories === 0) {
+        throw new Error('Invalid template: the meal plan has no meal items');
+      }
+
+      const template = await prisma.mealPlanTemplate.create({
+        data: {
+          name: templateData.name || plan.name,
+          description: templateData.description ?? plan.description,
+          category: templateData.category || plan.category,
+          notes: plan.notes,
+          dayCount: plan.days.length,
+          calories,
+          content,
+          trainerId: plan.trainerId,
+          sourcePlanId: plan.id
+        },
+        include: { trainer: { select: { id: true, firstName: true, lastName: true } } }
+      });
+
+      log.business('Meal plan saved as template', {
+        templateId: template.id,
+        planId,
+        trainerId: plan.trainerId,
+        savedBy: user.id
+      });
+
+      return template;
+    } catch (error) {
+      log.error('Failed to save meal plan template', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Build the Prisma filter of templates visible to a user
+   * @private
+   */
+  _visibleTemplatesWhere(user) {
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return {};
+      case 'ADMIN':
+        return { trainer: { adminId: user.id } };
+      case 'TRAINER':
+        return { trainerId: user.id };
+      default:
+        return { id: null };
+    }
+  },
+
+  /**
+   * List templates visible to the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - { category, search, page, limit }
+   * @returns {Object} { templates, pagination }
+   */
+  async listTemplates(user, filters = {}) {
+    try {
+      const { category, search, page = 1, limit = 20 } = filters;
+
+      const whereConditions = [this._visibleTemplatesWhere(user)];
+      if (category) whereConditions.push({ category });
+      if (search) whereConditions.push({ name: { contains: search } });
+
+      const where = { AND: whereConditions };
+
+      const [templates, total] = await Promise.all([
+        prisma.mealPlanTemplate.findMany({
+          where,
+          select: templateListSelect,
+          orderBy: [{ category: 'asc' }, { name: 'asc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.mealPlanTemplate.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        templates,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to list meal plan templates', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a template with its days, meals and items
+   * @param {string} templateId - Template ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Template
+   */
+  async getTemplate(templateId, user) {
+    try {
+      return await this.getAccessibleTemplate(templateId, user);
+    } catch (error) {
+      log.error('Failed to get meal plan template', { templateId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a template's details and, when days are given, replace its content.
+   * Every item is checked against the current catalog and the template's
+   * average daily calories are recalculated.
+   * @param {string} templateId - Template ID
+   * @param {Object} updateData - { name?, description?, category?, notes?, days? }
+   * @param {Object} user - Editing user
+   * @returns {Object} Updated template
+   * @throws {Error} 'Invalid template: ...' / 'Food not found' / 'Recipe not found' / 'Invalid unit ...'
+   */
+  async updateTemplate(templateId, updateData, user) {
+    try {
+      await this.getAccessibleTemplate(templateId, user, { write: true });
+      const { days, ...data } = updateData;
+
+      if (days) {
+        const sorted = [...days].sort((a, b) => a.dayNumber - b.dayNumber);
+        if (sorted.some((day, index) => day.dayNumber !== index + 1)) {
+          throw new Error('Invalid template: days must be numbered from 1 without gaps');
+        }
+
+        const contentDays = [];
+        let plannedCalories = 0;
+        let plannedDays = 0;
+        for (const day of sorted) {
+          let dayCalories = 0;
+          const meals = [];
+          for (const meal of [...day.meals].sort((a, b) => a.mealNumber - b.mealNumber)) {
+            const items = [];
+            for (const item of meal.items) {
+              const { food, recipe } = await mealPlanService.loadItemSource(item);
+              const calculated = recipe ? mealPlanService.itemFromRecipe(recipe, item) : mealPlanService.itemFromFood(food, item);
+              dayCalories += calculated.calories;
+              items.push({
+                foodId: calculated.foodId,
+                recipeId: calculated.recipeId,
+                name: (food || recipe).name,
+                quantity: item.quantity,
+                unit: calculated.unit,
+                notes: item.notes || null
+              });
+            }
+            meals.push({
+              mealNumber: meal.mealNumber,
+              name: meal.name,
+              time: meal.time ?? null,
+              notes: meal.notes || null,
+              items
+            });
+          }
+          contentDays.push({ dayNumber: day.dayNumber, notes: day.notes || null, meals });
+          if (dayCalories > 0) {
+            plannedCalories += dayCalories;
+            plannedDays++;
+          }
+        }
+
+        if (plannedDays === 0) {
+          throw new Error('Invalid template: the template has no meal items');
+        }
+
+        Object.assign(data, {
+          content: { days: contentDays },
+          dayCount: contentDays.length,
+          calories: Math.round(plannedCalories / plannedDays)
+        });
+      }
+
+      const template = await prisma.mealPlanTemplate.update({
+        where: { id: templateId },
+        data,
+        include: { trainer: { select: { id: true, firstName: true, lastName: true } } }
+      });
+
+      log.business('Meal plan template updated', {
+        templateId,
+        updatedBy: user.id,
+        fields: Object.keys(updateData)
+      });
+
+      return template;
+    } catch (error) {
+      log.error('Failed to update meal plan template', { templateId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a template; plans cloned from it are unaffected
+   * @param {string} templateId - Template ID
+   * @param {Object} user - Deleting user
+   */
+  async deleteTemplate(templateId, user) {
+    try {
+      await this.getAccessibleTemplate(templateId, user, { write: true });
+
+      await prisma.mealPlanTemplate.delete({ where: { id: templateId } });
+
+      log.business('Meal plan template deleted', { templateId, deletedBy: user.id });
+    } catch (error) {
+      log.error('Failed to delete meal plan template', { templateId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Scale a quantity, rounding to amounts that are practical to measure
+   * (5 g / 5 ml steps, quarter servings or cups otherwise)
+   * @param {number} quantity - Template quantity
+   * @param {string} unit - Quantity unit
+   * @param {number} factor - Scale factor
+   * @returns {number} Scaled quantity
+   */
+  scaleQuantity(quantity, unit, factor) {
+    const step = FINE_UNITS.includes(unit) ? 5 : 0.25;
+    return Math.max(Math.round((quantity * factor) / step) * step, step);
+  },
+
+  /**
+   * Work out the portion scale factor for a customer
+   * @param {Object} template - Template with calories
+   * @param {Object|null} target - Customer's active MacroTarget
+   * @returns {Object} { factor, applied, clamped, templateCalories, targetCalories }
+   */
+  scaleFactor(template, target) {
+    if (!target?.calories || !template.calories) {
+      return { factor: 1, applied: false, clamped: false, templateCalories: template.calories, targetCalories: target?.calories ?? null };
+    }
+
+    const raw = target.calories / template.calories;
+    const [min, max] = TEMPLATE_SCALE_BOUNDS;
+    const factor = round(Math.min(max, Math.max(min, raw)), 3);
+
+    return {
+      factor,
+      applied: true,
+      clamped: factor !== round(raw, 3),
+      templateCalories: template.calories,
+      targetCalories: target.calories
+    };
+  },
+
+  /**
+   * Create a plan for a customer from a template
+   * @param {string} templateId - Template ID
+   * @param {Object} cloneData - { customerId, startDate, name?, description?, scaleToTarget? }
+   * @param {Object} user - Authoring user
+   * @returns {Object} { mealPlan, scaling, violations, skipped }
+   */
+  async clonePlan(templateId, cloneData, user) {
+    try {
+      const { customerId, startDate, name, description, scaleToTarget = true } = cloneData;
+
+      const template = await this.getAccessibleTemplate(templateId, user, { write: true });
+      const { customer, trainerId } = await mealPlanService.resolvePlanOwner(customerId, user);
+
+      if (template.dayCount > MAX_PLAN_DAYS) {
+        throw new Error(`Invalid date range: plans cannot be longer than ${MAX_PLAN_DAYS} days`);
+      }
+
+      const target = scaleToTarget ? await macroTargetService.getActiveTarget(customer.id) : null;
+      const scaling = this.scaleFactor(template, target);
+      const constraints = dietaryProfileService.getConstraints(customer);
+      const start = toDateOnly(startDate);
+      const violations = [];
+      const skipped = [];
+
+      // Recalculate every item from the current catalog before writing anything
+      const days = [];
+      for (const day of template.content.days) {
+        const meals = [];
+        for (const meal of day.meals) {
+          const items = [];
+          for (const item of meal.items) {
+            let data;
+            try {
+              data = await mealPlanService.calculateItem({
+                foodId: item.foodId ?? undefined,
+                recipeId: item.recipeId ?? undefined,
+                quantity: this.scaleQuantity(item.quantity, item.unit, scaling.factor),
+                unit: item.unit,
+                notes: item.notes
+              }, constraints);
+            } catch (error) {
+              if (!/^(Food|Recipe) not found/.test(error.message)) throw error;
+              // Archived since the template was saved
+              skipped.push({
+                dayNumber: day.dayNumber,
+                mealNumber: meal.mealNumber,
+                foodId: item.foodId ?? null,
+                recipeId: item.recipeId ?? null,
+                name: item.name,
+                reason: `${item.recipeId ? 'Recipe' : 'Food'} is no longer in the catalog`
+              });
+              continue;
+            }
+            if (data.violations) {
+              violations.push({
+                dayNumber: day.dayNumber,
+                mealNumber: meal.mealNumber,
+                foodId: data.foodId,
+                recipeId: data.recipeId,
+                violations: data.violations
+              });
+            }
+            items.push({ ...data, position: items.length });
+          }
+          meals.push({
+            mealNumber: meal.mealNumber,
+            name: meal.name,
+            time: meal.time,
+            notes: meal.notes,
+            items: { create: items }
+          });
+        }
+        days.push({
+          dayNumber: day.dayNumber,
+          date: addDays(start, day.dayNumber - 1),
+          notes: day.notes,
+          meals: { create: meals }
+        });
+      }
+
+      const plan = await prisma.mealPlan.create({
+        data: {
+          name: name || template.name,
+          description: description ?? template.description,
+          category: template.category,
+          notes: template.notes,
+          startDate: start,
+          endDate: addDays(start, template.dayCount - 1),
+          trainerId,
+          customerId: customer.id,
+          days: { create: days }
+        }
+      });
+
+      await mealPlanRevisionService.recordRevision(plan.id, user, {
+        action: 'CREATE',
+        summary: `Created from template "${template.name}"`
+      });
+
+      log.business('Meal plan cloned from template', {
+        templateId,
+        planId: plan.id,
+        customerId: customer.id,
+        trainerId,
+        scaleFactor: scaling.factor,
+        violationCount: violations.length,
+        skippedCount: skipped.length
+      });
+
+      return {
+        mealPlan: await mealPlanService.getPlan(plan.id, user),
+        scaling,
+        violations,
+        skipped
+      };
+    } catch (error) {
+      log.error('Failed to clone meal plan template', { templateId, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,218 @@
+// Meal plan publishing workflow
+// Business rules:
+// - Plans start as DRAFT and customers only see them once PUBLISHED
+// - An ADMIN can require review for the trainers they manage; those trainers
+//   submit plans (IN_REVIEW) and the admin approves (PUBLISHED) or sends them
+//   back (DRAFT) with notes
+// - Trainers without that requirement publish their own plans directly
+// - Publishing notifies the customer; review requests and decisions notify
+//   the admin and the trainer
+// - Plans that conflict with the customer's fasting protocol cannot be
+//   submitted or published
+import { prisma } from '../config/prisma.js';
+import { mealPlanService } from './mealPlanService.js';
+import { mealPlanRevisionService } from './mealPlanRevisionService.js';
+import { notificationService } from './notificationService.js';
+import { fastingService, describeViolations } from './fastingService.js';
+import { log } from '../utils/logger.js';
+
+// Allowed status changes, from -> to
+export const STATUS_TRANSITIONS = {
+  DRAFT: ['IN_REVIEW', 'PUBLISHED', 'ARCHIVED'],
+  IN_REVIEW: ['DRAFT', 'PUBLISHED'],
+  PUBLISHED: ['DRAFT', 'ARCHIVED'],
+  ARCHIVED: ['DRAFT']
+};
+
+export const mealPlanWorkflowService = {
+  /**
+   * Whether a user may move a plan from one status to another
+   * @param {Object} plan - Plan with trainer { adminId, requiresPlanReview }
+   * @param {string} status - Requested status
+   * @param {Object} user - Acting user
+   * @returns {string|null} Reason the change is refused, or null when allowed
+   */
+  checkTransition(plan, status, user) {
+    if (!STATUS_TRANSITIONS[plan.status].includes(status)) {
+      return `Invalid status transition: ${plan.status} to ${status}`;
+    }
+
+    const isReview = plan.status === 'IN_REVIEW' && (status === 'PUBLISHED' || status === 'DRAFT');
+
+    switch (user.role) {
+      case 'SUPER_ADMIN':
+        return null;
+
+      case 'ADMIN':
+        // Admins only decide on plans submitted by their own trainers
+        if (plan.trainer.adminId !== user.id) return 'Access denied to meal plan';
+        return isReview ? null : 'Access denied to meal plan: admins can only approve or reject plans in review';
+
+      case 'TRAINER':
+        if (plan.trainerId !== user.id) return 'Access denied to meal plan';
+        if (status === 'PUBLISHED' && plan.trainer.requiresPlanReview) {
+          return 'Review required: submit the plan for review before publishing';
+        }
+        return null;
+
+      default:
+        return 'Access denied to meal plan';
+    }
+  },
+
+  /**
+   * Change a plan's status
+   * @param {string} planId - Meal plan ID
+   * @param {Object} change - { status, notes? } (notes are review feedback)
+   * @param {Object} user - Acting user
+   * @returns {Object} Plan with totals
+   * @throws {Error} 'Meal plan not found' / 'Access denied ...' / 'Invalid status transition ...' /
+   *   'Review required ...' / 'Fasting protocol conflict ...'
+   */
+  async changeStatus(planId, { status, notes }, user) {
+    try {
+      const plan = await prisma.mealPlan.findUnique({
+        where: { id: planId },
+        include: { trainer: { select: { id: true, adminId: true, requiresPlanReview: true } } }
+      });
+      if (!plan) {
+        throw new Error('Meal plan not found');
+      }
+
+      const refusal = this.checkTransition(plan, status, user);
+      if (refusal) {
+        if (refusal.startsWith('Access denied')) {
+          log.security('Meal plan status change denied', { userId: user.id, userRole: user.role, planId, status });
+        }
+        throw new Error(refusal);
+      }
+
+      if (status === 'IN_REVIEW' || status === 'PUBLISHED') {
+        const { violations } = await fastingService.checkPlan(plan);
+        if (violations.length) {
+          throw new Error(`Fasting protocol conflict: ${describeViolations(violations)}`);
+        }
+      }
+
+      const reviewed = plan.status === 'IN_REVIEW' && user.role !== 'TRAINER';
+
+      await prisma.$transaction(async (tx) => {
+        await tx.mealPlan.update({
+          where: { id: planId },
+          data: {
+            status,
+            ...(status === 'PUBLISHED' && { publishedAt: new Date() }),
+            ...(status === 'IN_REVIEW' && { reviewNotes: null, reviewedById: null }),
+            ...(reviewed && { reviewedById: user.id, reviewNotes: notes || null })
+          }
+        });
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'STATUS_CHANGE',
+          summary: `Status changed from ${plan.status} to ${status}${notes ? `: ${notes}` : ''}`
+        }, tx);
+      });
+
+      log.business('Meal plan status changed', {
+        planId,
+        from: plan.status,
+        to: status,
+        changedBy: user.id,
+        role: user.role
+      });
+
+      await this._notify(plan, status, user, notes);
+
+      return mealPlanService.getPlan(planId, user);
+    } catch (error) {
+      log.error('Failed to change meal plan status', { planId, status, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Send the notifications for a status change
+   * @private
+   */
+  async _notify(plan, status, user, notes) {
+    const data = { mealPlanId: plan.id, status };
+
+    if (status === 'IN_REVIEW' && plan.trainer.adminId) {
+      await notificationService.notify({
+        recipientId: plan.trainer.adminId,
+        recipientRole: 'ADMIN',
+        type: 'MEAL_PLAN_REVIEW_REQUESTED',
+        title: 'Meal plan waiting for review',
+        message: `"${plan.name}" was submitted for review.`,
+        data
+      });
+    }
+
+    const reviewed = plan.status === 'IN_REVIEW' && user.role !== 'TRAINER';
+    if (reviewed && (status === 'PUBLISHED' || status === 'DRAFT')) {
+      const approved = status === 'PUBLISHED';
+      await notificationService.notify({
+        recipientId: plan.trainerId,
+        recipientRole: 'TRAINER',
+        type: approved ? 'MEAL_PLAN_REVIEW_APPROVED' : 'MEAL_PLAN_REVIEW_REJECTED',
+        title: approved ? 'Meal plan approved' : 'Meal plan needs changes',
+        message: approved
+          ? `"${plan.name}" was approved and published.`
+          : `"${plan.name}" was sent back to draft.${notes ? ` Notes: ${notes}` : ''}`,
+        data
+      });
+    }
+
+    if (status === 'PUBLISHED' && plan.customerId) {
+      await notificationService.notify({
+        recipientId: plan.customerId,
+        recipientRole: 'CUSTOMER',
+        type: 'MEAL_PLAN_PUBLISHED',
+        title: 'New meal plan available',
+        message: `Your meal plan "${plan.name}" is ready.`,
+        data
+      });
+    }
+  },
+
+  /**
+   * Require (or stop requiring) review of a trainer's plans
+   * @param {string} trainerId - Trainer ID
+   * @param {boolean} requiresPlanReview - New setting
+   * @param {Object} user - ADMIN managing the trainer, or SUPER_ADMIN
+   * @returns {Object} { id, requiresPlanReview }
+   * @throws {Error} 'Trainer not found' / 'Access denied to trainer'
+   */
+  async setReviewRequirement(trainerId, requiresPlanReview, user) {
+    try {
+      const trainer = await prisma.trainer.findUnique({
+        where: { id: trainerId },
+        select: { id: true, adminId: true }
+      });
+      if (!trainer) {
+        throw new Error('Trainer not found');
+      }
+      if (user.role !== 'SUPER_ADMIN' && trainer.adminId !== user.id) {
+        log.security('Trainer review setting denied', { userId: user.id, userRole: user.role, trainerId });
+        throw new Error('Access denied to trainer');
+      }
+
+      const updated = await prisma.trainer.update({
+        where: { id: trainerId },
+        data: { requiresPlanReview },
+        select: { id: true, firstName: true, lastName: true, requiresPlanReview: true }
+      });
+
+      log.business('Trainer plan review requirement changed', {
+        trainerId,
+        requiresPlanReview,
+        changedBy: user.id
+      });
+
+      return updated;
+    } catch (error) {
+      log.error('Failed to change trainer review requirement', { trainerId, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,273 @@
+// Meal item substitution service
+// Suggests catalog replacements for an item of a meal plan and swaps them in.
+// Business rules:
+// - Substitutes play the same role in the meal (protein, carb, fat, vegetable,
+//   fruit, or a recipe as main dish) and are portioned to the same calories
+// - Items that break the customer's dietary profile (hard constraints) or the
+//   plan's category rules are never suggested
+// - Suggestions are ranked by how well the day still meets the customer's
+//   targets, then by how close the substitute's macros are to the original
+import { Prisma } from '../generated/prisma/index.js';
+import { prisma } from '../config/prisma.js';
+import { mealPlanService, TOTAL_FIELDS } from './mealPlanService.js';
+import {
+  mealPlanGeneratorService,
+  CATEGORY_RULES,
+  GENERATOR_DEFAULTS,
+  GENERATOR_FOOD_CATEGORIES,
+  ROLE_PORTION_BOUNDS,
+  CANDIDATE_LIMIT
+} from './mealPlanGeneratorService.js';
+import { customerService } from './customerService.js';
+import { dietaryProfileService } from './dietaryProfileService.js';
+import { mealPlanRevisionService } from './mealPlanRevisionService.js';
+import { log } from '../utils/logger.js';
+
+const MACRO_FIELDS = ['proteinGrams', 'carbsGrams', 'fatGrams'];
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+export const mealSubstitutionService = {
+  /**
+   * Load a plan item with its food or recipe and the plan it belongs to
+   * @private
+   */
+  async _loadItem(planId, mealId, itemId) {
+    const item = await prisma.mealItem.findFirst({
+      where: { id: itemId, mealId, meal: { day: { mealPlanId: planId } } },
+      include: {
+        food: { include: { servings: true } },
+        recipe: { include: { ingredients: { include: { food: true } } } },
+        meal: { select: { id: true, dayId: true } }
+      }
+    });
+
+    if (!item) {
+      throw new Error('Meal item not found in meal plan');
+    }
+
+    return item;
+  },
+
+  /**
+   * Difference between two macro profiles, as the mean relative difference
+   * of protein, carbs and fat (0 = identical)
+   * @param {Object} original - Nutrition of the original item
+   * @param {Object} candidate - Nutrition of the substitute
+   * @returns {number} Distance
+   */
+  macroDistance(original, candidate) {
+    const total = MACRO_FIELDS.reduce((sum, field) =>
+      sum + Math.abs(candidate[field] - original[field]) / Math.max(original[field], 5), 0);
+    return round(total / MACRO_FIELDS.length, 3);
+  },
+
+  /**
+   * Build portioned substitute options for an item
+   * @private
+   */
+  async _buildOptions(item, rules, constraints) {
+    if (item.recipeId) {
+      const recipes = await prisma.recipe.findMany({
+        where: { isActive: true, id: { not: item.recipeId }, ingredients: { some: {} } },
+        include: { ingredients: { include: { food: true } } },
+        orderBy: { updatedAt: 'desc' },
+        take: CANDIDATE_LIMIT
+      });
+
+      return recipes
+        .filter(recipe => mealPlanGeneratorService.isRecipeAllowed(recipe, rules, []))
+        .map(recipe => {
+          const violations = dietaryProfileService.checkRecipe(recipe, constraints);
+          if (dietaryProfileService.hasHardViolation(violations)) return null;
+
+          const servings = clamp(Math.round((item.calories / recipe.calories) * 4) / 4, ROLE_PORTION_BOUNDS.main);
+          return {
+            recipe,
+            violations,
+            data: mealPlanService.itemFromRecipe(recipe, { quantity: servings, unit: 'serving' })
+          };
+        })
+        .filter(Boolean);
+    }
+
+    const role = mealPlanGeneratorService.classifyRole(item.food);
+    const foods = await prisma.food.findMany({
+      where: {
+        isActive: true,
+        id: { not: item.foodId },
+        // Unclassified foods can only be swapped within their own category
+        category: role ? { in: GENERATOR_FOOD_CATEGORIES } : item.food.category
+      },
+      include: { servings: true },
+      orderBy: { updatedAt: 'desc' },
+      take: CANDIDATE_LIMIT
+    });
+
+    return foods
+      .filter(food => mealPlanGeneratorService.classifyRole(food) === role && food.calories > 0)
+      .filter(food => mealPlanGeneratorService.isFoodAllowed(food, rules, []))
+      .map(food => {
+        const violations = dietaryProfileService.checkFood(food, constraints);
+        if (dietaryProfileService.hasHardViolation(violations)) return null;
+
+        let grams = Math.round(((item.calories / food.calories) * 100) / 5) * 5;
+        if (role) grams = clamp(grams, ROLE_PORTION_BOUNDS[role]);
+        return {
+          food,
+          violations,
+          data: mealPlanService.itemFromFood(food, { quantity: Math.max(grams, 5), unit: 'g' })
+        };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Suggest substitutes for an item of a meal plan
+   * @param {string} planId - Meal plan ID
+   * @param {string} mealId - Meal ID
+   * @param {string} itemId - Meal item ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { limit }
+   * @returns {Object} { item, role, day, substitutes[] }
+   */
+  async suggestSubstitutes(planId, mealId, itemId, user, { limit = 10 } = {}) {
+    try {
+      const plan = await mealPlanService.getPlan(planId, user);
+      const item = await this._loadItem(planId, mealId, itemId);
+
+      const customer = plan.customerId ? await customerService.getProfile(plan.customerId) : null;
+      const constraints = dietaryProfileService.getConstraints(customer);
+      const rules = CATEGORY_RULES[plan.category] || {};
+      const day = plan.days.find(candidate => candidate.id === item.meal.dayId);
+      const target = plan.targets;
+
+      const options = await this._buildOptions(item, rules, constraints);
+
+      const substitutes = options.map(option => {
+        const dayTotals = Object.fromEntries(TOTAL_FIELDS.map(field => [
+          field,
+          round(day.totals[field] - item[field] + option.data[field], field === 'calories' ? 0 : 1)
+        ]));
+        const evaluation = target
+          ? mealPlanGeneratorService.evaluateDay(dayTotals, target, GENERATOR_DEFAULTS.tolerances, rules)
+          : null;
+
+        return {
+          foodId: option.data.foodId,
+          recipeId: option.data.recipeId,
+          name: (option.food || option.recipe).name,
+          quantity: option.data.quantity,
+          unit: option.data.unit,
+          grams: option.data.grams,
+          nutrition: Object.fromEntries(TOTAL_FIELDS.map(field => [field, option.data[field]])),
+          macroDistance: this.macroDistance(item, option.data),
+          dayTotals,
+          dayWithinTolerance: evaluation ? evaluation.withinTolerance : null,
+          dayDeviationPercent: evaluation ? evaluation.deviations : null,
+          violations: option.violations,
+          score: evaluation ? evaluation.score : 0
+        };
+      });
+
+      substitutes.sort((a, b) =>
+        (b.dayWithinTolerance === true) - (a.dayWithinTolerance === true)
+        || a.violations.length - b.violations.length
+        || a.score - b.score
+        || a.macroDistance - b.macroDistance);
+
+      return {
+        item: {
+          id: item.id,
+          foodId: item.foodId,
+          recipeId: item.recipeId,
+          name: (item.food || item.recipe).name,
+          quantity: item.quantity,
+          unit: item.unit,
+          nutrition: Object.fromEntries(TOTAL_FIELDS.map(field => [field, item[field]]))
+        },
+        role: item.recipeId ? 'main' : mealPlanGeneratorService.classifyRole(item.food),
+        day: { id: day.id, dayNumber: day.dayNumber, date: day.date, totals: day.totals },
+        targets: target,
+        substitutes: substitutes.slice(0, limit).map(({ score, ...substitute }) => substitute)
+      };
+    } catch (error) {
+      log.error('Failed to suggest substitutes', { planId, mealId, itemId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Replace an item of a meal plan with another food or recipe, keeping its
+   * position. The quantity defaults to the calorie-matched portion.
+   * @param {string} planId - Meal plan ID
+   * @param {string} mealId - Meal ID
+   * @param {string} itemId - Meal item ID
+   * @param {Object} replacement - { foodId | recipeId, quantity?, unit?, notes? }
+   * @param {Object} user - Editing user
+   * @returns {Object} { meal, day, violations } with refreshed totals
+   */
+  async substituteItem(planId, mealId, itemId, replacement, user) {
+    try {
+      const plan = await mealPlanService.getEditablePlan(planId, user);
+      const item = await this._loadItem(planId, mealId, itemId);
+
+      const customer = plan.customerId ? await customerService.getProfile(plan.customerId) : null;
+      const constraints = dietaryProfileService.getConstraints(customer);
+
+      let { quantity, unit } = replacement;
+      if (quantity === undefined) {
+        const { food, recipe } = await mealPlanService.loadItemSource(replacement);
+        const source = food || recipe;
+        if (source.calories <= 0) {
+          throw new Error(`Invalid substitute: ${source.name} has no calories to match`);
+        }
+        quantity = recipe
+          ? clamp(Math.round((item.calories / recipe.calories) * 4) / 4, ROLE_PORTION_BOUNDS.main)
+          : Math.max(Math.round(((item.calories / food.calories) * 100) / 5) * 5, 5);
+        unit = recipe ? 'serving' : 'g';
+      }
+
+      const data = await mealPlanService.calculateItem({ ...replacement, quantity, unit }, constraints);
+
+      await prisma.$transaction(async (tx) => {
+        const updated = await tx.mealItem.update({
+          where: { id: itemId },
+          data: {
+            ...data,
+            violations: data.violations ?? Prisma.DbNull,
+            notes: data.notes ?? item.notes
+          },
+          include: { food: { select: { name: true } }, recipe: { select: { name: true } } }
+        });
+
+        await mealPlanRevisionService.recordRevision(planId, user, {
+          action: 'SUBSTITUTE_ITEM',
+          summary: `Replaced ${(item.food || item.recipe).name} with ${(updated.food || updated.recipe).name}`
+        }, tx);
+      });
+
+      log.business('Meal item substituted', {
+        planId,
+        mealId,
+        itemId,
+        from: item.foodId || item.recipeId,
+        to: data.foodId || data.recipeId,
+        substitutedBy: user.id
+      });
+
+      return {
+        ...(await mealPlanService.getMealWithDay(planId, mealId, user)),
+        violations: data.violations ?? []
+      };
+    } catch (error) {
+      log.error('Failed to substitute meal item', { planId, mealId, itemId, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,546 @@
+// Message service
+// Direct messaging along the Admin -> Trainer -> Customer hierarchy.
+// Business rules:
+// - A CUSTOMER messages their trainer; a TRAINER messages their customers and
+//   their admin; an ADMIN messages the trainers they manage. Nobody else.
+// - Each pair has one thread, checked against the current assignments on
+//   every request
+// - A message is read when the other participant marks the thread as read;
+//   the sender sees when (read receipt)
+// - Attachments are stored as uploaded, under the thread's storage prefix,
+//   and removed with the thread's participants
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { prisma } from '../config/prisma.js';
+import { getStorage } from '../utils/storage.js';
+import { log } from '../utils/logger.js';
+
+export const MESSAGE_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'application/pdf',
+  'text/plain'
+];
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_MESSAGE_LENGTH = 5000;
+export const MESSAGE_ROLES = ['ADMIN', 'TRAINER', 'CUSTOMER'];
+
+const PREVIEW_LENGTH = 120;
+
+const personSelect = { id: true, firstName: true, lastName: true };
+
+const threadInclude = {
+  trainer: { select: { ...personSelect, adminId: true } },
+  customer: { select: { ...personSelect, trainerId: true } },
+  admin: { select: personSelect }
+};
+
+const threadPrefix = (threadId) => `messages/${threadId}`;
+
+/**
+ * Whether the user is a participant of the thread and the assignment it
+ * stands for still holds
+ * @param {Object} thread - Thread with trainer, customer and admin
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+export const canAccessThread = (thread, user) => {
+  switch (user.role) {
+    case 'CUSTOMER':
+      return thread.customerId === user.id && thread.customer?.trainerId === thread.trainerId;
+
+    case 'TRAINER':
+      if (thread.trainerId !== user.id) return false;
+      return thread.customerId
+        ? thread.customer?.trainerId === user.id
+        : Boolean(thread.adminId) && thread.trainer.adminId === thread.adminId;
+
+    case 'ADMIN':
+      return thread.adminId === user.id && thread.trainer.adminId === user.id;
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * The other participant of a thread
+ * @param {Object} thread - Thread with trainer, customer and admin
+ * @param {Object} user - Authenticated participant
+ * @returns {Object} { id, role, firstName, lastName }
+ */
+export const counterpartOf = (thread, user) => {
+  if (user.role !== 'TRAINER') {
+    const { id, firstName, lastName } = thread.trainer;
+    return { id, role: 'TRAINER', firstName, lastName };
+  }
+
+  const person = thread.customer ?? thread.admin;
+  return { id: person.id, role: thread.customer ? 'CUSTOMER' : 'ADMIN', firstName: person.firstName, lastName: person.lastName };
+};
+
+/**
+ * Filename safe for storage metadata and Content-Disposition headers
+ */
+const safeFilename = (filename) => {
+  const cleaned = path.basename(filename || '').replace(/[^\w.\- ]+/g, '_').trim().slice(0, 100);
+  return cleaned || 'attachment';
+};
+
+const isFromUser = (message, user) => message.senderId === user.id && message.senderRole === user.role;
+
+// Storage keys stay server-side
+const toMessageResponse = (message, user) => ({
+  id: message.id,
+  threadId: message.threadId,
+  sender: { id: message.senderId, role: message.senderRole },
+  fromMe: isFromUser(message, user),
+  body: message.body,
+  attachments: (message.attachments ?? []).map(({ storageKey, ...attachment }) => attachment),
+  readAt: message.readAt,
+  createdAt: message.createdAt
+});
+
+/**
+ * Messages in a thread the user has not read yet
+ */
+const unreadWhere = (user) => ({
+  readAt: null,
+  NOT: { senderId: user.id, senderRole: user.role }
+});
+
+export const messageService = {
+  /**
+   * Threads the user may see, as a Prisma filter
+   * @private
+   * @returns {Object|null} Filter, or null when the user has nobody to message
+   */
+  async _threadFilter(user) {
+    switch (user.role) {
+      case 'CUSTOMER': {
+        const customer = await prisma.customer.findUnique({ where: { id: user.id }, select: { trainerId: true } });
+        return customer?.trainerId ? { customerId: user.id, trainerId: customer.trainerId } : null;
+      }
+
+      case 'TRAINER': {
+        const trainer = await prisma.trainer.findUnique({ where: { id: user.id }, select: { adminId: true } });
+        if (!trainer) return null;
+        return {
+          trainerId: user.id,
+          OR: [
+            { customer: { trainerId: user.id } },
+            ...(trainer.adminId ? [{ adminId: trainer.adminId }] : [])
+          ]
+        };
+      }
+
+      case 'ADMIN':
+        return { adminId: user.id, trainer: { adminId: user.id } };
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Load a thread and enforce access
+   * @param {string} threadId - Thread ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Thread with trainer, customer and admin
+   * @throws {Error} 'Message thread not found' / 'Access denied to message thread'
+   */
+  async getAccessibleThread(threadId, user) {
+    const thread = await prisma.messageThread.findUnique({
+      where: { id: threadId },
+      include: threadInclude
+    });
+
+    if (!thread) {
+      throw new Error('Message thread not found');
+    }
+
+    if (!canAccessThread(thread, user)) {
+      log.security('Message thread access denied', {
+        userId: user.id,
+        userRole: user.role,
+        threadId
+      });
+      throw new Error('Access denied to message thread');
+    }
+
+    return thread;
+  },
+
+  /**
+   * Open the thread with another user, creating it on first contact
+   * @param {Object} user - Authenticated user
+   * @param {Object} participant - { participantId, participantRole }
+   * @returns {Object} Thread summary
+   * @throws {Error} 'Access denied: ...' when the pair is outside the hierarchy
+   */
+  async openThread(user, { participantId, participantRole }) {
+    try {
+      let pair = null;
+
+      if (user.role === 'CUSTOMER' && participantRole === 'TRAINER') {
+        const customer = await prisma.customer.findUnique({ where: { id: user.id }, select: { trainerId: true } });
+        if (customer?.trainerId && customer.trainerId === participantId) {
+          pair = { trainerId: participantId, customerId: user.id };
+        }
+      } else if (user.role === 'TRAINER' && participantRole === 'CUSTOMER') {
+        const customer = await prisma.customer.findUnique({ where: { id: participantId }, select: { trainerId: true } });
+        if (customer?.trainerId === user.id) {
+          pair = { trainerId: user.id, customerId: participantId };
+        }
+      } else if (user.role === 'TRAINER' && participantRole === 'ADMIN') {
+        const trainer = await prisma.trainer.findUnique({ where: { id: user.id }, select: { adminId: true } });
+        if (trainer?.adminId && trainer.adminId === participantId) {
+          pair = { trainerId: user.id, adminId: participantId };
+        }
+      } else if (user.role === 'ADMIN' && participantRole === 'TRAINER') {
+        const trainer = await prisma.trainer.findUnique({ where: { id: participantId }, select: { adminId: true } });
+        if (trainer?.adminId === user.id) {
+          pair = { trainerId: participantId, adminId: user.id };
+        }
+      }
+
+      if (!pair) {
+        log.security('Message recipient outside hierarchy', {
+          userId: user.id,
+          userRole: user.role,
+          participantId,
+          participantRole
+        });
+        throw new Error('Access denied: you can only message your own trainer, customers or admin');
+      }
+
+      const where = pair.customerId
+        ? { trainerId_customerId: { trainerId: pair.trainerId, customerId: pair.customerId } }
+        : { trainerId_adminId: { trainerId: pair.trainerId, adminId: pair.adminId } };
+
+      const thread = await prisma.messageThread.upsert({
+        where,
+        create: pair,
+        update: {},
+        include: threadInclude
+      });
+
+      log.business('Message thread opened', { threadId: thread.id, userId: user.id, userRole: user.role, ...pair });
+
+      return this._toThreadResponse(thread, user, { unreadCount: 0 });
+    } catch (error) {
+      log.error('Failed to open message thread', { userId: user.id, participantId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Thread summary for the list
+   * @private
+   */
+  _toThreadResponse(thread, user, { lastMessage = null, unreadCount }) {
+    return {
+      id: thread.id,
+      participant: counterpartOf(thread, user),
+      lastMessage: lastMessage && {
+        id: lastMessage.id,
+        preview: lastMessage.body.slice(0, PREVIEW_LENGTH),
+        attachmentCount: (lastMessage.attachments ?? []).length,
+        fromMe: isFromUser(lastMessage, user),
+        readAt: lastMessage.readAt,
+        createdAt: lastMessage.createdAt
+      },
+      unreadCount,
+      lastMessageAt: thread.lastMessageAt,
+      createdAt: thread.createdAt
+    };
+  },
+
+  /**
+   * The user's threads, most recent activity first
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - { page, limit }
+   * @returns {Object} { threads, unreadCount, pagination }
+   */
+  async listThreads(user, { page = 1, limit = 20 } = {}) {
+    try {
+      const where = await this._threadFilter(user);
+      if (!where) {
+        return {
+          threads: [],
+          unreadCount: 0,
+          pagination: { currentPage: page, totalPages: 0, total: 0, hasNextPage: false, hasPreviousPage: page > 1 }
+        };
+      }
+
+      const [threads, total, unreadCount] = await Promise.all([
+        prisma.messageThread.findMany({
+          where,
+          include: {
+            ...threadInclude,
+            messages: { orderBy: { createdAt: 'desc' }, take: 1 }
+          },
+          orderBy: [{ lastMessageAt: 'desc' }, { createdAt: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.messageThread.count({ where }),
+        prisma.message.count({ where: { thread: where, ...unreadWhere(user) } })
+      ]);
+
+      const unread = threads.length
+        ? await prisma.message.groupBy({
+          by: ['threadId'],
+          where: { threadId: { in: threads.map(thread => thread.id) }, ...unreadWhere(user) },
+          _count: { _all: true }
+        })
+        : [];
+      const unreadByThread = new Map(unread.map(row => [row.threadId, row._count._all]));
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        threads: threads.map(thread => this._toThreadResponse(thread, user, {
+          lastMessage: thread.messages[0] ?? null,
+          unreadCount: unreadByThread.get(thread.id) ?? 0
+        })),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to list message threads', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Unread messages across the user's threads
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { unreadCount, threadsWithUnread }
+   */
+  async getUnreadCount(user) {
+    try {
+      const where = await this._threadFilter(user);
+      if (!where) return { unreadCount: 0, threadsWithUnread: 0 };
+
+      const rows = await prisma.message.groupBy({
+        by: ['threadId'],
+        where: { thread: where, ...unreadWhere(user) },
+        _count: { _all: true }
+      });
+
+      return {
+        unreadCount: rows.reduce((sum, row) => sum + row._count._all, 0),
+        threadsWithUnread: rows.length
+      };
+    } catch (error) {
+      log.error('Failed to count unread messages', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * A page of a thread's messages, newest first
+   * @param {string} threadId - Thread ID
+   * @param {Object} user - Authenticated participant
+   * @param {Object} filters - { page, limit }
+   * @returns {Object} { thread, messages, pagination }
+   * @throws {Error} 'Message thread not found' / 'Access denied to message thread'
+   */
+  async listMessages(threadId, user, { page = 1, limit = 50 } = {}) {
+    try {
+      const thread = await this.getAccessibleThread(threadId, user);
+
+      const [messages, total, unreadCount] = await Promise.all([
+        prisma.message.findMany({
+          where: { threadId },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.message.count({ where: { threadId } }),
+        prisma.message.count({ where: { threadId, ...unreadWhere(user) } })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        thread: this._toThreadResponse(thread, user, { unreadCount }),
+        messages: messages.map(message => toMessageResponse(message, user)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to list messages', { threadId, userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Post a message, with optional attachments
+   * @param {string} threadId - Thread ID
+   * @param {Object} user - Authenticated participant
+   * @param {Object} data - { body }
+   * @param {Object[]} [files] - [{ originalname, mimetype, buffer }] uploaded attachments
+   * @returns {Object} Created message
+   * @throws {Error} 'Message thread not found' / 'Access denied to message thread' / 'Invalid message ...'
+   */
+  async sendMessage(threadId, user, { body = '' }, files = []) {
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+      await this.getAccessibleThread(threadId, user);
+
+      const text = body.trim();
+      if (!text && !files.length) {
+        throw new Error('Invalid message: add text or an attachment');
+      }
+
+      const attachments = [];
+      for (const file of files) {
+        const id = crypto.randomUUID();
+        const storageKey = `${threadPrefix(threadId)}/${id}`;
+        await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+        stored.push(storageKey);
+
+        attachments.push({
+          id,
+          filename: safeFilename(file.originalname),
+          contentType: file.mimetype,
+          sizeBytes: file.buffer.length,
+          storageKey
+        });
+      }
+
+      const createdAt = new Date();
+      const [message] = await prisma.$transaction([
+        prisma.message.create({
+          data: {
+            threadId,
+            senderId: user.id,
+            senderRole: user.role,
+            body: text,
+            attachments: attachments.length ? attachments : undefined,
+            createdAt
+          }
+        }),
+        prisma.messageThread.update({ where: { id: threadId }, data: { lastMessageAt: createdAt } })
+      ]);
+
+      log.business('Message sent', {
+        messageId: message.id,
+        threadId,
+        senderId: user.id,
+        senderRole: user.role,
+        attachments: attachments.length
+      });
+
+      return toMessageResponse(message, user);
+    } catch (error) {
+      await Promise.all(stored.map(key => storage.remove(key)));
+      log.error('Failed to send message', { threadId, userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark the other participant's messages in a thread as read
+   * @param {string} threadId - Thread ID
+   * @param {Object} user - Authenticated participant
+   * @returns {Object} { markedCount, readAt }
+   * @throws {Error} 'Message thread not found' / 'Access denied to message thread'
+   */
+  async markThreadRead(threadId, user) {
+    try {
+      await this.getAccessibleThread(threadId, user);
+
+      const readAt = new Date();
+      const { count } = await prisma.message.updateMany({
+        where: { threadId, ...unreadWhere(user) },
+        data: { readAt }
+      });
+
+      log.database('update', 'messages', { threadId, userId: user.id, markedRead: count });
+
+      return { markedCount: count, readAt };
+    } catch (error) {
+      log.error('Failed to mark message thread as read', { threadId, userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Read a message attachment
+   * @param {string} threadId - Thread ID
+   * @param {string} messageId - Message ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} user - Authenticated participant
+   * @returns {Object} { filename, contentType, content }
+   * @throws {Error} 'Attachment not found'
+   */
+  async getAttachment(threadId, messageId, attachmentId, user) {
+    try {
+      await this.getAccessibleThread(threadId, user);
+
+      const message = await prisma.message.findFirst({
+        where: { id: messageId, threadId },
+        select: { attachments: true }
+      });
+      const attachment = (message?.attachments ?? []).find(item => item.id === attachmentId);
+      const content = attachment ? await getStorage().get(attachment.storageKey) : null;
+      if (!content) {
+        throw new Error('Attachment not found');
+      }
+
+      return { filename: attachment.filename, contentType: attachment.contentType, content };
+    } catch (error) {
+      log.error('Failed to read message attachment', { threadId, messageId, attachmentId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * IDs of every thread a user takes part in, whatever the current
+   * assignments. Read before deleting the user: the threads cascade with them.
+   * @param {string} userId - User ID
+   * @param {string} userRole - ADMIN, TRAINER or CUSTOMER
+   * @returns {string[]} Thread IDs
+   */
+  async getThreadIds(userId, userRole) {
+    const field = { ADMIN: 'adminId', TRAINER: 'trainerId', CUSTOMER: 'customerId' }[userRole];
+    if (!field) return [];
+
+    const threads = await prisma.messageThread.findMany({ where: { [field]: userId }, select: { id: true } });
+    return threads.map(thread => thread.id);
+  },
+
+  /**
+   * Delete the stored attachments of threads
+   * @param {string[]} threadIds - Deleted threads
+   */
+  async removeThreadFiles(threadIds) {
+    const storage = getStorage();
+    for (const threadId of threadIds) {
+      try {
+        await storage.removePrefix(threadPrefix(threadId));
+      } catch (error) {
+        // The thread is already gone; report the leftover files for cleanup
+        log.error('Failed to remove message attachments', { threadId, error: error.message });
+      }
+    }
+  }
+};
@@ -0,0 +1,453 @@
+// Micronutrient service
+// Compares micronutrient intake, planned or logged, with reference intakes.
+// Business rules:
+// - Reference intakes are the Dietary Reference Intakes (RDA, or AI where no
+//   RDA exists) for the customer's age and gender; customers on a PREGNANCY
+//   or POSTPARTUM plan get the pregnancy or lactation values
+// - A day is LOW below 70% of the reference and HIGH above the upper limit
+// - Foods without micronutrient data would look like shortfalls, so a
+//   nutrient is only judged LOW on days where foods reporting it supply
+//   most of the calories
+// - A shortfall or excess is chronic when it shows on most of at least five
+//   judged days; chronic findings are flagged to the trainer
+import { prisma } from '../config/prisma.js';
+import { MICRONUTRIENT_UNITS } from './foodService.js';
+import { nutritionService } from './nutritionService.js';
+import { mealPlanService } from './mealPlanService.js';
+import { MAX_DIARY_RANGE_DAYS } from './foodDiaryService.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+export const DEFAULT_COVERAGE_DAYS = 14;
+
+// Share of the reference intake below which a day is LOW
+export const LOW_COVERAGE_PERCENT = 70;
+
+// Share of a day's calories that must come from foods reporting a nutrient
+// before a low amount counts as a shortfall
+const MIN_DATA_COVERAGE = 0.75;
+
+// A finding is chronic when it covers this share of at least MIN_ALERT_DAYS days
+const MIN_ALERT_DAYS = 5;
+const CHRONIC_DAY_SHARE = 0.6;
+
+const OPEN_AGE = Infinity;
+
+/**
+ * Dietary Reference Intakes per nutrient, in the units of MICRONUTRIENT_UNITS.
+ *   amounts:            [maxAge, male, female] rows by age band
+ *   pregnancy/lactation [maxAge, amount] rows, defaulting to amounts
+ *   upperLimits:        [maxAge, amount] rows. Sodium uses the chronic disease
+ *                       risk reduction intake. Omitted where the upper limit
+ *                       only applies to supplements or preformed vitamin A.
+ * Customers younger than 9 use the 9-13 values.
+ */
+export const REFERENCE_INTAKES = {
+  calcium: {
+    name: 'Calcium',
+    type: 'RDA',
+    amounts: [[18, 1300, 1300], [50, 1000, 1000], [70, 1000, 1200], [OPEN_AGE, 1200, 1200]],
+    pregnancy: [[18, 1300], [OPEN_AGE, 1000]],
+    lactation: [[18, 1300], [OPEN_AGE, 1000]],
+    upperLimits: [[18, 3000], [50, 2500], [OPEN_AGE, 2000]]
+  },
+  iron: {
+    name: 'Iron',
+    type: 'RDA',
+    amounts: [[13, 8, 8], [18, 11, 15], [50, 8, 18], [OPEN_AGE, 8, 8]],
+    pregnancy: [[OPEN_AGE, 27]],
+    lactation: [[18, 10], [OPEN_AGE, 9]],
+    upperLimits: [[13, 40], [OPEN_AGE, 45]]
+  },
+  magnesium: {
+    name: 'Magnesium',
+    type: 'RDA',
+    amounts: [[13, 240, 240], [18, 410, 360], [30, 400, 310], [OPEN_AGE, 420, 320]],
+    pregnancy: [[18, 400], [30, 350], [OPEN_AGE, 360]],
+    lactation: [[18, 360], [30, 310], [OPEN_AGE, 320]]
+  },
+  potassium: {
+    name: 'Potassium',
+    type: 'AI',
+    amounts: [[13, 2500, 2300], [18, 3000, 2300], [OPEN_AGE, 3400, 2600]],
+    pregnancy: [[18, 2600], [OPEN_AGE, 2900]],
+    lactation: [[18, 2500], [OPEN_AGE, 2800]]
+  },
+  sodium: {
+    name: 'Sodium',
+    type: 'AI',
+    amounts: [[13, 1200, 1200], [OPEN_AGE, 1500, 1500]],
+    upperLimits: [[13, 1800], [OPEN_AGE, 2300]]
+  },
+  zinc: {
+    name: 'Zinc',
+    type: 'RDA',
+    amounts: [[13, 8, 8], [18, 11, 9], [OPEN_AGE, 11, 8]],
+    pregnancy: [[18, 12], [OPEN_AGE, 11]],
+    lactation: [[18, 13], [OPEN_AGE, 12]],
+    upperLimits: [[13, 23], [18, 34], [OPEN_AGE, 40]]
+  },
+  vitaminA: {
+    name: 'Vitamin A',
+    type: 'RDA',
+    amounts: [[13, 600, 600], [OPEN_AGE, 900, 700]],
+    pregnancy: [[18, 750], [OPEN_AGE, 770]],
+    lactation: [[18, 1200], [OPEN_AGE, 1300]]
+  },
+  vitaminC: {
+    name: 'Vitamin C',
+    type: 'RDA',
+    amounts: [[13, 45, 45], [18, 75, 65], [OPEN_AGE, 90, 75]],
+    pregnancy: [[18, 80], [OPEN_AGE, 85]],
+    lactation: [[18, 115], [OPEN_AGE, 120]],
+    upperLimits: [[13, 1200], [18, 1800], [OPEN_AGE, 2000]]
+  },
+  vitaminD: {
+    name: 'Vitamin D',
+    type: 'RDA',
+    amounts: [[70, 15, 15], [OPEN_AGE, 20, 20]],
+    pregnancy: [[OPEN_AGE, 15]],
+    lactation: [[OPEN_AGE, 15]],
+    upperLimits: [[OPEN_AGE, 100]]
+  },
+  vitaminE: {
+    name: 'Vitamin E',
+    type: 'RDA',
+    amounts: [[13, 11, 11], [OPEN_AGE, 15, 15]],
+    pregnancy: [[OPEN_AGE, 15]],
+    lactation: [[OPEN_AGE, 19]]
+  },
+  vitaminK: {
+    name: 'Vitamin K',
+    type: 'AI',
+    amounts: [[13, 60, 60], [18, 75, 75], [OPEN_AGE, 120, 90]],
+    pregnancy: [[18, 75], [OPEN_AGE, 90]],
+    lactation: [[18, 75], [OPEN_AGE, 90]]
+  },
+  vitaminB12: {
+    name: 'Vitamin B12',
+    type: 'RDA',
+    amounts: [[13, 1.8, 1.8], [OPEN_AGE, 2.4, 2.4]],
+    pregnancy: [[OPEN_AGE, 2.6]],
+    lactation: [[OPEN_AGE, 2.8]]
+  },
+  folate: {
+    name: 'Folate',
+    type: 'RDA',
+    amounts: [[13, 300, 300], [OPEN_AGE, 400, 400]],
+    pregnancy: [[OPEN_AGE, 600]],
+    lactation: [[OPEN_AGE, 500]]
+  }
+};
+
+// Plan categories that switch to pregnancy or lactation values. POSTPARTUM
+// assumes breastfeeding, the higher requirement.
+const LIFE_STAGES = {
+  PREGNANCY: 'pregnancy',
+  POSTPARTUM: 'lactation'
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const forAge = (rows, age) => rows?.find(([maxAge]) => age <= maxAge) ?? null;
+
+/**
+ * Reference intakes for an age, gender and life stage
+ * @param {Object} input - { age, gender, lifeStage? } lifeStage is 'pregnancy' or 'lactation'
+ * @returns {Object} nutrient -> { name, unit, type, target, upperLimit }
+ */
+export const getReferenceIntakes = ({ age, gender, lifeStage = null }) => Object.fromEntries(
+  Object.entries(REFERENCE_INTAKES).map(([key, reference]) => {
+    const stageRow = lifeStage ? forAge(reference[lifeStage], age) : null;
+    const [, male, female] = forAge(reference.amounts, age);
+    // OTHER uses the higher of the male and female values
+    const byGender = { MALE: male, FEMALE: female }[gender] ?? Math.max(male, female);
+
+    return [key, {
+      name: reference.name,
+      unit: MICRONUTRIENT_UNITS[key],
+      type: reference.type,
+      target: stageRow ? stageRow[1] : byGender,
+      upperLimit: forAge(reference.upperLimits, age)?.[1] ?? null
+    }];
+  })
+);
+
+/**
+ * Reference intakes for a customer
+ * @param {Object} customer - Customer with birthDate, gender and mealPlanCategory
+ * @param {Date} [asOf] - Date the age is taken at
+ * @returns {Object} { age, gender, lifeStage, intakes }
+ */
+export const referenceIntakesFor = (customer, asOf = new Date()) => {
+  const age = nutritionService.calculateAge(customer.birthDate, asOf);
+  const lifeStage = customer.gender !== 'MALE' ? LIFE_STAGES[customer.mealPlanCategory] ?? null : null;
+
+  return {
+    age,
+    gender: customer.gender,
+    lifeStage,
+    intakes: getReferenceIntakes({ age, gender: customer.gender, lifeStage })
+  };
+};
+
+/**
+ * Assess one day of diary entries or plan items against reference intakes
+ * @param {Object[]} items - { calories, micronutrients } entries or items
+ * @param {Object} intakes - Output of getReferenceIntakes
+ * @returns {Object} { calories, nutrients: nutrient -> { amount, percent, dataCoverage, status } }
+ *   status: LOW, ADEQUATE, HIGH or INCOMPLETE (too little data to judge a shortfall)
+ */
+export const assessDay = (items, intakes) => {
+  const calories = items.reduce((sum, item) => sum + (item.calories || 0), 0);
+
+  const nutrients = Object.fromEntries(Object.entries(intakes).map(([key, reference]) => {
+    let amount = 0;
+    let reportedCalories = 0;
+    let reported = false;
+    for (const item of items) {
+      const value = item.micronutrients?.[key];
+      if (typeof value === 'number') {
+        amount += value;
+        reportedCalories += item.calories || 0;
+        reported = true;
+      }
+    }
+
+    const dataCoverage = calories > 0 ? reportedCalories / calories : (reported ? 1 : 0);
+    const percent = reference.target > 0 ? (amount / reference.target) * 100 : null;
+
+    let status = 'ADEQUATE';
+    if (reference.upperLimit !== null && amount > reference.upperLimit) {
+      status = 'HIGH';
+    } else if (dataCoverage < MIN_DATA_COVERAGE) {
+      status = 'INCOMPLETE';
+    } else if (percent !== null && percent < LOW_COVERAGE_PERCENT) {
+      status = 'LOW';
+    }
+
+    return [key, {
+      amount: round(amount, 2),
+      percent: percent === null ? null : round(percent, 0),
+      dataCoverage: round(dataCoverage * 100, 0),
+      status
+    }];
+  }));
+
+  return { calories: round(calories, 0), nutrients };
+};
+
+/**
+ * Average amounts over assessed days
+ * @param {Object[]} days - Output of assessDay
+ * @param {Object} intakes - Output of getReferenceIntakes
+ * @returns {Object|null} nutrient -> { amount, percent }
+ */
+export const averageDays = (days, intakes) => {
+  if (!days.length) return null;
+
+  return Object.fromEntries(Object.entries(intakes).map(([key, reference]) => {
+    const amount = average(days.map(day => day.nutrients[key].amount));
+    return [key, {
+      amount: round(amount, 2),
+      percent: reference.target > 0 ? round((amount / reference.target) * 100, 0) : null
+    }];
+  }));
+};
+
+/**
+ * Find chronic shortfalls and excesses
+ * @param {Object[]} days - Output of assessDay, one per day with food
+ * @param {Object} intakes - Output of getReferenceIntakes
+ * @returns {Object[]} [{ nutrient, name, type, unit, reference, averageAmount, averagePercent, flaggedDays, assessedDays }]
+ *   type: SHORTFALL or EXCESS; reference is the target or the upper limit
+ */
+export const detectAlerts = (days, intakes) => {
+  const alerts = [];
+
+  for (const [key, reference] of Object.entries(intakes)) {
+    const statuses = days.map(day => day.nutrients[key]);
+    const judged = statuses.filter(nutrient => nutrient.status !== 'INCOMPLETE');
+
+    const findings = [
+      { type: 'EXCESS', assessed: statuses, flagged: statuses.filter(nutrient => nutrient.status === 'HIGH'), limit: reference.upperLimit },
+      { type: 'SHORTFALL', assessed: judged, flagged: judged.filter(nutrient => nutrient.status === 'LOW'), limit: reference.target }
+    ];
+
+    for (const { type, assessed, flagged, limit } of findings) {
+      if (assessed.length < MIN_ALERT_DAYS || flagged.length / assessed.length < CHRONIC_DAY_SHARE) continue;
+
+      const averageAmount = average(assessed.map(nutrient => nutrient.amount));
+      alerts.push({
+        nutrient: key,
+        name: reference.name,
+        type,
+        unit: reference.unit,
+        reference: limit,
+        averageAmount: round(averageAmount, 2),
+        averagePercent: reference.target > 0 ? round((averageAmount / reference.target) * 100, 0) : null,
+        flaggedDays: flagged.length,
+        assessedDays: assessed.length
+      });
+    }
+  }
+
+  return alerts;
+};
+
+const profileSelect = { id: true, birthDate: true, gender: true, mealPlanCategory: true };
+
+const entrySelect = { customerId: true, date: true, calories: true, micronutrients: true };
+
+/**
+ * Group diary entries into assessed days
+ * @param {Object[]} entries - Diary entries with date, calories and micronutrients
+ * @param {Object} intakes - Output of getReferenceIntakes
+ * @returns {Object[]} [{ date, calories, nutrients }] in date order
+ */
+const assessEntriesByDate = (entries, intakes) => {
+  const byDate = new Map();
+  for (const entry of entries) {
+    const date = formatDate(entry.date);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(entry);
+  }
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, dayEntries]) => ({ date, ...assessDay(dayEntries, intakes) }));
+};
+
+export const micronutrientService = {
+  /**
+   * Daily micronutrient coverage of a customer's food diary
+   * @param {Object} customer - Customer profile
+   * @param {Object} [range] - { from?, to? } (defaults to the last 14 days)
+   * @returns {Object} { from, to, references, days[], loggedDays, dailyAverage, alerts[] }
+   * @throws {Error} 'Invalid date range ...'
+   */
+  async getDiaryCoverage(customer, { from, to } = {}) {
+    try {
+      const end = toDateOnly(to ?? new Date());
+      const start = toDateOnly(from ?? addDays(end, -(DEFAULT_COVERAGE_DAYS - 1)));
+      const dayCount = daysBetween(start, end);
+      if (dayCount < 1) {
+        throw new Error('Invalid date range: from must not be after to');
+      }
+      if (dayCount > MAX_DIARY_RANGE_DAYS) {
+        throw new Error(`Invalid date range: at most ${MAX_DIARY_RANGE_DAYS} days`);
+      }
+
+      const entries = await prisma.foodLogEntry.findMany({
+        where: { customerId: customer.id, date: { gte: start, lte: end } },
+        select: entrySelect
+      });
+
+      const references = referenceIntakesFor(customer, end);
+      const days = assessEntriesByDate(entries, references.intakes);
+
+      return {
+        from: formatDate(start),
+        to: formatDate(end),
+        references,
+        days,
+        loggedDays: days.length,
+        dailyAverage: averageDays(days, references.intakes),
+        alerts: detectAlerts(days, references.intakes)
+      };
+    } catch (error) {
+      log.error('Failed to get micronutrient coverage', { customerId: customer.id, from, to, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Daily micronutrient coverage of a meal plan, against its customer's
+   * reference intakes
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { planId, customerId, references, days[], dailyAverage, alerts[] }
+   *   Plans without a customer use adult values (ages 19-30, higher of male and female)
+   * @throws {Error} 'Meal plan not found' / 'Access denied to meal plan'
+   */
+  async getPlanCoverage(planId, user) {
+    try {
+      const plan = await mealPlanService.getAccessiblePlan(planId, user);
+
+      const [planDays, customer] = await Promise.all([
+        prisma.mealPlanDay.findMany({
+          where: { mealPlanId: planId },
+          orderBy: { dayNumber: 'asc' },
+          select: {
+            dayNumber: true,
+            date: true,
+            meals: { select: { items: { select: { calories: true, micronutrients: true } } } }
+          }
+        }),
+        plan.customerId
+          ? prisma.customer.findUnique({ where: { id: plan.customerId }, select: profileSelect })
+          : null
+      ]);
+
+      const references = customer
+        ? referenceIntakesFor(customer, planDays[0]?.date ?? new Date())
+        : { age: null, gender: null, lifeStage: null, intakes: getReferenceIntakes({ age: 30, gender: 'OTHER' }) };
+      const { intakes } = references;
+
+      const days = planDays
+        .map(day => ({ dayNumber: day.dayNumber, date: formatDate(day.date), items: day.meals.flatMap(meal => meal.items) }))
+        .filter(day => day.items.length)
+        .map(({ items, ...day }) => ({ ...day, ...assessDay(items, intakes) }));
+
+      return {
+        planId,
+        customerId: plan.customerId,
+        references,
+        days,
+        dailyAverage: averageDays(days, intakes),
+        alerts: detectAlerts(days, intakes)
+      };
+    } catch (error) {
+      log.error('Failed to get meal plan micronutrient coverage', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Chronic diary findings for several customers in batched queries
+   * @param {string[]} customerIds - Customers to check
+   * @param {number} [days] - Window length in days, ending today
+   * @returns {Map} customerId -> alerts[]
+   */
+  async getAlertsForCustomers(customerIds, days = DEFAULT_COVERAGE_DAYS) {
+    if (!customerIds.length) return new Map();
+
+    const end = toDateOnly(new Date());
+    const start = addDays(end, -(days - 1));
+
+    const [customers, entries] = await Promise.all([
+      prisma.customer.findMany({ where: { id: { in: customerIds } }, select: profileSelect }),
+      prisma.foodLogEntry.findMany({
+        where: { customerId: { in: customerIds }, date: { gte: start, lte: end } },
+        select: entrySelect
+      })
+    ]);
+
+    const entriesByCustomer = new Map();
+    for (const entry of entries) {
+      if (!entriesByCustomer.has(entry.customerId)) entriesByCustomer.set(entry.customerId, []);
+      entriesByCustomer.get(entry.customerId).push(entry);
+    }
+
+    return new Map(customers.map(customer => {
+      const { intakes } = referenceIntakesFor(customer, end);
+      const assessed = assessEntriesByDate(entriesByCustomer.get(customer.id) || [], intakes);
+      return [customer.id, detectAlerts(assessed, intakes)];
+    }));
+  }
+};
@@ -0,0 +1,121 @@
+// Notification service
+// In-app notifications for customers, trainers and admins.
+// Business rules:
+// - Notifications are side effects: failing to store one never fails the
+//   action that triggered it
+// - Users only see and acknowledge their own notifications
+import { prisma } from '../config/prisma.js';
+import { log } from '../utils/logger.js';
+
+export const notificationService = {
+  /**
+   * Store a notification for one recipient
+   * @param {Object} notification - { recipientId, recipientRole, type, title, message, data? }
+   * @returns {Object|null} Created notification, or null when it could not be stored
+   */
+  async notify({ recipientId, recipientRole, type, title, message, data = null }) {
+    try {
+      const notification = await prisma.notification.create({
+        data: { recipientId, recipientRole, type, title, message, data: data ?? undefined }
+      });
+
+      log.business('Notification created', { notificationId: notification.id, recipientId, recipientRole, type });
+
+      return notification;
+    } catch (error) {
+      log.error('Failed to create notification', { recipientId, recipientRole, type, error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * List the user's notifications, newest first
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - { unreadOnly, page, limit }
+   * @returns {Object} { notifications, unreadCount, pagination }
+   */
+  async listNotifications(user, filters = {}) {
+    try {
+      const { unreadOnly = false, page = 1, limit = 20 } = filters;
+
+      const recipient = { recipientId: user.id, recipientRole: user.role };
+      const where = { ...recipient, ...(unreadOnly && { readAt: null }) };
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        prisma.notification.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.notification.count({ where }),
+        prisma.notification.count({ where: { ...recipient, readAt: null } })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to list notifications', { userId: user.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark one notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Updated notification
+   * @throws {Error} 'Notification not found'
+   */
+  async markRead(notificationId, user) {
+    try {
+      const notification = await prisma.notification.findFirst({
+        where: { id: notificationId, recipientId: user.id, recipientRole: user.role }
+      });
+      if (!notification) {
+        throw new Error('Notification not found');
+      }
+      if (notification.readAt) {
+        return notification;
+      }
+
+      return await prisma.notification.update({
+        where: { id: notificationId },
+        data: { readAt: new Date() }
+      });
+    } catch (error) {
+      log.error('Failed to mark notification as read', { notificationId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {Object} user - Authenticated user
+   * @returns {number} Number of notifications updated
+   */
+  async markAllRead(user) {
+    try {
+      const { count } = await prisma.notification.updateMany({
+        where: { recipientId: user.id, recipientRole: user.role, readAt: null },
+        data: { readAt: new Date() }
+      });
+
+      return count;
+    } catch (error) {
+      log.error('Failed to mark notifications as read', { userId: user.id, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,168 @@
+// Nutrition calculation service
+// Turns a customer's stored body data into energy expenditure numbers.
+// All formulas work in metric units; US_STANDARD profiles are converted first.
+import { log } from '../utils/logger.js';
+
+export const KG_PER_POUND = 0.45359237;
+export const CM_PER_INCH = 2.54;
+
+// Standard TDEE multipliers for the five ActivityLevel tiers
+export const ACTIVITY_MULTIPLIERS = {
+  LOW: 1.2,           // sedentary, little or no exercise
+  MEDIUM_LOW: 1.375,  // light exercise 1-3 days/week
+  MEDIUM: 1.55,       // moderate exercise 3-5 days/week
+  MEDIUM_HIGH: 1.725, // hard exercise 6-7 days/week
+  HIGH: 1.9           // very hard exercise or physical job
+};
+
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const nutritionService = {
+  /**
+   * Convert a customer's height and weight into metric units
+   * @param {Object} customer - Customer record
+   * @returns {Object} { heightCm, weightKg }
+   */
+  toMetric(customer) {
+    if (customer.measurementStandard === 'US_STANDARD') {
+      return {
+        heightCm: customer.height * CM_PER_INCH,
+        weightKg: customer.weight * KG_PER_POUND
+      };
+    }
+
+    return {
+      heightCm: customer.height,
+      weightKg: customer.weight
+    };
+  },
+
+  /**
+   * Calculate age in whole years at the given date
+   * @param {Date|string} birthDate - Date of birth
+   * @param {Date} [asOf] - Reference date (defaults to now)
+   * @returns {number} Age in years
+   */
+  calculateAge(birthDate, asOf = new Date()) {
+    const birth = new Date(birthDate);
+    let age = asOf.getFullYear() - birth.getFullYear();
+    const monthDiff = asOf.getMonth() - birth.getMonth();
+
+    if (monthDiff < 0 || (monthDiff === 0 && asOf.getDate() < birth.getDate())) {
+      age--;
+    }
+
+    return age;
+  },
+
+  /**
+   * List profile fields that are missing or still hold registration defaults
+   * @param {Object} customer - Customer record
+   * @returns {string[]} Names of fields that block the calculation
+   */
+  getMissingProfileFields(customer) {
+    const missing = [];
+
+    if (!customer.height || customer.height <= 0) missing.push('height');
+    if (!customer.weight || customer.weight <= 0) missing.push('weight');
+    if (!customer.birthDate || this.calculateAge(customer.birthDate) <= 0) missing.push('birthDate');
+    if (!customer.activityLevel || !ACTIVITY_MULTIPLIERS[customer.activityLevel]) missing.push('activityLevel');
+
+    return missing;
+  },
+
+  /**
+   * Mifflin-St Jeor BMR. OTHER gender uses the midpoint of the male and female constants.
+   */
+  mifflinStJeor({ weightKg, heightCm, age, gender }) {
+    const base = 10 * weightKg + 6.25 * heightCm - 5 * age;
+    const genderConstant = { MALE: 5, FEMALE: -161 }[gender] ?? -78;
+    return base + genderConstant;
+  },
+
+  /**
+   * Revised Harris-Benedict BMR (Roza & Shizgal, 1984)
+   */
+  harrisBenedict({ weightKg, heightCm, age, gender }) {
+    const male = 88.362 + 13.397 * weightKg + 4.799 * heightCm - 5.677 * age;
+    const female = 447.593 + 9.247 * weightKg + 3.098 * heightCm - 4.330 * age;
+
+    if (gender === 'MALE') return male;
+    if (gender === 'FEMALE') return female;
+    return (male + female) / 2;
+  },
+
+  /**
+   * Katch-McArdle BMR, based on lean body mass. Returns null without body fat data.
+   */
+  katchMcArdle({ weightKg, bodyFatPercentage }) {
+    if (bodyFatPercentage === null || bodyFatPercentage === undefined) {
+      return null;
+    }
+
+    const leanMassKg = weightKg * (1 - bodyFatPercentage / 100);
+    return 370 + 21.6 * leanMassKg;
+  },
+
+  /**
+   * Build the full energy expenditure profile for a customer
+   * @param {Object} customer - Customer record
+   * @returns {Object} BMR per formula, the recommended BMR and TDEE
+   */
+  calculateEnergyProfile(customer) {
+    const missingFields = this.getMissingProfileFields(customer);
+    if (missingFields.length > 0) {
+      throw new Error(`Incomplete customer profile: missing ${missingFields.join(', ')}`);
+    }
+
+    const { heightCm, weightKg } = this.toMetric(customer);
+    const input = {
+      weightKg,
+      heightCm,
+      age: this.calculateAge(customer.birthDate),
+      gender: customer.gender,
+      bodyFatPercentage: customer.bodyFatPercentage
+    };
+
+    const bmr = {
+      mifflinStJeor: round(this.mifflinStJeor(input)),
+      harrisBenedict: round(this.harrisBenedict(input)),
+      katchMcArdle: this.katchMcArdle(input)
+    };
+    if (bmr.katchMcArdle !== null) {
+      bmr.katchMcArdle = round(bmr.katchMcArdle);
+    }
+
+    // Katch-McArdle is the most accurate when lean mass is known
+    const formula = bmr.katchMcArdle !== null ? 'katchMcArdle' : 'mifflinStJeor';
+    const activityMultiplier = ACTIVITY_MULTIPLIERS[customer.activityLevel];
+
+    log.business('Energy profile calculated', {
+      customerId: customer.id,
+      formula,
+      activityLevel: customer.activityLevel
+    });
+
+    return {
+      inputs: {
+        age: input.age,
+        gender: input.gender,
+        heightCm: round(heightCm, 1),
+        weightKg: round(weightKg, 1),
+        bodyFatPercentage: input.bodyFatPercentage ?? null,
+        measurementStandard: customer.measurementStandard,
+        activityLevel: customer.activityLevel
+      },
+      bmr: {
+        ...bmr,
+        formula,
+        value: bmr[formula]
+      },
+      activityMultiplier,
+      tdee: round(bmr[formula] * activityMultiplier)
+    };
+  }
+};
@@ -0,0 +1,88 @@
+// Pantry service
+// Business rules:
+// - CUSTOMER manages the foods they already have at home
+// - Pantry quantities are stored in grams; a null quantity means "enough on hand"
+import { prisma } from '../config/prisma.js';
+import { toGrams } from '../utils/units.js';
+import { log } from '../utils/logger.js';
+
+const pantryInclude = {
+  food: { select: { id: true, name: true, brand: true, category: true } }
+};
+
+export const pantryService = {
+  /**
+   * List a customer's pantry
+   * @param {string} customerId - Customer ID
+   * @returns {Object[]} Pantry items with their food
+   */
+  async getPantry(customerId) {
+    try {
+      return await prisma.pantryItem.findMany({
+        where: { customerId },
+        include: pantryInclude,
+        orderBy: { food: { name: 'asc' } }
+      });
+    } catch (error) {
+      log.error('Failed to get pantry', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Add a food to the pantry or update its quantity
+   * @param {string} customerId - Customer ID
+   * @param {Object} itemData - { foodId, quantity?, unit? }
+   * @returns {Object} Pantry item
+   * @throws {Error} 'Food not found' / 'Invalid unit ...'
+   */
+  async upsertItem(customerId, { foodId, quantity, unit }) {
+    try {
+      const food = await prisma.food.findUnique({
+        where: { id: foodId },
+        include: { servings: true }
+      });
+      if (!food || !food.isActive) {
+        throw new Error(`Food not found: ${foodId}`);
+      }
+
+      const quantityGrams = quantity === undefined ? null : toGrams(food, quantity, unit);
+
+      const item = await prisma.pantryItem.upsert({
+        where: { customerId_foodId: { customerId, foodId } },
+        create: { customerId, foodId, quantityGrams },
+        update: { quantityGrams },
+        include: pantryInclude
+      });
+
+      log.database('upsert', 'pantry_items', { customerId, foodId });
+
+      return item;
+    } catch (error) {
+      log.error('Failed to update pantry', { customerId, foodId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove an item from the pantry
+   * @param {string} customerId - Customer ID
+   * @param {string} itemId - Pantry item ID
+   * @throws {Error} 'Pantry item not found'
+   */
+  async removeItem(customerId, itemId) {
+    try {
+      const { count } = await prisma.pantryItem.deleteMany({
+        where: { id: itemId, customerId }
+      });
+      if (count === 0) {
+        throw new Error('Pantry item not found');
+      }
+
+      log.database('delete', 'pantry_items', { customerId, itemId });
+    } catch (error) {
+      log.error('Failed to remove pantry item', { customerId, itemId, error: error.message });
+      throw error;
+    }
+  }
+};
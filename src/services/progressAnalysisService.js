@@ -0,0 +1,307 @@
+// Progress analysis service
+// Reads weigh-ins and the food diary to judge whether a customer is on track.
+// Business rules:
+// - Projections extend the weight trend of the analysis window to the
+//   customer's target weight
+// - A plateau is no meaningful weight change over the window while the
+//   customer logged their food and stayed close to the calorie target;
+//   without that adherence a stall is a compliance issue, not a plateau
+// - Calorie recommendations close the gap between the actual weekly change
+//   and the goal's rate in bounded steps and never go below the calorie floor
+// - A recommendation only changes targets once the trainer accepts it
+import { prisma } from '../config/prisma.js';
+import { linearTrend, movingAverage, toMetricValue, fromMetricValue, metricUnits } from './bodyMetricService.js';
+import { foodDiaryService } from './foodDiaryService.js';
+import { macroTargetService, MINIMUM_CALORIES } from './macroTargetService.js';
+import { toDateOnly, addDays, daysBetween, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Energy in one kilogram of body weight change (mixed tissue estimate)
+const KCAL_PER_KG = 7700;
+
+// Desired weekly weight change per FitnessGoal, as a fraction of body weight
+export const GOAL_WEEKLY_RATES = {
+  WEIGHT_LOSS: -0.0075,
+  DECREASE_BODY_FAT: -0.005,
+  INCREASE_LEAN_MUSCLE: 0.0025,
+  WEIGHT_GAIN: 0.005,
+  OVERALL_WELLNESS: 0,
+  NONE: 0
+};
+
+export const DEFAULT_ANALYSIS_WEEKS = 3;
+
+const MIN_WEIGH_INS = 4;
+const PLATEAU_WEEKLY_RATE = 0.001; // under 0.1% of body weight per week
+const ADHERENCE_TOLERANCE = 0.1; // logged calories within 10% of target
+const MIN_LOGGING_RATE = 0.6;
+const MIN_CALORIE_ADHERENCE = 0.8;
+const GOAL_REACHED_KG = 0.5;
+const MAX_PROJECTION_DAYS = 730;
+const ADJUSTMENT_LIMITS = { min: 100, max: 300, step: 25 };
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Calorie adherence over a diary summary
+ * @param {Object} summary - foodDiaryService.getSummary result
+ * @param {Object|null} target - Active MacroTarget
+ * @returns {Object} { days, loggedDays, adherentDays, loggingRate, calorieAdherence, averageCalories, adherent }
+ */
+export const calorieAdherence = (summary, target) => {
+  const logged = summary.days.filter(day => day.entryCount > 0);
+  const adherentDays = target
+    ? logged.filter(day => Math.abs(day.totals.calories - target.calories) <= target.calories * ADHERENCE_TOLERANCE).length
+    : 0;
+
+  const loggingRate = summary.days.length ? logged.length / summary.days.length : 0;
+  const adherence = target && logged.length ? adherentDays / logged.length : null;
+
+  return {
+    days: summary.days.length,
+    loggedDays: logged.length,
+    adherentDays,
+    loggingRate: round(loggingRate, 2),
+    calorieAdherence: adherence === null ? null : round(adherence, 2),
+    averageCalories: summary.dailyAverage?.calories ?? null,
+    adherent: adherence !== null && loggingRate >= MIN_LOGGING_RATE && adherence >= MIN_CALORIE_ADHERENCE
+  };
+};
+
+/**
+ * Project when the target weight is reached at the current trend
+ * @param {Object} input - { currentKg, targetKg, slopePerDay, asOf } (currentKg null without any weight)
+ * @returns {Object} { status, remainingKg, projectedDate, weeksToGoal }
+ */
+export const projectGoal = ({ currentKg, targetKg, slopePerDay, asOf }) => {
+  if (targetKg === null || targetKg === undefined) {
+    return { status: 'NO_TARGET_WEIGHT', remainingKg: null, projectedDate: null, weeksToGoal: null };
+  }
+  if (currentKg === null || currentKg === undefined) {
+    return { status: 'NO_DATA', remainingKg: null, projectedDate: null, weeksToGoal: null };
+  }
+
+  const remainingKg = targetKg - currentKg;
+  if (Math.abs(remainingKg) <= GOAL_REACHED_KG) {
+    return { status: 'REACHED', remainingKg, projectedDate: null, weeksToGoal: 0 };
+  }
+  if (slopePerDay === null) {
+    return { status: 'INSUFFICIENT_DATA', remainingKg, projectedDate: null, weeksToGoal: null };
+  }
+  if (Math.sign(slopePerDay) !== Math.sign(remainingKg)) {
+    return {
+      status: slopePerDay === 0 ? 'NOT_PROGRESSING' : 'MOVING_AWAY',
+      remainingKg,
+      projectedDate: null,
+      weeksToGoal: null
+    };
+  }
+
+  const days = Math.ceil(remainingKg / slopePerDay);
+  if (days > MAX_PROJECTION_DAYS) {
+    return { status: 'NOT_PROGRESSING', remainingKg, projectedDate: null, weeksToGoal: null };
+  }
+
+  return {
+    status: 'ON_TRACK',
+    remainingKg,
+    projectedDate: formatDate(addDays(asOf, days)),
+    weeksToGoal: round(days / 7)
+  };
+};
+
+/**
+ * Calorie change that moves the weekly rate towards the desired one
+ * @param {Object} input - { currentCalories, desiredWeeklyKg, actualWeeklyKg, minimumCalories }
+ * @returns {Object|null} { adjustment, recommendedCalories }, or null when the gap is too small
+ */
+export const calorieAdjustment = ({ currentCalories, desiredWeeklyKg, actualWeeklyKg, minimumCalories }) => {
+  const raw = ((desiredWeeklyKg - actualWeeklyKg) * KCAL_PER_KG) / 7;
+  const bounded = Math.max(-ADJUSTMENT_LIMITS.max, Math.min(ADJUSTMENT_LIMITS.max, raw));
+  const stepped = Math.round(bounded / ADJUSTMENT_LIMITS.step) * ADJUSTMENT_LIMITS.step;
+  if (Math.abs(stepped) < ADJUSTMENT_LIMITS.min) return null;
+
+  const recommendedCalories = Math.max(minimumCalories, currentCalories + stepped);
+  if (recommendedCalories === currentCalories) return null;
+
+  return { adjustment: recommendedCalories - currentCalories, recommendedCalories };
+};
+
+export const progressAnalysisService = {
+  /**
+   * Analyse the recent weight trend against the goal and food diary
+   * @param {Object} customer - Customer profile
+   * @param {Object} [options] - { weeks } analysis window (defaults to 3 weeks)
+   * @returns {Object} { weeks, from, to, unit, currentWeight, targetWeight, weeklyChange, weighIns, adherence, projection, plateau, recommendation }
+   */
+  async analyse(customer, { weeks = DEFAULT_ANALYSIS_WEEKS } = {}) {
+    try {
+      const standard = customer.measurementStandard;
+      const show = (kg) => (kg === null ? null : round(fromMetricValue('weight', kg, standard)));
+      const end = toDateOnly(new Date());
+      const start = addDays(end, -(weeks * 7 - 1));
+
+      const [records, target, diary] = await Promise.all([
+        prisma.bodyMetric.findMany({
+          where: { customerId: customer.id, date: { gte: start, lte: end }, weight: { not: null } },
+          select: { date: true, weight: true },
+          orderBy: { date: 'asc' }
+        }),
+        macroTargetService.getActiveTarget(customer.id),
+        foodDiaryService.getSummary(customer.id, { from: start, to: end })
+      ]);
+
+      const points = records.map(record => ({ date: formatDate(record.date), value: record.weight }));
+      const span = points.length ? daysBetween(points[0].date, points[points.length - 1].date) : 0;
+      // A trend needs several weigh-ins spread over at least a week
+      const slope = points.length >= MIN_WEIGH_INS && span >= 7 ? linearTrend(points) : null;
+
+      const currentKg = points.length
+        ? movingAverage(points, 7).at(-1).value
+        : toMetricValue('weight', customer.weight, standard) ?? null;
+      const targetKg = customer.targetWeight ? toMetricValue('weight', customer.targetWeight, standard) : null;
+      const asOf = points.length ? points[points.length - 1].date : end;
+
+      const adherence = calorieAdherence(diary, target);
+      const projection = projectGoal({ currentKg, targetKg, slopePerDay: slope, asOf });
+
+      const weeklyKg = slope === null ? null : slope * 7;
+      const stalled = weeklyKg !== null && Math.abs(weeklyKg) < currentKg * PLATEAU_WEEKLY_RATE;
+      const plateau = {
+        detected: stalled && adherence.adherent && projection.status !== 'REACHED',
+        weeks,
+        reason: null
+      };
+      if (weeklyKg === null) {
+        plateau.reason = 'Not enough weigh-ins to judge the trend';
+      } else if (!stalled) {
+        plateau.reason = 'Weight is changing';
+      } else if (!adherence.adherent) {
+        plateau.reason = 'Weight is stable but food logging or calorie adherence is too low to call it a plateau';
+      } else if (projection.status === 'REACHED') {
+        plateau.reason = 'Target weight reached';
+      } else {
+        plateau.reason = `No meaningful weight change in ${weeks} weeks despite adherence`;
+      }
+
+      const recommendation = this._recommend({
+        customer,
+        target,
+        adherence,
+        projection,
+        plateau,
+        currentKg,
+        weeklyKg,
+        show
+      });
+
+      return {
+        weeks,
+        from: formatDate(start),
+        to: formatDate(end),
+        unit: metricUnits(standard).weight,
+        currentWeight: show(currentKg),
+        targetWeight: customer.targetWeight ?? null,
+        weeklyChange: weeklyKg === null ? null : show(weeklyKg),
+        weighIns: points.length,
+        adherence,
+        projection: {
+          status: projection.status,
+          remaining: projection.remainingKg === null ? null : show(projection.remainingKg),
+          projectedDate: projection.projectedDate,
+          weeksToGoal: projection.weeksToGoal
+        },
+        plateau,
+        recommendation
+      };
+    } catch (error) {
+      log.error('Failed to analyse progress', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Build the calorie recommendation for an analysis
+   * @private
+   */
+  _recommend({ customer, target, adherence, projection, plateau, currentKg, weeklyKg, show }) {
+    if (!target) {
+      return { status: 'NO_TARGET', reason: 'The customer has no active macro target' };
+    }
+    if (weeklyKg === null) {
+      return { status: 'INSUFFICIENT_DATA', reason: 'Not enough weigh-ins to judge the trend' };
+    }
+    if (!adherence.adherent) {
+      return { status: 'LOW_ADHERENCE', reason: 'Improve food logging and calorie adherence before changing targets' };
+    }
+
+    // Once the target weight is reached the aim becomes maintenance
+    const desiredWeeklyKg = projection.status === 'REACHED'
+      ? 0
+      : (GOAL_WEEKLY_RATES[customer.fitnessGoal] ?? 0) * currentKg;
+
+    const change = calorieAdjustment({
+      currentCalories: target.calories,
+      desiredWeeklyKg,
+      actualWeeklyKg: weeklyKg,
+      minimumCalories: MINIMUM_CALORIES[customer.gender] ?? MINIMUM_CALORIES.OTHER
+    });
+    if (!change) {
+      return { status: 'ON_TRACK', reason: 'Weekly change matches the goal' };
+    }
+
+    const unit = metricUnits(customer.measurementStandard).weight;
+    const reason = plateau.detected
+      ? plateau.reason
+      : `Weight changing ${show(weeklyKg)} ${unit}/week against a goal of ${show(desiredWeeklyKg)} ${unit}/week`;
+
+    return {
+      status: 'ADJUST',
+      currentCalories: target.calories,
+      recommendedCalories: change.recommendedCalories,
+      adjustment: change.adjustment,
+      reason
+    };
+  },
+
+  /**
+   * Apply the current calorie recommendation to the customer's macro targets
+   * @param {Object} customer - Customer profile
+   * @param {Object} options - { weeks?, calories? } calories is the value the trainer saw
+   * @param {Object} user - Trainer accepting the recommendation
+   * @returns {Object} { target, recommendation }
+   * @throws {Error} 'No calorie adjustment recommended' / 'Recommendation out of date ...'
+   */
+  async acceptRecommendation(customer, { weeks = DEFAULT_ANALYSIS_WEEKS, calories } = {}, user) {
+    try {
+      const { recommendation } = await this.analyse(customer, { weeks });
+
+      if (recommendation.status !== 'ADJUST') {
+        throw new Error('No calorie adjustment recommended');
+      }
+      if (calories !== undefined && calories !== recommendation.recommendedCalories) {
+        throw new Error(`Recommendation out of date: now ${recommendation.recommendedCalories} kcal`);
+      }
+
+      const target = await macroTargetService.overrideTargets(customer, {
+        calories: recommendation.recommendedCalories,
+        reason: `Progress adjustment: ${recommendation.reason}`
+      }, user);
+
+      log.business('Progress calorie adjustment accepted', {
+        customerId: customer.id,
+        acceptedBy: user.id,
+        from: recommendation.currentCalories,
+        to: recommendation.recommendedCalories
+      });
+
+      return { target, recommendation };
+    } catch (error) {
+      log.error('Failed to accept progress recommendation', { customerId: customer.id, error: error.message });
+      throw error;
+    }
+  }
+};
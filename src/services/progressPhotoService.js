@@ -0,0 +1,230 @@
+// Progress photo service
+// Business rules:
+// - Customers upload front, side and back photos for a day; uploading a pose
+//   again for the same day replaces it
+// - Images are re-encoded as JPEG, which drops EXIF metadata such as GPS
+//   location, and a thumbnail is stored next to them
+// - Only the customer and their trainer can read photos (enforced by the routes)
+// - Files are removed with the photo, and all of a customer's files when the
+//   customer is deleted
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import { prisma } from '../config/prisma.js';
+import { getStorage } from '../utils/storage.js';
+import { toDateOnly, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+export const PHOTO_POSES = ['FRONT', 'SIDE', 'BACK'];
+export const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+const photoSelect = {
+  id: true,
+  date: true,
+  pose: true,
+  contentType: true,
+  sizeBytes: true,
+  width: true,
+  height: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const customerPrefix = (customerId) => `progress-photos/${customerId}`;
+
+const toResponse = (photo) => ({ ...photo, date: formatDate(photo.date) });
+
+export const progressPhotoService = {
+  /**
+   * Normalise an uploaded image: apply EXIF orientation, strip metadata,
+   * cap the size and build a thumbnail
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Object} { image, thumbnail, width, height } JPEG buffers
+   * @throws {Error} 'Invalid image ...' when the file cannot be decoded
+   */
+  async processImage(buffer) {
+    try {
+      const source = sharp(buffer, { failOn: 'error' }).rotate();
+
+      const { data: image, info } = await source.clone()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toBuffer({ resolveWithObject: true });
+
+      const thumbnail = await source.clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+
+      return { image, thumbnail, width: info.width, height: info.height };
+    } catch (error) {
+      throw new Error(`Invalid image: ${error.message}`);
+    }
+  },
+
+  /**
+   * Store photos for a day, replacing earlier photos of the same pose
+   * @param {string} customerId - Customer ID
+   * @param {Object} upload - { date?, files: { FRONT?, SIDE?, BACK? } } file buffers per pose
+   * @returns {Object[]} Stored photos
+   * @throws {Error} 'Invalid image ...'
+   */
+  async uploadPhotos(customerId, { date, files }) {
+    const storage = getStorage();
+    const day = toDateOnly(date ?? new Date());
+
+    try {
+      const poses = PHOTO_POSES.filter(pose => files[pose]);
+      // Decode everything first so one bad file stores nothing
+      const processed = await Promise.all(poses.map(pose => this.processImage(files[pose])));
+
+      const photos = [];
+      for (const [index, pose] of poses.entries()) {
+        const { image, thumbnail, width, height } = processed[index];
+        const name = crypto.randomUUID();
+        const storageKey = `${customerPrefix(customerId)}/${name}.jpg`;
+        const thumbnailKey = `${customerPrefix(customerId)}/${name}_thumb.jpg`;
+
+        await storage.put(storageKey, image, { contentType: 'image/jpeg' });
+        await storage.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+
+        const data = { storageKey, thumbnailKey, contentType: 'image/jpeg', sizeBytes: image.length, width, height };
+        let previous;
+        let photo;
+        try {
+          previous = await prisma.progressPhoto.findUnique({
+            where: { customerId_date_pose: { customerId, date: day, pose } },
+            select: { storageKey: true, thumbnailKey: true }
+          });
+          photo = await prisma.progressPhoto.upsert({
+            where: { customerId_date_pose: { customerId, date: day, pose } },
+            create: { customerId, date: day, pose, ...data },
+            update: data,
+            select: photoSelect
+          });
+        } catch (error) {
+          await Promise.all([storage.remove(storageKey), storage.remove(thumbnailKey)]);
+          throw error;
+        }
+
+        if (previous) {
+          await Promise.all([storage.remove(previous.storageKey), storage.remove(previous.thumbnailKey)]);
+        }
+        photos.push(toResponse(photo));
+      }
+
+      log.business('Progress photos uploaded', {
+        customerId,
+        date: formatDate(day),
+        poses
+      });
+
+      return photos;
+    } catch (error) {
+      log.error('Failed to upload progress photos', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * List a customer's photos, newest day first
+   * @param {string} customerId - Customer ID
+   * @param {Object} [range] - { from?, to? }
+   * @returns {Object[]} Photo metadata
+   */
+  async listPhotos(customerId, { from, to } = {}) {
+    try {
+      const photos = await prisma.progressPhoto.findMany({
+        where: {
+          customerId,
+          ...((from || to) && {
+            date: {
+              ...(from && { gte: toDateOnly(from) }),
+              ...(to && { lte: toDateOnly(to) })
+            }
+          })
+        },
+        select: photoSelect,
+        orderBy: [{ date: 'desc' }, { pose: 'asc' }]
+      });
+
+      return photos.map(toResponse);
+    } catch (error) {
+      log.error('Failed to list progress photos', { customerId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Read a photo or its thumbnail
+   * @param {string} customerId - Owner of the photo
+   * @param {string} photoId - Photo ID
+   * @param {Object} [options] - { thumbnail }
+   * @returns {Object} { filename, contentType, content }
+   * @throws {Error} 'Progress photo not found'
+   */
+  async getPhotoFile(customerId, photoId, { thumbnail = false } = {}) {
+    try {
+      const photo = await prisma.progressPhoto.findFirst({ where: { id: photoId, customerId } });
+      const content = photo
+        ? await getStorage().get(thumbnail ? photo.thumbnailKey : photo.storageKey)
+        : null;
+      if (!content) {
+        throw new Error('Progress photo not found');
+      }
+
+      const pose = photo.pose.toLowerCase();
+      return {
+        filename: `progress-${formatDate(photo.date)}-${pose}${thumbnail ? '-thumb' : ''}.jpg`,
+        contentType: photo.contentType,
+        content
+      };
+    } catch (error) {
+      log.error('Failed to read progress photo', { customerId, photoId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a photo and its files
+   * @param {string} customerId - Customer ID
+   * @param {string} photoId - Photo ID
+   * @throws {Error} 'Progress photo not found'
+   */
+  async removePhoto(customerId, photoId) {
+    try {
+      const photo = await prisma.progressPhoto.findFirst({ where: { id: photoId, customerId } });
+      if (!photo) {
+        throw new Error('Progress photo not found');
+      }
+
+      await prisma.progressPhoto.delete({ where: { id: photoId } });
+
+      const storage = getStorage();
+      await Promise.all([storage.remove(photo.storageKey), storage.remove(photo.thumbnailKey)]);
+
+      log.database('delete', 'progress_photos', { customerId, photoId });
+    } catch (error) {
+      log.error('Failed to remove progress photo', { customerId, photoId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete every stored file of a customer. The rows go with the customer
+   * through the foreign key cascade; this is the storage side of it.
+   * @param {string} customerId - Deleted customer's ID
+   */
+  async removeCustomerFiles(customerId) {
+    try {
+      await getStorage().removePrefix(customerPrefix(customerId));
+      log.business('Progress photo files removed', { customerId });
+    } catch (error) {
+      // The customer is already gone; report the leftover files for cleanup
+      log.error('Failed to remove progress photo files', { customerId, error: error.message });
+    }
+  }
+};
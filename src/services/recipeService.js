@@ -0,0 +1,404 @@
+// Recipe service
+// Business rules:
+// - Any authenticated user can browse active recipes
+// - TRAINER can author recipes and edit the recipes they created
+// - ADMIN and SUPER_ADMIN can edit or archive any recipe
+// - Per-serving nutrition is cached on the recipe and recalculated whenever
+//   its ingredients (or the foods they reference) change
+import { prisma } from '../config/prisma.js';
+import { foodService, NUTRIENT_FIELDS } from './foodService.js';
+import { toGrams } from '../utils/units.js';
+import { log } from '../utils/logger.js';
+
+const recipeInclude = {
+  ingredients: {
+    orderBy: { position: 'asc' },
+    include: {
+      food: {
+        select: { id: true, name: true, brand: true, category: true, isActive: true }
+      }
+    }
+  }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const recipeService = {
+  /**
+   * Roll up ingredient nutrition into per-serving values
+   * @param {Object[]} ingredients - Ingredients with grams and their food (including nutrition)
+   * @param {number} servings - Servings the recipe yields
+   * @returns {Object} Cached nutrition fields for the Recipe row
+   */
+  calculateNutrition(ingredients, servings) {
+    const totals = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, 0]));
+    const micronutrients = {};
+    const allergens = new Set();
+    let totalGrams = 0;
+
+    for (const ingredient of ingredients) {
+      const nutrition = foodService.calculateNutrition(ingredient.food, ingredient.grams);
+      totalGrams += ingredient.grams;
+
+      for (const field of NUTRIENT_FIELDS) {
+        totals[field] += nutrition[field];
+      }
+      for (const [key, amount] of Object.entries(nutrition.micronutrients)) {
+        micronutrients[key] = (micronutrients[key] || 0) + amount;
+      }
+      for (const allergen of ingredient.food.allergens || []) {
+        allergens.add(allergen);
+      }
+    }
+
+    const perServing = Object.fromEntries(NUTRIENT_FIELDS.map(field => [
+      field,
+      round(totals[field] / servings, field === 'calories' ? 0 : 1)
+    ]));
+
+    return {
+      ...perServing,
+      micronutrients: Object.fromEntries(
+        Object.entries(micronutrients).map(([key, amount]) => [key, round(amount / servings, 2)])
+      ),
+      allergens: [...allergens],
+      totalGrams: round(totalGrams),
+      servingGrams: round(totalGrams / servings),
+      nutritionComputedAt: new Date()
+    };
+  },
+
+  /**
+   * Resolve ingredient payloads against the catalog
+   * @private
+   */
+  async _resolveIngredients(ingredients) {
+    const foodIds = [...new Set(ingredients.map(ingredient => ingredient.foodId))];
+    const foods = await prisma.food.findMany({
+      where: { id: { in: foodIds } },
+      include: { servings: true }
+    });
+    const foodsById = new Map(foods.map(food => [food.id, food]));
+
+    return ingredients.map((ingredient, index) => {
+      const food = foodsById.get(ingredient.foodId);
+      if (!food) {
+        throw new Error(`Food not found: ${ingredient.foodId}`);
+      }
+
+      return {
+        foodId: food.id,
+        quantity: ingredient.quantity,
+        unit: ingredient.unit,
+        grams: round(toGrams(food, ingredient.quantity, ingredient.unit), 2),
+        position: ingredient.position ?? index,
+        notes: ingredient.notes ?? null,
+        food
+      };
+    });
+  },
+
+  /**
+   * Recalculate and store the cached nutrition of a recipe
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} [tx] - Prisma client or transaction to use
+   * @returns {Object} Updated recipe
+   */
+  async recalculateNutrition(recipeId, tx = prisma) {
+    const recipe = await tx.recipe.findUnique({
+      where: { id: recipeId },
+      include: { ingredients: { include: { food: true } } }
+    });
+
+    if (!recipe) {
+      throw new Error('Recipe not found');
+    }
+
+    const nutrition = this.calculateNutrition(recipe.ingredients, recipe.servings);
+
+    const updated = await tx.recipe.update({
+      where: { id: recipeId },
+      data: nutrition,
+      include: recipeInclude
+    });
+
+    log.database('update', 'recipes', { recipeId, operation: 'recalculateNutrition' });
+
+    return updated;
+  },
+
+  /**
+   * Recalculate every recipe that uses a food, e.g. after its nutrition was edited
+   * @param {string} foodId - Food ID
+   * @returns {number} Number of recipes refreshed
+   */
+  async recalculateRecipesUsingFood(foodId) {
+    try {
+      const recipes = await prisma.recipe.findMany({
+        where: { ingredients: { some: { foodId } } },
+        select: { id: true }
+      });
+
+      for (const recipe of recipes) {
+        await this.recalculateNutrition(recipe.id);
+      }
+
+      if (recipes.length > 0) {
+        log.business('Recipes refreshed after food change', { foodId, count: recipes.length });
+      }
+
+      return recipes.length;
+    } catch (error) {
+      log.error('Failed to refresh recipes for food', { foodId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Search recipes with pagination
+   * @param {Object} filters - { search, tag, createdById, page, limit, sortBy, sortOrder }
+   * @returns {Object} { recipes, pagination }
+   */
+  async searchRecipes(filters = {}) {
+    try {
+      const {
+        search,
+        tag,
+        createdById,
+        page = 1,
+        limit = 20,
+        sortBy = 'name',
+        sortOrder = 'asc'
+      } = filters;
+
+      const whereConditions = [{ isActive: true }];
+
+      if (search) {
+        whereConditions.push({ name: { contains: search } });
+      }
+
+      if (tag) {
+        whereConditions.push({ tags: { array_contains: [tag.toLowerCase()] } });
+      }
+
+      if (createdById) {
+        whereConditions.push({ createdById });
+      }
+
+      const where = { AND: whereConditions };
+
+      const [recipes, total] = await Promise.all([
+        prisma.recipe.findMany({
+          where,
+          orderBy: { [sortBy]: sortOrder },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.recipe.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        recipes,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      log.error('Failed to search recipes', { error: error.message, filters });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a recipe with its ingredients
+   * @param {string} recipeId - Recipe ID
+   * @returns {Object|null} Recipe
+   */
+  async getRecipeById(recipeId) {
+    try {
+      return await prisma.recipe.findUnique({
+        where: { id: recipeId },
+        include: recipeInclude
+      });
+    } catch (error) {
+      log.error('Failed to get recipe', { recipeId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Create a recipe and compute its nutrition
+   * @param {Object} recipeData - Validated payload including ingredients
+   * @param {Object} user - Authoring user
+   * @returns {Object} Created recipe
+   */
+  async createRecipe(recipeData, user) {
+    try {
+      const { ingredients = [], ...data } = recipeData;
+      const resolved = await this._resolveIngredients(ingredients);
+      const nutrition = this.calculateNutrition(resolved, data.servings || 1);
+
+      const recipe = await prisma.recipe.create({
+        data: {
+          ...data,
+          ...nutrition,
+          createdById: user.id,
+          createdByRole: user.role,
+          ingredients: {
+            create: resolved.map(({ food, ...ingredient }) => ingredient)
+          }
+        },
+        include: recipeInclude
+      });
+
+      log.business('Recipe created', { recipeId: recipe.id, name: recipe.name, createdBy: user.id });
+
+      return recipe;
+    } catch (error) {
+      log.error('Failed to create recipe', { name: recipeData.name, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Update a recipe. Supplied ingredients replace the existing list.
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} updateData - Validated partial payload
+   * @param {Object} user - Updating user
+   * @returns {Object} Updated recipe
+   */
+  async updateRecipe(recipeId, updateData, user) {
+    try {
+      await this._assertCanModify(recipeId, user);
+
+      const { ingredients, ...data } = updateData;
+      const resolved = ingredients ? await this._resolveIngredients(ingredients) : null;
+
+      const recipe = await prisma.$transaction(async (tx) => {
+        await tx.recipe.update({
+          where: { id: recipeId },
+          data: {
+            ...data,
+            ...(resolved && {
+              ingredients: {
+                deleteMany: {},
+                create: resolved.map(({ food, ...ingredient }) => ingredient)
+              }
+            })
+          }
+        });
+
+        return this.recalculateNutrition(recipeId, tx);
+      });
+
+      log.business('Recipe updated', { recipeId, updatedBy: user.id, fields: Object.keys(updateData) });
+
+      return recipe;
+    } catch (error) {
+      log.error('Failed to update recipe', { recipeId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Add one ingredient to a recipe
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} ingredient - { foodId, quantity, unit, notes? }
+   * @param {Object} user - Updating user
+   * @returns {Object} Updated recipe
+   */
+  async addIngredient(recipeId, ingredient, user) {
+    try {
+      await this._assertCanModify(recipeId, user);
+
+      const [resolved] = await this._resolveIngredients([ingredient]);
+      const { food, ...data } = resolved;
+
+      return await prisma.$transaction(async (tx) => {
+        const position = await tx.recipeIngredient.count({ where: { recipeId } });
+        await tx.recipeIngredient.create({
+          data: { ...data, recipeId, position: ingredient.position ?? position }
+        });
+        return this.recalculateNutrition(recipeId, tx);
+      });
+    } catch (error) {
+      log.error('Failed to add recipe ingredient', { recipeId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove one ingredient from a recipe
+   * @param {string} recipeId - Recipe ID
+   * @param {string} ingredientId - RecipeIngredient ID
+   * @param {Object} user - Updating user
+   * @returns {Object} Updated recipe
+   */
+  async removeIngredient(recipeId, ingredientId, user) {
+    try {
+      await this._assertCanModify(recipeId, user);
+
+      return await prisma.$transaction(async (tx) => {
+        const { count } = await tx.recipeIngredient.deleteMany({
+          where: { id: ingredientId, recipeId }
+        });
+        if (count === 0) {
+          throw new Error('Ingredient not found');
+        }
+        return this.recalculateNutrition(recipeId, tx);
+      });
+    } catch (error) {
+      log.error('Failed to remove recipe ingredient', { recipeId, ingredientId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Archive a recipe so it no longer appears in search results
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} user - Deleting user
+   */
+  async archiveRecipe(recipeId, user) {
+    try {
+      await this._assertCanModify(recipeId, user);
+
+      await prisma.recipe.update({
+        where: { id: recipeId },
+        data: { isActive: false }
+      });
+
+      log.business('Recipe archived', { recipeId, archivedBy: user.id });
+    } catch (error) {
+      log.error('Failed to archive recipe', { recipeId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Throw unless the user may modify the recipe
+   * @private
+   */
+  async _assertCanModify(recipeId, user) {
+    const recipe = await prisma.recipe.findUnique({
+      where: { id: recipeId },
+      select: { id: true, createdById: true }
+    });
+
+    if (!recipe) {
+      throw new Error('Recipe not found');
+    }
+
+    if (user.role === 'TRAINER' && recipe.createdById !== user.id) {
+      throw new Error('Access denied: trainers can only modify recipes they created');
+    }
+  }
+};
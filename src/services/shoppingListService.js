@@ -0,0 +1,279 @@
+// Shopping list service
+// Aggregates every food needed for a meal plan (expanding recipes into their
+// ingredients), converts the totals into quantities a shop sells, groups them
+// by aisle and subtracts what the customer already has in their pantry.
+import { prisma } from '../config/prisma.js';
+import { mealPlanService } from './mealPlanService.js';
+import { MASS_UNITS, VOLUME_UNITS, normaliseUnit, parseLabelAmount } from '../utils/units.js';
+import { toCsv } from '../utils/csv.js';
+import { toDateOnly, formatDate } from '../utils/dates.js';
+import { log } from '../utils/logger.js';
+
+// Grocery aisle per food category, in walking order
+export const GROCERY_AISLES = {
+  VEGETABLES: 'Produce',
+  FRUITS: 'Produce',
+  PROTEIN: 'Meat & Seafood',
+  DAIRY: 'Dairy & Eggs',
+  GRAINS: 'Bakery & Grains',
+  LEGUMES: 'Canned & Dry Goods',
+  NUTS_SEEDS: 'Nuts & Seeds',
+  FATS_OILS: 'Oils & Condiments',
+  CONDIMENTS: 'Oils & Condiments',
+  BEVERAGES: 'Beverages',
+  SNACKS: 'Snacks',
+  OTHER: 'Other'
+};
+
+const AISLE_ORDER = [...new Set(Object.values(GROCERY_AISLES))];
+
+// Categories bought by the piece when the food has a countable serving (e.g. "1 medium")
+const COUNTABLE_CATEGORIES = ['VEGETABLES', 'FRUITS'];
+
+// Serving words that measure part of a food rather than name a whole piece
+const PORTION_WORDS = ['slice', 'slices', 'serving', 'servings', 'portion', 'portions', 'scoop', 'scoops',
+  'pinch', 'dash', 'handful', 'wedge', 'wedges', 'spear', 'spears', 'segment', 'segments', 'floret', 'florets',
+  'leaf', 'leaves'];
+
+/**
+ * Name of the piece a serving label counts ("2 medium" -> "medium"), or null
+ * when the label is a measure ("1 cup, chopped", "1 slice", "100 g").
+ * Qualifiers after a comma and notes in brackets are ignored.
+ */
+const pieceName = (label) => {
+  const name = label.split(',')[0].replace(/\(.*?\)/g, '').replace(/^[\d./\s]+/, '').trim().toLowerCase();
+  if (!name) return 'piece';
+
+  const firstWord = name.split(/\s+/)[0];
+  const isMeasure = [name, firstWord].some(word => {
+    const unit = normaliseUnit(word);
+    return unit in MASS_UNITS || unit in VOLUME_UNITS;
+  });
+  return isMeasure || PORTION_WORDS.includes(firstWord) ? null : name;
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const roundUp = (value, step) => Math.ceil(value / step - 1e-9) * step;
+
+/**
+ * Aisle for a food; eggs live with dairy whatever their category
+ */
+const aisleFor = (food) => {
+  if ((food.allergens || []).includes('EGGS') && /\beggs?\b/i.test(food.name)) {
+    return GROCERY_AISLES.DAIRY;
+  }
+  return GROCERY_AISLES[food.category] || GROCERY_AISLES.OTHER;
+};
+
+export const shoppingListService = {
+  /**
+   * Convert a gram amount into a quantity that can be bought
+   * - Countable produce and eggs: whole pieces of a serving that names a piece
+   * - Beverages and oils: ml (rounded up to 250 ml) or litres (0.5 l)
+   * - Everything else: grams (rounded up to 50 g) or kilograms (0.1 kg)
+   * @param {Object} food - Food with category and servings
+   * @param {number} grams - Amount needed
+   * @returns {Object} { quantity, unit, display }
+   */
+  toPurchaseQuantity(food, grams) {
+    const isEgg = (food.allergens || []).includes('EGGS') && /\beggs?\b/i.test(food.name);
+
+    if (COUNTABLE_CATEGORIES.includes(food.category) || isEgg) {
+      const countable = (food.servings || [])
+        .map(serving => ({ serving, unit: pieceName(serving.label) }))
+        .find(({ serving, unit }) => unit && serving.grams > 0);
+      if (countable) {
+        // "2 medium" weighing 122 g is 61 g a piece
+        const gramsPerPiece = countable.serving.grams / (parseLabelAmount(countable.serving.label) || 1);
+        const pieces = Math.ceil(grams / gramsPerPiece - 1e-9);
+        return { quantity: pieces, unit: countable.unit, display: `${pieces} × ${countable.unit}` };
+      }
+    }
+
+    const isLiquid = food.category === 'BEVERAGES' || (food.category === 'FATS_OILS' && /\boil\b/i.test(food.name));
+    if (isLiquid) {
+      // Water density is close enough for buying purposes
+      if (grams < 1000) {
+        const ml = roundUp(grams, 250);
+        return { quantity: ml, unit: 'ml', display: `${ml} ml` };
+      }
+      const litres = round(roundUp(grams / 1000, 0.5), 1);
+      return { quantity: litres, unit: 'l', display: `${litres} l` };
+    }
+
+    if (grams < 1000) {
+      const rounded = Math.max(roundUp(grams, 50), 50);
+      return { quantity: rounded, unit: 'g', display: `${rounded} g` };
+    }
+    const kilograms = round(roundUp(grams / 1000, 0.1), 1);
+    return { quantity: kilograms, unit: 'kg', display: `${kilograms} kg` };
+  },
+
+  /**
+   * Sum the grams of every food used by a set of meal items
+   * @param {Object[]} items - Meal items with food or recipe (and ingredient foods)
+   * @returns {Map} foodId -> { food, grams, usedIn:Set }
+   */
+  aggregateItems(items) {
+    const totals = new Map();
+    const add = (food, grams, usedIn) => {
+      const entry = totals.get(food.id) || { food, grams: 0, usedIn: new Set() };
+      entry.grams += grams;
+      entry.usedIn.add(usedIn);
+      totals.set(food.id, entry);
+    };
+
+    for (const item of items) {
+      if (item.food) {
+        add(item.food, item.grams, item.food.name);
+      } else if (item.recipe && item.recipe.totalGrams > 0) {
+        // Scale the whole recipe to the grams eaten
+        const factor = item.grams / item.recipe.totalGrams;
+        for (const ingredient of item.recipe.ingredients) {
+          add(ingredient.food, ingredient.grams * factor, item.recipe.name);
+        }
+      }
+    }
+
+    return totals;
+  },
+
+  /**
+   * Build the shopping list of a plan
+   * @param {string} planId - Meal plan ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - { from, to } date limits within the plan
+   * @returns {Object} { mealPlanId, from, to, aisles[], inPantry[], itemCount }
+   */
+  async buildShoppingList(planId, user, { from, to } = {}) {
+    try {
+      const plan = await mealPlanService.getAccessiblePlan(planId, user);
+
+      const start = from ? toDateOnly(from) : plan.startDate;
+      const end = to ? toDateOnly(to) : plan.endDate;
+
+      const items = await prisma.mealItem.findMany({
+        where: { meal: { day: { mealPlanId: planId, date: { gte: start, lte: end } } } },
+        include: {
+          food: { include: { servings: true } },
+          recipe: { include: { ingredients: { include: { food: { include: { servings: true } } } } } }
+        }
+      });
+
+      const pantry = plan.customerId
+        ? await prisma.pantryItem.findMany({ where: { customerId: plan.customerId } })
+        : [];
+      const pantryByFood = new Map(pantry.map(entry => [entry.foodId, entry]));
+
+      const aisles = new Map();
+      const inPantry = [];
+
+      for (const { food, grams, usedIn } of this.aggregateItems(items).values()) {
+        const owned = pantryByFood.get(food.id);
+        const pantryGrams = owned ? owned.quantityGrams : 0;
+        const neededGrams = pantryGrams === null ? 0 : grams - pantryGrams;
+
+        const entry = {
+          foodId: food.id,
+          name: food.name,
+          brand: food.brand,
+          category: food.category,
+          requiredGrams: round(grams),
+          pantryGrams: pantryGrams === null ? null : round(pantryGrams),
+          usedIn: [...usedIn].sort()
+        };
+
+        if (neededGrams <= 0) {
+          inPantry.push(entry);
+          continue;
+        }
+
+        const aisle = aisleFor(food);
+        if (!aisles.has(aisle)) aisles.set(aisle, []);
+        aisles.get(aisle).push({
+          ...entry,
+          neededGrams: round(neededGrams),
+          purchase: this.toPurchaseQuantity(food, neededGrams)
+        });
+      }
+
+      const grouped = [...aisles.entries()]
+        .sort(([a], [b]) => AISLE_ORDER.indexOf(a) - AISLE_ORDER.indexOf(b))
+        .map(([aisle, entries]) => ({
+          aisle,
+          items: entries.sort((a, b) => a.name.localeCompare(b.name))
+        }));
+
+      log.business('Shopping list generated', {
+        planId,
+        userId: user.id,
+        itemCount: grouped.reduce((sum, group) => sum + group.items.length, 0),
+        pantryMatches: inPantry.length
+      });
+
+      return {
+        mealPlanId: plan.id,
+        name: plan.name,
+        from: formatDate(start),
+        to: formatDate(end),
+        aisles: grouped,
+        inPantry: inPantry.sort((a, b) => a.name.localeCompare(b.name)),
+        itemCount: grouped.reduce((sum, group) => sum + group.items.length, 0)
+      };
+    } catch (error) {
+      log.error('Failed to build shopping list', { planId, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Render a shopping list as CSV
+   * @param {Object} list - Result of buildShoppingList
+   * @returns {string} CSV text
+   */
+  toCsv(list) {
+    const rows = list.aisles.flatMap(group => group.items.map(item => ({
+      aisle: group.aisle,
+      item: item.name,
+      brand: item.brand || '',
+      quantity: item.purchase.quantity,
+      unit: item.purchase.unit,
+      neededGrams: item.neededGrams,
+      pantryGrams: item.pantryGrams ?? '',
+      usedIn: item.usedIn.join('; ')
+    })));
+
+    return toCsv(rows, ['aisle', 'item', 'brand', 'quantity', 'unit', 'neededGrams', 'pantryGrams', 'usedIn']);
+  },
+
+  /**
+   * Render a shopping list as plain text grouped by aisle
+   * @param {Object} list - Result of buildShoppingList
+   * @returns {string} Text
+   */
+  toText(list) {
+    const lines = [`Shopping list: ${list.name}`, `${list.from} to ${list.to}`, ''];
+
+    for (const group of list.aisles) {
+      lines.push(group.aisle.toUpperCase());
+      for (const item of group.items) {
+        lines.push(`  [ ] ${item.name}${item.brand ? ` (${item.brand})` : ''} - ${item.purchase.display}`);
+      }
+      lines.push('');
+    }
+
+    if (list.inPantry.length) {
+      lines.push('ALREADY IN PANTRY');
+      for (const item of list.inPantry) {
+        lines.push(`  ${item.name}`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+};
@@ -1,5 +1,8 @@
 import { PrismaClient, Prisma } from '../generated/prisma/index.js';
 import { log } from '../utils/logger.js';
+import { progressPhotoService } from './progressPhotoService.js';
+import { checkInService } from './checkInService.js';
+import { messageService } from './messageService.js';
 import bcrypt from 'bcrypt';
 import Stripe from 'stripe';
 
@@ -1081,6 +1084,8 @@ export const superAdminService = {
   async deleteUser(userId, userRole) {
     try {
       let deletedUser = null;
+      // Threads cascade with the user; their attachments live in storage
+      const threadIds = await messageService.getThreadIds(userId, userRole.toUpperCase());
 
       switch (userRole.toUpperCase()) {
         case 'SUPER_ADMIN':
@@ -1180,12 +1185,18 @@ export const superAdminService = {
               where: { id: userId }
             });
           });
+
+          // Photo and check-in rows cascade with the customer; their files live in storage
+          await progressPhotoService.removeCustomerFiles(userId);
+          await checkInService.removeCustomerFiles(userId);
           break;
 
         default:
           throw new Error(`Invalid user role: ${userRole}`);
       }
 
+      await messageService.removeThreadFiles(threadIds);
+
       log.info('User deleted successfully', { userId, userRole });
       return deletedUser;
     } catch (error) {
@@ -0,0 +1,100 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text - CSV content
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {string[][]} Rows
+ */
+export const parseCsvRows = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that spreadsheet exports often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @returns {Object[]} Records
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const [header, ...rows] = parseCsvRows(text, delimiter);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+};
+
+/**
+ * Quote a value for CSV output when needed. Text that a spreadsheet would run
+ * as a formula (starting with =, +, - or @) is prefixed with a quote.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records to CSV
+ * @param {Object[]} records - Rows to write
+ * @param {string[]} columns - Column keys (and header names) in order
+ * @returns {string} CSV text
+ */
+export const toCsv = (records, columns) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+  return lines.join('\r\n');
+};
@@ -0,0 +1,40 @@
+/**
+ * Date-only helpers. Calendar dates (meal plan days, log entries) are stored
+ * as MySQL DATE columns, so they are handled as UTC midnight throughout.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Truncate a date (or YYYY-MM-DD string) to UTC midnight
+ * @param {Date|string} value - Date to truncate
+ * @returns {Date} Date at 00:00:00 UTC
+ */
+export const toDateOnly = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Add whole days to a date-only value
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => new Date(toDateOnly(date).getTime() + days * MS_PER_DAY);
+
+/**
+ * Inclusive number of days between two dates
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {number} Day count (1 when start equals end)
+ */
+export const daysBetween = (start, end) =>
+  Math.round((toDateOnly(end).getTime() - toDateOnly(start).getTime()) / MS_PER_DAY) + 1;
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+export const formatDate = (date) => toDateOnly(date).toISOString().slice(0, 10);
@@ -0,0 +1,88 @@
+/**
+ * Minimal RFC 5545 iCalendar writer (escaped text, folded lines, CRLF)
+ */
+
+/**
+ * Escape a TEXT property value
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a UTC timestamp (DTSTAMP)
+ */
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Format a floating local date-time: the wall-clock time shown in whatever
+ * time zone the calendar app is in
+ */
+const formatFloating = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+
+const formatDateValue = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+/**
+ * Serialize events to an iCalendar document
+ * @param {Object[]} events - { uid, summary, description?, start: Date, end?: Date, allDay? }.
+ *   Times are read from the UTC fields of the dates and written as floating local times.
+ * @param {Object} [options] - { name, productId }
+ * @returns {string} .ics text
+ */
+export const toICalendar = (events, { name = '', productId = '-//Macros & Meals//Meal Plans//EN' } = {}) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.start)}`);
+    } else {
+      lines.push(`DTSTART:${formatFloating(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatFloating(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
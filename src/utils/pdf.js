@@ -0,0 +1,310 @@
+/**
+ * Minimal PDF writer for printable reports (PDF 1.4, A4, built-in Helvetica
+ * fonts with WinAnsi encoding). Supports wrapped text, headings, simple
+ * tables, a coloured banner and page footers - enough for exports without
+ * pulling in a rendering dependency.
+ */
+import { deflateSync } from 'zlib';
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const FOOTER_HEIGHT = 24;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Helvetica-Bold runs roughly 6% wider; close enough for line breaking
+const BOLD_FACTOR = 1.06;
+
+// Characters outside Latin-1 that WinAnsi still has a slot for
+const WIN_ANSI_EXTRAS = {
+  '•': '\x95', '…': '\x85', '–': '\x96', '—': '\x97',
+  '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94', '€': '\x80'
+};
+
+const toWinAnsi = (text) => String(text ?? '').replace(/[^\x00-\xff]/g, char => WIN_ANSI_EXTRAS[char] || '?');
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, char => `\\${char}`).replace(/[\r\n\t]/g, ' ');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const colorOp = ([r, g, b], op) => `${formatNumber(r)} ${formatNumber(g)} ${formatNumber(b)} ${op}`;
+
+/**
+ * Width of a string in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size
+ * @param {boolean} [bold] - Bold font
+ * @returns {number} Width
+ */
+export const textWidth = (text, size, bold = false) => {
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+};
+
+/**
+ * Break text into lines that fit a width (explicit newlines are kept)
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Available width in points
+ * @param {number} size - Font size
+ * @param {boolean} [bold] - Bold font
+ * @returns {string[]} Lines
+ */
+export const wrapText = (text, maxWidth, size, bold = false) => {
+  const lines = [];
+
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      // Hard-break words longer than a whole line
+      let rest = word;
+      while (textWidth(rest, size, bold) > maxWidth && rest.length > 1) {
+        let cut = rest.length - 1;
+        while (cut > 1 && textWidth(rest.slice(0, cut), size, bold) > maxWidth) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ */
+const fitText = (text, maxWidth, size, bold) => {
+  const value = String(text ?? '');
+  if (textWidth(value, size, bold) <= maxWidth) return value;
+
+  let cut = value.length;
+  while (cut > 0 && textWidth(`${value.slice(0, cut)}…`, size, bold) > maxWidth) cut--;
+  return `${value.slice(0, cut)}…`;
+};
+
+/**
+ * Create a PDF document. Content flows top to bottom and new pages are
+ * started automatically.
+ * @param {Object} [options] - { title, author, accentColor: [r, g, b] in 0-1 }
+ * @returns {Object} Document with layout methods and toBuffer()
+ */
+export const createPdf = ({ title = '', author = '', accentColor = [0.13, 0.55, 0.33] } = {}) => {
+  const pages = [];
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = MARGIN;
+  };
+
+  const bottom = () => PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom()) newPage();
+  };
+
+  const drawText = (text, x, baseline, { size = 10, bold = false, color = [0, 0, 0] } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${colorOp(color, 'rg')} ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - baseline)} Td (${escapeText(text)}) Tj ET`);
+  };
+
+  const fillRect = (x, top, width, height, color) => {
+    ops.push(`${colorOp(color, 'rg')} ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - top - height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+  };
+
+  newPage();
+
+  const doc = {
+    accentColor,
+    contentWidth: CONTENT_WIDTH,
+
+    /**
+     * Full-width coloured banner with a title and optional subtitle lines
+     */
+    banner(heading, subtitles = []) {
+      const height = 34 + subtitles.length * 14;
+      ensureSpace(height + 12);
+      fillRect(MARGIN, y, CONTENT_WIDTH, height, accentColor);
+      drawText(fitText(heading, CONTENT_WIDTH - 24, 18, true), MARGIN + 12, y + 24, { size: 18, bold: true, color: [1, 1, 1] });
+      subtitles.forEach((line, index) => {
+        drawText(fitText(line, CONTENT_WIDTH - 24, 10, false), MARGIN + 12, y + 40 + index * 14, { size: 10, color: [1, 1, 1] });
+      });
+      y += height + 12;
+      return doc;
+    },
+
+    /**
+     * Section heading (level 1 starts with a rule in the accent colour)
+     */
+    heading(text, level = 1) {
+      const size = level === 1 ? 14 : 11.5;
+      ensureSpace(size + 24);
+      y += level === 1 ? 8 : 4;
+      drawText(fitText(text, CONTENT_WIDTH, size, true), MARGIN, y + size, {
+        size,
+        bold: true,
+        color: level === 1 ? accentColor : [0.15, 0.15, 0.15]
+      });
+      y += size + 4;
+      if (level === 1) {
+        fillRect(MARGIN, y, CONTENT_WIDTH, 1, accentColor);
+        y += 6;
+      }
+      return doc;
+    },
+
+    /**
+     * Wrapped paragraph
+     */
+    text(text, { size = 10, bold = false, color = [0.1, 0.1, 0.1], indent = 0 } = {}) {
+      const lineHeight = size * 1.35;
+      for (const line of wrapText(text, CONTENT_WIDTH - indent, size, bold)) {
+        ensureSpace(lineHeight);
+        drawText(line, MARGIN + indent, y + size, { size, bold, color });
+        y += lineHeight;
+      }
+      return doc;
+    },
+
+    /**
+     * Table with a shaded header row; cells that do not fit are shortened
+     * @param {Object[]} columns - { label, width (fraction of the content width), align: 'left'|'right' }
+     * @param {Array[]} rows - Cell values per row; a row object { cells, bold } highlights it
+     */
+    table(columns, rows, { size = 9 } = {}) {
+      const rowHeight = size + 7;
+      const widths = columns.map(column => column.width * CONTENT_WIDTH);
+
+      const drawRow = (cells, { bold = false, shade = null } = {}) => {
+        ensureSpace(rowHeight);
+        if (shade) fillRect(MARGIN, y, CONTENT_WIDTH, rowHeight, shade);
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+          const available = widths[index] - 8;
+          const value = fitText(cell, available, size, bold);
+          const offset = columns[index].align === 'right' ? available - textWidth(value, size, bold) : 0;
+          drawText(value, x + 4 + offset, y + size + 2, { size, bold });
+          x += widths[index];
+        });
+        y += rowHeight;
+      };
+
+      const header = () => drawRow(columns.map(column => column.label), { bold: true, shade: [0.92, 0.92, 0.92] });
+
+      header();
+      for (const row of rows) {
+        // Repeat the header when the table continues on a new page
+        if (y + rowHeight > bottom()) {
+          newPage();
+          header();
+        }
+        const { cells, bold } = Array.isArray(row) ? { cells: row, bold: false } : row;
+        drawRow(cells, { bold });
+      }
+      y += 4;
+      return doc;
+    },
+
+    /**
+     * Vertical gap in points
+     */
+    space(points = 8) {
+      y = Math.min(y + points, bottom());
+      return doc;
+    },
+
+    /**
+     * Start a new page unless the current one is still empty
+     */
+    pageBreak() {
+      if (ops.length) newPage();
+      return doc;
+    },
+
+    /**
+     * Serialise the document
+     * @param {Object} [options] - { footer: (pageNumber, pageCount) => string }
+     * @returns {Buffer} PDF bytes
+     */
+    toBuffer({ footer } = {}) {
+      if (footer) {
+        pages.forEach((pageOps, index) => {
+          ops = pageOps;
+          const label = footer(index + 1, pages.length);
+          drawText(label, PAGE_WIDTH - MARGIN - textWidth(label, 8), PAGE_HEIGHT - MARGIN + 4, { size: 8, color: [0.45, 0.45, 0.45] });
+        });
+      }
+
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+        chunks.push(buffer);
+        length += buffer.length;
+      };
+      const object = (id, body) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+        write(body);
+        write('\nendobj\n');
+      };
+
+      // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then page + content stream pairs
+      const pageIds = pages.map((_, index) => 6 + index * 2);
+
+      write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+      object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+      object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+      object(5, `<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (Macros & Meals) /CreationDate (D:${stamp}Z) >>`);
+
+      pages.forEach((pageOps, index) => {
+        const pageId = pageIds[index];
+        const stream = deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+        offsets[pageId + 1] = length;
+        write(`${pageId + 1} 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`);
+        write(stream);
+        write('\nendstream\nendobj\n');
+      });
+
+      const xrefOffset = length;
+      const count = offsets.length;
+      write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+      for (let id = 1; id < count; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+      }
+      write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return doc;
+};
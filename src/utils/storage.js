@@ -0,0 +1,98 @@
+/**
+ * File storage backends for user uploads. Files are addressed by relative
+ * keys ("progress-photos/<customerId>/<file>") so the backend can change
+ * without touching stored records. Select the backend with STORAGE_DRIVER
+ * (default "local"); other backends register a factory with
+ * registerStorageDriver.
+ *
+ * A backend implements:
+ *   put(key, buffer, { contentType })  store a file, replacing any existing one
+ *   get(key)                           Buffer, or null when missing
+ *   remove(key)                        delete a file (missing files are ignored)
+ *   removePrefix(prefix)               delete every file under a key prefix
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const drivers = new Map();
+let instance = null;
+
+/**
+ * Reject keys that could escape the storage root
+ * @param {string} key - Relative storage key
+ * @returns {string} The key
+ */
+const checkKey = (key) => {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => part === '..' || part === '')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+/**
+ * Local filesystem backend
+ * @param {Object} options - { root } directory holding the files
+ * @returns {Object} Storage backend
+ */
+export const createLocalStorage = ({ root }) => {
+  const base = path.resolve(root);
+  const resolve = (key) => path.join(base, checkKey(key));
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so readers never see a half-written file
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(temp, buffer, { mode: 0o600 });
+      await fs.rename(temp, file);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      await fs.rm(resolve(prefix.replace(/\/+$/, '')), { recursive: true, force: true });
+    }
+  };
+};
+
+/**
+ * Make a storage backend available to STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} factory - (env) => backend
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+registerStorageDriver('local', (env) => createLocalStorage({ root: env.UPLOAD_DIR || 'uploads' }));
+
+/**
+ * The configured storage backend (created on first use)
+ * @returns {Object} Storage backend
+ */
+export const getStorage = () => {
+  if (!instance) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    instance = factory(process.env);
+  }
+  return instance;
+};
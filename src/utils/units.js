@@ -0,0 +1,114 @@
+/**
+ * Unit conversion helpers for food quantities.
+ * Everything resolves to grams, the unit the food catalog stores nutrition in.
+ */
+
+// Grams per unit of mass
+export const MASS_UNITS = {
+  g: 1,
+  kg: 1000,
+  mg: 0.001,
+  oz: 28.349523125,
+  lb: 453.59237
+};
+
+// Millilitres per unit of volume
+export const VOLUME_UNITS = {
+  ml: 1,
+  l: 1000,
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  floz: 29.5735,
+  cup: 236.588
+};
+
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g',
+  kilogram: 'kg', kilograms: 'kg',
+  milligram: 'mg', milligrams: 'mg',
+  ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp',
+  tablespoon: 'tbsp', tablespoons: 'tbsp',
+  'fl oz': 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+  cups: 'cup',
+  servings: 'serving'
+};
+
+/**
+ * Normalise a unit name to its canonical key
+ * @param {string} unit - Unit as entered by the user
+ * @returns {string} Canonical unit
+ */
+export const normaliseUnit = (unit) => {
+  const key = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[key] || key;
+};
+
+/**
+ * Read the amount a serving label starts with: "2", "1.5", "1/2" or "1 1/2"
+ * @param {string} label - Serving label, e.g. "1/2 cup"
+ * @returns {number|null} Amount, or null when the label has none
+ */
+export const parseLabelAmount = (label) => {
+  const match = String(label).trim().match(/^(?:(\d+(?:\.\d+)?)\s+)?(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?/);
+  if (!match) return null;
+
+  const [, whole, numerator, denominator] = match;
+  const amount = (whole ? Number(whole) : 0) + (denominator ? Number(numerator) / Number(denominator) : Number(numerator));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/**
+ * Resolve a quantity of a food into grams
+ * Supported units: mass units, volume units, "serving" (default serving),
+ * or the label of one of the food's servings (e.g. "large", "1 slice").
+ * Volume units use a matching serving when one exists, otherwise water density.
+ * @param {Object} food - Food with servings
+ * @param {number} quantity - Amount in the given unit
+ * @param {string} unit - Unit name
+ * @returns {number} Grams
+ * @throws {Error} 'Invalid unit ...' when the unit cannot be resolved
+ */
+export const toGrams = (food, quantity, unit) => {
+  const canonical = normaliseUnit(unit);
+  const servings = food.servings || [];
+
+  if (canonical in MASS_UNITS) {
+    return quantity * MASS_UNITS[canonical];
+  }
+
+  if (canonical === 'serving') {
+    const serving = servings.find(item => item.isDefault) || servings[0];
+    if (!serving) {
+      throw new Error(`Invalid unit "serving": ${food.name} has no serving sizes`);
+    }
+    return quantity * serving.grams;
+  }
+
+  const labelMatch = servings.find(item => {
+    const label = item.label.toLowerCase();
+    return label === canonical || label.replace(/^[\d./\s]+/, '') === canonical;
+  });
+  if (labelMatch) {
+    const servingAmount = parseLabelAmount(labelMatch.label) || 1;
+    return (quantity / servingAmount) * labelMatch.grams;
+  }
+
+  if (canonical in VOLUME_UNITS) {
+    // Prefer a serving expressed in a volume unit so density is taken from the data
+    for (const serving of servings) {
+      const match = serving.label.toLowerCase().match(/^([\d./\s]+)?([a-z ]+)/);
+      const servingUnit = match && normaliseUnit(match[2].trim());
+      if (servingUnit in VOLUME_UNITS) {
+        const servingMl = (parseLabelAmount(match[1] ?? '') || 1) * VOLUME_UNITS[servingUnit];
+        return quantity * VOLUME_UNITS[canonical] * (serving.grams / servingMl);
+      }
+    }
+    return quantity * VOLUME_UNITS[canonical];
+  }
+
+  throw new Error(`Invalid unit "${unit}" for ${food.name}`);
+};
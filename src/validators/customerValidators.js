@@ -0,0 +1,262 @@
+// Joi schemas for customer and macro target requests
+import Joi from 'joi';
+import {
+  Gender,
+  MeasurementStandard,
+  ActivityLevel,
+  FitnessGoal,
+  MealPlanCategory,
+  MealDistributionStrategy
+} from '../generated/prisma/index.js';
+import { DIETARY_PROFILE_VALUES } from '../services/dietaryProfileService.js';
+import { mealItemSchema } from './mealPlanValidators.js';
+import { ROSTER_SORT_FIELDS } from '../services/adherenceService.js';
+import { HYDRATION_PRESET_NAMES } from '../services/hydrationService.js';
+import { FASTING_PROTOCOL_TYPES } from '../services/fastingService.js';
+import {
+  CHECK_IN_QUESTION_TYPES,
+  MAX_CHECK_IN_QUESTIONS,
+  MAX_TEXT_ANSWER_LENGTH
+} from '../services/checkInService.js';
+import { VOLUME_UNITS } from '../utils/units.js';
+
+const dietaryProfileFields = {
+  allergens: Joi.array().items(Joi.string().uppercase().valid(...DIETARY_PROFILE_VALUES.allergens)).unique(),
+  intolerances: Joi.array().items(Joi.string().uppercase().valid(...DIETARY_PROFILE_VALUES.intolerances)).unique(),
+  dietaryRestrictions: Joi.array()
+    .items(Joi.string().uppercase().valid(...DIETARY_PROFILE_VALUES.dietaryRestrictions)).unique(),
+  dislikedFoods: Joi.array().items(Joi.string().trim().min(2).max(100)).max(100).unique(),
+  cuisinePreferences: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20).unique()
+};
+
+export const updateCustomerProfileSchema = Joi.object({
+  firstName: Joi.string().trim().min(1).max(100),
+  lastName: Joi.string().trim().min(1).max(100),
+  phoneNumber: Joi.string().trim().min(5).max(30),
+  birthDate: Joi.date().iso().less('now'),
+  gender: Joi.string().valid(...Object.values(Gender)),
+  measurementStandard: Joi.string().valid(...Object.values(MeasurementStandard)),
+  height: Joi.number().positive().max(300),
+  weight: Joi.number().positive().max(1000),
+  targetWeight: Joi.number().positive().max(1000).allow(null),
+  bodyFatPercentage: Joi.number().min(2).max(70).allow(null),
+  activityLevel: Joi.string().valid(...Object.values(ActivityLevel)),
+  mealsPerDay: Joi.number().integer().min(1).max(10),
+  mealDistribution: Joi.string().valid(...Object.values(MealDistributionStrategy)),
+  postWorkoutMeal: Joi.number().integer().min(1).max(10).allow(null),
+  fitnessGoal: Joi.string().valid(...Object.values(FitnessGoal)),
+  mealPlanCategory: Joi.string().valid(...Object.values(MealPlanCategory)),
+  ...dietaryProfileFields
+}).min(1);
+
+export const updateDietaryProfileSchema = Joi.object(dietaryProfileFields).min(1);
+
+export const overrideMacroTargetsSchema = Joi.object({
+  calories: Joi.number().integer().min(800).max(10000).required(),
+  proteinGrams: Joi.number().min(0).max(1000),
+  carbsGrams: Joi.number().min(0).max(2000),
+  fatGrams: Joi.number().min(0).max(1000),
+  fiberGrams: Joi.number().min(0).max(200),
+  reason: Joi.string().trim().max(255)
+});
+
+export const targetHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const mealDistributionQuerySchema = Joi.object({
+  strategy: Joi.string().valid(...Object.values(MealDistributionStrategy)),
+  postWorkoutMeal: Joi.number().integer().min(1).max(10),
+  eatingWindowStart: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+  eatingWindowHours: Joi.number().min(1).max(23)
+});
+
+export const pantryItemSchema = Joi.object({
+  foodId: Joi.string().trim().required(),
+  quantity: Joi.number().positive().max(100000),
+  unit: Joi.string().trim().min(1).max(50)
+}).and('quantity', 'unit');
+
+export const diaryDayQuerySchema = Joi.object({
+  date: Joi.date().iso()
+});
+
+// End of a date range; only checked against the start when one is given
+const rangeEndField = Joi.when('from', {
+  is: Joi.exist(),
+  then: Joi.date().iso().min(Joi.ref('from')),
+  otherwise: Joi.date().iso()
+});
+
+export const diaryRangeQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: rangeEndField
+});
+
+const diaryEntryFields = {
+  date: Joi.date().iso(),
+  mealNumber: Joi.number().integer().min(1).max(10).allow(null),
+  mealName: Joi.string().trim().max(100).allow(null, ''),
+  notes: Joi.string().trim().max(191).allow(null, '')
+};
+
+export const createDiaryEntrySchema = mealItemSchema.keys(diaryEntryFields);
+
+export const updateDiaryEntrySchema = Joi.object({
+  ...diaryEntryFields,
+  quantity: Joi.number().positive().max(100000),
+  unit: Joi.string().trim().min(1).max(50)
+}).min(1);
+
+export const logPlannedMealSchema = Joi.object({
+  mealId: Joi.string().trim().required(),
+  date: Joi.date().iso()
+});
+
+// Body metric values are in the customer's units (lb/in for US_STANDARD)
+const bodyMetricFields = {
+  weight: Joi.number().positive().max(1000).allow(null),
+  bodyFatPercentage: Joi.number().min(2).max(70).allow(null),
+  waist: Joi.number().positive().max(500).allow(null),
+  hip: Joi.number().positive().max(500).allow(null),
+  chest: Joi.number().positive().max(500).allow(null),
+  arm: Joi.number().positive().max(500).allow(null),
+  thigh: Joi.number().positive().max(500).allow(null),
+  restingHeartRate: Joi.number().integer().min(20).max(250).allow(null)
+};
+
+export const bodyMetricSchema = Joi.object({
+  ...bodyMetricFields,
+  date: Joi.date().iso().max('now'),
+  notes: Joi.string().trim().max(191).allow(null, '')
+}).or(...Object.keys(bodyMetricFields));
+
+export const progressQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: rangeEndField,
+  window: Joi.number().integer().min(1).max(90).default(7),
+  weeks: Joi.number().integer().min(2).max(12).default(3)
+});
+
+export const acceptProgressAdjustmentSchema = Joi.object({
+  weeks: Joi.number().integer().min(2).max(12).default(3),
+  calories: Joi.number().integer().min(800).max(10000)
+});
+
+const adherenceWeeksField = Joi.number().integer().min(1).max(12).default(2);
+
+export const adherenceQuerySchema = Joi.object({
+  weeks: adherenceWeeksField
+});
+
+export const rosterQuerySchema = Joi.object({
+  weeks: adherenceWeeksField,
+  sortBy: Joi.string().valid(...ROSTER_SORT_FIELDS).default('adherence'),
+  order: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+export const trainerAdherenceQuerySchema = Joi.object({
+  weeks: adherenceWeeksField,
+  order: Joi.string().valid('asc', 'desc').default('asc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const progressPhotoUploadSchema = Joi.object({
+  date: Joi.date().iso().max('now')
+});
+
+export const progressPhotoListQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: rangeEndField
+});
+
+export const progressPhotoFileQuerySchema = Joi.object({
+  size: Joi.string().valid('full', 'thumbnail').default('full')
+});
+
+// Amount in the given unit, or in the customer's unit (ml, or fl oz for US_STANDARD)
+export const logWaterSchema = Joi.object({
+  amount: Joi.number().positive().max(5000).required(),
+  unit: Joi.string().trim().lowercase().valid(...Object.keys(VOLUME_UNITS)),
+  date: Joi.date().iso().max('now')
+});
+
+export const quickAddWaterSchema = Joi.object({
+  preset: Joi.string().valid(...HYDRATION_PRESET_NAMES).required(),
+  date: Joi.date().iso().max('now')
+});
+
+// Daily protocols take an eating window start; CUSTOM also sets the window
+// length. Fasting days are ISO weekdays (1 = Monday) for FIVE_TWO and CUSTOM.
+export const fastingProtocolSchema = Joi.object({
+  type: Joi.string().valid(...FASTING_PROTOCOL_TYPES).required(),
+  eatingWindowStart: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+  eatingWindowHours: Joi.number().min(1).max(20).when('type', { is: 'CUSTOM', otherwise: Joi.forbidden() }),
+  fastingDays: Joi.array().items(Joi.number().integer().min(1).max(7)).unique().min(1).max(3)
+    .when('type', { is: Joi.valid('FIVE_TWO', 'CUSTOM'), otherwise: Joi.forbidden() }),
+  fastingDayCalories: Joi.number().integer().min(200).max(1200)
+    .when('type', { is: Joi.valid('FIVE_TWO', 'CUSTOM'), otherwise: Joi.forbidden() })
+});
+
+export const startFastSchema = Joi.object({
+  startedAt: Joi.date().iso().max('now'),
+  targetHours: Joi.number().min(1).max(72),
+  notes: Joi.string().trim().max(191).allow(null, '')
+});
+
+export const stopFastSchema = Joi.object({
+  endedAt: Joi.date().iso().max('now'),
+  notes: Joi.string().trim().max(191).allow(null, '')
+});
+
+// Bounds apply to SCALE and NUMBER questions, units to NUMBER only
+const checkInQuestionSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_-]{1,32}$/),
+  type: Joi.string().valid(...CHECK_IN_QUESTION_TYPES).required(),
+  label: Joi.string().trim().min(1).max(200).required(),
+  required: Joi.boolean().default(true),
+  min: Joi.number().when('type', { is: Joi.valid('SCALE', 'NUMBER'), otherwise: Joi.forbidden() })
+    .when('type', { is: 'SCALE', then: Joi.number().integer() }),
+  max: Joi.number().when('type', { is: Joi.valid('SCALE', 'NUMBER'), otherwise: Joi.forbidden() })
+    .when('type', { is: 'SCALE', then: Joi.number().integer() }),
+  unit: Joi.string().trim().max(20).when('type', { is: 'NUMBER', otherwise: Joi.forbidden() })
+});
+
+const checkInFormFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(1000).allow(null, ''),
+  questions: Joi.array().items(checkInQuestionSchema).min(1).max(MAX_CHECK_IN_QUESTIONS)
+    .unique((a, b) => a.id && a.id === b.id),
+  intervalWeeks: Joi.number().integer().min(1).max(4),
+  dayOfWeek: Joi.number().integer().min(1).max(7),
+  dueDays: Joi.number().integer().min(0).max(6),
+  startDate: Joi.date().iso(),
+  active: Joi.boolean(),
+  customerIds: Joi.array().items(Joi.string()).unique()
+};
+
+// Without customerIds the form goes to the trainer's whole roster
+export const createCheckInFormSchema = Joi.object({
+  ...checkInFormFields,
+  name: checkInFormFields.name.required(),
+  questions: checkInFormFields.questions.required(),
+  intervalWeeks: checkInFormFields.intervalWeeks.default(1),
+  dayOfWeek: checkInFormFields.dayOfWeek.required(),
+  dueDays: checkInFormFields.dueDays.default(2)
+});
+
+export const updateCheckInFormSchema = Joi.object(checkInFormFields).min(1);
+
+// Answers are matched to the form's questions by the service
+export const submitCheckInSchema = Joi.object({
+  answers: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.number(), Joi.boolean(), Joi.string().max(MAX_TEXT_ANSWER_LENGTH)).allow(null)
+  ).default({})
+});
+
+export const reviewCheckInSchema = Joi.object({
+  notes: Joi.string().trim().max(2000).allow(null, '')
+});
@@ -0,0 +1,88 @@
+// Joi schemas for food catalog requests
+import Joi from 'joi';
+import { FoodCategory } from '../generated/prisma/index.js';
+import { ALLERGENS, MICRONUTRIENT_UNITS } from '../services/foodService.js';
+
+// Mirrors foodImportService.IMPORT_FORMATS (importing it here would be circular)
+const IMPORT_FORMATS = ['USDA_JSON', 'USDA_CSV', 'CSV'];
+
+const servingSchema = Joi.object({
+  label: Joi.string().trim().min(1).max(100).required(),
+  grams: Joi.number().positive().max(5000).required(),
+  isDefault: Joi.boolean().default(false)
+});
+
+const micronutrientsSchema = Joi.object(
+  Object.fromEntries(Object.keys(MICRONUTRIENT_UNITS).map(key => [key, Joi.number().min(0)]))
+);
+
+const foodFields = {
+  name: Joi.string().trim().min(1).max(191),
+  brand: Joi.string().trim().max(191).allow(null),
+  description: Joi.string().trim().max(5000).allow(null, ''),
+  category: Joi.string().valid(...Object.values(FoodCategory)),
+  calories: Joi.number().min(0).max(900),
+  proteinGrams: Joi.number().min(0).max(100),
+  carbsGrams: Joi.number().min(0).max(100),
+  fatGrams: Joi.number().min(0).max(100),
+  fiberGrams: Joi.number().min(0).max(100),
+  sugarGrams: Joi.number().min(0).max(100).allow(null),
+  saturatedFatGrams: Joi.number().min(0).max(100).allow(null),
+  micronutrients: micronutrientsSchema.allow(null),
+  allergens: Joi.array().items(Joi.string().uppercase().valid(...ALLERGENS)).unique(),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).unique(),
+  servings: Joi.array().items(servingSchema).max(20)
+};
+
+export const createFoodSchema = Joi.object({
+  ...foodFields,
+  name: foodFields.name.required(),
+  calories: foodFields.calories.required(),
+  proteinGrams: foodFields.proteinGrams.required(),
+  carbsGrams: foodFields.carbsGrams.required(),
+  fatGrams: foodFields.fatGrams.required()
+});
+
+export const updateFoodSchema = Joi.object(foodFields).min(1);
+
+export const searchFoodsQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100),
+  category: Joi.string().valid(...Object.values(FoodCategory)),
+  tag: Joi.string().trim().lowercase().max(50),
+  // Comma-separated list, e.g. ?excludeAllergens=MILK,PEANUTS
+  excludeAllergens: Joi.string().uppercase().custom((value, helpers) => {
+    const allergens = value.split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = allergens.filter(item => !ALLERGENS.includes(item));
+    return invalid.length > 0 ? helpers.error('any.invalid') : allergens;
+  }),
+  mine: Joi.boolean(),
+  includeInactive: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sortBy: Joi.string().valid('name', 'createdAt', 'calories', 'proteinGrams').default('name'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+export const importFoodsSchema = Joi.object({
+  format: Joi.string().uppercase().valid(...IMPORT_FORMATS).required(),
+  // File content: CSV text, or USDA JSON as text or an already-parsed object
+  data: Joi.when('format', {
+    is: 'USDA_CSV',
+    then: Joi.forbidden(),
+    otherwise: Joi.alternatives(Joi.string(), Joi.object(), Joi.array()).required()
+  }),
+  // USDA CSV tables as text, keyed like foodImportService.joinUsdaCsv expects
+  files: Joi.when('format', {
+    is: 'USDA_CSV',
+    then: Joi.object({
+      food: Joi.string().required(),
+      foodNutrient: Joi.string().required(),
+      foodPortion: Joi.string(),
+      measureUnit: Joi.string(),
+      foodCategory: Joi.string(),
+      brandedFood: Joi.string()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  dryRun: Joi.boolean().default(false)
+});
@@ -0,0 +1,168 @@
+// Joi schemas for meal plan requests
+import Joi from 'joi';
+import { MealPlanCategory, MealPlanStatus } from '../generated/prisma/index.js';
+import { ALLERGENS } from '../services/foodService.js';
+import { EXPORT_FORMATS } from '../services/mealPlanExportService.js';
+import { MAX_PLAN_DAYS } from '../services/mealPlanService.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const mealItemSchema = Joi.object({
+  foodId: Joi.string().trim(),
+  recipeId: Joi.string().trim(),
+  quantity: Joi.number().positive().max(100000).required(),
+  unit: Joi.string().trim().min(1).max(50).when('recipeId', {
+    is: Joi.exist(),
+    then: Joi.optional().default('serving'),
+    otherwise: Joi.required()
+  }),
+  notes: Joi.string().trim().max(191).allow(null, '')
+}).xor('foodId', 'recipeId');
+
+const mealPlanFields = {
+  name: Joi.string().trim().min(1).max(191),
+  description: Joi.string().trim().max(5000).allow(null, ''),
+  category: Joi.string().valid(...Object.values(MealPlanCategory)),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  notes: Joi.string().trim().max(5000).allow(null, '')
+};
+
+export const createMealPlanSchema = Joi.object({
+  ...mealPlanFields,
+  name: mealPlanFields.name.required(),
+  customerId: Joi.string().trim().required(),
+  startDate: mealPlanFields.startDate.required(),
+  endDate: mealPlanFields.endDate.min(Joi.ref('startDate')).required(),
+  createMealSlots: Joi.boolean().default(true)
+});
+
+export const updateMealPlanSchema = Joi.object({
+  ...mealPlanFields
+}).min(1);
+
+export const listMealPlansQuerySchema = Joi.object({
+  customerId: Joi.string().trim(),
+  category: Joi.string().valid(...Object.values(MealPlanCategory)),
+  status: Joi.string().valid(...Object.values(MealPlanStatus)),
+  activeOn: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const mealsQuerySchema = Joi.object({
+  dayNumber: Joi.number().integer().min(1),
+  date: Joi.date().iso()
+}).oxor('dayNumber', 'date');
+
+export const addMealSchema = Joi.object({
+  dayNumber: Joi.number().integer().min(1),
+  date: Joi.date().iso(),
+  mealNumber: Joi.number().integer().min(1).max(10).required(),
+  name: Joi.string().trim().min(1).max(100),
+  time: Joi.string().pattern(TIME_PATTERN),
+  notes: Joi.string().trim().max(191),
+  items: Joi.array().items(mealItemSchema).min(1).max(50).required()
+}).xor('dayNumber', 'date');
+
+const toleranceField = Joi.number().min(0.01).max(0.5);
+
+export const generateMealPlanSchema = Joi.object({
+  customerId: Joi.string().trim().required(),
+  name: mealPlanFields.name,
+  description: mealPlanFields.description,
+  category: mealPlanFields.category,
+  startDate: Joi.date().iso(),
+  days: Joi.number().integer().min(1).max(14).default(7),
+  tolerances: Joi.object({
+    calories: toleranceField,
+    proteinGrams: toleranceField,
+    carbsGrams: toleranceField,
+    fatGrams: toleranceField
+  }),
+  maxRepeats: Joi.number().integer().min(1).max(14),
+  excludeAllergens: Joi.array().items(Joi.string().uppercase().valid(...ALLERGENS)).unique(),
+  useRecipes: Joi.boolean(),
+  seed: Joi.number().integer().min(0).max(2 ** 31 - 1)
+});
+
+export const substitutesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+export const substituteItemSchema = Joi.object({
+  foodId: Joi.string().trim(),
+  recipeId: Joi.string().trim(),
+  quantity: Joi.number().positive().max(100000),
+  unit: Joi.string().trim().min(1).max(50),
+  notes: Joi.string().trim().max(191).allow(null, '')
+}).xor('foodId', 'recipeId').and('quantity', 'unit');
+
+export const shoppingListQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv', 'text').default('json'),
+  from: Joi.date().iso(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  })
+});
+
+export const exportMealPlanQuerySchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('pdf')
+});
+
+export const saveTemplateSchema = Joi.object({
+  name: mealPlanFields.name,
+  description: mealPlanFields.description,
+  category: mealPlanFields.category
+});
+
+const templateMealSchema = Joi.object({
+  mealNumber: Joi.number().integer().min(1).max(10).required(),
+  name: Joi.string().trim().min(1).max(100).required(),
+  time: Joi.string().pattern(TIME_PATTERN).allow(null),
+  notes: Joi.string().trim().max(191).allow(null, ''),
+  items: Joi.array().items(mealItemSchema).max(50).default([])
+});
+
+export const updateTemplateSchema = Joi.object({
+  name: mealPlanFields.name,
+  description: mealPlanFields.description,
+  category: mealPlanFields.category,
+  notes: mealPlanFields.notes,
+  days: Joi.array().items(Joi.object({
+    dayNumber: Joi.number().integer().min(1).required(),
+    notes: Joi.string().trim().max(191).allow(null, ''),
+    meals: Joi.array().items(templateMealSchema).unique('mealNumber').max(10).default([])
+  })).unique('dayNumber').min(1).max(MAX_PLAN_DAYS)
+}).min(1);
+
+export const listTemplatesQuerySchema = Joi.object({
+  category: Joi.string().valid(...Object.values(MealPlanCategory)),
+  search: Joi.string().trim().max(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const cloneTemplateSchema = Joi.object({
+  customerId: Joi.string().trim().required(),
+  startDate: Joi.date().iso().required(),
+  name: mealPlanFields.name,
+  description: mealPlanFields.description,
+  scaleToTarget: Joi.boolean().default(true)
+});
+
+export const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1)
+});
+
+export const updateMealPlanStatusSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(MealPlanStatus)).required(),
+  notes: Joi.string().trim().max(5000).allow(null, '')
+});
+
+export const planReviewSettingSchema = Joi.object({
+  requiresPlanReview: Joi.boolean().required()
+});
@@ -0,0 +1,24 @@
+// Joi schemas for messaging requests
+import Joi from 'joi';
+import { MESSAGE_ROLES, MAX_MESSAGE_LENGTH } from '../services/messageService.js';
+
+export const listThreadsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const listMessagesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Who may be messaged is checked by the service against the hierarchy
+export const openThreadSchema = Joi.object({
+  participantId: Joi.string().required(),
+  participantRole: Joi.string().valid(...MESSAGE_ROLES).required()
+});
+
+// The text may be empty when files are attached
+export const sendMessageSchema = Joi.object({
+  body: Joi.string().trim().max(MAX_MESSAGE_LENGTH).allow('').default('')
+});
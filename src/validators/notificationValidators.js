@@ -0,0 +1,8 @@
+// Joi schemas for notification requests
+import Joi from 'joi';
+
+export const listNotificationsQuerySchema = Joi.object({
+  unreadOnly: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
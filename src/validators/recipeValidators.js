@@ -0,0 +1,43 @@
+// Joi schemas for recipe requests
+import Joi from 'joi';
+
+export const recipeIngredientSchema = Joi.object({
+  foodId: Joi.string().trim().required(),
+  quantity: Joi.number().positive().max(100000).required(),
+  unit: Joi.string().trim().min(1).max(50).required(),
+  position: Joi.number().integer().min(0),
+  notes: Joi.string().trim().max(191).allow(null, '')
+});
+
+const recipeFields = {
+  name: Joi.string().trim().min(1).max(191),
+  description: Joi.string().trim().max(5000).allow(null, ''),
+  instructions: Joi.string().trim().max(20000).allow(null, ''),
+  servings: Joi.number().integer().min(1).max(100),
+  prepMinutes: Joi.number().integer().min(0).max(1440).allow(null),
+  cookMinutes: Joi.number().integer().min(0).max(1440).allow(null),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).unique(),
+  ingredients: Joi.array().items(recipeIngredientSchema).max(100)
+};
+
+export const createRecipeSchema = Joi.object({
+  ...recipeFields,
+  name: recipeFields.name.required(),
+  servings: recipeFields.servings.default(1),
+  ingredients: recipeFields.ingredients.min(1).required()
+});
+
+export const updateRecipeSchema = Joi.object({
+  ...recipeFields,
+  ingredients: recipeFields.ingredients.min(1)
+}).min(1);
+
+export const searchRecipesQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100),
+  tag: Joi.string().trim().lowercase().max(50),
+  mine: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sortBy: Joi.string().valid('name', 'createdAt', 'calories', 'proteinGrams').default('name'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc')
+});